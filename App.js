@@ -44,7 +44,8 @@ const App = () => {
    *
    * Lytter på når brugeren trykker på en notifikation og handler responsens action.
    * Bruges til at håndtere godkendelse af events når brugeren trykker på
-   * pending-approval notifikationer.
+   * pending-approval notifikationer. Almindelige tryk åbner begivenheden via
+   * deep links (se navigation/linking.js).
    */
   useEffect(() => {
     const subscription =
@@ -3,7 +3,10 @@
  *
  * Expo app-konfiguration med miljøvariabler for:
  * - OpenAI API-nøgle, model og proxy-URL
+ * - URL'er til familyAvailability, eventApproval, familyCalendarFeed og familyInvite Cloud Functions
  * - Firebase-konfiguration (API-nøgle, auth domain, projekt-ID osv.)
+ * - Google-klient-ID'er til "Fortsæt med Google"
+ * - Domæne til universal links (https://{domæne}/family/..., /join/..., /invite/...)
  *
  * Alle værdier hentes fra .env-filen via process.env
  * med fallback-værdier hvis miljøvariablerne ikke er sat.
@@ -11,8 +14,33 @@
 
 import 'dotenv/config';
 
+const universalLinkDomain = process.env.UNIVERSAL_LINK_DOMAIN ?? '';
+
 export default ({ config }) => ({
   ...config,
+  /**
+   * UNIVERSAL LINKS
+   * Kun når et domæne er sat; ellers virker links kun med famtime://
+   */
+  ios: universalLinkDomain
+    ? {
+        ...config.ios,
+        associatedDomains: [`applinks:${universalLinkDomain}`],
+      }
+    : config.ios,
+  android: universalLinkDomain
+    ? {
+        ...config.android,
+        intentFilters: [
+          {
+            action: 'VIEW',
+            autoVerify: true,
+            data: [{ scheme: 'https', host: universalLinkDomain }],
+            category: ['BROWSABLE', 'DEFAULT'],
+          },
+        ],
+      }
+    : config.android,
   extra: {
     ...config.extra,
     /**
@@ -23,6 +51,30 @@ export default ({ config }) => ({
     openaiModel: process.env.OPENAI_MODEL ?? 'gpt-4o-mini',
     openaiProxyUrl: process.env.OPENAI_PROXY_URL ?? '',
 
+    /**
+     * AVAILABILITY FUNCTION
+     * URL til Cloud Function familyAvailability (tom = beregn lokalt)
+     */
+    availabilityFunctionUrl: process.env.AVAILABILITY_FUNCTION_URL ?? '',
+
+    /**
+     * EVENT APPROVAL FUNCTION
+     * URL til Cloud Function eventApproval (tom = transaktion fra appen)
+     */
+    eventApprovalFunctionUrl: process.env.EVENT_APPROVAL_FUNCTION_URL ?? '',
+
+    /**
+     * CALENDAR FEED FUNCTION
+     * URL til Cloud Function familyCalendarFeed (tom = intet abonnementslink)
+     */
+    calendarFeedFunctionUrl: process.env.CALENDAR_FEED_FUNCTION_URL ?? '',
+
+    /**
+     * FAMILY INVITE FUNCTION
+     * URL til Cloud Function familyInvite (tom = invitationer via familie-ID som før)
+     */
+    familyInviteFunctionUrl: process.env.FAMILY_INVITE_FUNCTION_URL ?? '',
+
     /**
      * FIREBASE CONFIGURATION
      * Firebase-indstillinger for autentificering, realtime database og analytics
@@ -35,5 +87,19 @@ export default ({ config }) => ({
       process.env.FIREBASE_MESSAGING_SENDER_ID ?? '',
     firebaseAppId: process.env.FIREBASE_APP_ID ?? '',
     firebaseMeasurementId: process.env.FIREBASE_MEASUREMENT_ID ?? '',
+
+    /**
+     * GOOGLE SIGN-IN
+     * OAuth-klient-ID'er pr. platform (tom = Google-knappen vises ikke)
+     */
+    googleIosClientId: process.env.GOOGLE_IOS_CLIENT_ID ?? '',
+    googleAndroidClientId: process.env.GOOGLE_ANDROID_CLIENT_ID ?? '',
+    googleWebClientId: process.env.GOOGLE_WEB_CLIENT_ID ?? '',
+
+    /**
+     * UNIVERSAL LINKS
+     * Domæne der åbner appen (tom = kun famtime://-links)
+     */
+    universalLinkDomain,
   },
 });
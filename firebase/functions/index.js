@@ -4,9 +4,15 @@
  * - `openaiSuggestion`: proxy til OpenAI der skjuler API-nøglen.
  * - Verificerer Firebase ID token og bruger env config til OpenAI.
  */
+// De delte moduler (recurrence, manualBusy m.fl.) regner i lokal tid ligesom appen.
+// Functions kører i UTC, så uden dette lander forekomster på forkert dag, sommertid
+// ignoreres, og exdate-/override-nøgler passer ikke med appens.
+process.env.TZ = 'Europe/Copenhagen';
+
 const functions = require('firebase-functions');
 const admin = require('firebase-admin');
 const axios = require('axios');
+const crypto = require('crypto');
 
 admin.initializeApp();
 
@@ -28,6 +34,52 @@ const sanitizeString = (value) => {
   return value.trim();
 };
 
+// Medlemskab læses kun fra memberIds, ligesom i firestore.rules; ældre familier
+// får feltet af firebase/scripts/backfillMemberIds.js.
+const readMemberIds = (familyData) =>
+  Array.from(
+    new Set(
+      (Array.isArray(familyData?.memberIds) ? familyData.memberIds : [])
+        .map(sanitizeString)
+        .filter(Boolean)
+    )
+  );
+
+/**
+ * CORS OG LOGIN I HTTPS-FUNKTIONER
+ *
+ * handleCorsPreflight sætter CORS-headers (methods fx 'POST' eller 'GET,POST') og
+ * svarer selv på OPTIONS; returnerer true, når handleren skal stoppe.
+ * verifyCallerToken læser Firebase ID-tokenet fra "Authorization: Bearer ..." og
+ * returnerer det dekodede token, eller svarer 401 og returnerer null.
+ */
+const handleCorsPreflight = (req, res, methods) => {
+  res.set('Access-Control-Allow-Origin', '*');
+  res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.set('Access-Control-Allow-Methods', `${methods},OPTIONS`);
+
+  if (req.method === 'OPTIONS') {
+    res.status(204).send('');
+    return true;
+  }
+  return false;
+};
+
+const verifyCallerToken = async (req, res) => {
+  const authHeader = req.get('Authorization') || '';
+  if (!authHeader.startsWith('Bearer ')) {
+    res.status(401).json({ error: 'Missing Firebase ID token' });
+    return null;
+  }
+  try {
+    return await admin.auth().verifyIdToken(authHeader.slice('Bearer '.length));
+  } catch (verifyError) {
+    functions.logger.warn('Invalid Firebase token', verifyError);
+    res.status(401).json({ error: 'Invalid Firebase ID token' });
+    return null;
+  }
+};
+
 /**
  * OVERSÆTNING AF DAGE
  * 
@@ -80,12 +132,7 @@ const MOOD_PROMPTS = {
 exports.openaiSuggestion = functions
   .region(REGION)
   .https.onRequest(async (req, res) => {
-    res.set('Access-Control-Allow-Origin', '*');
-    res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-    res.set('Access-Control-Allow-Methods', 'POST,OPTIONS');
-
-    if (req.method === 'OPTIONS') {
-      res.status(204).send('');
+    if (handleCorsPreflight(req, res, 'POST')) {
       return;
     }
 
@@ -94,19 +141,7 @@ exports.openaiSuggestion = functions
       return;
     }
 
-    const authHeader = req.get('Authorization') || '';
-    if (!authHeader.startsWith('Bearer ')) {
-      res.status(401).json({ error: 'Missing Firebase ID token' });
-      return;
-    }
-
-    const idToken = authHeader.slice('Bearer '.length);
-
-    try {
-      await admin.auth().verifyIdToken(idToken);
-    } catch (verifyError) {
-      functions.logger.warn('Invalid Firebase token', verifyError);
-      res.status(401).json({ error: 'Invalid Firebase ID token' });
+    if (!(await verifyCallerToken(req, res))) {
       return;
     }
 
@@ -143,6 +178,13 @@ exports.openaiSuggestion = functions
         : Number.isFinite(Number(profile.seedHash))
         ? Number(profile.seedHash)
         : null;
+    // Aldre på familiens børn uden login, så forslaget passer til dem.
+    const childAges = Array.isArray(profile.childAges)
+      ? profile.childAges
+          .map((value) => Number(value))
+          .filter((value) => Number.isFinite(value) && value >= 0)
+          .map((value) => Math.floor(value))
+      : [];
 
     const preferredDayLabels = preferredDays.length
       ? preferredDays.map(toLabel).join(', ')
@@ -177,6 +219,9 @@ exports.openaiSuggestion = functions
       `By: ${city || 'ukendt'}`,
       `Humør: ${moodDetail}`,
       `Foretrukne dage: ${preferredDayLabels}`,
+      `Børn i familien: ${
+        childAges.length ? `${childAges.join(' og ')} år` : 'ingen registrerede'
+      }`,
       '',
       `Basisforslag: "${fallbackSuggestion}"`,
       '',
@@ -227,3 +272,1668 @@ exports.openaiSuggestion = functions
       });
     }
   });
+
+/**
+ * DELT KODE FRA APPEN
+ *
+ * Availability-beregningen og event-godkendelsen er den samme som i appen
+ * (src/lib/availability.js, src/utils/eventApproval.js m.fl.).
+ * Filerne kopieres til ./shared af firebase/scripts/syncShared.js ved deploy
+ * og hentes som ES-moduler første gang funktionen kaldes.
+ */
+let sharedModulesPromise = null;
+const loadSharedModules = () => {
+  if (!sharedModulesPromise) {
+    sharedModulesPromise = Promise.all([
+      import('./shared/availability.mjs'),
+      import('./shared/calendarAvailability.mjs'),
+      import('./shared/familyPreferences.mjs'),
+      import('./shared/eventApproval.mjs'),
+      import('./shared/familyActivity.mjs'),
+      import('./shared/notifications.mjs'),
+      import('./shared/icalendar.mjs'),
+      import('./shared/familyMembers.mjs'),
+      import('./shared/childProfiles.mjs'),
+      import('./shared/familyRoles.mjs'),
+      import('./shared/inviteCodes.mjs'),
+    ]).then(
+      ([
+        availability,
+        calendarAvailability,
+        familyPreferences,
+        eventApproval,
+        familyActivity,
+        notifications,
+        icalendar,
+        familyMembers,
+        childProfiles,
+        familyRoles,
+        inviteCodes,
+      ]) => ({
+        availability,
+        calendarAvailability,
+        familyPreferences,
+        eventApproval,
+        familyActivity,
+        notifications,
+        icalendar,
+        familyMembers,
+        childProfiles,
+        familyRoles,
+        inviteCodes,
+      })
+    );
+  }
+  return sharedModulesPromise;
+};
+
+const AVAILABILITY_MAX_SUGGESTIONS = 50;
+const AVAILABILITY_MAX_RANGE_DAYS = 90;
+const AVAILABILITY_DEFAULT_RANGE_DAYS = 21;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const parseRequestDate = (value) => {
+  if (typeof value !== 'string' && typeof value !== 'number') {
+    return null;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * OPTAGET TID FRA MEDLEMMERNES ANDRE FAMILIER
+ *
+ * Et medlem kan være med i flere familier. Bekræftede begivenheder i de andre
+ * familier tæller som optaget tid for medlemmet. Hver familie hentes kun én gang.
+ * range ({ rangeStart, rangeEnd }) er perioden, gentagne begivenheder udfoldes i.
+ * Returnerer { [userId]: busy[] }.
+ */
+const loadOtherFamiliesBusy = async (
+  firestore,
+  memberIds,
+  familyId,
+  calendarAvailability,
+  range
+) => {
+  const membershipSnapshots = await Promise.all(
+    memberIds.map((userId) =>
+      firestore
+        .collection('families')
+        .where('memberIds', 'array-contains', userId)
+        .get()
+    )
+  );
+  const familyIdsByUser = {};
+  const otherFamilyIds = new Set();
+  membershipSnapshots.forEach((snapshot, index) => {
+    familyIdsByUser[memberIds[index]] = snapshot.docs
+      .map((doc) => doc.id)
+      .filter((id) => id !== familyId);
+    familyIdsByUser[memberIds[index]].forEach((id) => otherFamilyIds.add(id));
+  });
+
+  const busyByFamily = {};
+  await Promise.all(
+    Array.from(otherFamilyIds).map(async (otherFamilyId) => {
+      const eventsSnapshot = await firestore
+        .collection('families')
+        .doc(otherFamilyId)
+        .collection('events')
+        .where('status', '==', 'confirmed')
+        .get();
+      busyByFamily[otherFamilyId] =
+        calendarAvailability.buildEventBusyIntervals(
+          eventsSnapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() })),
+          range
+        );
+    })
+  );
+
+  return Object.fromEntries(
+    memberIds.map((userId) => [
+      userId,
+      familyIdsByUser[userId].reduce(
+        (merged, otherFamilyId) =>
+          calendarAvailability.mergeBusyIntervals(
+            merged,
+            busyByFamily[otherFamilyId]
+          ),
+        []
+      ),
+    ])
+  );
+};
+
+/**
+ * FAMILIENS LEDIGE TIDER
+ *
+ * Beregner fælles ledige tider for en familie på serveren, så alle klienter
+ * får samme resultat. Kalderen skal være medlem af familien.
+ *
+ * Body: { familyId, periodStart?, periodEnd?, maxSuggestions?, quorum?, callerBusy? }
+ * - callerBusy: kalderens egne (ikke-delte) enhedsintervaller, som kun findes på telefonen.
+ * - Medlemmernes bekræftede begivenheder i andre familier tæller som optaget tid.
+ *
+ * Svar: { slots, diagnostics, quorum, constraints } hvor datoer er ISO-strenge.
+ */
+exports.familyAvailability = functions
+  .region(REGION)
+  .https.onRequest(async (req, res) => {
+    if (handleCorsPreflight(req, res, 'POST')) {
+      return;
+    }
+
+    if (req.method !== 'POST') {
+      res.status(405).json({ error: 'Method not allowed' });
+      return;
+    }
+
+    const caller = await verifyCallerToken(req, res);
+    if (!caller) {
+      return;
+    }
+    const callerUid = caller.uid;
+
+    const {
+      familyId: rawFamilyId,
+      periodStart: rawPeriodStart,
+      periodEnd: rawPeriodEnd,
+      maxSuggestions: rawMaxSuggestions,
+      defaultSlotDurationMinutes: rawSlotDuration,
+      quorum = null,
+      callerBusy = [],
+    } = req.body || {};
+
+    const familyId = sanitizeString(rawFamilyId);
+    if (!familyId) {
+      res.status(400).json({ error: 'Missing familyId' });
+      return;
+    }
+
+    const periodStart = parseRequestDate(rawPeriodStart) || new Date();
+    const requestedEnd =
+      parseRequestDate(rawPeriodEnd) ||
+      new Date(
+        periodStart.getTime() + AVAILABILITY_DEFAULT_RANGE_DAYS * DAY_MS
+      );
+    const periodEnd = new Date(
+      Math.min(
+        requestedEnd.getTime(),
+        periodStart.getTime() + AVAILABILITY_MAX_RANGE_DAYS * DAY_MS
+      )
+    );
+    if (periodEnd <= periodStart) {
+      res.status(400).json({ error: 'Invalid date range' });
+      return;
+    }
+    // Gentagne begivenheder og ugentlige blokke udfoldes kun i den ønskede periode.
+    const range = { rangeStart: periodStart, rangeEnd: periodEnd };
+
+    const maxSuggestions = Math.min(
+      AVAILABILITY_MAX_SUGGESTIONS,
+      Math.max(1, Math.floor(Number(rawMaxSuggestions) || 12))
+    );
+    const defaultSlotDurationMinutes = Number.isFinite(Number(rawSlotDuration))
+      ? Math.max(15, Number(rawSlotDuration))
+      : 60;
+
+    try {
+      const firestore = admin.firestore();
+      const familySnapshot = await firestore
+        .collection('families')
+        .doc(familyId)
+        .get();
+      if (!familySnapshot.exists) {
+        res.status(404).json({ error: 'Family not found' });
+        return;
+      }
+
+      const familyData = familySnapshot.data() || {};
+      const memberIds = readMemberIds(familyData);
+      if (!memberIds.includes(callerUid)) {
+        res.status(403).json({ error: 'Not a member of this family' });
+        return;
+      }
+
+      const {
+        availability,
+        calendarAvailability,
+        familyPreferences,
+        childProfiles,
+      } = await loadSharedModules();
+
+      const [
+        userSnapshots,
+        calendarSnapshots,
+        eventsSnapshot,
+        otherFamiliesBusy,
+        childrenSnapshot,
+      ] = await Promise.all([
+        memberIds.length
+          ? firestore.getAll(
+              ...memberIds.map((id) => firestore.collection('users').doc(id))
+            )
+          : [],
+        memberIds.length
+          ? firestore.getAll(
+              ...memberIds.map((id) => firestore.collection('calendar').doc(id))
+            )
+          : [],
+        firestore
+          .collection('families')
+          .doc(familyId)
+          .collection('events')
+          .where('status', 'in', ['confirmed', 'pending'])
+          .get(),
+        loadOtherFamiliesBusy(
+          firestore,
+          memberIds,
+          familyId,
+          calendarAvailability,
+          range
+        ),
+        firestore
+          .collection('families')
+          .doc(familyId)
+          .collection('children')
+          .get(),
+      ]);
+
+      // Børn uden login tæller med som medlemmer med egne optagede tider.
+      const childInputs = childProfiles.buildChildAvailabilityInputs(
+        childrenSnapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() })),
+        range
+      );
+
+      const rawPreferenceMap = { ...childInputs.preferenceEntries };
+      userSnapshots.forEach((snapshot, index) => {
+        if (snapshot.exists) {
+          rawPreferenceMap[memberIds[index]] =
+            familyPreferences.buildFamilyPreferenceEntry(snapshot.data() || {});
+        }
+      });
+      const userPreferences =
+        familyPreferences.buildAvailabilityUserPreferences(
+          familyPreferences.resolveFamilyPreferences(rawPreferenceMap, [
+            ...memberIds,
+            ...Object.keys(childInputs.preferenceEntries),
+          ])
+        );
+
+      const calendars = memberIds.map((userId, index) => {
+        const snapshot = calendarSnapshots[index];
+        const data = snapshot && snapshot.exists ? snapshot.data() || {} : {};
+        const sharedBusy = calendarAvailability.mergeBusyIntervals(
+          calendarAvailability.extractSharedBusyFromCalendarDoc(data, range),
+          otherFamiliesBusy[userId]
+        );
+        return {
+          userId,
+          busy:
+            userId === callerUid
+              ? calendarAvailability.mergeBusyIntervals(
+                  sharedBusy,
+                  calendarAvailability.normalizeBusyPayload(callerBusy)
+                )
+              : sharedBusy,
+          preferences:
+            calendarAvailability.extractPreferencesFromCalendarDoc(data),
+        };
+      });
+      calendars.push(...childInputs.calendars);
+
+      const events = eventsSnapshot.docs.map((doc) => ({
+        id: doc.id,
+        ...doc.data(),
+      }));
+      const globalBusyIntervals =
+        calendarAvailability.buildEventBusyIntervals(events, range);
+
+      const result = availability.findMutualAvailability({
+        calendars,
+        periodStart,
+        periodEnd,
+        groupPreferences: {},
+        userPreferences,
+        globalBusyIntervals,
+        maxSuggestions,
+        defaultSlotDurationMinutes,
+        seedKey: familyId,
+        quorum,
+      });
+
+      const constraints = result.constraints
+        ? {
+            allowedWeekdays: result.constraints.allowedWeekdays,
+            minDurationMinutes: result.constraints.minDurationMinutes,
+            maxDurationMinutes: result.constraints.maxDurationMinutes ?? null,
+            preferredDurationMinutes:
+              result.constraints.preferredDurationMinutes ?? null,
+            timeZone: result.constraints.timeZone,
+          }
+        : null;
+
+      res.status(200).json({
+        slots: result.slots.map((slot) => ({
+          ...slot,
+          start: slot.start.toISOString(),
+          end: slot.end.toISOString(),
+        })),
+        diagnostics: result.diagnostics ?? null,
+        quorum: result.quorum ?? null,
+        constraints,
+      });
+    } catch (error) {
+      functions.logger.error('Family availability failed', error);
+      res.status(500).json({ error: 'Availability computation failed' });
+    }
+  });
+
+// firebase-admin feltværdier til de delte godkendelsesfunktioner.
+const adminFields = {
+  serverTimestamp: () => admin.firestore.FieldValue.serverTimestamp(),
+  deleteField: () => admin.firestore.FieldValue.delete(),
+  arrayUnion: (...values) => admin.firestore.FieldValue.arrayUnion(...values),
+  timestampFromDate: (date) => admin.firestore.Timestamp.fromDate(date),
+};
+
+/**
+ * GODKEND/AFVIS FAMILIEBEGIVENHED
+ *
+ * Ét sted hvor godkendelser skrives: læsning og skrivning sker i én transaktion,
+ * så samtidige godkendelser ikke overskriver hinanden.
+ *
+ * Body: { familyId, eventId, action: 'approve' | 'reject' }
+ * Svar: { result } hvor result er en af EVENT_APPROVAL_RESULTS
+ * ('approved', 'confirmed', 'cancelled', 'rejected', 'noop').
+ */
+exports.eventApproval = functions
+  .region(REGION)
+  .https.onRequest(async (req, res) => {
+    if (handleCorsPreflight(req, res, 'POST')) {
+      return;
+    }
+
+    if (req.method !== 'POST') {
+      res.status(405).json({ error: 'Method not allowed' });
+      return;
+    }
+
+    const caller = await verifyCallerToken(req, res);
+    if (!caller) {
+      return;
+    }
+    const callerUid = caller.uid;
+
+    const {
+      familyId: rawFamilyId,
+      eventId: rawEventId,
+      action,
+    } = req.body || {};
+    const familyId = sanitizeString(rawFamilyId);
+    const eventId = sanitizeString(rawEventId);
+
+    try {
+      const { eventApproval } = await loadSharedModules();
+      const { EVENT_APPROVAL_ACTIONS, runEventApprovalTransaction } =
+        eventApproval;
+
+      if (
+        !familyId ||
+        !eventId ||
+        !Object.values(EVENT_APPROVAL_ACTIONS).includes(action)
+      ) {
+        res.status(400).json({ error: 'Missing familyId, eventId or action' });
+        return;
+      }
+
+      // Kun medlemmer på pendingApprovals kan godkende/afvise; det tjekkes i transaktionen.
+      const firestore = admin.firestore();
+      const eventRef = firestore
+        .collection('families')
+        .doc(familyId)
+        .collection('events')
+        .doc(eventId);
+
+      const result = await runEventApprovalTransaction(
+        firestore,
+        eventRef,
+        { action, userId: callerUid },
+        adminFields
+      );
+
+      res.status(200).json({ result });
+    } catch (error) {
+      functions.logger.error('Event approval failed', error);
+      res.status(500).json({ error: 'Event approval failed' });
+    }
+  });
+
+const EXPO_PUSH_URL = 'https://exp.host/--/api/v2/push/send';
+const EXPO_PUSH_CHUNK_SIZE = 100;
+
+const toMillis = (value) =>
+  value && typeof value.toMillis === 'function' ? value.toMillis() : null;
+
+const formatEventStart = (value) => {
+  const millis = toMillis(value);
+  if (millis === null) {
+    return '';
+  }
+  return new Date(millis).toLocaleString('da-DK', {
+    timeZone: 'Europe/Copenhagen',
+    weekday: 'short',
+    day: 'numeric',
+    month: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+};
+
+// Sammenligner to pendingChange-værdier uden at Timestamp-objekter giver falske forskelle.
+const pendingChangeSignature = (pendingChange) =>
+  pendingChange
+    ? JSON.stringify({
+        title: pendingChange.title ?? null,
+        description: pendingChange.description ?? null,
+        start: toMillis(pendingChange.start),
+        end: toMillis(pendingChange.end),
+        cancel: Boolean(pendingChange.cancel),
+        occurrenceKey: pendingChange.occurrenceKey ?? null,
+      })
+    : '';
+
+/**
+ * KLASSIFICER ÆNDRING
+ *
+ * Afgør ud fra før/efter-dokumentet hvem der skal have besked og hvad der står.
+ * recipients: 'pending' (dem på pendingApprovals) eller 'members' (hele familien).
+ * Returnerer null når ændringen ikke er relevant (fx en godkendelse der ikke er den sidste).
+ */
+const describeEventChange = (before, after, notifications) => {
+  const eventTitle = sanitizeString((after || before)?.title) || 'Aktivitet';
+  const approval = {
+    title: notifications.PENDING_APPROVAL_NOTIFICATION_TITLE,
+    categoryId: notifications.PENDING_APPROVAL_NOTIFICATION_CATEGORY,
+    channelId: notifications.PENDING_APPROVAL_NOTIFICATION_CHANNEL,
+    recipients: 'pending',
+  };
+
+  if (!before && after) {
+    const when = formatEventStart(after.start);
+    const body = when ? `"${eventTitle}" ${when}` : `"${eventTitle}"`;
+    if (after.status === 'pending') {
+      return {
+        ...approval,
+        body: `Nyt forslag: ${body}`,
+        excludeUserId: after.createdByUid,
+      };
+    }
+    return {
+      title: 'Ny familieaktivitet',
+      body,
+      recipients: 'members',
+      excludeUserId: after.createdByUid,
+    };
+  }
+
+  if (before && !after) {
+    return {
+      title: 'Aktivitet aflyst',
+      body: `"${eventTitle}" er aflyst.`,
+      recipients: 'members',
+    };
+  }
+
+  const proposalChanged =
+    after.pendingChange &&
+    pendingChangeSignature(after.pendingChange) !==
+      pendingChangeSignature(before.pendingChange);
+  if (proposalChanged) {
+    return {
+      ...approval,
+      body: after.pendingChange.cancel
+        ? `Aflysning foreslået for "${eventTitle}"`
+        : `Ændring foreslået til "${eventTitle}"`,
+      excludeUserId: after.lastModifiedBy,
+    };
+  }
+
+  if (before.status === 'pending' && after.status === 'confirmed') {
+    const rejected =
+      Boolean(before.pendingChange) &&
+      (!Array.isArray(after.approvedBy) || after.approvedBy.length === 0);
+    return rejected
+      ? {
+          title: 'Forslag afvist',
+          body: `Ændringen af "${eventTitle}" blev afvist.`,
+          recipients: 'members',
+        }
+      : {
+          title: 'Aktivitet bekræftet',
+          body: `Alle har godkendt "${eventTitle}".`,
+          recipients: 'members',
+        };
+  }
+
+  return null;
+};
+
+const collectPushTokens = (userSnapshots) => {
+  const tokenOwners = new Map();
+  userSnapshots.forEach((snapshot) => {
+    const tokens = snapshot.exists ? snapshot.get('expoPushTokens') : null;
+    (Array.isArray(tokens) ? tokens : [])
+      .filter((token) => typeof token === 'string' && token.length)
+      .forEach((token) => tokenOwners.set(token, snapshot.id));
+  });
+  return tokenOwners;
+};
+
+// Sender i bidder af højst 100, som Expo kræver. Returnerer tickets i samme rækkefølge.
+const sendExpoPushMessages = async (messages) => {
+  const tickets = [];
+  for (let i = 0; i < messages.length; i += EXPO_PUSH_CHUNK_SIZE) {
+    const chunk = messages.slice(i, i + EXPO_PUSH_CHUNK_SIZE);
+    const response = await axios.post(EXPO_PUSH_URL, chunk, {
+      headers: {
+        Accept: 'application/json',
+        'Content-Type': 'application/json',
+      },
+      timeout: 15000,
+    });
+    const data = Array.isArray(response.data?.data) ? response.data.data : [];
+    chunk.forEach((_, index) => tickets.push(data[index] ?? null));
+  }
+  return tickets;
+};
+
+/**
+ * NOTIFIKATIONER OM FAMILIEBEGIVENHEDER
+ *
+ * Kører ved hver skrivning til families/{familyId}/events/{eventId} og sender en
+ * Expo push-besked til de berørte medlemmers enheder (users/{uid}.expoPushTokens).
+ * Forslag og ændringer sendes med "Godkend/Afvis"-kategorien, så de kan besvares
+ * direkte fra notifikationen. Tokens som Expo melder DeviceNotRegistered fjernes.
+ */
+exports.familyEventNotifications = functions
+  .region(REGION)
+  .firestore.document('families/{familyId}/events/{eventId}')
+  .onWrite(async (change, context) => {
+    const { familyId, eventId } = context.params;
+    const before = change.before.exists ? change.before.data() : null;
+    const after = change.after.exists ? change.after.data() : null;
+
+    try {
+      const { notifications } = await loadSharedModules();
+      const notification = describeEventChange(before, after, notifications);
+      if (!notification) {
+        return null;
+      }
+
+      const firestore = admin.firestore();
+      let recipientIds = [];
+      if (notification.recipients === 'pending') {
+        recipientIds = Array.isArray(after?.pendingApprovals)
+          ? after.pendingApprovals
+          : [];
+      } else {
+        const familySnapshot = await firestore
+          .collection('families')
+          .doc(familyId)
+          .get();
+        const familyData = familySnapshot.exists ? familySnapshot.data() : {};
+        const memberRoles = familyData.memberRoles || {};
+        const event = after || before || {};
+        const guestIds = Array.isArray(event.guestIds) ? event.guestIds : [];
+        // Gæster får kun besked om begivenheder, de er inviteret til (som i rules).
+        recipientIds = readMemberIds(familyData).filter(
+          (id) =>
+            memberRoles[id] !== 'guest' ||
+            id === familyData.ownerId ||
+            guestIds.includes(id)
+        );
+      }
+
+      recipientIds = Array.from(
+        new Set(recipientIds.map((id) => sanitizeString(id)).filter(Boolean))
+      ).filter((id) => id !== notification.excludeUserId);
+      if (!recipientIds.length) {
+        return null;
+      }
+
+      const userSnapshots = await firestore.getAll(
+        ...recipientIds.map((id) => firestore.collection('users').doc(id))
+      );
+      const tokenOwners = collectPushTokens(userSnapshots);
+      if (!tokenOwners.size) {
+        return null;
+      }
+
+      const messages = Array.from(tokenOwners.keys()).map((token) => ({
+        to: token,
+        title: notification.title,
+        body: notification.body,
+        sound: 'default',
+        data: {
+          familyId,
+          eventId,
+          eventTitle: sanitizeString((after || before)?.title),
+        },
+        ...(notification.categoryId
+          ? { categoryId: notification.categoryId }
+          : {}),
+        ...(notification.channelId
+          ? { channelId: notification.channelId }
+          : {}),
+      }));
+
+      const tickets = await sendExpoPushMessages(messages);
+      const staleTokens = messages
+        .filter(
+          (_, index) =>
+            tickets[index]?.status === 'error' &&
+            tickets[index]?.details?.error === 'DeviceNotRegistered'
+        )
+        .map((message) => message.to);
+
+      await Promise.all(
+        staleTokens.map((token) =>
+          firestore
+            .collection('users')
+            .doc(tokenOwners.get(token))
+            .update({
+              expoPushTokens: admin.firestore.FieldValue.arrayRemove(token),
+            })
+        )
+      );
+
+      functions.logger.info('Family event notification sent', {
+        familyId,
+        eventId,
+        recipients: recipientIds.length,
+        messages: messages.length,
+        staleTokens: staleTokens.length,
+      });
+    } catch (error) {
+      functions.logger.error('Family event notification failed', error);
+    }
+    return null;
+  });
+
+// Navne til aktivitetsloggen (øjebliksbillede) ud fra familiens members[] og joinRequests.
+const buildActivityNameById = (...familyDocs) => {
+  const nameById = {};
+  familyDocs.forEach((data) => {
+    [
+      ...(Array.isArray(data?.joinRequests) ? data.joinRequests : []),
+      ...(Array.isArray(data?.members) ? data.members : []),
+    ].forEach((member) => {
+      const userId = sanitizeString(member?.userId);
+      const name =
+        sanitizeString(member?.displayName) ||
+        sanitizeString(member?.name) ||
+        sanitizeString(member?.email);
+      if (userId && name) {
+        nameById[userId] = name;
+      }
+    });
+  });
+  return nameById;
+};
+
+const writeFamilyActivity = async (
+  familyId,
+  planned,
+  { nameById, extraDetails = {} },
+  familyActivity
+) => {
+  const entries = planned
+    .map(({ type, details }) =>
+      familyActivity.buildFamilyActivityEntry(
+        type,
+        {
+          ...details,
+          ...extraDetails,
+          actorName: nameById[sanitizeString(details.actorId)],
+          targetName: nameById[sanitizeString(details.targetUserId)],
+        },
+        adminFields
+      )
+    )
+    .filter(Boolean);
+  if (!entries.length) {
+    return 0;
+  }
+
+  const activityRef = admin
+    .firestore()
+    .collection('families')
+    .doc(familyId)
+    .collection(familyActivity.FAMILY_ACTIVITY_COLLECTION);
+  const batch = admin.firestore().batch();
+  entries.forEach((entry) => batch.set(activityRef.doc(), entry));
+  await batch.commit();
+  return entries.length;
+};
+
+/**
+ * AKTIVITETSLOG FOR BEGIVENHEDER
+ *
+ * Udleder forslag, godkendelser, afvisninger og aflysninger af ændringen
+ * (planEventActivity) og skriver dem i families/{familyId}/activity. Appen kan
+ * ikke selv skrive i loggen; den handlende læses fra felter, reglerne binder til
+ * kalderen, og navnet fra familiens members[].
+ */
+exports.familyEventActivity = functions
+  .region(REGION)
+  .firestore.document('families/{familyId}/events/{eventId}')
+  .onWrite(async (change, context) => {
+    const { familyId, eventId } = context.params;
+    const before = change.before.exists ? change.before.data() : null;
+    const after = change.after.exists ? change.after.data() : null;
+
+    try {
+      const { familyActivity } = await loadSharedModules();
+      const planned = familyActivity.planEventActivity(before, after);
+      if (!planned.length) {
+        return null;
+      }
+
+      const familySnapshot = await admin
+        .firestore()
+        .collection('families')
+        .doc(familyId)
+        .get();
+      await writeFamilyActivity(
+        familyId,
+        planned,
+        {
+          nameById: buildActivityNameById(familySnapshot.data()),
+          extraDetails: {
+            eventId,
+            eventTitle: sanitizeString((after || before)?.title),
+          },
+        },
+        familyActivity
+      );
+    } catch (error) {
+      functions.logger.error('Family event activity failed', error);
+    }
+    return null;
+  });
+
+// Tæller brug af en kode; joinRequests kan skrives fra appen, så koden skal høre til familien.
+const countInviteCodeUses = (familyId, code, userIds) => {
+  const firestore = admin.firestore();
+  const codeRef = firestore.collection('familyInviteCodes').doc(code);
+  return firestore.runTransaction(async (transaction) => {
+    const codeSnapshot = await transaction.get(codeRef);
+    if (!codeSnapshot.exists || codeSnapshot.get('familyId') !== familyId) {
+      return;
+    }
+    const usedBy = codeSnapshot.get('usedBy') || [];
+    const newUserIds = userIds.filter((userId) => !usedBy.includes(userId));
+    if (!newUserIds.length) {
+      return;
+    }
+    transaction.update(codeRef, {
+      uses: admin.firestore.FieldValue.increment(newUserIds.length),
+      usedBy: admin.firestore.FieldValue.arrayUnion(...newUserIds),
+      lastUsedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  });
+};
+
+/**
+ * AKTIVITETSLOG FOR MEDLEMMER
+ *
+ * Godkendte/afviste anmodninger, fjernede medlemmer og ny administrator udledes af
+ * ændringen i families/{familyId} (planFamilyActivity). Nye medlemmer via
+ * invitation eller kode logges af familyInvite i samme transaktion.
+ * Bliver memberIds kortere, slettes calendarFeeds/{familyId}, så det tidligere
+ * medlems abonnementslink holder op med at virke; de øvrige henter et nyt.
+ * Godkendes en anmodning fra en invitationskode, tælles kodens brug her.
+ */
+exports.familyMemberActivity = functions
+  .region(REGION)
+  .firestore.document('families/{familyId}')
+  .onUpdate(async (change, context) => {
+    const { familyId } = context.params;
+    const before = change.before.data();
+    const after = change.after.data();
+
+    try {
+      const { familyActivity } = await loadSharedModules();
+      await writeFamilyActivity(
+        familyId,
+        familyActivity.planFamilyActivity(before, after),
+        { nameById: buildActivityNameById(before, after) },
+        familyActivity
+      );
+    } catch (error) {
+      functions.logger.error('Family member activity failed', error);
+    }
+
+    try {
+      const { inviteCodes } = await loadSharedModules();
+      const usesByCode = inviteCodes.planInviteCodeUses(before, after);
+      await Promise.all(
+        Object.entries(usesByCode).map(([code, userIds]) =>
+          countInviteCodeUses(familyId, code, userIds)
+        )
+      );
+    } catch (error) {
+      functions.logger.error('Invite code uses failed', error);
+    }
+
+    const memberIdsAfter = Array.isArray(after.memberIds) ? after.memberIds : [];
+    const hasLostMember = (
+      Array.isArray(before.memberIds) ? before.memberIds : []
+    ).some((userId) => !memberIdsAfter.includes(userId));
+    if (hasLostMember) {
+      try {
+        await admin
+          .firestore()
+          .collection('calendarFeeds')
+          .doc(familyId)
+          .delete();
+      } catch (error) {
+        functions.logger.error('Calendar feed reset failed', error);
+      }
+    }
+    return null;
+  });
+
+const tokensMatch = (expected, provided) => {
+  const expectedBuffer = Buffer.from(String(expected || ''));
+  const providedBuffer = Buffer.from(String(provided || ''));
+  return (
+    expectedBuffer.length > 0 &&
+    expectedBuffer.length === providedBuffer.length &&
+    crypto.timingSafeEqual(expectedBuffer, providedBuffer)
+  );
+};
+
+const serveFamilyCalendarFeed = async (req, res) => {
+  const familyId = sanitizeString(req.query.familyId);
+  const token = sanitizeString(req.query.token);
+  if (!familyId || !token) {
+    res.status(400).send('Missing familyId or token');
+    return;
+  }
+
+  const firestore = admin.firestore();
+  const feedSnapshot = await firestore
+    .collection('calendarFeeds')
+    .doc(familyId)
+    .get();
+  if (!feedSnapshot.exists || !tokensMatch(feedSnapshot.get('token'), token)) {
+    res.status(404).send('Calendar feed not found');
+    return;
+  }
+
+  const [familySnapshot, eventsSnapshot, { icalendar }] = await Promise.all([
+    firestore.collection('families').doc(familyId).get(),
+    firestore.collection('families').doc(familyId).collection('events').get(),
+    loadSharedModules(),
+  ]);
+  if (!familySnapshot.exists) {
+    res.status(404).send('Calendar feed not found');
+    return;
+  }
+
+  const events = eventsSnapshot.docs.map((doc) => ({
+    id: doc.id,
+    ...doc.data(),
+  }));
+  const ics = icalendar.buildFamilyCalendarIcs(events, {
+    calendarName: `FamTime - ${sanitizeString(familySnapshot.get('name')) || 'Familie'}`,
+    refreshInterval: 'PT1H',
+  });
+
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.set('Cache-Control', 'private, max-age=300');
+  res.status(200).send(ics);
+};
+
+const issueFamilyCalendarFeedToken = async (req, res) => {
+  const caller = await verifyCallerToken(req, res);
+  if (!caller) {
+    return;
+  }
+  const callerUid = caller.uid;
+
+  const { familyId: rawFamilyId, rotate } = req.body || {};
+  const familyId = sanitizeString(rawFamilyId);
+  if (!familyId) {
+    res.status(400).json({ error: 'Missing familyId' });
+    return;
+  }
+
+  const firestore = admin.firestore();
+  const familySnapshot = await firestore
+    .collection('families')
+    .doc(familyId)
+    .get();
+  const familyData = familySnapshot.exists ? familySnapshot.data() : null;
+  if (!familyData || !readMemberIds(familyData).includes(callerUid)) {
+    res.status(403).json({ error: 'Not a member of this family' });
+    return;
+  }
+  // Feedet indeholder alle familiens events; gæster ser kun dem, de er inviteret til.
+  if (familyData.memberRoles?.[callerUid] === 'guest') {
+    res.status(403).json({ error: 'Guests cannot subscribe to the family feed' });
+    return;
+  }
+  // Et nyt token bryder alle andres abonnementer; kun administrator og medadministrator.
+  const { familyRoles } = await loadSharedModules();
+  if (
+    rotate === true &&
+    !familyRoles.hasFamilyPermission(
+      familyRoles.getFamilyMemberRole(familyData, callerUid),
+      familyRoles.FAMILY_PERMISSIONS.ROTATE_CALENDAR_FEED
+    )
+  ) {
+    res.status(403).json({ error: 'Only admins can rotate the calendar feed' });
+    return;
+  }
+
+  const feedRef = firestore.collection('calendarFeeds').doc(familyId);
+  const token = await firestore.runTransaction(async (transaction) => {
+    const feedSnapshot = await transaction.get(feedRef);
+    const existing = feedSnapshot.exists ? feedSnapshot.get('token') : '';
+    if (existing && rotate !== true) {
+      return existing;
+    }
+    const nextToken = crypto.randomBytes(24).toString('hex');
+    transaction.set(feedRef, {
+      token: nextToken,
+      updatedBy: callerUid,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return nextToken;
+  });
+
+  res.status(200).json({ token });
+};
+
+/**
+ * KALENDER-FEED (ICS)
+ *
+ * GET ?familyId=...&token=... returnerer familiens events som iCalendar, så de kan
+ * abonneres på fra fx Google Kalender eller Outlook. Tokenet ligger i
+ * calendarFeeds/{familyId}, som Firestore-reglerne ikke giver appen adgang til.
+ *
+ * POST { familyId, rotate? } med Firebase ID token henter (eller laver) tokenet
+ * for et familiemedlem. rotate: true laver et nyt, så gamle links holder op med at virke
+ * (kun administrator og medadministrator). Forlader eller fjernes et medlem, slettes
+ * tokenet af familyMemberActivity, så et tidligere medlems link holder op med at virke.
+ */
+exports.familyCalendarFeed = functions
+  .region(REGION)
+  .https.onRequest(async (req, res) => {
+    if (handleCorsPreflight(req, res, 'GET,POST')) {
+      return;
+    }
+
+    try {
+      if (req.method === 'GET') {
+        await serveFamilyCalendarFeed(req, res);
+        return;
+      }
+      if (req.method === 'POST') {
+        await issueFamilyCalendarFeedToken(req, res);
+        return;
+      }
+      res.status(405).json({ error: 'Method not allowed' });
+    } catch (error) {
+      functions.logger.error('Family calendar feed failed', error);
+      res.status(500).json({ error: 'Calendar feed failed' });
+    }
+  });
+
+const INVITE_TTL_MS = 14 * DAY_MS;
+const INVITE_APP_SCHEME = 'famtime';
+const emailPattern = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// Invitationskoder udløber efter 1 time til 30 dage (standard 7 dage).
+const INVITE_CODE_DEFAULT_TTL_HOURS = 7 * 24;
+const INVITE_CODE_MAX_TTL_HOURS = 30 * 24;
+const INVITE_CODE_MAX_USES = 50;
+
+const inviteConfig = () => functions.config().invite || {};
+
+const base64UrlEncode = (value) => Buffer.from(value).toString('base64url');
+
+const signInvitePayload = (encodedPayload, secret) =>
+  crypto
+    .createHmac('sha256', secret)
+    .update(encodedPayload)
+    .digest('base64url');
+
+// Token: base64url(JSON { i: inviteId, f: familyId, e: email, x: udløb }) + '.' + HMAC.
+const createInviteToken = (payload, secret) => {
+  const encodedPayload = base64UrlEncode(JSON.stringify(payload));
+  return `${encodedPayload}.${signInvitePayload(encodedPayload, secret)}`;
+};
+
+const readInviteToken = (token, secret) => {
+  const [encodedPayload, signature] = String(token || '').split('.');
+  if (
+    !encodedPayload ||
+    !signature ||
+    !tokensMatch(signInvitePayload(encodedPayload, secret), signature)
+  ) {
+    return null;
+  }
+  try {
+    return JSON.parse(
+      Buffer.from(encodedPayload, 'base64url').toString('utf8')
+    );
+  } catch (_error) {
+    return null;
+  }
+};
+
+const inviteLinkBase = () =>
+  sanitizeString(inviteConfig().link_base) ||
+  `https://${REGION}-${process.env.GCLOUD_PROJECT}.cloudfunctions.net/familyInvite`;
+
+/**
+ * SEND INVITATION
+ *
+ * Kun familiens administrator. Gemmer invitationen i familyInvites/{id}, tilføjer
+ * e-mailen til pendingInvites (så den gamle accept i AccountSettings stadig virker)
+ * og lægger mailen i mail-samlingen, som Firebase-udvidelsen "Trigger Email" sender.
+ */
+const sendFamilyInvite = async (req, res, caller, secret) => {
+  const familyId = sanitizeString(req.body?.familyId);
+  const email = sanitizeString(req.body?.email).toLowerCase();
+  if (!familyId || !emailPattern.test(email)) {
+    res.status(400).json({ error: 'Missing familyId or valid email' });
+    return;
+  }
+
+  const firestore = admin.firestore();
+  const familyRef = firestore.collection('families').doc(familyId);
+  const familySnapshot = await familyRef.get();
+  if (!familySnapshot.exists || familySnapshot.get('ownerId') !== caller.uid) {
+    res.status(403).json({ error: 'Only the family admin can invite' });
+    return;
+  }
+
+  const inviteRef = firestore.collection('familyInvites').doc();
+  const expiresAt = Date.now() + INVITE_TTL_MS;
+  const token = createInviteToken(
+    { i: inviteRef.id, f: familyId, e: email, x: expiresAt },
+    secret
+  );
+  const link = `${inviteLinkBase()}?token=${encodeURIComponent(token)}`;
+  const familyName = sanitizeString(familySnapshot.get('name')) || 'familien';
+
+  await inviteRef.set({
+    familyId,
+    email,
+    invitedBy: caller.uid,
+    status: 'sent',
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    expiresAt: admin.firestore.Timestamp.fromMillis(expiresAt),
+  });
+  await familyRef.update({
+    pendingInvites: admin.firestore.FieldValue.arrayUnion(email),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  await firestore
+    .collection(sanitizeString(inviteConfig().mail_collection) || 'mail')
+    .add({
+      to: email,
+      message: {
+        subject: `Du er inviteret til ${familyName} på FamTime`,
+        text: [
+          `Du er inviteret til at blive medlem af ${familyName} på FamTime.`,
+          '',
+          `Åbn linket på din telefon for at oprette en konto og tilmelde dig: ${link}`,
+          '',
+          'Linket virker i 14 dage.',
+        ].join('\n'),
+      },
+    });
+
+  res.status(200).json({ inviteId: inviteRef.id, link });
+};
+
+/**
+ * ACCEPTÉR INVITATION
+ *
+ * Tokenet skal være gyldigt og ikke udløbet, og kalderen skal være logget ind med
+ * den inviterede e-mail og have bekræftet den. Medlemskab og users/{uid} skrives i
+ * én transaktion, så invitationen kun kan bruges én gang.
+ */
+const acceptFamilyInvite = async (req, res, caller, secret) => {
+  const payload = readInviteToken(req.body?.token, secret);
+  if (!payload?.i || !payload?.f || !payload?.e) {
+    res.status(400).json({ error: 'invalid-token' });
+    return;
+  }
+  if (Date.now() > Number(payload.x)) {
+    res.status(410).json({ error: 'expired' });
+    return;
+  }
+
+  const callerEmail = sanitizeString(caller.email).toLowerCase();
+  if (callerEmail !== payload.e) {
+    res.status(403).json({ error: 'email-mismatch', email: payload.e });
+    return;
+  }
+  if (caller.email_verified !== true) {
+    res.status(403).json({ error: 'email-not-verified' });
+    return;
+  }
+
+  const firestore = admin.firestore();
+  const inviteRef = firestore.collection('familyInvites').doc(payload.i);
+  const familyRef = firestore.collection('families').doc(payload.f);
+  const userRef = firestore.collection('users').doc(caller.uid);
+  const { familyActivity, familyMembers, familyRoles } =
+    await loadSharedModules();
+
+  const result = await firestore.runTransaction(async (transaction) => {
+    const [inviteSnapshot, familySnapshot, userSnapshot] = await Promise.all([
+      transaction.get(inviteRef),
+      transaction.get(familyRef),
+      transaction.get(userRef),
+    ]);
+    if (
+      !inviteSnapshot.exists ||
+      inviteSnapshot.get('familyId') !== payload.f ||
+      !familySnapshot.exists
+    ) {
+      return { status: 404, error: 'not-found' };
+    }
+
+    const userData = userSnapshot.exists ? userSnapshot.data() : {};
+    const members = Array.isArray(familySnapshot.get('members'))
+      ? familySnapshot.get('members')
+      : [];
+    const alreadyMember = members.some(
+      (member) => member?.userId === caller.uid
+    );
+    if (inviteSnapshot.get('status') !== 'sent' && !alreadyMember) {
+      return { status: 410, error: 'used' };
+    }
+
+    const name =
+      sanitizeString(userData.name) ||
+      sanitizeString(caller.name) ||
+      callerEmail;
+    const nextMembers = alreadyMember
+      ? members
+      : [
+          ...members,
+          {
+            userId: caller.uid,
+            email: callerEmail,
+            role: 'adult',
+            displayName: name,
+            name,
+            ...(sanitizeString(userData.avatarEmoji)
+              ? { avatarEmoji: sanitizeString(userData.avatarEmoji) }
+              : {}),
+          },
+        ];
+    const pendingInvites = (familySnapshot.get('pendingInvites') || []).filter(
+      (email) => email !== callerEmail
+    );
+
+    transaction.update(familyRef, {
+      ...familyMembers.buildMembersUpdate(nextMembers),
+      pendingInvites,
+      // Som i appen: aktivitetsloggen læser den handlende fra updatedBy.
+      updatedBy: caller.uid,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    // Brugeren kan være med i flere familier; den inviterede familie bliver den aktive.
+    // Samme rolle som appen og firestore.rules: ejer, memberRoles, ellers voksen.
+    transaction.set(
+      userRef,
+      {
+        familyId: payload.f,
+        familyRole: familyRoles.getFamilyMemberRole(
+          familySnapshot.data(),
+          caller.uid
+        ),
+      },
+      { merge: true }
+    );
+    if (!alreadyMember) {
+      transaction.set(
+        familyRef.collection(familyActivity.FAMILY_ACTIVITY_COLLECTION).doc(),
+        familyActivity.buildFamilyActivityEntry(
+          familyActivity.FAMILY_ACTIVITY_TYPES.MEMBER_JOINED,
+          { actorId: caller.uid, actorName: name, via: 'invite' },
+          adminFields
+        )
+      );
+    }
+    transaction.update(inviteRef, {
+      status: 'accepted',
+      acceptedBy: caller.uid,
+      acceptedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return {
+      status: 200,
+      familyId: payload.f,
+      familyName: sanitizeString(familySnapshot.get('name')),
+    };
+  });
+
+  const { status, ...body } = result;
+  res.status(status).json(body);
+};
+
+// Mail-linket peger hertil (https virker i alle mailprogrammer) og sender videre til appen.
+const redirectInviteToApp = (req, res) => {
+  const token = sanitizeString(req.query.token);
+  if (!token) {
+    res.status(400).send('Missing token');
+    return;
+  }
+  const appLink = `${INVITE_APP_SCHEME}://invite/${encodeURIComponent(token)}`;
+  res.set('Content-Type', 'text/html; charset=utf-8');
+  res
+    .status(200)
+    .send(
+      `<!doctype html><html lang="da"><head><meta charset="utf-8">` +
+        `<meta name="viewport" content="width=device-width, initial-scale=1">` +
+        `<meta http-equiv="refresh" content="0; url=${appLink}">` +
+        `<title>FamTime-invitation</title></head><body>` +
+        `<p>Åbner FamTime…</p><p><a href="${appLink}">Tryk her, hvis appen ikke åbner.</a></p>` +
+        `</body></html>`
+    );
+};
+
+const generateInviteCode = ({ INVITE_CODE_ALPHABET, INVITE_CODE_LENGTH }) =>
+  Array.from(
+    { length: INVITE_CODE_LENGTH },
+    () => INVITE_CODE_ALPHABET[crypto.randomInt(INVITE_CODE_ALPHABET.length)]
+  ).join('');
+
+// Svarer 403 og giver null, hvis kalderen ikke må godkende nye medlemmer i familien.
+const loadFamilyForInviteCodes = async (res, caller, familyId, familyRoles) => {
+  if (!familyId) {
+    res.status(400).json({ error: 'Missing familyId' });
+    return null;
+  }
+  const familyRef = admin.firestore().collection('families').doc(familyId);
+  const familySnapshot = await familyRef.get();
+  const familyData = familySnapshot.exists ? familySnapshot.data() || {} : {};
+  const isMember =
+    familyData.ownerId === caller.uid ||
+    (familyData.memberIds || []).includes(caller.uid);
+  if (
+    !isMember ||
+    !familyRoles.hasFamilyPermission(
+      familyRoles.getFamilyMemberRole(familyData, caller.uid),
+      familyRoles.FAMILY_PERMISSIONS.APPROVE_JOIN_REQUESTS
+    )
+  ) {
+    res.status(403).json({ error: 'Only family admins can manage codes' });
+    return null;
+  }
+  return familyRef;
+};
+
+// Gemmer en ny, ubrugt kode; prøver igen i det usandsynlige tilfælde at koden findes.
+const storeInviteCode = async (inviteCodes, settings) => {
+  const codes = admin.firestore().collection('familyInviteCodes');
+  for (let attempt = 0; attempt < 5; attempt += 1) {
+    const code = generateInviteCode(inviteCodes);
+    try {
+      await codes.doc(code).create({
+        ...settings,
+        uses: 0,
+        usedBy: [],
+        revokedAt: null,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      return code;
+    } catch (error) {
+      if (error?.code !== 6) {
+        throw error;
+      }
+    }
+  }
+  throw new Error('Could not allocate invite code');
+};
+
+/**
+ * OPRET INVITATIONSKODE
+ *
+ * Administrator og medadministratorer. Den første kode lukker for anmodninger via
+ * familie-ID'et (inviteCodesOnly), så kun gyldige koder giver adgang fremover.
+ */
+const createFamilyInviteCode = async (req, res, caller) => {
+  const { familyRoles, inviteCodes } = await loadSharedModules();
+  const familyId = sanitizeString(req.body?.familyId);
+  const familyRef = await loadFamilyForInviteCodes(
+    res,
+    caller,
+    familyId,
+    familyRoles
+  );
+  if (!familyRef) {
+    return;
+  }
+
+  const requestedHours = Number(req.body?.expiresInHours);
+  const expiresInHours = Number.isFinite(requestedHours)
+    ? Math.min(INVITE_CODE_MAX_TTL_HOURS, Math.max(1, requestedHours))
+    : INVITE_CODE_DEFAULT_TTL_HOURS;
+  const requestedUses = Number(req.body?.maxUses);
+  const maxUses =
+    req.body?.maxUses === null || !Number.isFinite(requestedUses)
+      ? null
+      : Math.min(INVITE_CODE_MAX_USES, Math.max(1, Math.floor(requestedUses)));
+  const expiresAt = admin.firestore.Timestamp.fromMillis(
+    Date.now() + expiresInHours * 60 * 60 * 1000
+  );
+
+  const code = await storeInviteCode(inviteCodes, {
+    familyId,
+    createdBy: caller.uid,
+    expiresAt,
+    expiresInHours,
+    maxUses,
+    autoApprove: req.body?.autoApprove === true,
+  });
+  await familyRef.update({
+    inviteCodesOnly: true,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  res.status(200).json({ code, expiresAt: expiresAt.toDate().toISOString() });
+};
+
+/**
+ * TILBAGEKALD ELLER FORNY INVITATIONSKODE
+ *
+ * Tilbagekaldte koder kan ikke længere indløses. Forny tilbagekalder koden og
+ * opretter en ny med samme varighed, antal brug og godkendelse.
+ */
+const revokeFamilyInviteCode = async (req, res, caller, { rotate }) => {
+  const { familyRoles, inviteCodes } = await loadSharedModules();
+  const code = inviteCodes.normalizeInviteCode(req.body?.code);
+  const codeRef = code
+    ? admin.firestore().collection('familyInviteCodes').doc(code)
+    : null;
+  const codeSnapshot = codeRef ? await codeRef.get() : null;
+  if (!codeSnapshot?.exists) {
+    res.status(404).json({ error: 'not-found' });
+    return;
+  }
+
+  const codeData = codeSnapshot.data() || {};
+  const familyRef = await loadFamilyForInviteCodes(
+    res,
+    caller,
+    codeData.familyId,
+    familyRoles
+  );
+  if (!familyRef) {
+    return;
+  }
+
+  if (!codeData.revokedAt) {
+    await codeRef.update({
+      revokedAt: admin.firestore.FieldValue.serverTimestamp(),
+      revokedBy: caller.uid,
+    });
+  }
+  if (!rotate) {
+    res.status(200).json({ code });
+    return;
+  }
+
+  const expiresInHours =
+    Number(codeData.expiresInHours) || INVITE_CODE_DEFAULT_TTL_HOURS;
+  const expiresAt = admin.firestore.Timestamp.fromMillis(
+    Date.now() + expiresInHours * 60 * 60 * 1000
+  );
+  const nextCode = await storeInviteCode(inviteCodes, {
+    familyId: codeData.familyId,
+    createdBy: caller.uid,
+    expiresAt,
+    expiresInHours,
+    maxUses: Number.isFinite(codeData.maxUses) ? codeData.maxUses : null,
+    autoApprove: codeData.autoApprove === true,
+    replaces: code,
+  });
+  res
+    .status(200)
+    .json({ code: nextCode, expiresAt: expiresAt.toDate().toISOString() });
+};
+
+/**
+ * INDLØS INVITATIONSKODE
+ *
+ * Koden skal være aktiv (ikke tilbagekaldt, udløbet eller brugt op). Med
+ * autoApprove bliver kalderen voksen-medlem med det samme; ellers lægges en
+ * anmodning på familien som ved den gamle familiekode. Alt sker i én
+ * transaktion, så en kode til én person ikke kan bruges to gange.
+ * Svar: { familyId, familyName, result: 'joined' | 'requested' | 'already-member' }
+ */
+const redeemFamilyInviteCode = async (req, res, caller) => {
+  const { familyActivity, familyMembers, inviteCodes } =
+    await loadSharedModules();
+  const code = inviteCodes.normalizeInviteCode(req.body?.code);
+  if (!code) {
+    res.status(400).json({ error: 'not-found' });
+    return;
+  }
+
+  const firestore = admin.firestore();
+  const codeRef = firestore.collection('familyInviteCodes').doc(code);
+  const userRef = firestore.collection('users').doc(caller.uid);
+  const callerEmail = sanitizeString(caller.email).toLowerCase();
+
+  const result = await firestore.runTransaction(async (transaction) => {
+    const codeSnapshot = await transaction.get(codeRef);
+    if (!codeSnapshot.exists) {
+      return { status: 404, error: 'not-found' };
+    }
+    const codeData = codeSnapshot.data() || {};
+    const familyRef = firestore.collection('families').doc(codeData.familyId);
+    const [familySnapshot, userSnapshot] = await Promise.all([
+      transaction.get(familyRef),
+      transaction.get(userRef),
+    ]);
+    if (!familySnapshot.exists) {
+      return { status: 404, error: 'not-found' };
+    }
+
+    const familyData = familySnapshot.data() || {};
+    const familyName = sanitizeString(familyData.name);
+    const members = Array.isArray(familyData.members) ? familyData.members : [];
+    if (members.some((member) => member?.userId === caller.uid)) {
+      return {
+        status: 200,
+        familyId: familyRef.id,
+        familyName,
+        result: 'already-member',
+      };
+    }
+
+    const codeStatus = inviteCodes.getInviteCodeStatus(codeData);
+    if (codeStatus === inviteCodes.INVITE_CODE_STATUS.REVOKED) {
+      return { status: 410, error: 'revoked' };
+    }
+    if (codeStatus === inviteCodes.INVITE_CODE_STATUS.EXPIRED) {
+      return { status: 410, error: 'expired' };
+    }
+    if (codeStatus === inviteCodes.INVITE_CODE_STATUS.USED_UP) {
+      return { status: 410, error: 'used' };
+    }
+
+    const joinRequests = Array.isArray(familyData.joinRequests)
+      ? familyData.joinRequests
+      : [];
+    if (
+      !codeData.autoApprove &&
+      joinRequests.some((request) => request?.userId === caller.uid)
+    ) {
+      return {
+        status: 200,
+        familyId: familyRef.id,
+        familyName,
+        result: 'requested',
+      };
+    }
+
+    const userData = userSnapshot.exists ? userSnapshot.data() : {};
+    const name =
+      sanitizeString(userData.name) ||
+      sanitizeString(caller.name) ||
+      callerEmail;
+
+    if (codeData.autoApprove) {
+      transaction.update(familyRef, {
+        ...familyMembers.buildMembersUpdate([
+          ...members,
+          {
+            userId: caller.uid,
+            email: callerEmail,
+            role: 'adult',
+            displayName: name,
+            name,
+            ...(sanitizeString(userData.avatarEmoji)
+              ? { avatarEmoji: sanitizeString(userData.avatarEmoji) }
+              : {}),
+          },
+        ]),
+        joinRequests: joinRequests.filter(
+          (request) => request?.userId !== caller.uid
+        ),
+        updatedBy: caller.uid,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      // Den nye familie bliver den aktive, som ved en accepteret e-mailinvitation.
+      transaction.set(
+        userRef,
+        { familyId: familyRef.id, familyRole: 'adult' },
+        { merge: true }
+      );
+      transaction.set(
+        familyRef.collection(familyActivity.FAMILY_ACTIVITY_COLLECTION).doc(),
+        familyActivity.buildFamilyActivityEntry(
+          familyActivity.FAMILY_ACTIVITY_TYPES.MEMBER_JOINED,
+          { actorId: caller.uid, actorName: name, via: 'invite-code' },
+          adminFields
+        )
+      );
+    } else {
+      transaction.update(familyRef, {
+        joinRequests: admin.firestore.FieldValue.arrayUnion({
+          userId: caller.uid,
+          email: callerEmail,
+          displayName: sanitizeString(userData.name),
+          requestedAt: admin.firestore.Timestamp.now(),
+          inviteCode: code,
+        }),
+        updatedBy: caller.uid,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    }
+
+    // En anmodning bruger ikke koden; familyMemberActivity tæller den ved godkendelse.
+    if (codeData.autoApprove) {
+      transaction.update(codeRef, {
+        uses: admin.firestore.FieldValue.increment(1),
+        usedBy: admin.firestore.FieldValue.arrayUnion(caller.uid),
+        lastUsedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    }
+    return {
+      status: 200,
+      familyId: familyRef.id,
+      familyName,
+      result: codeData.autoApprove ? 'joined' : 'requested',
+    };
+  });
+
+  const { status, ...body } = result;
+  res.status(status).json(body);
+};
+
+/**
+ * FAMILIEINVITATIONER
+ *
+ * POST { action: 'send', familyId, email } - administrator inviterer en e-mail.
+ *   Svar: { inviteId, link }
+ * POST { action: 'accept', token } - den inviterede tilmelder sig efter e-mailbekræftelse.
+ *   Svar: { familyId, familyName } eller { error } ('expired', 'email-not-verified', ...)
+ * POST { action: 'createCode', familyId, expiresInHours, maxUses, autoApprove }
+ *   - administrator/medadministrator opretter en invitationskode. Svar: { code, expiresAt }
+ * POST { action: 'revokeCode' | 'rotateCode', code } - tilbagekald eller erstat en kode.
+ * POST { action: 'redeemCode', code } - tilslut familien med en kode (se ovenfor).
+ * GET ?token=... - siden mail-linket åbner; sender videre til famtime://invite/{token}.
+ *
+ * Tokens signeres med functions config invite.secret.
+ */
+exports.familyInvite = functions
+  .region(REGION)
+  .https.onRequest(async (req, res) => {
+    if (handleCorsPreflight(req, res, 'GET,POST')) {
+      return;
+    }
+
+    try {
+      if (req.method === 'GET') {
+        redirectInviteToApp(req, res);
+        return;
+      }
+      if (req.method !== 'POST') {
+        res.status(405).json({ error: 'Method not allowed' });
+        return;
+      }
+
+      const caller = await verifyCallerToken(req, res);
+      if (!caller) {
+        return;
+      }
+
+      const action = req.body?.action;
+      if (action === 'createCode') {
+        await createFamilyInviteCode(req, res, caller);
+        return;
+      }
+      if (action === 'revokeCode' || action === 'rotateCode') {
+        await revokeFamilyInviteCode(req, res, caller, {
+          rotate: action === 'rotateCode',
+        });
+        return;
+      }
+      if (action === 'redeemCode') {
+        await redeemFamilyInviteCode(req, res, caller);
+        return;
+      }
+
+      // E-mailinvitationer signeres; koderne ovenfor bruger ikke hemmeligheden.
+      const secret = sanitizeString(inviteConfig().secret);
+      if (!secret) {
+        res.status(500).json({ error: 'Invite secret not configured' });
+        return;
+      }
+      if (action === 'send') {
+        await sendFamilyInvite(req, res, caller, secret);
+        return;
+      }
+      if (action === 'accept') {
+        await acceptFamilyInvite(req, res, caller, secret);
+        return;
+      }
+      res.status(400).json({ error: 'Unknown action' });
+    } catch (error) {
+      functions.logger.error('Family invite failed', error);
+      res.status(500).json({ error: 'Family invite failed' });
+    }
+  });
@@ -0,0 +1,80 @@
+/**
+ * ENGANGSMIGRERING: memberIds PÅ ÆLDRE FAMILIER
+ *
+ * firestore.rules læser medlemskab udelukkende fra families/{id}.memberIds. Familier
+ * oprettet før feltet fandtes, har kun members[]; uden migreringen kan deres
+ * medlemmer hverken læse familien eller dens begivenheder.
+ *
+ * Scriptet udfylder memberIds ud fra members[].userId (samme regel som
+ * buildMemberIds i src/utils/familyMembers.js) på alle familier, der mangler feltet.
+ * Familier der allerede har memberIds, røres ikke.
+ *
+ * Køres med en service-konto (firebase-admin fra firebase/functions):
+ * `GOOGLE_APPLICATION_CREDENTIALS=nøgle.json node firebase/scripts/backfillMemberIds.js --dry-run`
+ * og derefter uden `--dry-run` for at skrive.
+ */
+const path = require('path');
+const { createRequire } = require('module');
+
+const FUNCTIONS_DIR = path.resolve(__dirname, '..', 'functions');
+const admin = createRequire(path.join(FUNCTIONS_DIR, 'package.json'))(
+  'firebase-admin'
+);
+
+const BATCH_LIMIT = 400;
+const dryRun = process.argv.includes('--dry-run');
+
+const buildMemberIds = (members) =>
+  Array.from(
+    new Set(
+      (Array.isArray(members) ? members : [])
+        .map((member) =>
+          typeof member?.userId === 'string' ? member.userId.trim() : ''
+        )
+        .filter((id) => id.length > 0)
+    )
+  );
+
+const run = async () => {
+  admin.initializeApp();
+  const firestore = admin.firestore();
+  const snapshot = await firestore.collection('families').get();
+
+  const pending = snapshot.docs.filter(
+    (doc) => !Array.isArray(doc.get('memberIds'))
+  );
+
+  let batch = firestore.batch();
+  let batchSize = 0;
+  for (const doc of pending) {
+    const memberIds = buildMemberIds(doc.get('members'));
+    // eslint-disable-next-line no-console
+    console.log(`${doc.id}: ${memberIds.length} medlemmer`);
+    if (dryRun) {
+      continue;
+    }
+    batch.update(doc.ref, { memberIds });
+    batchSize += 1;
+    if (batchSize === BATCH_LIMIT) {
+      await batch.commit();
+      batch = firestore.batch();
+      batchSize = 0;
+    }
+  }
+  if (batchSize) {
+    await batch.commit();
+  }
+
+  // eslint-disable-next-line no-console
+  console.log(
+    `${pending.length} af ${snapshot.size} familier ${
+      dryRun ? 'mangler memberIds (dry run)' : 'har fået memberIds'
+    }`
+  );
+};
+
+run().catch((error) => {
+  // eslint-disable-next-line no-console
+  console.error('Migreringen fejlede', error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,66 @@
+/**
+ * SYNKRONISERING AF DELT KODE
+ *
+ * Cloud Functions kan kun se filer i firebase/functions, men availability-
+ * beregningen, event-godkendelsen og notifikationskonstanterne ligger i appens src-mappe. Dette script
+ * kopierer de rene hjælpefiler (uden React Native/Firebase afhængigheder) til
+ * `functions/shared/` som .mjs-moduler og retter deres relative imports, så
+ * functions kan hente dem med `import()`.
+ *
+ * Køres automatisk som predeploy (se firebase.json) og manuelt før emulatoren:
+ * `node firebase/scripts/syncShared.js`
+ */
+const fs = require('fs');
+const path = require('path');
+
+const REPO_ROOT = path.resolve(__dirname, '..', '..');
+const TARGET_DIR = path.resolve(REPO_ROOT, 'firebase', 'functions', 'shared');
+
+const SHARED_FILES = [
+  'src/lib/availability.js',
+  'src/utils/recurrence.js',
+  'src/utils/calendarAvailability.js',
+  'src/utils/familyPreferences.js',
+  'src/utils/eventApproval.js',
+  'src/utils/familyActivity.js',
+  'src/utils/icalendar.js',
+  'src/utils/familyMembers.js',
+  'src/utils/childProfiles.js',
+  'src/utils/inviteCodes.js',
+  'src/constants/familyPreferenceModes.js',
+  'src/constants/notifications.js',
+  'src/constants/familyRoles.js',
+];
+
+const moduleNameFor = (filePath) => path.basename(filePath, '.js');
+const knownModules = new Set(SHARED_FILES.map(moduleNameFor));
+
+const rewriteImports = (source, filePath) =>
+  source.replace(/from '(\.{1,2}\/[^']+)'/g, (match, specifier) => {
+    const name = path.basename(specifier);
+    if (!knownModules.has(name)) {
+      throw new Error(
+        `${filePath} importerer ${specifier}, som ikke er med i SHARED_FILES`
+      );
+    }
+    return `from './${name}.mjs'`;
+  });
+
+fs.mkdirSync(TARGET_DIR, { recursive: true });
+
+SHARED_FILES.forEach((filePath) => {
+  const source = fs
+    .readFileSync(path.join(REPO_ROOT, filePath), 'utf8')
+    .replace(/^﻿/, '');
+  const target = path.join(TARGET_DIR, `${moduleNameFor(filePath)}.mjs`);
+  fs.writeFileSync(
+    target,
+    `// Genereret fra ${filePath} af firebase/scripts/syncShared.js - ret i originalen.\n${rewriteImports(
+      source,
+      filePath
+    )}`
+  );
+});
+
+// eslint-disable-next-line no-console
+console.log(`Delt kode kopieret til ${path.relative(REPO_ROOT, TARGET_DIR)}`);
@@ -0,0 +1,566 @@
+/**
+ * TESTS AF FIRESTORE RULES
+ *
+ * Laeseguide:
+ * - Køres mod Firestore-emulatoren via `npm test` (firebase emulators:exec), som
+ *   sætter FIRESTORE_EMULATOR_HOST. Kræver Java til emulatoren.
+ * - Hver test starter fra samme familie (seedFamily): ejer, medadministrator,
+ *   voksen, barn, gæst og en udenforstående, plus én begivenhed der venter på
+ *   godkendelse.
+ * - Data sættes op uden rules (withSecurityRulesDisabled); selve handlingen
+ *   udføres som en bestemt bruger og forventes tilladt eller afvist.
+ */
+const fs = require('fs');
+const path = require('path');
+const { after, before, beforeEach, describe, it } = require('node:test');
+const {
+  assertFails,
+  assertSucceeds,
+  initializeTestEnvironment,
+} = require('@firebase/rules-unit-testing');
+const {
+  arrayRemove,
+  arrayUnion,
+  deleteDoc,
+  deleteField,
+  doc,
+  getDoc,
+  serverTimestamp,
+  setDoc,
+  updateDoc,
+} = require('firebase/firestore');
+
+const FAMILY_ID = 'FAM123';
+const OWNER = 'owner';
+const CO_ADMIN = 'coadmin';
+const ADULT = 'adult';
+const CHILD = 'child';
+const GUEST = 'guest';
+const OUTSIDER = 'outsider';
+
+const member = (userId) => ({
+  userId,
+  email: `${userId}@example.com`,
+  name: userId,
+  displayName: userId,
+  avatarEmoji: '🙂',
+});
+
+const familyData = () => ({
+  name: 'Familien',
+  ownerId: OWNER,
+  members: [OWNER, CO_ADMIN, ADULT, CHILD, GUEST].map(member),
+  memberIds: [OWNER, CO_ADMIN, ADULT, CHILD, GUEST],
+  memberRoles: { [CO_ADMIN]: 'co-admin', [CHILD]: 'child', [GUEST]: 'guest' },
+  joinRequests: [{ userId: OUTSIDER, email: `${OUTSIDER}@example.com` }],
+  pendingInvites: [],
+});
+
+let testEnv;
+
+const as = (uid) => testEnv.authenticatedContext(uid).firestore();
+const familyRef = (uid) => doc(as(uid), 'families', FAMILY_ID);
+const eventRef = (uid, eventId = 'event1') =>
+  doc(as(uid), 'families', FAMILY_ID, 'events', eventId);
+
+const seedFamily = () =>
+  testEnv.withSecurityRulesDisabled(async (context) => {
+    const firestore = context.firestore();
+    await setDoc(doc(firestore, 'families', FAMILY_ID), familyData());
+    await Promise.all(
+      [OWNER, CO_ADMIN, ADULT, CHILD, GUEST].map((uid) =>
+        setDoc(doc(firestore, 'users', uid), { familyId: FAMILY_ID })
+      )
+    );
+    await setDoc(doc(firestore, 'users', OUTSIDER), { name: OUTSIDER });
+    await setDoc(doc(firestore, 'families', FAMILY_ID, 'events', 'event1'), {
+      title: 'Fællesspisning',
+      status: 'pending',
+      createdByUid: OWNER,
+      lastModifiedBy: OWNER,
+      pendingApprovals: [ADULT, GUEST],
+      approvedBy: [OWNER],
+      guestIds: [],
+    });
+  });
+
+before(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: 'demo-famtime',
+    firestore: {
+      rules: fs.readFileSync(
+        path.resolve(__dirname, '..', 'firestore.rules'),
+        'utf8'
+      ),
+    },
+  });
+});
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+  await seedFamily();
+});
+
+after(async () => {
+  await testEnv.cleanup();
+});
+
+describe('users', () => {
+  it('lader brugeren skrive sit eget dokument', async () => {
+    await assertSucceeds(
+      setDoc(doc(as(ADULT), 'users', ADULT), { name: 'Ny' }, { merge: true })
+    );
+  });
+
+  it('afviser skrivning i andres dokument', async () => {
+    await assertFails(
+      setDoc(doc(as(ADULT), 'users', OWNER), { name: 'Ny' }, { merge: true })
+    );
+  });
+
+  it('lader administratoren sætte familyId for et medlem', async () => {
+    await testEnv.withSecurityRulesDisabled((context) =>
+      setDoc(doc(context.firestore(), 'users', ADULT), {})
+    );
+    await assertSucceeds(
+      updateDoc(doc(as(OWNER), 'users', ADULT), {
+        familyId: FAMILY_ID,
+        familyRole: 'adult',
+      })
+    );
+  });
+
+  it('afviser familyId for en bruger, der ikke er medlem', async () => {
+    await assertFails(
+      updateDoc(doc(as(OWNER), 'users', OUTSIDER), { familyId: FAMILY_ID })
+    );
+  });
+
+  it('lader kun familiens egne medlemmer læse hinanden', async () => {
+    await assertSucceeds(getDoc(doc(as(ADULT), 'users', OWNER)));
+    await assertFails(getDoc(doc(as(OUTSIDER), 'users', OWNER)));
+  });
+});
+
+describe('calendar', () => {
+  it('holder ICS-importens kilde privat for ejeren', async () => {
+    const sourcePath = ['calendar', ADULT, 'private', 'icsImport'];
+    await assertSucceeds(
+      setDoc(doc(as(ADULT), ...sourcePath), { sourceUrl: 'https://x/a.ics' })
+    );
+    await assertSucceeds(getDoc(doc(as(ADULT), ...sourcePath)));
+    await assertFails(getDoc(doc(as(OWNER), ...sourcePath)));
+  });
+});
+
+describe('families', () => {
+  it('lader medlemmer læse familien', async () => {
+    await assertSucceeds(getDoc(familyRef(ADULT)));
+  });
+
+  it('afviser læsning for udenforstående', async () => {
+    await assertFails(getDoc(familyRef(OUTSIDER)));
+  });
+
+  it('afviser adgang ud fra brugerens egen familyId', async () => {
+    await testEnv.withSecurityRulesDisabled((context) =>
+      setDoc(doc(context.firestore(), 'users', OUTSIDER), {
+        familyId: FAMILY_ID,
+      })
+    );
+    await assertFails(getDoc(familyRef(OUTSIDER)));
+  });
+
+  it('lader administratoren fjerne et medlem', async () => {
+    const data = familyData();
+    await assertSucceeds(
+      updateDoc(familyRef(OWNER), {
+        members: data.members.filter((item) => item.userId !== ADULT),
+        memberIds: arrayRemove(ADULT),
+        updatedBy: OWNER,
+        updatedAt: serverTimestamp(),
+      })
+    );
+  });
+
+  it('afviser at en voksen fjerner et andet medlem', async () => {
+    const data = familyData();
+    await assertFails(
+      updateDoc(familyRef(ADULT), {
+        members: data.members.filter((item) => item.userId !== GUEST),
+        memberIds: arrayRemove(GUEST),
+        updatedBy: ADULT,
+        updatedAt: serverTimestamp(),
+      })
+    );
+  });
+
+  it('lader et medlem forlade familien', async () => {
+    const data = familyData();
+    await assertSucceeds(
+      updateDoc(familyRef(ADULT), {
+        members: data.members.filter((item) => item.userId !== ADULT),
+        memberIds: arrayRemove(ADULT),
+        updatedBy: ADULT,
+        updatedAt: serverTimestamp(),
+      })
+    );
+  });
+
+  it('lader et medlem rette sin egen medlemsinfo', async () => {
+    const data = familyData();
+    await assertSucceeds(
+      updateDoc(familyRef(ADULT), {
+        members: data.members.map((item) =>
+          item.userId === ADULT ? { ...item, avatarEmoji: '🐻' } : item
+        ),
+        updatedAt: serverTimestamp(),
+      })
+    );
+  });
+
+  it('afviser at et medlem retter andres medlemsinfo', async () => {
+    const data = familyData();
+    await assertFails(
+      updateDoc(familyRef(ADULT), {
+        members: data.members.map((item) =>
+          item.userId === OWNER ? { ...item, name: 'Ukendt' } : item
+        ),
+        updatedAt: serverTimestamp(),
+      })
+    );
+  });
+
+  it('afviser at et medlem omdøber familien', async () => {
+    await assertFails(
+      updateDoc(familyRef(ADULT), {
+        name: 'Ny familie',
+        updatedAt: serverTimestamp(),
+      })
+    );
+  });
+
+  it('lader administratoren godkende en anmodning', async () => {
+    const data = familyData();
+    await assertSucceeds(
+      updateDoc(familyRef(OWNER), {
+        members: [...data.members, member(OUTSIDER)],
+        memberIds: arrayUnion(OUTSIDER),
+        joinRequests: [],
+        updatedBy: OWNER,
+        updatedAt: serverTimestamp(),
+      })
+    );
+  });
+
+  it('kræver updatedBy, når medlemmer ændres', async () => {
+    const data = familyData();
+    await assertFails(
+      updateDoc(familyRef(OWNER), {
+        members: data.members.filter((item) => item.userId !== ADULT),
+        memberIds: arrayRemove(ADULT),
+        updatedBy: ADULT,
+        updatedAt: serverTimestamp(),
+      })
+    );
+  });
+
+  it('afviser at en voksen godkender en anmodning', async () => {
+    const data = familyData();
+    await assertFails(
+      updateDoc(familyRef(ADULT), {
+        members: [...data.members, member(OUTSIDER)],
+        memberIds: arrayUnion(OUTSIDER),
+        joinRequests: [],
+        updatedBy: ADULT,
+        updatedAt: serverTimestamp(),
+      })
+    );
+  });
+});
+
+describe('events', () => {
+  it('lader medlemmer læse begivenheder', async () => {
+    await assertSucceeds(getDoc(eventRef(ADULT)));
+    await assertFails(getDoc(eventRef(OUTSIDER)));
+  });
+
+  it('lader kun gæster læse begivenheder med deres uid i guestIds', async () => {
+    await assertFails(getDoc(eventRef(GUEST)));
+    await testEnv.withSecurityRulesDisabled((context) =>
+      updateDoc(
+        doc(context.firestore(), 'families', FAMILY_ID, 'events', 'event1'),
+        {
+          guestIds: [GUEST],
+        }
+      )
+    );
+    await assertSucceeds(getDoc(eventRef(GUEST)));
+  });
+
+  it('lader en godkendelse fjerne kalderens eget uid', async () => {
+    await assertSucceeds(
+      updateDoc(eventRef(ADULT), {
+        pendingApprovals: [GUEST],
+        approvedBy: [OWNER, ADULT],
+        updatedAt: serverTimestamp(),
+      })
+    );
+  });
+
+  it('afviser en godkendelse, der fjerner et andet medlems uid', async () => {
+    await assertFails(
+      updateDoc(eventRef(ADULT), {
+        pendingApprovals: [],
+        approvedBy: [OWNER, ADULT],
+        status: 'confirmed',
+        updatedAt: serverTimestamp(),
+      })
+    );
+  });
+
+  it('afviser godkendelse fra et medlem, der ikke afventes', async () => {
+    await assertFails(
+      updateDoc(eventRef(OWNER), {
+        pendingApprovals: [GUEST],
+        approvedBy: [OWNER],
+        updatedAt: serverTimestamp(),
+      })
+    );
+  });
+
+  it('lader kun opretteren eller administratoren slette', async () => {
+    await assertFails(deleteDoc(eventRef(ADULT)));
+    await assertSucceeds(deleteDoc(eventRef(OWNER)));
+  });
+
+  it('kræver at den, der sletter, står som lastModifiedBy', async () => {
+    await testEnv.withSecurityRulesDisabled((context) =>
+      updateDoc(
+        doc(context.firestore(), 'families', FAMILY_ID, 'events', 'event1'),
+        { lastModifiedBy: ADULT }
+      )
+    );
+    await assertFails(deleteDoc(eventRef(OWNER)));
+  });
+
+  it('afviser at en voksen overtager og sletter en andens begivenhed', async () => {
+    await assertFails(
+      updateDoc(eventRef(ADULT), {
+        createdByUid: ADULT,
+        lastModifiedBy: ADULT,
+      })
+    );
+    await assertFails(deleteDoc(eventRef(ADULT)));
+  });
+
+  it('lader kun administratoren rette tid og titel direkte', async () => {
+    await assertFails(
+      updateDoc(eventRef(ADULT), {
+        title: 'Ny titel',
+        updatedAt: serverTimestamp(),
+      })
+    );
+    await assertSucceeds(
+      updateDoc(eventRef(OWNER), {
+        title: 'Ny titel',
+        updatedAt: serverTimestamp(),
+      })
+    );
+  });
+
+  it('lader kun administratoren ændre guestIds', async () => {
+    await assertFails(updateDoc(eventRef(ADULT), { guestIds: [GUEST] }));
+    await assertSucceeds(updateDoc(eventRef(OWNER), { guestIds: [GUEST] }));
+  });
+
+  it('lader kun administratoren aflyse én gang direkte', async () => {
+    const recurrence = { exdates: ['2026-03-14'] };
+    await assertFails(
+      updateDoc(eventRef(ADULT), { recurrence, lastModifiedBy: ADULT })
+    );
+    await assertSucceeds(
+      updateDoc(eventRef(OWNER), { recurrence, lastModifiedBy: OWNER })
+    );
+  });
+
+  it('lader en voksen foreslå en ændring', async () => {
+    await assertSucceeds(
+      updateDoc(eventRef(ADULT), {
+        pendingChange: { title: 'Nyt forslag' },
+        pendingApprovals: [OWNER],
+        approvedBy: [ADULT],
+        status: 'pending',
+        lastModifiedBy: ADULT,
+        updatedAt: serverTimestamp(),
+      })
+    );
+  });
+
+  it('lader medadministratoren aflyse en andens begivenhed', async () => {
+    await assertSucceeds(
+      updateDoc(eventRef(CO_ADMIN), {
+        lastModifiedBy: CO_ADMIN,
+        updatedAt: serverTimestamp(),
+      })
+    );
+    await assertSucceeds(deleteDoc(eventRef(CO_ADMIN)));
+  });
+
+  it('afviser at en voksen sletter en andens begivenhed', async () => {
+    await assertSucceeds(
+      updateDoc(eventRef(ADULT), {
+        lastModifiedBy: ADULT,
+        updatedAt: serverTimestamp(),
+      })
+    );
+    await assertFails(deleteDoc(eventRef(ADULT)));
+  });
+
+  it('lader en voksen slette sin egen begivenhed, men ikke et barn', async () => {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      const firestore = context.firestore();
+      await setDoc(doc(firestore, 'families', FAMILY_ID, 'events', 'own'), {
+        title: 'Eget',
+        status: 'confirmed',
+        createdByUid: ADULT,
+        lastModifiedBy: ADULT,
+      });
+      await setDoc(doc(firestore, 'families', FAMILY_ID, 'events', 'child'), {
+        title: 'Barnets',
+        status: 'confirmed',
+        createdByUid: CHILD,
+        lastModifiedBy: CHILD,
+      });
+    });
+    await assertSucceeds(deleteDoc(eventRef(ADULT, 'own')));
+    await assertFails(deleteDoc(eventRef(CHILD, 'child')));
+  });
+
+  it('afviser at et barn foreslår en aflysning', async () => {
+    await assertFails(
+      updateDoc(eventRef(CHILD), {
+        pendingChange: { cancel: true },
+        pendingApprovals: [OWNER],
+        approvedBy: [CHILD],
+        status: 'pending',
+        lastModifiedBy: CHILD,
+      })
+    );
+  });
+
+  it('afviser at en gæst retter en begivenhed', async () => {
+    await testEnv.withSecurityRulesDisabled((context) =>
+      updateDoc(
+        doc(context.firestore(), 'families', FAMILY_ID, 'events', 'event1'),
+        { guestIds: [GUEST], pendingApprovals: [ADULT] }
+      )
+    );
+    await assertFails(
+      updateDoc(eventRef(GUEST), {
+        description: 'Ny tekst',
+        updatedAt: serverTimestamp(),
+      })
+    );
+  });
+
+  it('lader den sidste godkendelse bekræfte begivenheden', async () => {
+    await testEnv.withSecurityRulesDisabled((context) =>
+      updateDoc(
+        doc(context.firestore(), 'families', FAMILY_ID, 'events', 'event1'),
+        { pendingApprovals: [ADULT] }
+      )
+    );
+    await assertSucceeds(
+      updateDoc(eventRef(ADULT), {
+        pendingApprovals: [],
+        approvedBy: [OWNER, ADULT],
+        status: 'confirmed',
+        approvedAt: serverTimestamp(),
+        updatedAt: serverTimestamp(),
+      })
+    );
+  });
+
+  it('kræver at den, der afviser et forslag, står som lastModifiedBy', async () => {
+    await testEnv.withSecurityRulesDisabled((context) =>
+      updateDoc(
+        doc(context.firestore(), 'families', FAMILY_ID, 'events', 'event1'),
+        { pendingChange: { title: 'Forslag' }, pendingApprovals: [ADULT] }
+      )
+    );
+    const rejection = {
+      pendingApprovals: [],
+      pendingChange: deleteField(),
+      status: 'confirmed',
+      updatedAt: serverTimestamp(),
+    };
+    await assertFails(updateDoc(eventRef(ADULT), rejection));
+    await assertSucceeds(
+      updateDoc(eventRef(ADULT), { ...rejection, lastModifiedBy: ADULT })
+    );
+  });
+
+  it('kræver lastModifiedBy ved enhver ændring af recurrence', async () => {
+    await testEnv.withSecurityRulesDisabled((context) =>
+      updateDoc(
+        doc(context.firestore(), 'families', FAMILY_ID, 'events', 'event1'),
+        { lastModifiedBy: ADULT }
+      )
+    );
+    await assertFails(
+      updateDoc(eventRef(OWNER), { recurrence: { exdates: ['2026-03-14'] } })
+    );
+  });
+
+  it('lader den sidste godkendelse aflyse én gang som lastModifiedBy', async () => {
+    await testEnv.withSecurityRulesDisabled((context) =>
+      updateDoc(
+        doc(context.firestore(), 'families', FAMILY_ID, 'events', 'event1'),
+        {
+          pendingChange: {
+            scope: 'occurrence',
+            occurrenceKey: '2026-03-14',
+            cancel: true,
+          },
+          pendingApprovals: [ADULT],
+          recurrence: { exdates: [] },
+        }
+      )
+    );
+    const approval = {
+      pendingApprovals: [],
+      approvedBy: [OWNER, ADULT],
+      status: 'confirmed',
+      approvedAt: serverTimestamp(),
+      recurrence: { exdates: ['2026-03-14'] },
+      pendingChange: deleteField(),
+      updatedAt: serverTimestamp(),
+    };
+    await assertFails(updateDoc(eventRef(ADULT), approval));
+    await assertSucceeds(
+      updateDoc(eventRef(ADULT), { ...approval, lastModifiedBy: ADULT })
+    );
+  });
+
+  it('afviser lastModifiedBy sat til et andet medlem', async () => {
+    await assertFails(
+      updateDoc(eventRef(ADULT), {
+        description: 'Ny tekst',
+        lastModifiedBy: OWNER,
+      })
+    );
+  });
+});
+
+describe('activity', () => {
+  it('afviser indslag skrevet fra appen', async () => {
+    await assertFails(
+      setDoc(doc(as(OWNER), 'families', FAMILY_ID, 'activity', 'entry1'), {
+        type: 'member-removed',
+        actorId: OWNER,
+        createdAt: serverTimestamp(),
+      })
+    );
+  });
+});
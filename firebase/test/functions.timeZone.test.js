@@ -0,0 +1,75 @@
+/**
+ * TEST AF CLOUD FUNCTIONS' TIDSZONE
+ *
+ * Laeseguide:
+ * - Functions kører i UTC, men de delte moduler udfolder gentagelser i lokal tid.
+ *   index.js sætter derfor TZ, før noget andet indlæses; testen starter i UTC som
+ *   serveren og tjekker, at zonen giver samme forekomster som appen.
+ * - index.js kan ikke require'es her (functions/package.json har en kommentar-header
+ *   og er ikke gyldig JSON), så zonen læses fra kilden.
+ * - Kræver de delte .mjs-filer (node firebase/scripts/syncShared.js), som
+ *   `npm run test:unit` kører først.
+ */
+process.env.TZ = 'UTC';
+
+const fs = require('fs');
+const path = require('path');
+const assert = require('node:assert/strict');
+const { before, describe, it } = require('node:test');
+
+const FUNCTIONS_INDEX = path.resolve(__dirname, '..', 'functions', 'index.js');
+const TZ_ASSIGNMENT = /process\.env\.TZ = '([^']+)';/;
+
+// Ugentlig søndag kl. 00:30 i København fra 15. marts 2026; sommertid 29. marts.
+const weeklyEvent = {
+  id: 'event1',
+  title: 'Natbad',
+  start: new Date('2026-03-14T23:30:00Z'),
+  end: new Date('2026-03-15T00:30:00Z'),
+  recurrence: { rrule: 'FREQ=WEEKLY;INTERVAL=1;BYDAY=SU' },
+};
+
+const range = {
+  rangeStart: new Date('2026-03-14T00:00:00Z'),
+  rangeEnd: new Date('2026-04-06T00:00:00Z'),
+};
+
+let source;
+let recurrence;
+
+before(async () => {
+  source = fs.readFileSync(FUNCTIONS_INDEX, 'utf8');
+  recurrence = await import('../functions/shared/recurrence.mjs');
+});
+
+describe('tidszone i Cloud Functions', () => {
+  it('sætter Europe/Copenhagen, før modulerne indlæses', () => {
+    const match = source.match(TZ_ASSIGNMENT);
+    assert.ok(match, 'index.js sætter ikke process.env.TZ');
+    assert.equal(match[1], 'Europe/Copenhagen');
+    assert.ok(match.index < source.indexOf('require('));
+  });
+
+  it('udfolder en ugentlig begivenhed kl. 00:30 som appen', () => {
+    process.env.TZ = source.match(TZ_ASSIGNMENT)[1];
+    try {
+      const occurrences = recurrence.expandEventOccurrences(weeklyEvent, range);
+
+      assert.deepEqual(
+        occurrences.map((item) => item.start.toISOString()),
+        [
+          '2026-03-14T23:30:00.000Z',
+          '2026-03-21T23:30:00.000Z',
+          '2026-03-28T23:30:00.000Z',
+          '2026-04-04T22:30:00.000Z',
+        ]
+      );
+      assert.deepEqual(
+        occurrences.map((item) => item.occurrenceKey),
+        ['2026-03-15', '2026-03-22', '2026-03-29', '2026-04-05']
+      );
+    } finally {
+      process.env.TZ = 'UTC';
+    }
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * TEST AF INVITATIONSKODERNES BRUG
+ *
+ * Laeseguide:
+ * - Tester de delte regler i src/utils/inviteCodes via kopien i functions/shared
+ *   (node firebase/scripts/syncShared.js), som familyInvite og familyMemberActivity
+ *   bruger.
+ * - En anmodning fra en kode tæller først, når administratoren godkender den.
+ */
+const assert = require('node:assert/strict');
+const { before, describe, it } = require('node:test');
+
+const CODE = 'ABCD2345';
+const FAMILY_ID = 'FAM123';
+
+const familyWithRequest = () => ({
+  memberIds: ['owner'],
+  joinRequests: [{ userId: 'outsider', inviteCode: CODE }],
+});
+
+let inviteCodes;
+
+before(async () => {
+  inviteCodes = await import('../functions/shared/inviteCodes.mjs');
+});
+
+// Det familyMemberActivity skriver på koden for en ændring i familien.
+const applyUses = (codeData, familyBefore, familyAfter) => {
+  const userIds =
+    inviteCodes.planInviteCodeUses(familyBefore, familyAfter)[CODE] ?? [];
+  return {
+    ...codeData,
+    uses: codeData.uses + userIds.length,
+    usedBy: [...codeData.usedBy, ...userIds],
+  };
+};
+
+describe('invitationskoder', () => {
+  it('bruger ikke en kode med maxUses 1 op, når anmodningen afvises', () => {
+    const codeData = { familyId: FAMILY_ID, maxUses: 1, uses: 0, usedBy: [] };
+    const rejected = applyUses(codeData, familyWithRequest(), {
+      memberIds: ['owner'],
+      joinRequests: [],
+    });
+
+    assert.equal(rejected.uses, 0);
+    assert.equal(
+      inviteCodes.getInviteCodeStatus(rejected),
+      inviteCodes.INVITE_CODE_STATUS.ACTIVE
+    );
+  });
+
+  it('tæller brugen, når anmodningen godkendes', () => {
+    const codeData = { familyId: FAMILY_ID, maxUses: 1, uses: 0, usedBy: [] };
+    const approved = applyUses(codeData, familyWithRequest(), {
+      memberIds: ['owner', 'outsider'],
+      joinRequests: [],
+    });
+
+    assert.deepEqual(approved.usedBy, ['outsider']);
+    assert.equal(
+      inviteCodes.getInviteCodeStatus(approved),
+      inviteCodes.INVITE_CODE_STATUS.USED_UP
+    );
+  });
+
+  it('tæller ikke anmodninger uden kode eller fra eksisterende medlemmer', () => {
+    assert.deepEqual(
+      inviteCodes.planInviteCodeUses(
+        {
+          memberIds: ['owner', 'adult'],
+          joinRequests: [
+            { userId: 'outsider' },
+            { userId: 'adult', inviteCode: CODE },
+          ],
+        },
+        { memberIds: ['owner', 'adult', 'outsider'], joinRequests: [] }
+      ),
+      {}
+    );
+  });
+});
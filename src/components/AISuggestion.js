@@ -122,6 +122,9 @@ const toTitleCase = (value) => {
     .replace(/(^|\s|-)(\S)/g, (_match, boundary, char) => `${boundary}${char.toUpperCase()}`);
 };
 
+// Under denne alder foretrækkes familievenlige (neutral tone) aktiviteter.
+const FAMILY_FRIENDLY_CHILD_AGE = 13;
+
 /**
  * LÆSNING AF BRUGERENS ALDER
  * 
@@ -145,6 +148,13 @@ const parseAge = (value) => {
   return null;
 };
 
+// Aldre på børn uden login (fra familiens børneprofiler), sorteret stigende.
+const parseChildAges = (value) =>
+  (Array.isArray(value) ? value : [])
+    .map((childAge) => parseAge(childAge))
+    .filter((childAge) => Number.isFinite(childAge) && childAge >= 0)
+    .sort((a, b) => a - b);
+
 /**
  * FORMATERING AF AKTIVITET FOR AI
  * 
@@ -234,10 +244,21 @@ const pickVariant = (items, hashSeed, salt) => {
  * er stabile og ikke ændrer sig hele tiden.
  */
 // Picks a single activity matching mood/weekend/age, deterministic for offline fallback.
-const pickActivity = (hashSeed, isWeekend, age, moodKey = DEFAULT_MOOD_KEY) => {
+const pickActivity = (
+  hashSeed,
+  isWeekend,
+  age,
+  moodKey = DEFAULT_MOOD_KEY,
+  childAges = []
+) => {
   const catalog = isWeekend ? WEEKEND_ACTIVITIES : WEEKDAY_ACTIVITIES;
-  const tonePreference =
-    typeof age === 'number'
+  // Små børn i familien vejer tungere end brugerens egen alder.
+  const hasYoungChild = childAges.some(
+    (childAge) => childAge < FAMILY_FRIENDLY_CHILD_AGE
+  );
+  const tonePreference = hasYoungChild
+    ? 'neutral'
+    : typeof age === 'number'
       ? age < 23
         ? 'youth'
         : age > 30
@@ -334,6 +355,7 @@ export const generateProfileSuggestion = (
     ? user.preferredDays
     : [];
   const age = parseAge(user.age);
+  const childAges = parseChildAges(user.childAges);
   const moodConfig =
     MOOD_OPTIONS.find((option) => option.key === moodKey) ?? MOOD_OPTIONS[0];
 
@@ -343,6 +365,7 @@ export const generateProfileSuggestion = (
     city || 'nocity',
     preferredDays.join('-') || 'nodays',
     moodConfig.key,
+    childAges.join('-') || 'nochildren',
   ].join('|');
   const hashSeed = variantSeed
     ? `${baseHashSeed}|variant:${variantSeed}`
@@ -356,7 +379,13 @@ export const generateProfileSuggestion = (
         )
       : WEEKEND_KEYS.includes(selectedDay);
 
-  const activity = pickActivity(hashSeed, isWeekend, age, moodConfig.key);
+  const activity = pickActivity(
+    hashSeed,
+    isWeekend,
+    age,
+    moodConfig.key,
+    childAges
+  );
   const formattedCity = toTitleCase(city);
   const citySegment = formattedCity ? ` i ${formattedCity}` : '';
   const detailRaw = sanitizeString(activity.detail)
@@ -501,12 +530,14 @@ const AISuggestion = ({
     const preferredDays = rawPreferredDays
       .map((day) => sanitizeString(day).toLowerCase())
       .filter((day) => DAY_ORDER.includes(day));
+    const childAges = parseChildAges(user?.childAges);
 
     const seedSource = [
       name || DEFAULT_NAME,
       Number.isFinite(ageParsed) ? ageParsed : 'na',
       city || 'nocity',
       preferredDays.join('-') || 'nodays',
+      childAges.join('-') || 'nochildren',
     ].join('|');
 
     return {
@@ -516,11 +547,13 @@ const AISuggestion = ({
       gender,
       city,
       preferredDays,
+      childAges,
       seedHash: simpleHash(seedSource),
       seedSource,
     };
   }, [
     user?.age,
+    user?.childAges,
     user?.city,
     user?.gender,
     user?.location,
@@ -551,6 +584,7 @@ const AISuggestion = ({
           city: profile.city,
           gender: profile.gender,
           preferredDays: profile.preferredDays,
+          childAges: profile.childAges,
         },
         selectedMood.key,
         { variantSeed: fallbackVariantSeed }
@@ -618,6 +652,11 @@ const AISuggestion = ({
       `Alder: ${profile.age ?? 'ukendt'}`,
       `Køn: ${profile.gender || 'ukendt'}`,
       `By: ${profile.city || 'ukendt'}`,
+      `Børn i familien: ${
+        profile.childAges.length
+          ? `${profile.childAges.join(' og ')} år`
+          : 'ingen registrerede'
+      }`,
       `Humør: ${moodDetail}`,
       `Planlagt dag: ${plannedDayLabel || 'ikke fastsat'}`,
       '',
@@ -684,6 +723,7 @@ const AISuggestion = ({
               city: profile.city,
               preferredDays: profile.preferredDays,
               age: profile.age ?? profile.ageRaw ?? null,
+              childAges: profile.childAges,
               seedHash: profile.seedHash,
             },
             fallbackSuggestion,
@@ -787,6 +827,7 @@ const AISuggestion = ({
     fallbackSuggestion,
     profile.age,
     profile.ageRaw,
+    profile.childAges,
     profile.city,
     profile.gender,
     profile.name,
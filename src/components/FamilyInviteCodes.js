@@ -0,0 +1,309 @@
+/**
+ * FamilyInviteCodes
+ *
+ * - Kort i FamilySetupScreen til administrator og medadministratorer.
+ * - Opretter invitationskoder med udløb, antal brug og evt. automatisk godkendelse,
+ *   og viser de aktive koder som tekst og QR-kode (famtime://join/{kode}).
+ * - Koder kan deles, fornys (ny kode, samme indstillinger) eller tilbagekaldes.
+ *   Alle ændringer går via Cloud Function familyInvite (se lib/familyInviteApi).
+ */
+import React, { useEffect, useMemo, useState } from 'react';
+import { Alert, Pressable, Share, Switch, Text, View } from 'react-native';
+import QRCode from 'react-native-qrcode-svg';
+
+import Button from './Button';
+import ErrorMessage from './ErrorMessage';
+import { db } from '../lib/firebase';
+import {
+  createInviteCodeAsync,
+  revokeInviteCodeAsync,
+  rotateInviteCodeAsync,
+} from '../lib/familyInviteApi';
+import { buildJoinLink } from '../navigation/linking';
+import {
+  INVITE_CODE_STATUS,
+  formatInviteCode,
+  getInviteCodeExpiresAt,
+  getInviteCodeStatus,
+} from '../utils/inviteCodes';
+import { colors } from '../styles/theme';
+import styles from '../styles/components/FamilyInviteCodesStyles';
+
+const EXPIRY_OPTIONS = [
+  { hours: 24, label: '1 dag' },
+  { hours: 7 * 24, label: '7 dage' },
+  { hours: 30 * 24, label: '30 dage' },
+];
+
+const USAGE_OPTIONS = [
+  { key: 'single', maxUses: 1, label: 'Én person' },
+  { key: 'multi', maxUses: null, label: 'Flere personer' },
+];
+
+const QR_SIZE = 180;
+
+const formatExpiry = (date) =>
+  date
+    ? date.toLocaleString('da-DK', {
+        day: 'numeric',
+        month: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+      })
+    : 'ukendt';
+
+const describeUsage = (codeData) => {
+  const uses = Number.isFinite(codeData.uses) ? codeData.uses : 0;
+  return Number.isFinite(codeData.maxUses)
+    ? `Brugt ${uses} af ${codeData.maxUses}`
+    : `Brugt ${uses} gange`;
+};
+
+const FamilyInviteCodes = ({ familyId }) => {
+  const [codes, setCodes] = useState([]);
+  const [expiresInHours, setExpiresInHours] = useState(EXPIRY_OPTIONS[1].hours);
+  const [usageKey, setUsageKey] = useState(USAGE_OPTIONS[0].key);
+  const [autoApprove, setAutoApprove] = useState(false);
+  const [creating, setCreating] = useState(false);
+  const [busyCode, setBusyCode] = useState('');
+  const [visibleQrCode, setVisibleQrCode] = useState('');
+  const [error, setError] = useState('');
+  // Tidspunkt for udløbstjek; opdateres sammen med listen.
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    if (!familyId) {
+      setCodes([]);
+      return undefined;
+    }
+    return db
+      .collection('familyInviteCodes')
+      .where('familyId', '==', familyId)
+      .onSnapshot(
+        (snapshot) => {
+          setCodes(
+            snapshot.docs.map((doc) => ({ code: doc.id, ...doc.data() }))
+          );
+          setNow(Date.now());
+        },
+        (snapshotError) => {
+          // eslint-disable-next-line no-console
+          console.warn(
+            '[FamilyInviteCodes] Kunne ikke hente koder',
+            snapshotError
+          );
+          setCodes([]);
+        }
+      );
+  }, [familyId]);
+
+  const activeCodes = useMemo(
+    () =>
+      codes
+        .filter(
+          (codeData) =>
+            getInviteCodeStatus(codeData, now) === INVITE_CODE_STATUS.ACTIVE
+        )
+        .sort(
+          (a, b) =>
+            (getInviteCodeExpiresAt(a)?.getTime() ?? 0) -
+            (getInviteCodeExpiresAt(b)?.getTime() ?? 0)
+        ),
+    [codes, now]
+  );
+
+  const handleCreate = async () => {
+    const usage =
+      USAGE_OPTIONS.find((option) => option.key === usageKey) ??
+      USAGE_OPTIONS[0];
+    setCreating(true);
+    setError('');
+    try {
+      const { code } = await createInviteCodeAsync({
+        familyId,
+        expiresInHours,
+        maxUses: usage.maxUses,
+        autoApprove,
+      });
+      setVisibleQrCode(code);
+    } catch (_createError) {
+      setError('Kunne ikke oprette en kode. Prøv igen.');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleShare = (codeData) => {
+    const formatted = formatInviteCode(codeData.code);
+    Share.share({
+      message: `Tilslut vores familie på FamTime med koden ${formatted}: ${buildJoinLink(
+        formatted
+      )}`,
+    }).catch(() => {});
+  };
+
+  const handleRotate = async (codeData) => {
+    setBusyCode(codeData.code);
+    setError('');
+    try {
+      const { code } = await rotateInviteCodeAsync(codeData.code);
+      if (visibleQrCode === codeData.code) {
+        setVisibleQrCode(code);
+      }
+    } catch (_rotateError) {
+      setError('Kunne ikke forny koden. Prøv igen.');
+    } finally {
+      setBusyCode('');
+    }
+  };
+
+  const handleRevoke = (codeData) => {
+    Alert.alert(
+      'Tilbagekald kode?',
+      `${formatInviteCode(codeData.code)} kan ikke længere bruges til at tilslutte familien.`,
+      [
+        { text: 'Annuller', style: 'cancel' },
+        {
+          text: 'Tilbagekald',
+          style: 'destructive',
+          onPress: async () => {
+            setBusyCode(codeData.code);
+            setError('');
+            try {
+              await revokeInviteCodeAsync(codeData.code);
+            } catch (_revokeError) {
+              setError('Kunne ikke tilbagekalde koden. Prøv igen.');
+            } finally {
+              setBusyCode('');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const renderOption = (key, label, selected, onPress) => (
+    <Pressable
+      key={key}
+      onPress={onPress}
+      style={[styles.optionChip, selected ? styles.optionChipActive : null]}
+      accessibilityRole="button"
+      accessibilityState={{ selected }}
+    >
+      <Text
+        style={[
+          styles.optionChipText,
+          selected ? styles.optionChipTextActive : null,
+        ]}
+      >
+        {label}
+      </Text>
+    </Pressable>
+  );
+
+  return (
+    <View style={styles.card}>
+      <Text style={styles.title}>Invitationskoder</Text>
+      <Text style={styles.subtitle}>
+        Koden kan scannes eller tastes under "Tilslut familie". Når familien har
+        en kode, kan man ikke længere anmode via familie-ID'et.
+      </Text>
+
+      {activeCodes.length ? (
+        activeCodes.map((codeData) => {
+          const formatted = formatInviteCode(codeData.code);
+          const isBusy = busyCode === codeData.code;
+          const showQr = visibleQrCode === codeData.code;
+          return (
+            <View key={codeData.code} style={styles.codeRow}>
+              <Pressable
+                onPress={() => setVisibleQrCode(showQr ? '' : codeData.code)}
+                accessibilityRole="button"
+                accessibilityLabel={`Vis QR-kode for ${formatted}`}
+              >
+                <Text style={styles.codeValue}>{formatted}</Text>
+                <Text style={styles.codeMeta}>
+                  {`Udløber ${formatExpiry(
+                    getInviteCodeExpiresAt(codeData)
+                  )} · ${describeUsage(codeData)}`}
+                  {codeData.autoApprove ? ' · Godkendes automatisk' : ''}
+                </Text>
+              </Pressable>
+              {showQr ? (
+                <View style={styles.qrWrapper}>
+                  <QRCode
+                    value={buildJoinLink(formatted)}
+                    size={QR_SIZE}
+                    color={colors.text}
+                    backgroundColor={colors.surface}
+                  />
+                </View>
+              ) : null}
+              <View style={styles.codeActions}>
+                <Pressable
+                  onPress={() => setVisibleQrCode(showQr ? '' : codeData.code)}
+                  accessibilityRole="button"
+                >
+                  <Text style={styles.actionText}>
+                    {showQr ? 'Skjul QR' : 'Vis QR'}
+                  </Text>
+                </Pressable>
+                <Pressable
+                  onPress={() => handleShare(codeData)}
+                  accessibilityRole="button"
+                >
+                  <Text style={styles.actionText}>Del</Text>
+                </Pressable>
+                <Pressable
+                  onPress={() => handleRotate(codeData)}
+                  disabled={isBusy}
+                  accessibilityRole="button"
+                >
+                  <Text style={styles.actionText}>Forny</Text>
+                </Pressable>
+                <Pressable
+                  onPress={() => handleRevoke(codeData)}
+                  disabled={isBusy}
+                  accessibilityRole="button"
+                >
+                  <Text style={styles.revokeText}>Tilbagekald</Text>
+                </Pressable>
+              </View>
+            </View>
+          );
+        })
+      ) : (
+        <Text style={styles.infoText}>Ingen aktive koder.</Text>
+      )}
+
+      <Text style={styles.fieldLabel}>Udløber efter</Text>
+      <View style={styles.optionRow}>
+        {EXPIRY_OPTIONS.map((option) =>
+          renderOption(
+            String(option.hours),
+            option.label,
+            expiresInHours === option.hours,
+            () => setExpiresInHours(option.hours)
+          )
+        )}
+      </View>
+      <Text style={styles.fieldLabel}>Kan bruges af</Text>
+      <View style={styles.optionRow}>
+        {USAGE_OPTIONS.map((option) =>
+          renderOption(option.key, option.label, usageKey === option.key, () =>
+            setUsageKey(option.key)
+          )
+        )}
+      </View>
+      <View style={styles.switchRow}>
+        <Text style={styles.switchLabel}>Godkend automatisk</Text>
+        <Switch value={autoApprove} onValueChange={setAutoApprove} />
+      </View>
+
+      <ErrorMessage message={error} />
+      <Button title="Opret kode" onPress={handleCreate} loading={creating} />
+    </View>
+  );
+};
+
+export default FamilyInviteCodes;
@@ -0,0 +1,123 @@
+/**
+ * FamilySwitcher
+ *
+ * - Bjælke øverst i MainTabs, når brugeren er medlem af flere familier.
+ * - Viser den aktive familie og åbner en liste, hvor en anden familie kan vælges.
+ *   Skærmene følger users/{uid}.familyId og skifter derfor selv indhold.
+ * - Forsvinder den aktive familie (fx fordi brugeren er fjernet), vælges den første
+ *   tilbageværende familie automatisk.
+ */
+import React, { useEffect, useState } from 'react';
+import { ActivityIndicator, Modal, Pressable, Text, View } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+
+import useFamilyMemberships from '../hooks/useFamilyMemberships';
+import { getFamilyRoleLabel } from '../constants/familyRoles';
+import { colors } from '../styles/theme';
+import styles from '../styles/components/FamilySwitcherStyles';
+
+const FamilySwitcher = () => {
+  const insets = useSafeAreaInsets();
+  const { families, activeFamilyId, loading, switchFamily } =
+    useFamilyMemberships();
+  const [open, setOpen] = useState(false);
+  const [switchingId, setSwitchingId] = useState(null);
+  const [error, setError] = useState('');
+
+  const activeFamily = families.find((family) => family.id === activeFamilyId);
+
+  useEffect(() => {
+    if (loading || activeFamily || !families.length) {
+      return;
+    }
+    switchFamily(families[0]).catch((switchError) => {
+      // eslint-disable-next-line no-console
+      console.warn('[FamilySwitcher] Kunne ikke vælge familie', switchError);
+    });
+  }, [loading, activeFamily, families, switchFamily]);
+
+  if (families.length < 2) {
+    return null;
+  }
+
+  const handleSelect = async (family) => {
+    if (switchingId) {
+      return;
+    }
+    setError('');
+    setSwitchingId(family.id);
+    try {
+      await switchFamily(family);
+      setOpen(false);
+    } catch (_error) {
+      setError('Kunne ikke skifte familie. Prøv igen.');
+    } finally {
+      setSwitchingId(null);
+    }
+  };
+
+  return (
+    <View style={[styles.bar, { paddingTop: insets.top }]}>
+      <Pressable
+        onPress={() => setOpen(true)}
+        style={({ pressed }) => [
+          styles.trigger,
+          pressed ? styles.triggerPressed : null,
+        ]}
+        accessibilityRole="button"
+        accessibilityLabel="Skift familie"
+      >
+        <Ionicons name="people-outline" size={18} color={colors.primaryDark} />
+        <Text style={styles.triggerText} numberOfLines={1}>
+          {activeFamily?.name ?? 'Vælg familie'}
+        </Text>
+        <Ionicons name="chevron-down" size={16} color={colors.mutedText} />
+      </Pressable>
+
+      <Modal
+        visible={open}
+        transparent
+        animationType="fade"
+        onRequestClose={() => setOpen(false)}
+      >
+        <Pressable style={styles.backdrop} onPress={() => setOpen(false)}>
+          <Pressable style={styles.sheet} onPress={() => {}}>
+            <Text style={styles.sheetTitle}>Skift familie</Text>
+            {families.map((family) => {
+              const isActive = family.id === activeFamilyId;
+              return (
+                <Pressable
+                  key={family.id}
+                  onPress={() => handleSelect(family)}
+                  style={[styles.option, isActive ? styles.optionActive : null]}
+                  accessibilityRole="button"
+                  accessibilityState={{ selected: isActive }}
+                >
+                  <View style={styles.optionTextWrapper}>
+                    <Text style={styles.optionName}>{family.name}</Text>
+                    <Text style={styles.optionRole}>
+                      {getFamilyRoleLabel(family.role)}
+                    </Text>
+                  </View>
+                  {switchingId === family.id ? (
+                    <ActivityIndicator color={colors.primary} />
+                  ) : isActive ? (
+                    <Ionicons
+                      name="checkmark-circle"
+                      size={20}
+                      color={colors.primary}
+                    />
+                  ) : null}
+                </Pressable>
+              );
+            })}
+            {error ? <Text style={styles.errorText}>{error}</Text> : null}
+          </Pressable>
+        </Pressable>
+      </Modal>
+    </View>
+  );
+};
+
+export default FamilySwitcher;
@@ -0,0 +1,157 @@
+/**
+ * FederatedSignInButtons
+ *
+ * - Knapper til "Fortsæt med Google" og "Fortsæt med Apple" på LoginScreen og SignupScreen.
+ * - Google vises kun, når der er et klient-ID til platformen; Apple kun på iOS-enheder
+ *   der understøtter det. Er ingen af dem tilgængelige, vises intet.
+ * - Selve login og kontoforbindelse ligger i utils/federatedAuth.
+ *
+ * @param {Object} props - Komponentens props.
+ * @param {() => Promise<void>} [props.beforeSignIn] - Køres før login (fx "Husk mig").
+ * @param {(error: Error) => void} props.onError - Kaldes når login fejler.
+ * @param {boolean} [props.disabled] - Deaktiverer knapperne, fx mens e-mail-login kører.
+ */
+import React, { useEffect, useRef, useState } from 'react';
+import { ActivityIndicator, Pressable, Text, View } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import * as AppleAuthentication from 'expo-apple-authentication';
+import * as Google from 'expo-auth-session/providers/google';
+import * as WebBrowser from 'expo-web-browser';
+
+import { colors, radius } from '../styles/theme';
+import styles from '../styles/components/FederatedSignInButtonsStyles';
+import {
+  getGoogleClientIds,
+  isAppleSignInAvailableAsync,
+  isGoogleSignInConfigured,
+  signInWithAppleAsync,
+  signInWithGoogleIdTokenAsync,
+} from '../utils/federatedAuth';
+
+// Lukker browser-vinduet, når Google sender brugeren tilbage til appen.
+WebBrowser.maybeCompleteAuthSession();
+
+/**
+ * GOOGLE-KNAP
+ *
+ * Egen komponent, fordi useIdTokenAuthRequest kaster uden klient-ID og derfor kun
+ * må kaldes, når Google er sat op.
+ */
+const GoogleSignInButton = ({ disabled, onSignIn }) => {
+  const [request, response, promptAsync] =
+    Google.useIdTokenAuthRequest(getGoogleClientIds());
+
+  // Parent-skærmen giver en ny onSignIn ved hver render; samme svar bruges kun én gang.
+  const handledResponseRef = useRef(null);
+
+  useEffect(() => {
+    if (
+      response?.type !== 'success' ||
+      handledResponseRef.current === response
+    ) {
+      return;
+    }
+    handledResponseRef.current = response;
+    const idToken =
+      response.params?.id_token ?? response.authentication?.idToken;
+    if (idToken) {
+      onSignIn(() => signInWithGoogleIdTokenAsync(idToken));
+    }
+  }, [onSignIn, response]);
+
+  const isDisabled = disabled || !request;
+
+  return (
+    <Pressable
+      onPress={() => promptAsync()}
+      disabled={isDisabled}
+      accessibilityRole="button"
+      style={({ pressed }) => [
+        styles.googleButton,
+        pressed ? styles.googleButtonPressed : null,
+        isDisabled ? styles.buttonDisabled : null,
+      ]}
+    >
+      <Ionicons name="logo-google" size={18} color={colors.text} />
+      <Text style={styles.googleButtonText}>Fortsæt med Google</Text>
+    </Pressable>
+  );
+};
+
+const FederatedSignInButtons = ({ beforeSignIn, onError, disabled }) => {
+  const [appleAvailable, setAppleAvailable] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const googleAvailable = isGoogleSignInConfigured();
+
+  useEffect(() => {
+    let active = true;
+    isAppleSignInAvailableAsync().then((available) => {
+      if (active) {
+        setAppleAvailable(available);
+      }
+    });
+    return () => {
+      active = false;
+    };
+  }, []);
+
+  /**
+   * KØR LOGIN
+   *
+   * Fælles indpakning: "Husk mig" først, så login, og fejl sendes til skærmen.
+   * Ved succes overtager RootNavigator som ved e-mail-login.
+   */
+  const runSignIn = async (signIn) => {
+    setBusy(true);
+    try {
+      if (beforeSignIn) {
+        await beforeSignIn();
+      }
+      await signIn();
+    } catch (error) {
+      onError(error);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (!googleAvailable && !appleAvailable) {
+    return null;
+  }
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.dividerRow}>
+        <View style={styles.dividerLine} />
+        <Text style={styles.dividerText}>eller</Text>
+        <View style={styles.dividerLine} />
+      </View>
+
+      {appleAvailable ? (
+        <AppleAuthentication.AppleAuthenticationButton
+          buttonType={
+            AppleAuthentication.AppleAuthenticationButtonType.CONTINUE
+          }
+          buttonStyle={AppleAuthentication.AppleAuthenticationButtonStyle.BLACK}
+          cornerRadius={radius.md}
+          style={styles.appleButton}
+          onPress={() => {
+            if (!busy && !disabled) {
+              runSignIn(signInWithAppleAsync);
+            }
+          }}
+        />
+      ) : null}
+
+      {googleAvailable ? (
+        <GoogleSignInButton disabled={busy || disabled} onSignIn={runSignIn} />
+      ) : null}
+
+      {busy ? (
+        <ActivityIndicator color={colors.primary} style={styles.spinner} />
+      ) : null}
+    </View>
+  );
+};
+
+export default FederatedSignInButtons;
@@ -0,0 +1,91 @@
+/**
+ * QrCodeScanner
+ *
+ * - Modal med kameraet, der læser én QR-kode og giver teksten til onScanned.
+ * - Spørger om kameraadgang første gang; afslås den, vises en forklaring.
+ * - Bruges i FamilySetupScreen til at scanne invitationskoder (famtime://join/{kode}).
+ */
+import React, { useEffect, useRef } from 'react';
+import { Modal, Pressable, Text, View } from 'react-native';
+import { CameraView, useCameraPermissions } from 'expo-camera';
+
+import Button from './Button';
+import styles from '../styles/components/QrCodeScannerStyles';
+
+const QrCodeScanner = ({ visible, onScanned, onClose }) => {
+  const [permission, requestPermission] = useCameraPermissions();
+  // Kameraet melder samme kode mange gange i træk; kun den første bruges.
+  const handledRef = useRef(false);
+
+  useEffect(() => {
+    if (!visible) {
+      return;
+    }
+    handledRef.current = false;
+    if (permission && !permission.granted && permission.canAskAgain) {
+      requestPermission();
+    }
+  }, [visible, permission, requestPermission]);
+
+  const handleBarcodeScanned = ({ data }) => {
+    if (handledRef.current || typeof data !== 'string') {
+      return;
+    }
+    handledRef.current = true;
+    onScanned(data);
+  };
+
+  const renderContent = () => {
+    if (!permission) {
+      return <Text style={styles.infoText}>Åbner kameraet...</Text>;
+    }
+    if (!permission.granted) {
+      return (
+        <>
+          <Text style={styles.infoText}>
+            FamTime skal have adgang til kameraet for at scanne koden. Du kan
+            give adgang i telefonens indstillinger eller taste koden selv.
+          </Text>
+          {permission.canAskAgain ? (
+            <Button title="Giv adgang" onPress={requestPermission} />
+          ) : null}
+        </>
+      );
+    }
+    return (
+      <View style={styles.cameraFrame}>
+        <CameraView
+          style={styles.camera}
+          facing="back"
+          barcodeScannerSettings={{ barcodeTypes: ['qr'] }}
+          onBarcodeScanned={handleBarcodeScanned}
+        />
+      </View>
+    );
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      transparent
+      onRequestClose={onClose}
+    >
+      <View style={styles.backdrop}>
+        <View style={styles.sheet}>
+          <Text style={styles.title}>Scan invitationskode</Text>
+          {renderContent()}
+          <Pressable
+            onPress={onClose}
+            style={styles.closeButton}
+            accessibilityRole="button"
+          >
+            <Text style={styles.closeText}>Luk</Text>
+          </Pressable>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+export default QrCodeScanner;
@@ -0,0 +1,32 @@
+/**
+ * Valgmuligheder for påmindelser før bekræftede familiebegivenheder.
+ * Brugerens valg gemmes som minutter på users/{uid}.eventReminderMinutes;
+ * mangler feltet, bruges DEFAULT_EVENT_REMINDER_MINUTES. En tom liste slår påmindelser fra.
+ */
+export const EVENT_REMINDER_CHANNEL = 'event-reminders';
+
+export const EVENT_REMINDER_OPTIONS = [
+  { minutes: 15, label: '15 min før', relativeLabel: 'om 15 minutter' },
+  { minutes: 60, label: '1 time før', relativeLabel: 'om 1 time' },
+  { minutes: 180, label: '3 timer før', relativeLabel: 'om 3 timer' },
+  { minutes: 1440, label: '1 dag før', relativeLabel: 'i morgen' },
+  { minutes: 2880, label: '2 dage før', relativeLabel: 'om 2 dage' },
+];
+
+export const DEFAULT_EVENT_REMINDER_MINUTES = [1440, 60];
+
+const VALID_REMINDER_MINUTES = new Set(
+  EVENT_REMINDER_OPTIONS.map((option) => option.minutes)
+);
+
+export const normalizeEventReminderMinutes = (value) => {
+  if (!Array.isArray(value)) {
+    return DEFAULT_EVENT_REMINDER_MINUTES;
+  }
+  return Array.from(
+    new Set(value.filter((minutes) => VALID_REMINDER_MINUTES.has(minutes)))
+  ).sort((a, b) => b - a);
+};
+
+export const getEventReminderOption = (minutes) =>
+  EVENT_REMINDER_OPTIONS.find((option) => option.minutes === minutes) ?? null;
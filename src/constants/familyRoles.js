@@ -0,0 +1,136 @@
+/**
+ * Roller i en familie og hvad hver rolle må.
+ *
+ * Laeseguide:
+ * - Rollen står i families/{id}.memberRoles[uid], som kun administratoren skriver.
+ *   Ejeren (ownerId) er altid administrator; uden memberRoles-post er man voksen.
+ *   members[].role læses ikke, så appen og firestore.rules altid giver samme rolle.
+ * - FAMILY_PERMISSIONS er matricen, som skærmene spørger via hasFamilyPermission.
+ *   firebase/firestore.rules håndhæver de samme regler.
+ */
+export const FAMILY_ROLES = {
+  ADMIN: 'admin',
+  CO_ADMIN: 'co-admin',
+  ADULT: 'adult',
+  CHILD: 'child',
+  GUEST: 'guest',
+};
+
+export const FAMILY_ROLE_LABELS = {
+  [FAMILY_ROLES.ADMIN]: 'Administrator',
+  [FAMILY_ROLES.CO_ADMIN]: 'Medadministrator',
+  [FAMILY_ROLES.ADULT]: 'Voksen',
+  [FAMILY_ROLES.CHILD]: 'Barn',
+  [FAMILY_ROLES.GUEST]: 'Gæst',
+};
+
+// Roller administratoren kan give et medlem; administrator gives ved overdragelse.
+export const ASSIGNABLE_FAMILY_ROLES = [
+  FAMILY_ROLES.CO_ADMIN,
+  FAMILY_ROLES.ADULT,
+  FAMILY_ROLES.CHILD,
+  FAMILY_ROLES.GUEST,
+];
+
+export const FAMILY_PERMISSIONS = {
+  // Se alle familiens begivenheder (gæster ser kun dem, de er inviteret til).
+  VIEW_ALL_EVENTS: 'viewAllEvents',
+  // Oprette begivenheder og foreslå ændringer.
+  PROPOSE_EVENTS: 'proposeEvents',
+  // Foreslå aflysning og slette egne begivenheder.
+  CANCEL_EVENTS: 'cancelEvents',
+  // Aflyse enhver begivenhed for hele familien med det samme.
+  CANCEL_ANY_EVENT: 'cancelAnyEvent',
+  APPROVE_JOIN_REQUESTS: 'approveJoinRequests',
+  REMOVE_MEMBERS: 'removeMembers',
+  // Oprette og rette børneprofiler uden login (se utils/childProfiles).
+  MANAGE_CHILD_PROFILES: 'manageChildProfiles',
+  // Se familiens aktivitetslog (se utils/familyActivity).
+  VIEW_ACTIVITY_LOG: 'viewActivityLog',
+  // Lave et nyt kalender-abonnementslink, så det gamle holder op med at virke.
+  ROTATE_CALENDAR_FEED: 'rotateCalendarFeed',
+  // Skifte roller, overdrage administratorrollen og slette familien.
+  MANAGE_FAMILY: 'manageFamily',
+};
+
+const ROLE_PERMISSIONS = {
+  [FAMILY_ROLES.ADMIN]: Object.values(FAMILY_PERMISSIONS),
+  [FAMILY_ROLES.CO_ADMIN]: [
+    FAMILY_PERMISSIONS.VIEW_ALL_EVENTS,
+    FAMILY_PERMISSIONS.PROPOSE_EVENTS,
+    FAMILY_PERMISSIONS.CANCEL_EVENTS,
+    FAMILY_PERMISSIONS.CANCEL_ANY_EVENT,
+    FAMILY_PERMISSIONS.APPROVE_JOIN_REQUESTS,
+    FAMILY_PERMISSIONS.REMOVE_MEMBERS,
+    FAMILY_PERMISSIONS.MANAGE_CHILD_PROFILES,
+    FAMILY_PERMISSIONS.VIEW_ACTIVITY_LOG,
+    FAMILY_PERMISSIONS.ROTATE_CALENDAR_FEED,
+  ],
+  [FAMILY_ROLES.ADULT]: [
+    FAMILY_PERMISSIONS.VIEW_ALL_EVENTS,
+    FAMILY_PERMISSIONS.PROPOSE_EVENTS,
+    FAMILY_PERMISSIONS.CANCEL_EVENTS,
+    FAMILY_PERMISSIONS.MANAGE_CHILD_PROFILES,
+    FAMILY_PERMISSIONS.VIEW_ACTIVITY_LOG,
+  ],
+  [FAMILY_ROLES.CHILD]: [
+    FAMILY_PERMISSIONS.VIEW_ALL_EVENTS,
+    FAMILY_PERMISSIONS.PROPOSE_EVENTS,
+  ],
+  [FAMILY_ROLES.GUEST]: [],
+};
+
+export const normalizeFamilyRole = (value) => {
+  const role = typeof value === 'string' ? value.trim().toLowerCase() : '';
+  if (role === 'owner') {
+    return FAMILY_ROLES.ADMIN;
+  }
+  return Object.values(FAMILY_ROLES).includes(role) ? role : FAMILY_ROLES.ADULT;
+};
+
+export const hasFamilyPermission = (role, permission) =>
+  ROLE_PERMISSIONS[normalizeFamilyRole(role)].includes(permission);
+
+// Medadministratorer må ikke fjerne administratoren eller andre medadministratorer.
+export const canRemoveFamilyMember = (actorRole, targetRole) => {
+  const actor = normalizeFamilyRole(actorRole);
+  const target = normalizeFamilyRole(targetRole);
+  if (!hasFamilyPermission(actor, FAMILY_PERMISSIONS.REMOVE_MEMBERS)) {
+    return false;
+  }
+  if (target === FAMILY_ROLES.ADMIN) {
+    return false;
+  }
+  return actor === FAMILY_ROLES.ADMIN || target !== FAMILY_ROLES.CO_ADMIN;
+};
+
+/**
+ * ROLLE I FAMILIEN
+ *
+ * familyData er families/{id}-dokumentet. Rækkefølge: ejer, memberRoles, ellers
+ * voksen, ligesom roleIn i firebase/firestore.rules.
+ */
+export const getFamilyMemberRole = (familyData, userId) => {
+  if (!userId) {
+    return FAMILY_ROLES.ADULT;
+  }
+  if (familyData?.ownerId && familyData.ownerId === userId) {
+    return FAMILY_ROLES.ADMIN;
+  }
+  const storedRole = normalizeFamilyRole(familyData?.memberRoles?.[userId]);
+  // Kun ejeren er administrator, også hvis memberRoles siger andet.
+  return storedRole === FAMILY_ROLES.ADMIN ? FAMILY_ROLES.ADULT : storedRole;
+};
+
+export const getFamilyRoleLabel = (role) =>
+  FAMILY_ROLE_LABELS[normalizeFamilyRole(role)];
+
+/**
+ * GODKENDERE
+ *
+ * Gæster godkender ikke familiens begivenheder; alle andre medlemmer gør.
+ */
+export const getEventApproverIds = (familyData, memberIds) =>
+  (Array.isArray(memberIds) ? memberIds : []).filter(
+    (id) => getFamilyMemberRole(familyData, id) !== FAMILY_ROLES.GUEST
+  );
@@ -0,0 +1,57 @@
+/**
+ * BØRNEPROFILER HOOK
+ *
+ * Lytter på families/{familyId}/children og giver profilerne som [{ id, ...data }]
+ * sorteret efter navn (se utils/childProfiles). Gæster kan ikke læse profilerne og
+ * får en tom liste.
+ *
+ * Eksempel på brug:
+ *   const { children } = useChildProfiles(familyId);
+ *   const { calendars } = buildChildAvailabilityInputs(children);
+ */
+import { useEffect, useState } from 'react';
+
+import { db } from '../lib/firebase';
+import { getChildDisplayName } from '../utils/childProfiles';
+
+const useChildProfiles = (familyId) => {
+  const [children, setChildren] = useState([]);
+  const [loading, setLoading] = useState(Boolean(familyId));
+
+  useEffect(() => {
+    if (!familyId) {
+      setChildren([]);
+      setLoading(false);
+      return undefined;
+    }
+
+    setLoading(true);
+    return db
+      .collection('families')
+      .doc(familyId)
+      .collection('children')
+      .onSnapshot(
+        (snapshot) => {
+          setChildren(
+            snapshot.docs
+              .map((doc) => ({ id: doc.id, ...doc.data() }))
+              .sort((a, b) =>
+                getChildDisplayName(a).localeCompare(
+                  getChildDisplayName(b),
+                  'da'
+                )
+              )
+          );
+          setLoading(false);
+        },
+        () => {
+          setChildren([]);
+          setLoading(false);
+        }
+      );
+  }, [familyId]);
+
+  return { children, loading };
+};
+
+export default useChildProfiles;
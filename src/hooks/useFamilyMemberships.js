@@ -0,0 +1,116 @@
+/**
+ * FAMILIE-MEDLEMSKABER HOOK
+ *
+ * Giver den loggede brugers familier og den aktive familie (se utils/familyMemberships).
+ * Den aktive familyId hentes også direkte, så den vises, selv om forespørgslen
+ * på memberIds endnu ikke har svaret.
+ *
+ * Eksempel på brug:
+ *   const { families, activeFamilyId, switchFamily } = useFamilyMemberships();
+ *   await switchFamily(families[1]);
+ */
+import { useCallback, useEffect, useMemo, useState } from 'react';
+
+import { auth, db } from '../lib/firebase';
+import {
+  loadFamilyMembershipAsync,
+  subscribeToFamilyMemberships,
+  switchActiveFamilyAsync,
+} from '../utils/familyMemberships';
+
+const useFamilyMemberships = () => {
+  const userId = auth.currentUser?.uid ?? null;
+  const [queriedFamilies, setQueriedFamilies] = useState([]);
+  const [legacyFamily, setLegacyFamily] = useState(null);
+  const [legacyCheckedId, setLegacyCheckedId] = useState(null);
+  const [activeFamilyId, setActiveFamilyId] = useState(null);
+  const [familiesLoaded, setFamiliesLoaded] = useState(false);
+  const [userLoaded, setUserLoaded] = useState(false);
+
+  useEffect(() => {
+    if (!userId) {
+      return undefined;
+    }
+    return subscribeToFamilyMemberships(
+      userId,
+      (families) => {
+        setQueriedFamilies(families);
+        setFamiliesLoaded(true);
+      },
+      () => setFamiliesLoaded(true)
+    );
+  }, [userId]);
+
+  useEffect(() => {
+    if (!userId) {
+      return undefined;
+    }
+    return db
+      .collection('users')
+      .doc(userId)
+      .onSnapshot(
+        (snapshot) => {
+          const familyId = snapshot.data()?.familyId;
+          setActiveFamilyId(
+            typeof familyId === 'string' && familyId ? familyId : null
+          );
+          setUserLoaded(true);
+        },
+        () => setUserLoaded(true)
+      );
+  }, [userId]);
+
+  const activeIsQueried = queriedFamilies.some(
+    (family) => family.id === activeFamilyId
+  );
+
+  useEffect(() => {
+    if (!userId || !activeFamilyId || !familiesLoaded || activeIsQueried) {
+      setLegacyFamily(null);
+      return undefined;
+    }
+    let active = true;
+    loadFamilyMembershipAsync(activeFamilyId, userId).then((family) => {
+      if (active) {
+        setLegacyFamily(family);
+        setLegacyCheckedId(activeFamilyId);
+      }
+    });
+    return () => {
+      active = false;
+    };
+  }, [userId, activeFamilyId, familiesLoaded, activeIsQueried]);
+
+  // Den aktive familie regnes først som manglende, når den også er hentet direkte.
+  const legacyPending =
+    Boolean(activeFamilyId) &&
+    !activeIsQueried &&
+    legacyCheckedId !== activeFamilyId;
+
+  const families = useMemo(
+    () =>
+      legacyFamily && legacyFamily.id === activeFamilyId && !activeIsQueried
+        ? [legacyFamily, ...queriedFamilies]
+        : queriedFamilies,
+    [legacyFamily, queriedFamilies, activeFamilyId, activeIsQueried]
+  );
+
+  const switchFamily = useCallback(
+    async (family) => {
+      if (!userId || !family?.id || family.id === activeFamilyId) {
+        return;
+      }
+      await switchActiveFamilyAsync(userId, family);
+    },
+    [userId, activeFamilyId]
+  );
+
+  return {
+    families,
+    activeFamilyId,
+    loading: !familiesLoaded || !userLoaded || legacyPending,
+    switchFamily,
+  };
+};
+
+export default useFamilyMemberships;
@@ -0,0 +1,46 @@
+/**
+ * OPTAGET TID FRA ANDRE FAMILIER HOOK
+ *
+ * Giver den loggede brugers bekræftede begivenheder i alle familier undtagen den
+ * aktive som busy-intervaller, så de også blokerer forslag i den aktive familie.
+ *
+ * Eksempel på brug:
+ *   const otherFamiliesBusy = useOtherFamiliesBusy(familyId);
+ *   const busy = mergeBusyIntervals(ownBusy, otherFamiliesBusy);
+ */
+import { useEffect, useMemo, useState } from 'react';
+
+import { auth } from '../lib/firebase';
+import useFamilyMemberships from './useFamilyMemberships';
+import { subscribeToFamiliesBusy } from '../utils/familyMemberships';
+
+const useOtherFamiliesBusy = (activeFamilyId) => {
+  const userId = auth.currentUser?.uid ?? null;
+  const { families } = useFamilyMemberships();
+  const [busy, setBusy] = useState([]);
+
+  // Stabil nøgle, så lytterne kun genstartes, når familierne eller rollerne ændrer sig.
+  const otherFamilyKey = useMemo(
+    () =>
+      families
+        .filter((family) => family.id !== activeFamilyId)
+        .map((family) => `${family.id}:${family.role}`)
+        .sort()
+        .join('|'),
+    [families, activeFamilyId]
+  );
+
+  useEffect(() => {
+    const otherFamilies = otherFamilyKey
+      ? otherFamilyKey.split('|').map((entry) => {
+          const [id, role] = entry.split(':');
+          return { id, role };
+        })
+      : [];
+    return subscribeToFamiliesBusy(otherFamilies, userId, setBusy);
+  }, [otherFamilyKey, userId]);
+
+  return busy;
+};
+
+export default useOtherFamiliesBusy;
@@ -0,0 +1,28 @@
+/**
+ * OUTBOX HOOK
+ *
+ * Giver skærmene de skrivninger, der stadig venter på forbindelse (se utils/writeOutbox),
+ * så kortene kan vise "venter på forbindelse".
+ *
+ * Eksempel på brug:
+ *   const { pendingTargetIds } = useOutboxEntries();
+ *   const waiting = pendingTargetIds.has(event.id);
+ */
+import { useEffect, useMemo, useState } from 'react';
+
+import { subscribeToOutbox } from '../utils/writeOutbox';
+
+const useOutboxEntries = () => {
+  const [entries, setEntries] = useState([]);
+
+  useEffect(() => subscribeToOutbox(setEntries), []);
+
+  const pendingTargetIds = useMemo(
+    () => new Set(entries.map((entry) => entry.targetId).filter(Boolean)),
+    [entries]
+  );
+
+  return { entries, pendingTargetIds };
+};
+
+export default useOutboxEntries;
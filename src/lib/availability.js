@@ -8,6 +8,15 @@
  * 4. Find fællesmængden (intersect) af alle lister med ledige intervaller for at opnå fælles tilgængelighedsvinduer. (freeIntervalSets)
  * 5. Opdel de fælles vinduer i konkrete forslag, slots, der overholder min/max varighed og maxSuggestionDaysPerWeek. (candidateSlots)
  * 6. Vores regler som buffer (expandIntervalWithBuffer + clampWindowsToQuietHours)
+ * 7. Scor og rangér slots, så de bedste tider kommer først. (scoreSlot + rankSlotsByScore)
+ *
+ * Quorum-tilstand: angives `quorum: { minAttendees, requiredUserIds }`, erstattes
+ * fællesmængden i trin 4 af tidsrum hvor nok medlemmer er ledige. (buildQuorumFreeIntervals)
+ * Hvert slot fortæller altid hvem der er ledige (availableUserIds/unavailableUserIds).
+ *
+ * Diagnostik: resultatet har altid `diagnostics` med det trin der fjernede alle
+ * slots (stage), antal pr. trin og - hvis muligt - det medlem hvis præferencer
+ * eller optagede tid var mest begrænsende. (AVAILABILITY_DIAGNOSTIC_STAGES)
  *
  * Al datoberegning sker som standard i UTC. Hvis en timeZone angives, benytter vi
  * Intl.DateTimeFormat til at hente tidsforskelle for den pågældende zone, så miljøet skal understøtte dette.
@@ -15,7 +24,7 @@
  * Læseguide:
  * - Input: Optaget-intervaller og præferencer (dage/vinduer, min/max varighed) pr. bruger.
  * - Flow: Normaliser input → find frie intervaller → find overlap → skær til konkrete slots.
- * - Output: Slots + metadata til forslag i UI.
+ * - Output: Slots (sorteret efter score, med scoreBreakdown) + metadata til forslag i UI.
  */
 
 const MS_PER_MINUTE = 60 * 1000;
@@ -33,6 +42,22 @@ const WEEKEND_DAY_SET = new Set(['Fri', 'Sat', 'Sun']);
 const MAX_WEEKDAY_DURATION_MINUTES = 180;
 const MIN_WEEKEND_DURATION_MINUTES = 120;
 const MAX_WINDOW_OVERRUN_MINUTES = 30;
+// Vægte for de enkelte scoringskriterier (summerer til 1).
+const SLOT_SCORE_WEIGHTS = {
+  duration: 0.35,
+  busyDistance: 0.25,
+  preferredDay: 0.2,
+  timeOfDay: 0.2,
+};
+// Afstand til nærmeste optagede tid, hvor et slot regnes som helt "luftigt".
+const BUSY_EDGE_COMFORT_MINUTES = 60;
+// Pseudo-bruger til fælles blokeringer (globalBusyIntervals).
+const GROUP_CALENDAR_ID = '__group__';
+const TIME_OF_DAY_BANDS = {
+  morning: { start: 6 * 60, end: 12 * 60 },
+  afternoon: { start: 12 * 60, end: 17 * 60 },
+  evening: { start: 17 * 60, end: 23 * 60 + 59 },
+};
 
 const WEEKDAY_ORDER = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
 const WEEKDAY_KEY_SET = new Set(WEEKDAY_ORDER);
@@ -1202,6 +1227,245 @@ const enforceWindowOverrunLimit = (slots, constraints) => {
   });
 };
 
+/**
+ * SCORING AF SLOTS
+ *
+ * Hvert kandidat-slot får en score mellem 0 og 1 og et breakdown pr. kriterie:
+ * - duration: hvor tæt varigheden ligger på preferredDurationMinutes.
+ * - busyDistance: afstand til nærmeste optagede tid før eller efter slottet.
+ * - preferredDay: andel af medlemmerne der foretrækker ugedagen.
+ * - timeOfDay: hvor godt tidspunktet rammer hvert medlems tidspunkt/tidsvinduer.
+ *
+ * Kriterier uden data (fx ingen medlemmer med foretrukne dage) giver fuld
+ * score, så de ikke trækker ned i rangeringen. Til sidst ganges med
+ * attendance (andel ledige medlemmer), som kun er under 1 i quorum-tilstand.
+ */
+const normalizeTimeOfDayKey = (value) => {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const normalized = value.trim().toLowerCase();
+  return TIME_OF_DAY_BANDS[normalized] ? normalized : null;
+};
+
+const roundScore = (value) => Math.round(value * 1000) / 1000;
+
+const averageScore = (values) =>
+  values.length
+    ? values.reduce((sum, value) => sum + value, 0) / values.length
+    : 1;
+
+const minuteOverlapRatio = (startMinute, endMinute, windows) => {
+  const length = endMinute - startMinute;
+  if (!Number.isFinite(length) || length <= 0) {
+    return 0;
+  }
+  const covered = windows.reduce(
+    (sum, window) =>
+      sum +
+      Math.max(
+        0,
+        Math.min(endMinute, window.end) - Math.max(startMinute, window.start)
+      ),
+    0
+  );
+  return clamp(covered / length, 0, 1);
+};
+
+const getBusyDistanceMinutes = (slot, busyIntervals) => {
+  const slotStart = slot.start.getTime();
+  const slotEnd = slot.end.getTime();
+  let distance = Number.POSITIVE_INFINITY;
+  busyIntervals.forEach((interval) => {
+    if (interval.end.getTime() <= slotStart) {
+      distance = Math.min(distance, slotStart - interval.end.getTime());
+    } else if (interval.start.getTime() >= slotEnd) {
+      distance = Math.min(distance, interval.start.getTime() - slotEnd);
+    }
+  });
+  return distance / MS_PER_MINUTE;
+};
+
+const buildMemberScoringProfiles = (calendars) =>
+  calendars
+    .filter((calendar) => calendar.userId !== GROUP_CALENDAR_ID)
+    .map((calendar) => {
+      const prefs = calendar.preferences ?? {};
+      const preferredDays =
+        normalizeWeekdayList(prefs.preferredWeekdays) ??
+        normalizeWeekdayList(prefs.allowedWeekdays);
+      const timeWindows = collectExplicitTimeWindows(prefs.timeWindows);
+      return {
+        userId: calendar.userId,
+        preferredDays: preferredDays ? new Set(preferredDays) : null,
+        timeWindows: timeWindows.size ? timeWindows : null,
+        timeOfDay: normalizeTimeOfDayKey(prefs.preferredTimeOfDay),
+      };
+    });
+
+const scoreSlot = (slot, context) => {
+  const { preferredDurationMinutes, busyIntervals, members, timeZone } =
+    context;
+  const attendance =
+    Array.isArray(slot.availableUserIds) && members.length
+      ? clamp(slot.availableUserIds.length / members.length, 0, 1)
+      : 1;
+  const durationMinutes = Number.isFinite(slot.durationMinutes)
+    ? slot.durationMinutes
+    : (slot.end.getTime() - slot.start.getTime()) / MS_PER_MINUTE;
+
+  const duration =
+    Number.isFinite(preferredDurationMinutes) && preferredDurationMinutes > 0
+      ? preferredDurationMinutes /
+        (preferredDurationMinutes +
+          Math.abs(durationMinutes - preferredDurationMinutes))
+      : 1;
+
+  const busyDistanceMinutes = getBusyDistanceMinutes(slot, busyIntervals);
+  const busyDistance = Number.isFinite(busyDistanceMinutes)
+    ? clamp(busyDistanceMinutes / BUSY_EDGE_COMFORT_MINUTES, 0, 1)
+    : 1;
+
+  const preferredDay = averageScore(
+    members
+      .filter((member) => member.preferredDays)
+      .map((member) => (member.preferredDays.has(slot.dayKey) ? 1 : 0))
+  );
+
+  // Et eksplicit ønsket tidspunkt (morgen/eftermiddag/aften) vejer tungere end tidsvinduer.
+  const startMinute = minuteOfDayFromParts(getZonedParts(slot.start, timeZone));
+  const endMinute = startMinute + durationMinutes;
+  const timeOfDay = averageScore(
+    members
+      .map((member) => {
+        if (member.timeOfDay) {
+          return minuteOverlapRatio(startMinute, endMinute, [
+            TIME_OF_DAY_BANDS[member.timeOfDay],
+          ]);
+        }
+        const dayWindows = member.timeWindows?.get(slot.dayKey);
+        if (dayWindows && dayWindows.length) {
+          return minuteOverlapRatio(startMinute, endMinute, dayWindows);
+        }
+        return null;
+      })
+      .filter((value) => value !== null)
+  );
+
+  const scoreBreakdown = {
+    duration: roundScore(duration),
+    busyDistance: roundScore(busyDistance),
+    preferredDay: roundScore(preferredDay),
+    timeOfDay: roundScore(timeOfDay),
+    attendance: roundScore(attendance),
+  };
+  const score =
+    Object.keys(SLOT_SCORE_WEIGHTS).reduce(
+      (sum, key) => sum + scoreBreakdown[key] * SLOT_SCORE_WEIGHTS[key],
+      0
+    ) * attendance;
+
+  return { ...slot, score: roundScore(score), scoreBreakdown };
+};
+
+/**
+ * QUORUM - NOK LEDIGE I STEDET FOR ALLE
+ *
+ * normalizeQuorum: Rens quorum-input. Returnerer null hvis kravet svarer til
+ * at alle skal være ledige (så bruges den almindelige fællesmængde).
+ * buildQuorumFreeIntervals: Del perioden op ved alle busy-kanter og behold de
+ * stykker hvor mindst minAttendees - inkl. alle requiredUserIds - er ledige.
+ */
+const normalizeQuorum = (quorum, memberIds) => {
+  if (!quorum || typeof quorum !== 'object' || !memberIds.length) {
+    return null;
+  }
+  const memberSet = new Set(memberIds);
+  const requiredUserIds = Array.isArray(quorum.requiredUserIds)
+    ? Array.from(
+        new Set(quorum.requiredUserIds.filter((id) => memberSet.has(id)))
+      )
+    : [];
+  const requestedMin = Number.isFinite(quorum.minAttendees)
+    ? Math.floor(quorum.minAttendees)
+    : requiredUserIds.length;
+  const minAttendees = clamp(
+    Math.max(requestedMin, requiredUserIds.length, 1),
+    1,
+    memberIds.length
+  );
+  if (minAttendees >= memberIds.length) {
+    return null;
+  }
+  return { minAttendees, requiredUserIds };
+};
+
+const getFreeUserIdsForInterval = (interval, calendars) =>
+  calendars
+    .filter(
+      (calendar) =>
+        !calendar.busy.some(
+          (busy) => busy.start < interval.end && busy.end > interval.start
+        )
+    )
+    .map((calendar) => calendar.userId);
+
+const meetsQuorum = (freeUserIds, quorum) =>
+  freeUserIds.length >= quorum.minAttendees &&
+  quorum.requiredUserIds.every((userId) => freeUserIds.includes(userId));
+
+const buildQuorumFreeIntervals = (calendars, quorum, rangeStart, rangeEnd) => {
+  const boundaries = new Set([rangeStart.getTime(), rangeEnd.getTime()]);
+  calendars.forEach((calendar) => {
+    calendar.busy.forEach((interval) => {
+      boundaries.add(interval.start.getTime());
+      boundaries.add(interval.end.getTime());
+    });
+  });
+  const points = Array.from(boundaries)
+    .filter(
+      (time) => time >= rangeStart.getTime() && time <= rangeEnd.getTime()
+    )
+    .sort((a, b) => a - b);
+
+  const segments = [];
+  for (let index = 0; index < points.length - 1; index += 1) {
+    const segment = {
+      start: new Date(points[index]),
+      end: new Date(points[index + 1]),
+    };
+    if (meetsQuorum(getFreeUserIdsForInterval(segment, calendars), quorum)) {
+      segments.push(segment);
+    }
+  }
+  return sortAndMergeDateIntervals(segments);
+};
+
+/**
+ * STANDARD-QUORUM TIL FALLBACK
+ *
+ * Bruges af skærmene når ingen tider passer alle: alle på nær én skal kunne,
+ * og de angivne brugere (typisk den aktuelle bruger) skal altid være ledige.
+ * Returnerer null for familier på to eller færre, hvor det ikke giver mening.
+ */
+export const buildFallbackQuorum = ({ memberCount, requiredUserIds = [] }) => {
+  if (!Number.isFinite(memberCount) || memberCount <= 2) {
+    return null;
+  }
+  return {
+    minAttendees: Math.max(2, memberCount - 1),
+    requiredUserIds: requiredUserIds.filter(
+      (userId) => typeof userId === 'string' && userId.length
+    ),
+  };
+};
+
+// Højeste score først; ved lige score vinder det tidligste slot.
+const rankSlotsByScore = (slots) =>
+  [...slots].sort(
+    (a, b) => b.score - a.score || a.start.getTime() - b.start.getTime()
+  );
+
 const extractPreferencesFromEntry = (entry = {}, fallback = {}) => {
   const source = entry.preferences ?? entry;
   const group = fallback || {};
@@ -1224,6 +1488,8 @@ const extractPreferencesFromEntry = (entry = {}, fallback = {}) => {
       source.preferredDurationMinutes ?? group.preferredDurationMinutes ?? null
     ),
     slotStepMinutes: toNumber(source.slotStepMinutes ?? group.slotStepMinutes ?? null),
+    preferredWeekdays: normalizeWeekdayList(source.preferredWeekdays) ?? null,
+    preferredTimeOfDay: normalizeTimeOfDayKey(source.preferredTimeOfDay),
   };
 };
 
@@ -1413,6 +1679,137 @@ const deriveGroupConstraints = ({
   return constraints;
 };
 
+/**
+ * DIAGNOSTIK - HVORFOR BLEV DER INGEN SLOTS?
+ *
+ * stage angiver det trin der fjernede alt:
+ * - weekdays / timeWindows: deriveGroupConstraints fandt ingen fælles dage/vinduer.
+ * - commonFree: ingen tid hvor alle er ledige.
+ * - dailyWindows: fælles ledig tid ligger uden for dagsvinduerne.
+ * - duration: ledige stykker er kortere end minimumsvarigheden.
+ * - sameDay / overrun / quorum: reglerne i trin 6 fjernede de sidste slots.
+ * weeklyQuota kan ikke tømme listen, men står i limitedBy når den har skåret slots fra.
+ */
+export const AVAILABILITY_DIAGNOSTIC_STAGES = {
+  PERIOD: 'period',
+  WEEKDAYS: 'weekdays',
+  TIME_WINDOWS: 'timeWindows',
+  COMMON_FREE: 'commonFree',
+  DAILY_WINDOWS: 'dailyWindows',
+  DURATION: 'duration',
+  SAME_DAY: 'sameDay',
+  OVERRUN: 'overrun',
+  QUORUM: 'quorum',
+  WEEKLY_QUOTA: 'weeklyQuota',
+};
+
+const sumIntervalMinutes = (intervals) =>
+  intervals.reduce(
+    (sum, interval) =>
+      sum + (interval.end.getTime() - interval.start.getTime()) / MS_PER_MINUTE,
+    0
+  );
+
+const sumWindowMinutes = (windowMap) => {
+  let minutes = 0;
+  windowMap.forEach((windows) => {
+    windows.forEach((window) => {
+      minutes += window.end - window.start;
+    });
+  });
+  return minutes;
+};
+
+// Finder medlemmet med de snævreste præferencer (færrest dage, kortest vinduer eller længst minimum).
+const findMostRestrictivePreferenceMember = (members, stage, allowedDays) => {
+  const ranked = members
+    .map(({ userId, prefs }) => {
+      if (stage === AVAILABILITY_DIAGNOSTIC_STAGES.WEEKDAYS) {
+        const days = normalizeWeekdayList(prefs.allowedWeekdays);
+        return days ? { userId, size: days.length } : null;
+      }
+      if (stage === AVAILABILITY_DIAGNOSTIC_STAGES.DURATION) {
+        return Number.isFinite(prefs.minDurationMinutes)
+          ? { userId, size: -prefs.minDurationMinutes }
+          : null;
+      }
+      const windows = collectExplicitTimeWindows(
+        prefs.timeWindows,
+        allowedDays
+      );
+      return windows.size ? { userId, size: sumWindowMinutes(windows) } : null;
+    })
+    .filter((entry) => Boolean(entry))
+    .sort((a, b) => a.size - b.size);
+  return ranked.length ? { userId: ranked[0].userId, reason: stage } : null;
+};
+
+// Hvem skulle være ledig for at der opstod fælles tid? Prøver at udelade ét medlem ad gangen.
+const findBlockingBusyMember = (calendars, freeIntervalSets, windows) => {
+  let best = null;
+  calendars.forEach((calendar, index) => {
+    if (calendar.userId === GROUP_CALENDAR_ID) {
+      return;
+    }
+    const others = freeIntervalSets.filter(
+      (_, otherIndex) => otherIndex !== index
+    );
+    if (!others.length) {
+      return;
+    }
+    let free = others
+      .slice(1)
+      .reduce(
+        (acc, intervals) => intersectDateIntervalLists(acc, intervals),
+        others[0]
+      );
+    if (windows) {
+      free = intersectFreeWithWindows(free, windows);
+    }
+    const minutes = sumIntervalMinutes(free);
+    if (minutes > 0 && (!best || minutes > best.minutes)) {
+      best = { userId: calendar.userId, minutes };
+    }
+  });
+  return best ? { userId: best.userId, reason: 'busy' } : null;
+};
+
+const diagnoseConstraintFailure = (
+  calendars,
+  groupPreferences,
+  userPreferences
+) => {
+  const members = calendars
+    .filter((calendar) => calendar.userId !== GROUP_CALENDAR_ID)
+    .map((calendar) => ({
+      userId: calendar.userId,
+      prefs: extractPreferencesFromEntry(
+        userPreferences?.[calendar.userId] ?? calendar.preferences,
+        groupPreferences
+      ),
+    }));
+  let allowedDays = normalizeWeekdayList(groupPreferences.allowedWeekdays) ?? [
+    ...WEEKDAY_ORDER,
+  ];
+  members.forEach(({ prefs }) => {
+    const days = normalizeWeekdayList(prefs.allowedWeekdays);
+    if (days && days.length) {
+      allowedDays = intersectWeekdaySets(allowedDays, days);
+    }
+  });
+  const stage = allowedDays.length
+    ? AVAILABILITY_DIAGNOSTIC_STAGES.TIME_WINDOWS
+    : AVAILABILITY_DIAGNOSTIC_STAGES.WEEKDAYS;
+  return {
+    stage,
+    restrictiveMember: findMostRestrictivePreferenceMember(
+      members,
+      stage,
+      allowedDays
+    ),
+  };
+};
+
 export const findMutualAvailability = ({
   calendars = [],
   periodStart,
@@ -1423,6 +1820,7 @@ export const findMutualAvailability = ({
   maxSuggestions = 12,
   defaultSlotDurationMinutes = DEFAULT_SLOT_MINUTES,
   seedKey = '',
+  quorum = null,
 } = {}) => {
   // Hovedfunktion: returnerer faelles ledige tidsslots baseret paa busy tider + praef erencer for alle brugere.
   // Trin-overblik: normaliser kalendere -> beregn constraints -> find frie intervaller -> byg dagsvinduer -> generer/filtrer slots.
@@ -1434,8 +1832,17 @@ export const findMutualAvailability = ({
     ? new Date(periodEnd)
     : addMinutes(planningStart, DEFAULT_LOOKAHEAD_DAYS * MINUTES_PER_DAY);
 
+  // Diagnostik opsamles undervejs og returneres sammen med resultatet.
+  const stageCounts = {};
+  const limitedBy = [];
+  const emptyResult = (constraintsValue, stage, restrictiveMember = null) => ({
+    slots: [],
+    constraints: constraintsValue,
+    diagnostics: { stage, restrictiveMember, stageCounts, limitedBy },
+  });
+
   if (planningEnd <= planningStart) {
-    return { slots: [], constraints: null };
+    return emptyResult(null, AVAILABILITY_DIAGNOSTIC_STAGES.PERIOD);
   }
 
   // 1) Normaliser input og tilfoej buffers omkring busy intervaller.
@@ -1480,7 +1887,7 @@ export const findMutualAvailability = ({
 
   if (auxBusy.length) {
     injectedCalendars.push({
-      userId: '__group__',
+      userId: GROUP_CALENDAR_ID,
       busy: auxBusy,
       preferences: {},
     });
@@ -1501,7 +1908,12 @@ export const findMutualAvailability = ({
   });
 
   if (!constraints) {
-    return { slots: [], constraints: null };
+    const failure = diagnoseConstraintFailure(
+      injectedCalendars,
+      groupPreferences,
+      userPreferences
+    );
+    return emptyResult(null, failure.stage, failure.restrictiveMember);
   }
 
   const referenceParts = getZonedParts(planningStart, constraints.timeZone);
@@ -1520,8 +1932,37 @@ export const findMutualAvailability = ({
     commonFree = intersectDateIntervalLists(commonFree, freeIntervalSets[i]);
   }
 
+  // Quorum-tilstand: fællesmængden erstattes af tidsrum hvor nok medlemmer er ledige.
+  // Fælles blokeringer (globalBusyIntervals) gælder stadig for alle.
+  const memberCalendars = injectedCalendars.filter(
+    (calendar) => calendar.userId !== GROUP_CALENDAR_ID
+  );
+  const memberIds = memberCalendars.map((calendar) => calendar.userId);
+  const quorumSettings = normalizeQuorum(quorum, memberIds);
+  if (quorumSettings) {
+    commonFree = buildQuorumFreeIntervals(
+      memberCalendars,
+      quorumSettings,
+      planningStart,
+      planningEnd
+    );
+    if (auxBusy.length && commonFree.length) {
+      commonFree = intersectDateIntervalLists(
+        commonFree,
+        invertBusyIntervals(auxBusy, planningStart, planningEnd)
+      );
+    }
+  }
+
+  stageCounts.commonFreeMinutes = Math.round(sumIntervalMinutes(commonFree));
   if (!commonFree.length) {
-    return { slots: [], constraints };
+    return emptyResult(
+      constraints,
+      AVAILABILITY_DIAGNOSTIC_STAGES.COMMON_FREE,
+      quorumSettings
+        ? null
+        : findBlockingBusyMember(injectedCalendars, freeIntervalSets, null)
+    );
   }
 
   // 5) Byg dagsvinduer efter præferencer/tidszone og fælles frie vinduer.
@@ -1533,17 +1974,35 @@ export const findMutualAvailability = ({
   });
 
   if (!windows.length) {
-    return { slots: [], constraints };
+    return emptyResult(
+      constraints,
+      AVAILABILITY_DIAGNOSTIC_STAGES.DAILY_WINDOWS
+    );
   }
 
   const eligibleIntervals = intersectFreeWithWindows(commonFree, windows);
+  stageCounts.eligibleIntervals = eligibleIntervals.length;
   if (!eligibleIntervals.length) {
-    return { slots: [], constraints };
+    // Enten er nogen optaget i alle vinduerne, eller også er vinduerne for snævre.
+    const blockingMember = quorumSettings
+      ? null
+      : findBlockingBusyMember(injectedCalendars, freeIntervalSets, windows);
+    return emptyResult(
+      constraints,
+      AVAILABILITY_DIAGNOSTIC_STAGES.DAILY_WINDOWS,
+      blockingMember ??
+        diagnoseConstraintFailure(
+          injectedCalendars,
+          groupPreferences,
+          userPreferences
+        ).restrictiveMember
+    );
   }
 
   // 6) Generer kandidatslots og filtrer efter regler (same-day, overrun, ugekvote).
   // Der laves en variable, hvor vi putter resultattet fra generateCandidateSlots ind
   // August
+  // Hele puljen genereres (ingen tilfældig beskæring) - scoringen i trin 7 vælger de bedste.
   const targetSuggestions = Math.max(1, Math.floor(maxSuggestions ?? 1));
   let candidateSlots = generateCandidateSlots(
     eligibleIntervals,
@@ -1551,25 +2010,88 @@ export const findMutualAvailability = ({
       minDurationMinutes: constraints.minDurationMinutes,
       maxDurationMinutes: constraints.maxDurationMinutes,
     },
-    targetSuggestions * 2,
+    Number.POSITIVE_INFINITY,
     seedKey,
     planningStart
   );
 
+  stageCounts.candidates = candidateSlots.length;
+  if (!candidateSlots.length) {
+    return emptyResult(
+      constraints,
+      AVAILABILITY_DIAGNOSTIC_STAGES.DURATION,
+      findMostRestrictivePreferenceMember(
+        injectedCalendars.map((calendar) => ({
+          userId: calendar.userId,
+          prefs: calendar.preferences,
+        })),
+        AVAILABILITY_DIAGNOSTIC_STAGES.DURATION
+      )
+    );
+  }
+
   //Regler tilføjes fra tidligere funktioner
   candidateSlots = filterSlotsBySameDayRules(candidateSlots, referenceParts, constraints.timeZone);
+  stageCounts.afterSameDay = candidateSlots.length;
+  if (!candidateSlots.length) {
+    return emptyResult(constraints, AVAILABILITY_DIAGNOSTIC_STAGES.SAME_DAY);
+  }
 
   candidateSlots = enforceWindowOverrunLimit(candidateSlots, constraints);
+  stageCounts.afterOverrun = candidateSlots.length;
+  if (!candidateSlots.length) {
+    return emptyResult(constraints, AVAILABILITY_DIAGNOSTIC_STAGES.OVERRUN);
+  }
 
+  // Notér hvem der er ledige i hele slottet; i quorum-tilstand frasorteres slots
+  // hvor nogen bliver optaget undervejs, så kravet ikke længere er opfyldt.
+  candidateSlots = candidateSlots
+    .map((slot) => {
+      const availableUserIds = getFreeUserIdsForInterval(slot, memberCalendars);
+      return {
+        ...slot,
+        availableUserIds,
+        unavailableUserIds: memberIds.filter(
+          (userId) => !availableUserIds.includes(userId)
+        ),
+      };
+    })
+    .filter(
+      (slot) =>
+        !quorumSettings || meetsQuorum(slot.availableUserIds, quorumSettings)
+    );
+
+  stageCounts.afterQuorum = candidateSlots.length;
   if (!candidateSlots.length) {
-    return { slots: [], constraints };
+    return emptyResult(constraints, AVAILABILITY_DIAGNOSTIC_STAGES.QUORUM);
   }
 
+  // 7) Scor alle kandidater og rangér dem, så ugekvoten bruges på de bedste dage.
+  const scoringContext = {
+    preferredDurationMinutes: constraints.preferredDurationMinutes,
+    busyIntervals: sortAndMergeDateIntervals(
+      injectedCalendars.flatMap((calendar) => calendar.busy)
+    ),
+    members: buildMemberScoringProfiles(injectedCalendars),
+    timeZone: constraints.timeZone,
+  };
+  candidateSlots = rankSlotsByScore(
+    candidateSlots.map((slot) => scoreSlot(slot, scoringContext))
+  );
+
   const limitedByWeek = limitSlotsByWeekdayQuota(
     candidateSlots,
     constraints.maxSuggestionDaysPerWeek
   );
 
+  stageCounts.afterWeeklyQuota = limitedByWeek.length;
+  if (
+    limitedByWeek.length < candidateSlots.length &&
+    limitedByWeek.length < targetSuggestions
+  ) {
+    limitedBy.push(AVAILABILITY_DIAGNOSTIC_STAGES.WEEKLY_QUOTA);
+  }
+
   let finalSlots = limitedByWeek.slice(0, targetSuggestions);
 
   if (
@@ -1578,18 +2100,22 @@ export const findMutualAvailability = ({
   ) {
     const weekdayPool = candidateSlots.filter((slot) => WORK_DAY_SET.has(slot.dayKey));
     if (weekdayPool.length) {
+      // Bedste hverdag erstatter den dårligst scorede weekend-slot.
       const replacement = weekdayPool[0];
-      const weekendIndex = finalSlots.findIndex((slot) => WEEKEND_DAY_SET.has(slot.dayKey));
+      let weekendIndex = -1;
+      finalSlots.forEach((slot, index) => {
+        if (WEEKEND_DAY_SET.has(slot.dayKey)) {
+          weekendIndex = index;
+        }
+      });
       if (weekendIndex >= 0) {
-        finalSlots = [
+        finalSlots = rankSlotsByScore([
           ...finalSlots.slice(0, weekendIndex),
           replacement,
           ...finalSlots.slice(weekendIndex + 1),
-        ].sort((a, b) => a.start.getTime() - b.start.getTime());
+        ]);
       } else if (finalSlots.length < targetSuggestions) {
-        finalSlots = [...finalSlots, replacement].sort(
-          (a, b) => a.start.getTime() - b.start.getTime()
-        );
+        finalSlots = rankSlotsByScore([...finalSlots, replacement]);
       }
     }
   }
@@ -1597,6 +2123,13 @@ export const findMutualAvailability = ({
   return {
     slots: finalSlots,
     constraints,
+    quorum: quorumSettings,
+    diagnostics: {
+      stage: null,
+      restrictiveMember: null,
+      stageCounts,
+      limitedBy,
+    },
   };
 };
 
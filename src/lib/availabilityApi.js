@@ -0,0 +1,82 @@
+/**
+ * AVAILABILITY API
+ *
+ * Henter familiens ledige tider fra Cloud Function `familyAvailability`, så
+ * alle familiemedlemmer får samme forslag. Er funktionen ikke konfigureret
+ * (availabilityFunctionUrl i app.config.js), eller fejler kaldet, beregnes
+ * resultatet lokalt med findMutualAvailability.
+ *
+ * Laeseguide:
+ * - computeFamilyAvailability: returnerer samme format som findMutualAvailability.
+ * - Serveren læser selv kalendere, præferencer og familiebegivenheder; klienten
+ *   sender kun periode, quorum og brugerens egne enhedsintervaller (callerBusy).
+ */
+import findMutualAvailability from './availability';
+import { getFunctionUrl, postToFunction } from './cloudFunctions';
+
+const parseIsoDate = (value) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const requestRemoteAvailability = async (
+  url,
+  familyId,
+  options,
+  callerBusy
+) => {
+  const data = await postToFunction(url, {
+    familyId,
+    periodStart: options.periodStart,
+    periodEnd: options.periodEnd,
+    maxSuggestions: options.maxSuggestions,
+    defaultSlotDurationMinutes: options.defaultSlotDurationMinutes,
+    quorum: options.quorum ?? null,
+    callerBusy,
+  });
+
+  const slots = (Array.isArray(data?.slots) ? data.slots : [])
+    .map((slot) => ({
+      ...slot,
+      start: parseIsoDate(slot?.start),
+      end: parseIsoDate(slot?.end),
+    }))
+    .filter((slot) => slot.start && slot.end);
+
+  return {
+    slots,
+    constraints: data?.constraints ?? null,
+    quorum: data?.quorum ?? null,
+    diagnostics: data?.diagnostics ?? null,
+  };
+};
+
+/**
+ * BEREGN FAMILIENS LEDIGE TIDER
+ *
+ * options er de samme som til findMutualAvailability. familyId og callerBusy
+ * bruges kun af serverkaldet.
+ */
+export const computeFamilyAvailability = async ({
+  familyId,
+  options,
+  callerBusy = [],
+}) => {
+  const url = getFunctionUrl('availabilityFunctionUrl');
+  if (url && familyId) {
+    try {
+      return await requestRemoteAvailability(
+        url,
+        familyId,
+        options,
+        callerBusy
+      );
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.warn('[availabilityApi] Server-beregning fejlede', error);
+    }
+  }
+  return findMutualAvailability(options);
+};
+
+export default computeFamilyAvailability;
@@ -0,0 +1,38 @@
+/**
+ * KALENDER-FEED API
+ *
+ * Henter familiens hemmelige ICS-abonnementslink fra Cloud Function
+ * `familyCalendarFeed` (calendarFeedFunctionUrl i app.config.js). Linket kan
+ * indsættes i Google Kalender, Outlook m.fl., som så henter familiens events.
+ *
+ * Laeseguide:
+ * - isCalendarFeedConfigured: om funktionen er sat op (ellers skjules knappen).
+ * - getFamilyCalendarFeedUrl: returnerer https-linket; rotate laver et nyt token,
+ *   så tidligere delte links holder op med at virke.
+ */
+import { getFunctionUrl, postToFunction } from './cloudFunctions';
+
+const FEED_URL_KEY = 'calendarFeedFunctionUrl';
+
+export const isCalendarFeedConfigured = () =>
+  Boolean(getFunctionUrl(FEED_URL_KEY));
+
+export const getFamilyCalendarFeedUrl = async (
+  familyId,
+  { rotate = false } = {}
+) => {
+  const url = getFunctionUrl(FEED_URL_KEY);
+  if (!url || !familyId) {
+    throw new Error('Kalender-feed er ikke sat op.');
+  }
+
+  const data = await postToFunction(url, { familyId, rotate });
+  if (typeof data?.token !== 'string' || !data.token.length) {
+    throw new Error('Function-svar uden token.');
+  }
+
+  const separator = url.includes('?') ? '&' : '?';
+  return `${url}${separator}familyId=${encodeURIComponent(
+    familyId
+  )}&token=${encodeURIComponent(data.token)}`;
+};
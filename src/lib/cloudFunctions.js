@@ -0,0 +1,54 @@
+/**
+ * CLOUD FUNCTIONS
+ *
+ * Fælles hjælpere til at kalde vores HTTPS Cloud Functions fra appen.
+ * URL'erne ligger i Expo extra (app.config.js); en tom URL betyder at
+ * funktionen ikke er sat op, og kalderen bruger sin lokale fallback.
+ *
+ * Alle kald sendes som POST med brugerens Firebase ID-token.
+ */
+import Constants from 'expo-constants';
+
+import { auth } from './firebase';
+
+export const getFunctionUrl = (extraKey) => {
+  const extra =
+    Constants?.expoConfig?.extra ??
+    Constants?.manifest2?.extra ??
+    Constants?.manifest?.extra ??
+    {};
+  const value = extra?.[extraKey];
+  return typeof value === 'string' ? value.trim() : '';
+};
+
+// Kaster ved manglende login eller fejlstatus, så kalderen kan falde tilbage.
+// Fejlen har status og functionError (svarets `error`), så kalderen kan skelne fejl.
+export const postToFunction = async (url, body) => {
+  const currentUser = auth.currentUser;
+  if (!currentUser) {
+    throw new Error('Ingen bruger logget ind.');
+  }
+
+  const idToken = await currentUser.getIdToken();
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${idToken}`,
+    },
+    body: JSON.stringify(body),
+  });
+
+  if (!response.ok) {
+    const errorPayload = await response.json().catch(() => ({}));
+    const detail =
+      typeof errorPayload?.error === 'string' ? ` (${errorPayload.error})` : '';
+    const error = new Error(`Function-svar ${response.status}${detail}`);
+    error.status = response.status;
+    error.functionError =
+      typeof errorPayload?.error === 'string' ? errorPayload.error : '';
+    throw error;
+  }
+
+  return response.json();
+};
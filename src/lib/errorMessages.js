@@ -23,6 +23,8 @@
  * - "auth/user-not-found" → "E-mail eller adgangskode er forkert."
  * - "auth/weak-password" → "Adgangskoden skal mindst være 6 tegn."
  * - "auth/network-request-failed" → "Ingen forbindelse til nettet..."
+ * - "auth/account-exists-with-different-credential" → "Der findes allerede en konto..."
+ *   (Google/Apple med en e-mail der allerede bruger adgangskode)
  */
 export const getFriendlyAuthError = (error) => {
   const errorCode = typeof error?.code === 'string' ? error.code : '';
@@ -60,6 +62,21 @@ export const getFriendlyAuthError = (error) => {
       return 'Ingen forbindelse til nettet. Tjek din internetforbindelse og prøv igen.';
     case 'auth/internal-error':
       return 'Firebase kunne ikke logge dig ind. Prøv igen om et øjeblik.';
+    case 'auth/account-exists-with-different-credential':
+      return 'Der findes allerede en konto med denne e-mail. Log ind med din adgangskode for at forbinde kontoen.';
+    case 'auth/credential-already-in-use':
+      return 'Denne Google- eller Apple-konto er allerede forbundet til en anden FamTime-bruger.';
+    case 'auth/provider-already-linked':
+      return 'Login-metoden er allerede forbundet til din konto.';
+    case 'auth/operation-not-allowed':
+      return 'Denne login-metode er ikke slået til for FamTime endnu.';
+    case 'auth/popup-closed-by-user':
+    case 'auth/cancelled-popup-request':
+    case 'ERR_REQUEST_CANCELED':
+      return 'Login blev afbrudt.';
+    case 'ERR_REQUEST_FAILED':
+    case 'ERR_REQUEST_UNKNOWN':
+      return 'Apple kunne ikke logge dig ind. Prøv igen.';
     default:
       return `Noget gik galt. Prøv igen. (${errorCode})`;
   }
@@ -0,0 +1,122 @@
+/**
+ * FAMILIEINVITATION API
+ *
+ * Sender og accepterer invitationer via Cloud Function `familyInvite`
+ * (familyInviteFunctionUrl i app.config.js).
+ *
+ * Laeseguide:
+ * - sendFamilyInviteAsync: administratoren inviterer en e-mail; funktionen sender
+ *   mailen og returnerer også linket, så det kan deles manuelt.
+ * - acceptFamilyInviteAsync: den inviterede tilmelder sig; kræver bekræftet e-mail.
+ *   Fejl har functionError ('expired', 'email-not-verified', 'email-mismatch', ...).
+ * - decodeInviteToken læser e-mail og familie fra tokenet uden at tjekke signaturen;
+ *   kun til at udfylde formularer - serveren afgør om tokenet er gyldigt.
+ * - Invitationskoder (se utils/inviteCodes): create/revoke/rotate for administratorer,
+ *   redeemInviteCodeAsync for den der tilslutter sig. Svaret har result
+ *   ('joined', 'requested' eller 'already-member').
+ */
+import { getFunctionUrl, postToFunction } from './cloudFunctions';
+
+const INVITE_URL_KEY = 'familyInviteFunctionUrl';
+
+export const FAMILY_INVITE_ERRORS = {
+  EXPIRED: 'expired',
+  USED: 'used',
+  REVOKED: 'revoked',
+  NOT_FOUND: 'not-found',
+  INVALID_TOKEN: 'invalid-token',
+  EMAIL_NOT_VERIFIED: 'email-not-verified',
+  EMAIL_MISMATCH: 'email-mismatch',
+};
+
+export const isFamilyInviteConfigured = () =>
+  Boolean(getFunctionUrl(INVITE_URL_KEY));
+
+const requireInviteUrl = () => {
+  const url = getFunctionUrl(INVITE_URL_KEY);
+  if (!url) {
+    throw new Error('Invitationer er ikke sat op.');
+  }
+  return url;
+};
+
+export const sendFamilyInviteAsync = async ({ familyId, email }) => {
+  const data = await postToFunction(requireInviteUrl(), {
+    action: 'send',
+    familyId,
+    email,
+  });
+  return { inviteId: data?.inviteId ?? '', link: data?.link ?? '' };
+};
+
+export const acceptFamilyInviteAsync = async (token) => {
+  const data = await postToFunction(requireInviteUrl(), {
+    action: 'accept',
+    token,
+  });
+  return { familyId: data?.familyId ?? '', familyName: data?.familyName ?? '' };
+};
+
+export const INVITE_CODE_RESULTS = {
+  JOINED: 'joined',
+  REQUESTED: 'requested',
+  ALREADY_MEMBER: 'already-member',
+};
+
+// maxUses null = ubegrænset antal brug.
+export const createInviteCodeAsync = async ({
+  familyId,
+  expiresInHours,
+  maxUses,
+  autoApprove,
+}) => {
+  const data = await postToFunction(requireInviteUrl(), {
+    action: 'createCode',
+    familyId,
+    expiresInHours,
+    maxUses,
+    autoApprove,
+  });
+  return { code: data?.code ?? '' };
+};
+
+export const revokeInviteCodeAsync = (code) =>
+  postToFunction(requireInviteUrl(), { action: 'revokeCode', code });
+
+export const rotateInviteCodeAsync = async (code) => {
+  const data = await postToFunction(requireInviteUrl(), {
+    action: 'rotateCode',
+    code,
+  });
+  return { code: data?.code ?? '' };
+};
+
+export const redeemInviteCodeAsync = async (code) => {
+  const data = await postToFunction(requireInviteUrl(), {
+    action: 'redeemCode',
+    code,
+  });
+  return {
+    familyId: data?.familyId ?? '',
+    familyName: data?.familyName ?? '',
+    result: data?.result ?? '',
+  };
+};
+
+export const decodeInviteToken = (token) => {
+  const [encodedPayload] = String(token || '').split('.');
+  if (!encodedPayload) {
+    return null;
+  }
+  try {
+    const base64 = encodedPayload.replace(/-/g, '+').replace(/_/g, '/');
+    const payload = JSON.parse(decodeURIComponent(escape(global.atob(base64))));
+    return {
+      familyId: typeof payload?.f === 'string' ? payload.f : '',
+      email: typeof payload?.e === 'string' ? payload.e : '',
+      expiresAt: Number.isFinite(payload?.x) ? new Date(payload.x) : null,
+    };
+  } catch (_error) {
+    return null;
+  }
+};
@@ -11,10 +11,20 @@
  * - firebase: Hele Firebase-biblioteket
  * - auth: Firebase authentication (til login/logout)
  * - db: Firebase Firestore database (til at gemme data)
+ * - setSessionPersistenceAsync: vælger om login huskes mellem app-starter
  */
 import firebase from 'firebase/compat/app';
 import 'firebase/compat/auth';
 import 'firebase/compat/firestore';
+import { getApp } from 'firebase/app';
+import {
+  getAuth,
+  getReactNativePersistence,
+  inMemoryPersistence,
+  initializeAuth,
+  setPersistence,
+} from 'firebase/auth';
+import AsyncStorage from '@react-native-async-storage/async-storage';
 
 import { firebaseConfig } from '../config/firebaseConfig';
 
@@ -30,9 +40,14 @@ import { firebaseConfig } from '../config/firebaseConfig';
  * Vi tjekker dette fordi Expo kan køre kode flere gange, og vi vil ikke
  * initialisere Firebase mere end én gang - det ville forårsage fejl.
  */
+const reactNativePersistence = getReactNativePersistence(AsyncStorage);
+
 if (!firebase.apps.length) {
   // Sikrer at Firebase kun initialiseres én gang i Expo-miljøet.
   firebase.initializeApp(firebaseConfig);
+  // Auth skal oprettes med AsyncStorage før compat-laget, ellers kan en gemt
+  // session ikke læses ved opstart (compat kender kun browserens lagring).
+  initializeAuth(getApp(), { persistence: reactNativePersistence });
 }
 
 /**
@@ -49,21 +64,19 @@ const db = firebase.firestore();
 
 /**
  * PERSISTENCE INDSTILLING
- * 
- * setPersistence(Auth.Persistence.NONE) betyder at vi IKKE skal huske brugeren
- * hvis appen bliver lukket.
- * 
- * Hver gang appen åbnes, skal brugeren logge ind igen.
- * Dette er en sikkerhedsforanstaltning på mobil - hvis telefonen bliver stjålet,
- * skal tyven ikke have adgang til brugeren's konto.
- * 
- * .catch() håndterer hvis denne indstilling fejler (det er sjældent men kan ske).
+ *
+ * Som udgangspunkt huskes brugeren IKKE, når appen lukkes - det er en
+ * sikkerhedsforanstaltning hvis telefonen bliver stjålet.
+ *
+ * Vælger brugeren "Husk mig" på LoginScreen, gemmes sessionen i AsyncStorage,
+ * og brugeren er stadig logget ind næste gang appen åbnes. Kaldes før login;
+ * et skift flytter en aktiv session til den nye lagring.
  */
-auth
-  .setPersistence(firebase.auth.Auth.Persistence.NONE)
-  .catch((error) => {
-    console.warn('[Firebase] Kunne ikke sætte persistence', error);
-  });
+const setSessionPersistenceAsync = (remember) =>
+  setPersistence(
+    getAuth(getApp()),
+    remember ? reactNativePersistence : inMemoryPersistence
+  );
 
 /**
  * EKSPORTER ALT
@@ -78,4 +91,4 @@ auth
  * - db.collection('users').add() til at gemme data
  * - osv.
  */
-export { firebase, auth, db };
+export { firebase, auth, db, setSessionPersistenceAsync };
@@ -3,6 +3,7 @@
  *
  * - Bundnavigation for hovedoplevelsen efter opsætning.
  * - Indeholder faner til personlig kalender, familieevents og konto/indstillinger.
+ * - FamilySwitcher vises over fanerne, når brugeren er med i flere familier.
  */
 import React from 'react';
 import { View } from 'react-native';
@@ -13,6 +14,7 @@ import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import OwnCalendarScreen from '../screens/OwnCalendarScreen';
 import FamilyEventsScreen from '../screens/FamilyEventsScreen';
 import AccountSettingsScreen from '../screens/AccountSettingsScreen';
+import FamilySwitcher from '../components/FamilySwitcher';
 import { colors } from '../styles/theme';
 import styles from '../styles/navigation/MainTabsStyles';
 
@@ -39,55 +41,58 @@ const MainTabs = () => {
   const baseHeight = 60;
 
   return (
-    <Tab.Navigator
-      lazy={false}
-      screenOptions={({ route }) => ({
-        headerShown: false,
-        tabBarActiveTintColor: colors.primary,
-        tabBarInactiveTintColor: colors.mutedText,
-        tabBarShowLabel: false,
-        tabBarStyle: [
-          styles.tabBar,
-          {
-            height: baseHeight + safeBottom,
-            paddingTop: basePadding + splitInset,
-            paddingBottom: basePadding + splitInset,
-          },
-        ],
-        tabBarItemStyle: styles.tabBarItem,
-        tabBarBackground: () => (
-          <View style={styles.tabBarBackground}>
-            <View style={styles.tabBarShadow} />
-          </View>
-        ),
-        safeAreaInsets: { bottom: 0 },
-        tabBarIcon: ({ focused, color, size }) => (
-          <View style={styles.iconWrapper}>
-            <Ionicons
-              name={getIconName(route.name, focused)}
-              size={size}
-              color={color}
-            />
-          </View>
-        ),
-      })}
-    >
-      <Tab.Screen
-        name="OwnCalendar"
-        component={OwnCalendarScreen}
-        options={{ title: 'Min kalender' }}
-      />
-      <Tab.Screen
-        name="FamilyEvents"
-        component={FamilyEventsScreen}
-        options={{ title: 'Familieevents' }}
-      />
-      <Tab.Screen
-        name="AccountSettings"
-        component={AccountSettingsScreen}
-        options={{ title: 'Konto' }}
-      />
-    </Tab.Navigator>
+    <View style={styles.container}>
+      <FamilySwitcher />
+      <Tab.Navigator
+        lazy={false}
+        screenOptions={({ route }) => ({
+          headerShown: false,
+          tabBarActiveTintColor: colors.primary,
+          tabBarInactiveTintColor: colors.mutedText,
+          tabBarShowLabel: false,
+          tabBarStyle: [
+            styles.tabBar,
+            {
+              height: baseHeight + safeBottom,
+              paddingTop: basePadding + splitInset,
+              paddingBottom: basePadding + splitInset,
+            },
+          ],
+          tabBarItemStyle: styles.tabBarItem,
+          tabBarBackground: () => (
+            <View style={styles.tabBarBackground}>
+              <View style={styles.tabBarShadow} />
+            </View>
+          ),
+          safeAreaInsets: { bottom: 0 },
+          tabBarIcon: ({ focused, color, size }) => (
+            <View style={styles.iconWrapper}>
+              <Ionicons
+                name={getIconName(route.name, focused)}
+                size={size}
+                color={color}
+              />
+            </View>
+          ),
+        })}
+      >
+        <Tab.Screen
+          name="OwnCalendar"
+          component={OwnCalendarScreen}
+          options={{ title: 'Min kalender' }}
+        />
+        <Tab.Screen
+          name="FamilyEvents"
+          component={FamilyEventsScreen}
+          options={{ title: 'Familieevents' }}
+        />
+        <Tab.Screen
+          name="AccountSettings"
+          component={AccountSettingsScreen}
+          options={{ title: 'Konto' }}
+        />
+      </Tab.Navigator>
+    </View>
   );
 };
 
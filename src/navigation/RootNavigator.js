@@ -8,8 +8,11 @@
  * Laeseguide:
  * - Hvis bruger ikke er logget ind: viser Login/Signup/ForgotPassword.
  * - Hvis bruger er logget ind: viser Landing → (kalendersync/familieopsætning) → MainTabs.
+ * - Deep links (se linking.js): invitationer åbner Signup for uloggede og InviteAccept
+ *   for loggede brugere. Andre links går via Login og åbnes som første skærm efter login.
+ *   En gemt invitation åbner InviteAccept efter login.
  */
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useMemo, useState } from 'react';
 import { ActivityIndicator, View, Text } from 'react-native';
 import { NavigationContainer } from '@react-navigation/native';
 import { createNativeStackNavigator } from '@react-navigation/native-stack';
@@ -20,8 +23,19 @@ import ForgotPasswordScreen from '../screens/ForgotPasswordScreen';
 import LandingScreen from '../screens/LandingScreen';
 import CalendarSyncScreen from '../screens/CalendarSyncScreen';
 import FamilySetupScreen from '../screens/FamilySetupScreen';
+import ManualBusyScreen from '../screens/ManualBusyScreen';
+import ChildProfilesScreen from '../screens/ChildProfilesScreen';
+import InviteAcceptScreen from '../screens/InviteAcceptScreen';
 import MainTabs from './MainTabs';
+import { buildLinking, takePendingAppRoute } from './linking';
 import { auth } from '../lib/firebase';
+import { registerPushTokenAsync } from '../utils/pushNotifications';
+import { refreshIcsImportIfStaleAsync } from '../utils/icsImport';
+import { startOutboxReplay } from '../utils/writeOutbox';
+import {
+  loadPendingInviteAsync,
+  subscribeToPendingInvite,
+} from '../utils/pendingInvite';
 import { colors } from '../styles/theme';
 import styles from '../styles/navigation/RootNavigatorStyles';
 
@@ -47,46 +61,109 @@ const AuthStack = () => (
   </Stack.Navigator>
 );
 
-const AppStack = () => (
-  <Stack.Navigator>
-    <Stack.Screen
-      name="Landing"
-      component={LandingScreen}
-      options={{ headerShown: false }}
-    />
-    <Stack.Screen
-      name="CalendarSync"
-      component={CalendarSyncScreen}
-      options={{ title: 'Kalendersynkronisering' }}
-    />
-    <Stack.Screen
-      name="FamilySetup"
-      component={FamilySetupScreen}
-      options={{ title: 'Familieopsætning' }}
-    />
-    <Stack.Screen
-      name="MainTabs"
-      component={MainTabs}
-      options={{ headerShown: false }}
-    />
-  </Stack.Navigator>
-);
+// initialRoute: { name, params } for første skærm, fx fra et link åbnet før login.
+const AppStack = ({ initialRoute }) => {
+  const initialParamsFor = (name) =>
+    initialRoute.name === name ? initialRoute.params : undefined;
+
+  return (
+    <Stack.Navigator initialRouteName={initialRoute.name}>
+      <Stack.Screen
+        name="Landing"
+        component={LandingScreen}
+        options={{ headerShown: false }}
+      />
+      <Stack.Screen
+        name="CalendarSync"
+        component={CalendarSyncScreen}
+        options={{ title: 'Kalendersynkronisering' }}
+      />
+      <Stack.Screen
+        name="FamilySetup"
+        component={FamilySetupScreen}
+        initialParams={initialParamsFor('FamilySetup')}
+        options={{ title: 'Familieopsætning' }}
+      />
+      <Stack.Screen
+        name="ManualBusy"
+        component={ManualBusyScreen}
+        options={{ title: 'Optagede tider' }}
+      />
+      <Stack.Screen
+        name="ChildProfiles"
+        component={ChildProfilesScreen}
+        options={{ title: 'Børn uden login' }}
+      />
+      <Stack.Screen
+        name="MainTabs"
+        component={MainTabs}
+        initialParams={initialParamsFor('MainTabs')}
+        options={{ headerShown: false }}
+      />
+      <Stack.Screen
+        name="InviteAccept"
+        component={InviteAcceptScreen}
+        options={{ title: 'Invitation' }}
+      />
+    </Stack.Navigator>
+  );
+};
 
 const RootNavigator = () => {
   const [initializing, setInitializing] = useState(true);
   const [currentUser, setCurrentUser] = useState(null);
+  const [inviteLoaded, setInviteLoaded] = useState(false);
+  const [pendingInviteToken, setPendingInviteToken] = useState(null);
+  const [linkedAppRoute, setLinkedAppRoute] = useState(null);
+
+  useEffect(() => {
+    // En gemt invitation skal kendes, før første skærm vælges.
+    const unsubscribe = subscribeToPendingInvite(setPendingInviteToken);
+    loadPendingInviteAsync().then((token) => {
+      setPendingInviteToken(token);
+      setInviteLoaded(true);
+    });
+    return unsubscribe;
+  }, []);
 
   useEffect(() => {
     // Abonnerer på Firebase auth state, så navigationen opdateres automatisk.
     const unsubscribe = auth.onAuthStateChanged((user) => {
       setCurrentUser(user);
+      // Et link åbnet før login bliver første skærm efter login.
+      setLinkedAppRoute(user ? takePendingAppRoute() : null);
       setInitializing(false);
+      if (user) {
+        // Push-token registreres i baggrunden; fejl betyder blot kun lokale notifikationer.
+        registerPushTokenAsync(user.uid);
+        // En importeret kalender-URL hentes igen, så gentagne aftaler rækker fremad.
+        refreshIcsImportIfStaleAsync(user.uid);
+      }
     });
 
     return unsubscribe;
   }, []);
 
-  if (initializing) {
+  const currentUserId = currentUser?.uid ?? null;
+  const signedIn = Boolean(currentUser);
+  const linking = useMemo(() => buildLinking(signedIn), [signedIn]);
+
+  useEffect(() => {
+    // Bruges kun til første skærm; senere skærme skal ikke arve linkets params.
+    if (linkedAppRoute) {
+      setLinkedAppRoute(null);
+    }
+  }, [linkedAppRoute]);
+
+  useEffect(() => {
+    // Skrivninger lavet uden forbindelse afspilles for den bruger, der lavede dem.
+    if (!currentUserId) {
+      return undefined;
+    }
+    return startOutboxReplay(currentUserId);
+  }, [currentUserId]);
+
+  if (initializing || !inviteLoaded) {
     // Viser indlæsningsskærm indtil første auth-state er kendt.
     return (
       <View style={styles.loadingContainer}>
@@ -97,8 +174,18 @@ const RootNavigator = () => {
   }
 
   return (
-    <NavigationContainer>
-      {currentUser ? <AppStack /> : <AuthStack />}
+    <NavigationContainer linking={linking}>
+      {currentUser ? (
+        <AppStack
+          initialRoute={
+            pendingInviteToken
+              ? { name: 'InviteAccept' }
+              : linkedAppRoute ?? { name: 'Landing' }
+          }
+        />
+      ) : (
+        <AuthStack />
+      )}
     </NavigationContainer>
   );
 };
@@ -0,0 +1,196 @@
+/**
+ * Deep links ind i appen.
+ *
+ * Laeseguide:
+ * - Ruter: famtime://family/{familyId}/event/{eventId} (begivenhed i Min kalender),
+ *   famtime://join/{familyCode} (tilslut familie med invitationskode eller ældre
+ *   familie-ID; også indholdet af QR-koderne) og famtime://invite/{token}
+ *   (invitation). Samme stier virker som universal links på
+ *   https://{universalLinkDomain}, når domænet er sat i app.config.js.
+ * - Uloggede brugere: invitationer åbner Signup; andre links sendes til Login og
+ *   huskes, så RootNavigator kan åbne dem efter login (takePendingAppRoute).
+ * - Tryk på en notifikation med familyId/eventId åbner begivenheden via samme ruter.
+ */
+import { Linking } from 'react-native';
+import Constants from 'expo-constants';
+import * as Notifications from 'expo-notifications';
+import { getStateFromPath } from '@react-navigation/native';
+
+export const APP_LINK_SCHEME = 'famtime';
+
+export const LINK_PATHS = {
+  EVENT: 'family/:familyId/event/:eventId',
+  JOIN: 'join/:familyCode',
+  INVITE: 'invite/:token',
+};
+
+const SIGNED_IN_CONFIG = {
+  screens: {
+    MainTabs: {
+      screens: {
+        OwnCalendar: LINK_PATHS.EVENT,
+      },
+    },
+    FamilySetup: LINK_PATHS.JOIN,
+    InviteAccept: LINK_PATHS.INVITE,
+  },
+};
+
+const SIGNED_OUT_CONFIG = {
+  // Login lægges under Signup, så tilbage-knappen virker.
+  initialRouteName: 'Login',
+  screens: {
+    Signup: LINK_PATHS.INVITE,
+  },
+};
+
+// Sti der kræver login og venter på, at brugeren logger ind.
+let pendingAppPath = null;
+
+const readUniversalLinkDomain = () => {
+  const extra =
+    Constants?.expoConfig?.extra ??
+    Constants?.manifest2?.extra ??
+    Constants?.manifest?.extra ??
+    {};
+  const value = extra?.universalLinkDomain;
+  return typeof value === 'string' ? value.trim() : '';
+};
+
+export const getLinkPrefixes = () => {
+  const domain = readUniversalLinkDomain();
+  return [`${APP_LINK_SCHEME}://`, ...(domain ? [`https://${domain}`] : [])];
+};
+
+export const buildEventLink = (familyId, eventId) =>
+  `${APP_LINK_SCHEME}://family/${encodeURIComponent(
+    familyId
+  )}/event/${encodeURIComponent(eventId)}`;
+
+export const buildJoinLink = (familyCode) =>
+  `${APP_LINK_SCHEME}://join/${encodeURIComponent(familyCode)}`;
+
+// Koden fra et join-link (fx en scannet QR-kode); anden tekst returneres uændret.
+export const readJoinCode = (value) => {
+  const text = typeof value === 'string' ? value.trim() : '';
+  const match = getLinkPrefixes()
+    .map((prefix) => `${prefix.replace(/\/$/, '')}/join/`)
+    .map((joinPrefix) => (text.startsWith(joinPrefix) ? joinPrefix : null))
+    .find(Boolean);
+  if (!match) {
+    return text;
+  }
+  try {
+    return decodeURIComponent(text.slice(match.length).split(/[/?#]/)[0]);
+  } catch (_error) {
+    return '';
+  }
+};
+
+// Kun almindelige tryk; Godkend/Afvis håndteres uden at åbne appen (App.js).
+const getNotificationUrl = (response) => {
+  if (
+    !response ||
+    response.actionIdentifier !== Notifications.DEFAULT_ACTION_IDENTIFIER
+  ) {
+    return null;
+  }
+  const data = response.notification?.request?.content?.data ?? {};
+  if (typeof data.url === 'string' && data.url) {
+    return data.url;
+  }
+  if (typeof data.familyId === 'string' && typeof data.eventId === 'string') {
+    return data.familyId && data.eventId
+      ? buildEventLink(data.familyId, data.eventId)
+      : null;
+  }
+  return null;
+};
+
+const getInitialURL = async () => {
+  const url = await Linking.getInitialURL();
+  if (url) {
+    return url;
+  }
+  try {
+    return getNotificationUrl(
+      await Notifications.getLastNotificationResponseAsync()
+    );
+  } catch (_error) {
+    return null;
+  }
+};
+
+const subscribe = (listener) => {
+  const linkSubscription = Linking.addEventListener('url', ({ url }) =>
+    listener(url)
+  );
+  const notificationSubscription =
+    Notifications.addNotificationResponseReceivedListener((response) => {
+      const url = getNotificationUrl(response);
+      if (url) {
+        listener(url);
+      }
+    });
+
+  return () => {
+    linkSubscription.remove();
+    notificationSubscription.remove();
+  };
+};
+
+/**
+ * LINKS FOR ULOGGEDE
+ *
+ * Invitationer går til Signup. Stier der kun findes for loggede brugere huskes og
+ * giver Login-skærmen; ukendte stier ignoreres.
+ */
+const getSignedOutStateFromPath = (path, options) => {
+  const state = getStateFromPath(path, options);
+  if (state) {
+    return state;
+  }
+  if (getStateFromPath(path, SIGNED_IN_CONFIG)) {
+    pendingAppPath = path;
+    return { routes: [{ name: 'Login' }] };
+  }
+  return undefined;
+};
+
+export const buildLinking = (signedIn) => ({
+  prefixes: getLinkPrefixes(),
+  config: signedIn ? SIGNED_IN_CONFIG : SIGNED_OUT_CONFIG,
+  getInitialURL,
+  subscribe,
+  getStateFromPath: signedIn ? getStateFromPath : getSignedOutStateFromPath,
+});
+
+// Navigationsstate -> { name, params }, hvor indlejrede skærme bliver params.screen.
+const stateToRoute = (state) => {
+  const route = state?.routes?.[state.index ?? state.routes.length - 1];
+  if (!route) {
+    return null;
+  }
+  const child = route.state ? stateToRoute(route.state) : null;
+  return child
+    ? {
+        name: route.name,
+        params: { ...route.params, screen: child.name, params: child.params },
+      }
+    : { name: route.name, params: route.params };
+};
+
+/**
+ * HENT VENTENDE LINK
+ *
+ * Kaldes når brugeren er logget ind. Returnerer { name, params } for AppStacks
+ * første skærm, eller null hvis intet link venter. Linket bruges kun én gang.
+ */
+export const takePendingAppRoute = () => {
+  if (!pendingAppPath) {
+    return null;
+  }
+  const path = pendingAppPath;
+  pendingAppPath = null;
+  return stateToRoute(getStateFromPath(path, SIGNED_IN_CONFIG));
+};
@@ -10,10 +10,11 @@
  * - State: profil/familie/invites, praef erencevisning, samt UI-tilstande for fejl/status/handlinger (overdragelse/fjern medlem).
  * - Dataflow: lytter live paa `users/{uid}` (familyId/rolle) og `families/{id}` (medlemmer/invites), og mapper medlemmers praef erencer.
  * - Handlinger: accepter invitation, forlad/overdrag familie, fjern medlem eller slet profil; skriver opdateringer til Firestore.
+ * - Aktivitet: tidslinje over familiens aktivitetslog (`families/{id}/activity`), filtreret på medlem og handling.
  * - UI: scroll-view med kontokort, familiesektion (medlemmer/praef erencer), invitationer og knapper til handlingerne.
  */
 import React, { useEffect, useMemo, useState } from 'react';
-import { View, Text, ScrollView, Alert } from 'react-native';
+import { View, Text, ScrollView, Alert, Pressable } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 
 import Button from '../components/Button';
@@ -24,7 +25,31 @@ import {
   FAMILY_PREFERENCE_MODES,
   normalizeFamilyPreferenceMode,
 } from '../constants/familyPreferenceModes';
+import {
+  EVENT_REMINDER_OPTIONS,
+  normalizeEventReminderMinutes,
+} from '../constants/eventReminders';
 import styles from '../styles/screens/AccountSettingsScreenStyles';
+import { buildMembersUpdate } from '../utils/familyMembers';
+import { detachMemberFromFamilyAsync } from '../utils/familyMemberships';
+import {
+  FAMILY_PERMISSIONS,
+  FAMILY_ROLES,
+  canRemoveFamilyMember,
+  getFamilyMemberRole,
+  getFamilyRoleLabel,
+  hasFamilyPermission,
+} from '../constants/familyRoles';
+import { deleteIcsImportSourceAsync } from '../utils/icsImport';
+import { ensureEmailVerifiedAsync } from '../utils/pendingInvite';
+import { signOutAndClearAsync } from '../utils/session';
+import { getOutboxEntries } from '../utils/writeOutbox';
+import {
+  FAMILY_ACTIVITY_LABELS,
+  FAMILY_ACTIVITY_TYPES,
+  describeFamilyActivity,
+} from '../utils/familyActivity';
+import { subscribeToFamilyActivity } from '../utils/familyActivityLog';
 
 const WEEK_DAY_LABELS = {
   monday: 'Mandag',
@@ -227,6 +252,25 @@ const pickFirstString = (...values) => {
   return '';
 };
 
+// Antal indslag i aktivitetstidslinjen før "Vis flere".
+const ACTIVITY_PAGE_STEP = 20;
+
+/**
+ * TIDSPUNKT I AKTIVITETSLOGGEN
+ *
+ * Viser fx "12. mar. 14:30". Indslag der endnu ikke er gemt på serveren, har
+ * ingen tid og vises som "Lige nu".
+ */
+const formatActivityTime = (date) =>
+  date instanceof Date
+    ? date.toLocaleString('da-DK', {
+        day: 'numeric',
+        month: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+      })
+    : 'Lige nu';
+
 /**
  * FORMATERING AF PRÆFERENCE-KILDE
  * 
@@ -326,6 +370,13 @@ const AccountSettingsScreen = ({ navigation }) => {
   // Gem profilinformation for hvert familie-medlem (navn, by, fødselsdag)
   const [memberProfiles, setMemberProfiles] = useState({});
 
+  // Familiens aktivitetslog (nyeste først) og tidslinjens filtre ('' = alle)
+  const [activityEntries, setActivityEntries] = useState([]);
+  const [activityMemberFilter, setActivityMemberFilter] = useState('');
+  const [activityTypeFilter, setActivityTypeFilter] = useState('');
+  const [visibleActivityCount, setVisibleActivityCount] =
+    useState(ACTIVITY_PAGE_STEP);
+
   const currentUser = auth.currentUser;
   const userEmail = currentUser?.email ?? '';
   const userEmailLower = useMemo(() => userEmail.toLowerCase(), [userEmail]);
@@ -414,6 +465,9 @@ const AccountSettingsScreen = ({ navigation }) => {
             typeof userData.familyPreferenceFollowUserId === 'string'
               ? userData.familyPreferenceFollowUserId.trim()
               : '',
+          eventReminderMinutes: normalizeEventReminderMinutes(
+            userData.eventReminderMinutes
+          ),
         });
 
         if (unsubscribeFamily) {
@@ -456,6 +510,7 @@ const AccountSettingsScreen = ({ navigation }) => {
                   : [],
                 ownerEmail: data.ownerEmail ?? '',
                 ownerId: data.ownerId ?? '',
+                memberRoles: data.memberRoles ?? {},
               });
             });
         } else {
@@ -563,6 +618,84 @@ const AccountSettingsScreen = ({ navigation }) => {
     };
   }, [family?.members]);
 
+  const canViewActivityLog =
+    Boolean(family?.id) &&
+    hasFamilyPermission(
+      getFamilyMemberRole(family, currentUser?.uid),
+      FAMILY_PERMISSIONS.VIEW_ACTIVITY_LOG
+    );
+
+  useEffect(() => {
+    setActivityMemberFilter('');
+    setActivityTypeFilter('');
+    setVisibleActivityCount(ACTIVITY_PAGE_STEP);
+    if (!family?.id || !canViewActivityLog) {
+      setActivityEntries([]);
+      return undefined;
+    }
+    return subscribeToFamilyActivity(family.id, setActivityEntries, () =>
+      setActivityEntries([])
+    );
+  }, [canViewActivityLog, family?.id]);
+
+  /**
+   * NAVNE I AKTIVITETSLOGGEN
+   *
+   * Nuværende medlemmer vises med samme navn som i medlemslisten. Fjernede
+   * medlemmer findes kun i loggen og vises med navnet fra indslaget.
+   */
+  const activityNameById = useMemo(() => {
+    const names = {};
+    (family?.members || []).forEach((member) => {
+      if (!member?.userId) {
+        return;
+      }
+      const profileData = memberProfiles[member.userId];
+      names[member.userId] =
+        pickFirstString(
+          profileData?.displayName,
+          profileData?.name,
+          member.displayName,
+          member.name,
+          profileData?.email,
+          member.email
+        ) || 'Familiemedlem';
+    });
+    return names;
+  }, [family?.members, memberProfiles]);
+
+  const activityMemberOptions = useMemo(() => {
+    const options = new Map(Object.entries(activityNameById));
+    activityEntries.forEach((entry) => {
+      if (entry.actorId && !options.has(entry.actorId) && entry.actorName) {
+        options.set(entry.actorId, entry.actorName);
+      }
+      if (
+        entry.targetUserId &&
+        !options.has(entry.targetUserId) &&
+        entry.targetName
+      ) {
+        options.set(entry.targetUserId, entry.targetName);
+      }
+    });
+    return Array.from(options, ([userId, name]) => ({ userId, name })).sort(
+      (a, b) => a.name.localeCompare(b.name, 'da')
+    );
+  }, [activityEntries, activityNameById]);
+
+  // Et medlem matcher både det, medlemmet selv gjorde, og det der blev gjort mod det.
+  const filteredActivityEntries = useMemo(
+    () =>
+      activityEntries.filter(
+        (entry) =>
+          (!activityTypeFilter || entry.type === activityTypeFilter) &&
+          (!activityMemberFilter ||
+            entry.actorId === activityMemberFilter ||
+            entry.targetUserId === activityMemberFilter)
+      ),
+    [activityEntries, activityMemberFilter, activityTypeFilter]
+  );
+
   /**
    * ACCEPT INVITATION TIL FAMILIE
    * 
@@ -586,6 +719,17 @@ const AccountSettingsScreen = ({ navigation }) => {
       setActionError('');
       setStatusMessage('');
 
+      // Invitationer kræver bekræftet e-mail (se firestore.rules).
+      const emailVerified = await ensureEmailVerifiedAsync(currentUser, {
+        sendIfUnverified: true,
+      });
+      if (!emailVerified) {
+        setStatusMessage(
+          'Bekræft din e-mail via linket, vi har sendt, og prøv igen.'
+        );
+        return;
+      }
+
       const familyRef = db.collection('families').doc(familyId);
       const familyDoc = await familyRef.get();
 
@@ -616,7 +760,7 @@ const AccountSettingsScreen = ({ navigation }) => {
         members.push({
           userId: currentUser.uid,
           email: userEmailLower,
-          role: 'member',
+          role: FAMILY_ROLES.ADULT,
           avatarEmoji: currentEmoji,
           displayName: currentName,
           name: currentName,
@@ -632,23 +776,14 @@ const AccountSettingsScreen = ({ navigation }) => {
           return {
             ...member,
             email: userEmailLower,
-            role: member.role || 'member',
+            role: member.role || FAMILY_ROLES.ADULT,
             avatarEmoji: currentEmoji,
             displayName: currentName,
             name: currentName,
           };
         }
 
-        if (
-          typeof member.avatarEmoji !== 'string' ||
-          !member.avatarEmoji.trim().length
-        ) {
-          return {
-            ...member,
-            avatarEmoji: DEFAULT_AVATAR_EMOJI,
-          };
-        }
-
+        // Reglerne tillader kun ændringer i ens egen medlemsinfo.
         return member;
       });
 
@@ -660,15 +795,16 @@ const AccountSettingsScreen = ({ navigation }) => {
         : [];
 
       await familyRef.update({
-        members,
+        ...buildMembersUpdate(members),
         pendingInvites,
+        updatedBy: currentUser.uid,
         updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
       });
 
       await db.collection('users').doc(currentUser.uid).set(
         {
           familyId: familyRef.id,
-          familyRole: 'member',
+          familyRole: getFamilyMemberRole(familyData, currentUser.uid),
           avatarEmoji: currentEmoji,
         },
         { merge: true }
@@ -690,46 +826,35 @@ const AccountSettingsScreen = ({ navigation }) => {
     navigation.navigate('FamilySetup');
   };
 
+  const handleManualBusy = () => {
+    navigation.navigate('ManualBusy');
+  };
+
   /**
-   * BESTEM ROLLE-ETIKET
+   * ROLLE-ETIKET
    * 
-   * Konverterer en rolle fra databasen til et læseligt navn:
-   * - "owner" eller "admin" → "Administrator"
-   * - Alt andet → "Medlem"
-   * 
-   * Dette bruges til at vise medlemmernes roller på skærmen.
+   * Rollen læses fra familien (ejer, ellers memberRoles) og vises
+   * med danske navne fra constants/familyRoles, fx "Voksen" eller "Barn".
    */
-  const determineRoleLabel = (role) => {
-    if (typeof role !== 'string') {
-      return 'Medlem';
-    }
-    const normalized = role.trim().toLowerCase();
-    if (normalized === 'owner' || normalized === 'admin') {
-      return 'Administrator';
-    }
-    return 'Medlem';
-  };
+  const currentFamilyRoleLabel = family
+    ? getFamilyRoleLabel(getFamilyMemberRole(family, currentUser?.uid))
+    : getFamilyRoleLabel(userProfile?.familyRole);
 
   /**
    * KAN NUVÆRENDE BRUGER ADMINISTRERE FAMILIEN?
    * 
    * Tjekker om den nuværende bruger har tilladelse til at:
-   * - Tilføje/fjerne medlemmer
+   * - Overdrage administratorrollen
    * - Ændre familie-indstillinger
    * 
-   * Dette kræver at brugeren er administrator og også familie-ejeren.
+   * Dette kræver at brugeren er administrator, dvs. familie-ejeren.
    */
-  const canCurrentUserManageFamily = () => {
-    const currentRole = determineRoleLabel(userProfile?.familyRole);
-    if (currentRole !== 'Administrator') {
-      return false;
-    }
-    const ownerEmailLower = typeof family?.ownerEmail === 'string' ? family.ownerEmail.toLowerCase() : '';
-    if (ownerEmailLower && ownerEmailLower !== userEmailLower) {
-      return false;
-    }
-    return true;
-  };
+  const canCurrentUserManageFamily = () =>
+    Boolean(family?.id) &&
+    hasFamilyPermission(
+      getFamilyMemberRole(family, currentUser?.uid),
+      FAMILY_PERMISSIONS.MANAGE_FAMILY
+    );
 
   const prepareOwnerTransfer = (member) => {
     if (!member || !member.userId) {
@@ -815,17 +940,17 @@ const AccountSettingsScreen = ({ navigation }) => {
         let members = Array.isArray(data.members) ? [...data.members] : [];
         members = members.filter((member) => member.userId !== currentUser.uid);
 
-        const pendingInvites = Array.isArray(data.pendingInvites)
-          ? data.pendingInvites.filter((email) => email !== userEmailLower)
-          : [];
-
+        // Almindelige medlemmer må kun fjerne sig selv; resten ryddes af ejeren.
         const updates = {
-          members,
-          pendingInvites,
+          ...buildMembersUpdate(members),
+          updatedBy: currentUser.uid,
           updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
         };
 
         if (data.ownerId === currentUser.uid) {
+          updates.pendingInvites = Array.isArray(data.pendingInvites)
+            ? data.pendingInvites.filter((email) => email !== userEmailLower)
+            : [];
           if (nextOwnerMember && nextOwnerMember.userId) {
             const ownerIndex = members.findIndex((member) => member.userId === nextOwnerMember.userId);
             if (ownerIndex !== -1) {
@@ -926,6 +1051,18 @@ const AccountSettingsScreen = ({ navigation }) => {
       }
 
       const data = familyDoc.data() ?? {};
+      const actorRole = getFamilyMemberRole(data, currentUser?.uid);
+      // Administratoren kan ikke fjernes; medadministratorer kun af administratoren.
+      if (
+        !canRemoveFamilyMember(
+          actorRole,
+          getFamilyMemberRole(data, member.userId)
+        )
+      ) {
+        setActionError('Du har ikke rettigheder til at fjerne dette medlem.');
+        return;
+      }
+
       let members = Array.isArray(data.members) ? [...data.members] : [];
       members = members.filter((item) => item.userId !== member.userId);
 
@@ -935,50 +1072,23 @@ const AccountSettingsScreen = ({ navigation }) => {
         : [];
 
       const updates = {
-        members,
+        ...buildMembersUpdate(members),
         pendingInvites,
+        updatedBy: currentUser.uid,
         updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
       };
 
-      if (data.ownerId === member.userId) {
-        if (members.length > 0) {
-          const nextAdmin = {
-            ...members[0],
-            role: 'admin',
-          };
-          members[0] = nextAdmin;
-          updates.members = members;
-          updates.ownerId = nextAdmin.userId ?? '';
-          updates.ownerEmail = nextAdmin.email ?? '';
-        } else {
-          updates.ownerId = firebase.firestore.FieldValue.delete();
-          updates.ownerEmail = firebase.firestore.FieldValue.delete();
-        }
+      // Kun administratoren skriver roller; medadministratorer lader rollen stå.
+      if (actorRole === FAMILY_ROLES.ADMIN) {
+        updates.memberRoles = {
+          [member.userId]: firebase.firestore.FieldValue.delete(),
+        };
       }
 
       await familyRef.set(updates, { merge: true });
 
-      await db
-        .collection('users')
-        .doc(member.userId)
-        .set(
-          {
-            familyId: firebase.firestore.FieldValue.delete(),
-            familyRole: firebase.firestore.FieldValue.delete(),
-          },
-          { merge: true }
-        );
-
-      await db
-        .collection('calendar')
-        .doc(member.userId)
-        .set(
-          {
-            familyEventRefs: {},
-            updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
-          },
-          { merge: true }
-        );
+      // Har medlemmet en anden familie aktiv, røres dets users/calendar-dokumenter ikke.
+      await detachMemberFromFamilyAsync(member.userId, family.id);
 
       setStatusMessage(`${member.email ?? 'Medlemmet'} er fjernet fra familien.`);
     } catch (_error) {
@@ -1079,6 +1189,7 @@ const AccountSettingsScreen = ({ navigation }) => {
       const userBackup = userSnapshot.exists ? userSnapshot.data() : null;
       const calendarBackup = calendarSnapshot.exists ? calendarSnapshot.data() : null;
 
+      await deleteIcsImportSourceAsync(currentUser.uid);
       if (calendarSnapshot.exists) {
         await calendarDocRef.delete();
       }
@@ -1089,7 +1200,9 @@ const AccountSettingsScreen = ({ navigation }) => {
       const activeUser = auth.currentUser;
       if (!activeUser) {
         setStatusMessage('Din profil er slettet. Du logges nu ud.');
-        await auth.signOut().catch(() => {});
+        await signOutAndClearAsync(currentUser.uid, {
+          profileDeleted: true,
+        }).catch(() => {});
         return;
       }
 
@@ -1126,7 +1239,9 @@ const AccountSettingsScreen = ({ navigation }) => {
       }
 
       setStatusMessage('Din profil er slettet. Du logges nu ud.');
-      await auth.signOut().catch(() => {});
+      await signOutAndClearAsync(currentUser.uid, {
+        profileDeleted: true,
+      }).catch(() => {});
     } catch (_deleteError) {
       setActionError('Kunne ikke slette din profil. Prøv igen.');
     } finally {
@@ -1134,20 +1249,74 @@ const AccountSettingsScreen = ({ navigation }) => {
     }
   };
 
+  /**
+   * PÅMINDELSER
+   *
+   * Slår et påmindelsestidspunkt til/fra. FamilyEvents lytter på brugerdokumentet
+   * og planlægger påmindelserne om med det samme.
+   */
+  const handleToggleReminder = async (minutes) => {
+    if (!currentUser || !userProfile) {
+      return;
+    }
+
+    const current = normalizeEventReminderMinutes(
+      userProfile.eventReminderMinutes
+    );
+    const next = normalizeEventReminderMinutes(
+      current.includes(minutes)
+        ? current.filter((value) => value !== minutes)
+        : [...current, minutes]
+    );
+
+    setActionError('');
+    setUserProfile((prev) =>
+      prev ? { ...prev, eventReminderMinutes: next } : prev
+    );
+    try {
+      await db
+        .collection('users')
+        .doc(currentUser.uid)
+        .set({ eventReminderMinutes: next }, { merge: true });
+    } catch (_error) {
+      setUserProfile((prev) =>
+        prev ? { ...prev, eventReminderMinutes: current } : prev
+      );
+      setActionError('Kunne ikke gemme påmindelser. Prøv igen.');
+    }
+  };
+
   /**
    * LOG UD
    * 
-   * Logger brugeren ud fra Firebase Authentication.
+   * Logger brugeren ud fra Firebase Authentication og rydder det, appen har gemt
+   * for brugeren på telefonen (push-token, påmindelser, outbox og en husket session).
+   * Ligger der ændringer der endnu ikke er sendt, spørges brugeren først.
    * Efter dette vil brugeren blive sendt tilbage til login-skærmen.
    */
-  const handleLogout = async () => {
+  const performLogout = async () => {
     try {
-      await auth.signOut();
+      await signOutAndClearAsync(currentUser?.uid);
     } catch (_error) {
       setActionError('Kunne ikke logge ud. Prøv igen.');
     }
   };
 
+  const handleLogout = () => {
+    if (!getOutboxEntries().length) {
+      performLogout();
+      return;
+    }
+    Alert.alert(
+      'Ændringer er ikke sendt',
+      'Nogle ændringer venter stadig på forbindelse og går tabt, hvis du logger ud nu.',
+      [
+        { text: 'Annuller', style: 'cancel' },
+        { text: 'Log ud', style: 'destructive', onPress: performLogout },
+      ]
+    );
+  };
+
   const resolvedUserEmoji =
     typeof userProfile?.avatarEmoji === 'string' && userProfile.avatarEmoji.trim().length
       ? userProfile.avatarEmoji.trim()
@@ -1225,7 +1394,7 @@ const AccountSettingsScreen = ({ navigation }) => {
     {
       key: 'role',
       label: 'Familiestatus',
-      value: userProfile?.familyRole ? userProfile.familyRole : 'Medlem',
+      value: currentFamilyRoleLabel,
     },
   ];
   const preferenceHighlights = [
@@ -1256,6 +1425,29 @@ const AccountSettingsScreen = ({ navigation }) => {
   const shouldShowStatusCard =
     Boolean(error) || Boolean(actionError) || Boolean(statusMessage);
 
+  // Filterchips i aktivitetstidslinjen bruger samme udseende som påmindelserne.
+  const renderActivityFilterChip = (key, label, selected, onPress) => (
+    <Pressable
+      key={key}
+      onPress={onPress}
+      style={[
+        styles.reminderChip,
+        selected ? styles.reminderChipSelected : null,
+      ]}
+      accessibilityRole="button"
+      accessibilityState={{ selected }}
+    >
+      <Text
+        style={[
+          styles.reminderChipText,
+          selected ? styles.reminderChipTextSelected : null,
+        ]}
+      >
+        {label}
+      </Text>
+    </Pressable>
+  );
+
   return (
     <SafeAreaView style={styles.safeArea}>
       <ScrollView
@@ -1392,8 +1584,7 @@ const AccountSettingsScreen = ({ navigation }) => {
             <>
               <Text style={styles.fieldText}>Navn: {family.name}</Text>
               <Text style={styles.fieldText}>
-                Rolle:{' '}
-                {userProfile?.familyRole ? userProfile.familyRole : 'Medlem'}
+                Rolle: {currentFamilyRoleLabel}
               </Text>
               <Text style={styles.fieldText}>Familie ID: {family.id}</Text>
 
@@ -1426,6 +1617,9 @@ const AccountSettingsScreen = ({ navigation }) => {
                       profileData?.email,
                       member?.email
                     ) || 'Familiemedlem';
+                  const memberRoleLabel = getFamilyRoleLabel(
+                    getFamilyMemberRole(family, member.userId)
+                  );
                   return (
                     <View
                       key={`${member.userId}-${member.email}`}
@@ -1433,7 +1627,7 @@ const AccountSettingsScreen = ({ navigation }) => {
                     >
                       <Text style={styles.memberText}>
                         {memberEmoji} {memberName}{' '}
-                        {member.role === 'admin' ? '(Administrator)' : '(Medlem)'}
+                        ({memberRoleLabel})
                       </Text>
                     </View>
                   );
@@ -1478,6 +1672,132 @@ const AccountSettingsScreen = ({ navigation }) => {
           ) : null}
         </View>
 
+          {canViewActivityLog ? (
+            <View style={styles.card}>
+              <View style={styles.sectionHeader}>
+                <Text style={styles.sectionTitle}>Aktivitet i familien</Text>
+                <Text style={styles.sectionHint}>
+                  Hvem der har godkendt, afvist, fjernet og aflyst hvad.
+                </Text>
+              </View>
+
+              <Text style={styles.activityFilterLabel}>Medlem</Text>
+              <View style={styles.reminderChipRow}>
+                {[{ userId: '', name: 'Alle' }, ...activityMemberOptions].map(
+                  (option) =>
+                    renderActivityFilterChip(
+                      option.userId || 'all',
+                      option.name,
+                      activityMemberFilter === option.userId,
+                      () => {
+                        setActivityMemberFilter(option.userId);
+                        setVisibleActivityCount(ACTIVITY_PAGE_STEP);
+                      }
+                    )
+                )}
+              </View>
+
+              <Text style={styles.activityFilterLabel}>Handling</Text>
+              <View style={styles.reminderChipRow}>
+                {['', ...Object.values(FAMILY_ACTIVITY_TYPES)].map((type) =>
+                  renderActivityFilterChip(
+                    type || 'all',
+                    type ? FAMILY_ACTIVITY_LABELS[type] : 'Alle',
+                    activityTypeFilter === type,
+                    () => {
+                      setActivityTypeFilter(type);
+                      setVisibleActivityCount(ACTIVITY_PAGE_STEP);
+                    }
+                  )
+                )}
+              </View>
+
+              <View style={styles.activityList}>
+                {filteredActivityEntries.length ? (
+                  filteredActivityEntries
+                    .slice(0, visibleActivityCount)
+                    .map((entry) => (
+                      <View key={entry.id} style={styles.activityRow}>
+                        <Text style={styles.activityText}>
+                          {describeFamilyActivity(entry, activityNameById)}
+                        </Text>
+                        <Text style={styles.activityMeta}>
+                          {formatActivityTime(entry.createdAt)}
+                        </Text>
+                      </View>
+                    ))
+                ) : (
+                  <Text style={styles.infoText}>
+                    {activityEntries.length
+                      ? 'Ingen aktivitet matcher filtrene.'
+                      : 'Der er ingen aktivitet i familien endnu.'}
+                  </Text>
+                )}
+              </View>
+              {filteredActivityEntries.length > visibleActivityCount ? (
+                <Button
+                  title="Vis flere"
+                  onPress={() =>
+                    setVisibleActivityCount((prev) => prev + ACTIVITY_PAGE_STEP)
+                  }
+                  style={styles.actionButton}
+                />
+              ) : null}
+            </View>
+          ) : null}
+
+          <View style={styles.card}>
+            <View style={styles.sectionHeader}>
+              <Text style={styles.sectionTitle}>Påmindelser</Text>
+              <Text style={styles.sectionHint}>
+                Få besked før bekræftede familieaktiviteter.
+              </Text>
+            </View>
+            <View style={styles.reminderChipRow}>
+              {EVENT_REMINDER_OPTIONS.map((option) => {
+                const selected = normalizeEventReminderMinutes(
+                  userProfile?.eventReminderMinutes
+                ).includes(option.minutes);
+                return (
+                  <Pressable
+                    key={option.minutes}
+                    onPress={() => handleToggleReminder(option.minutes)}
+                    disabled={loading}
+                    style={[
+                      styles.reminderChip,
+                      selected ? styles.reminderChipSelected : null,
+                    ]}
+                    accessibilityRole="button"
+                    accessibilityState={{ selected, disabled: loading }}
+                  >
+                    <Text
+                      style={[
+                        styles.reminderChipText,
+                        selected ? styles.reminderChipTextSelected : null,
+                      ]}
+                    >
+                      {option.label}
+                    </Text>
+                  </Pressable>
+                );
+              })}
+            </View>
+          </View>
+
+          <View style={styles.card}>
+            <View style={styles.sectionHeader}>
+              <Text style={styles.sectionTitle}>Optagede tider</Text>
+              <Text style={styles.sectionHint}>
+                Markér faste aftaler, hvis du ikke deler din kalender.
+              </Text>
+            </View>
+            <Button
+              title="Rediger optagede tider"
+              onPress={handleManualBusy}
+              style={styles.actionButton}
+            />
+          </View>
+
         <View style={styles.card}>
           <Text style={styles.sectionTitle}>Generelt</Text>
           <Button
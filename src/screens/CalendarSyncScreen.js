@@ -8,17 +8,38 @@
  * Overblik (hvordan filen er bygget op):
  * - State: prompt/processing/status/label og userId.
  * - Flow: request permissions -> find writable calendar -> persist status (permission/synced/calendarIds/title/platform).
+ * - Efter synk vælger brugeren hvilke kalendere der tæller som optaget (busyCalendarIds),
+ *   og hvilken kalender der modtager familiebegivenheder (calendarId), se utils/deviceCalendars.
+ * - Samme sted vælges om ledige, foreløbige, afviste og heldagsaftaler tæller (busyEventPolicy).
  * - UI: hero-tekst der skifter foer/efter synk, errorbox, knapper (fortsaet, proev igen, afvis).
+ * - Uden kalenderadgang kan brugeren importere en .ics (URL eller indsat tekst) som busy-tid.
  * - Navigation: efter synk/afvis gaar videre til FamilySetup.
  */
 import React, { useMemo, useState } from 'react';
-import { View, Text, Modal, Pressable, Platform } from 'react-native';
+import {
+  View,
+  Text,
+  Modal,
+  Pressable,
+  Platform,
+  ScrollView,
+  Switch,
+  TextInput,
+} from 'react-native';
 import * as Calendar from 'expo-calendar';
 
 import Button from '../components/Button';
 import ErrorMessage from '../components/ErrorMessage';
 import { auth, db, firebase } from '../lib/firebase';
 import styles from '../styles/screens/CalendarSyncScreenStyles';
+import { clearIcsImportAsync, importIcsBusyAsync } from '../utils/icsImport';
+import { normalizeBusyEventPolicy } from '../utils/calendarAvailability';
+import {
+  listDeviceEventCalendarsAsync,
+  pickDefaultTargetCalendar,
+  resolveBusyCalendarIds,
+  saveCalendarSelectionAsync,
+} from '../utils/deviceCalendars';
 
 /**
  * FORMATERING AF KALENDER-NAVN
@@ -33,6 +54,13 @@ import styles from '../styles/screens/CalendarSyncScreenStyles';
  * - Input: "Work Calendar" → Output: "Work Calendar"
  * - Input: null eller "" → Output: "din kalender"
  */
+const BUSY_EVENT_POLICY_OPTIONS = [
+  { key: 'free', label: 'Aftaler markeret som ledig' },
+  { key: 'tentative', label: 'Foreløbige aftaler' },
+  { key: 'declined', label: 'Invitationer du har afvist' },
+  { key: 'allDay', label: 'Heldagsbegivenheder' },
+];
+
 const formatCalendarLabel = (calendarTitle) => {
   const trimmedTitle =
     typeof calendarTitle === 'string' ? calendarTitle.trim() : '';
@@ -54,6 +82,17 @@ const CalendarSyncScreen = ({ navigation }) => {
   const [processing, setProcessing] = useState(false);
   const [syncCompleted, setSyncCompleted] = useState(false);
   const [calendarLabel, setCalendarLabel] = useState('din kalender');
+  const [icsSource, setIcsSource] = useState('');
+  const [icsImporting, setIcsImporting] = useState(false);
+  const [icsStatus, setIcsStatus] = useState('');
+  const [deviceCalendars, setDeviceCalendars] = useState([]);
+  const [busyCalendarIds, setBusyCalendarIds] = useState([]);
+  const [targetCalendarId, setTargetCalendarId] = useState(null);
+  const [busyEventPolicy, setBusyEventPolicy] = useState(
+    normalizeBusyEventPolicy(null)
+  );
+  const [savingSelection, setSavingSelection] = useState(false);
+  const [selectionStatus, setSelectionStatus] = useState('');
 
   const userId = auth.currentUser?.uid ?? null;
 
@@ -128,21 +167,25 @@ const CalendarSyncScreen = ({ navigation }) => {
       }
 
       let writableCalendar = null;
-      const calendars = await Calendar.getCalendarsAsync(
-        Calendar.EntityTypes.EVENT
-      );
-
-      const eventCalendars = calendars.filter((calendar) => calendar?.id);
+      const eventCalendars = await listDeviceEventCalendarsAsync();
 
       const allCalendarIds = Array.from(
         new Set(eventCalendars.map((calendar) => calendar.id).filter(Boolean))
       );
 
+      let storedCalendarData = {};
+      try {
+        const calendarDoc = await db.collection('calendar').doc(userId).get();
+        storedCalendarData = calendarDoc.data() ?? {};
+      } catch (_readError) {
+        // Uden tidligere valg bruges standardvalget nedenfor.
+      }
+
       writableCalendar =
-        eventCalendars.find((calendar) => calendar.allowsModifications) ??
-        eventCalendars.find((calendar) => calendar.isPrimary) ??
-        eventCalendars[0] ??
-        null;
+        eventCalendars.find(
+          (calendar) =>
+            calendar.writable && calendar.id === storedCalendarData.calendarId
+        ) ?? pickDefaultTargetCalendar(eventCalendars);
 
       if (!writableCalendar && Calendar.getDefaultCalendarAsync) {
         try {
@@ -168,6 +211,17 @@ const CalendarSyncScreen = ({ navigation }) => {
         // Hvis vi ikke kan gemme, fortsætter vi med visuel feedback til brugeren.
       }
 
+      setDeviceCalendars(eventCalendars);
+      setBusyCalendarIds(
+        resolveBusyCalendarIds(storedCalendarData, allCalendarIds).filter(
+          (id) => allCalendarIds.includes(id)
+        )
+      );
+      setTargetCalendarId(writableCalendar?.id ?? null);
+      setBusyEventPolicy(
+        normalizeBusyEventPolicy(storedCalendarData.busyEventPolicy)
+      );
+      setSelectionStatus('');
       setCalendarLabel(formatCalendarLabel(writableCalendar?.title));
       setSyncCompleted(true);
       setPromptVisible(false);
@@ -212,6 +266,100 @@ const CalendarSyncScreen = ({ navigation }) => {
     setSyncCompleted(false);
   };
 
+  /**
+   * IMPORTÉR ICS
+   *
+   * Alternativ til enhedskalenderen: aftalerne fra en .ics gemmes som busy-tid
+   * på calendar/{uid}, så familiens forslag tager højde for dem.
+   */
+  const handleImportIcs = async () => {
+    if (!icsSource.trim()) {
+      setErrorMessage('Indsæt et kalenderlink eller indholdet af en .ics-fil.');
+      return;
+    }
+
+    try {
+      setIcsImporting(true);
+      setErrorMessage('');
+      setIcsStatus('');
+      const { eventCount, intervalCount } = await importIcsBusyAsync(
+        userId,
+        icsSource
+      );
+      setIcsSource('');
+      setIcsStatus(
+        `${eventCount} aftaler importeret (${intervalCount} optagede tidsrum de næste uger).`
+      );
+    } catch (_importError) {
+      setErrorMessage(
+        'Kunne ikke læse kalenderen. Tjek linket eller at teksten er en .ics-fil.'
+      );
+    } finally {
+      setIcsImporting(false);
+    }
+  };
+
+  const handleClearIcsImport = async () => {
+    try {
+      setIcsImporting(true);
+      setErrorMessage('');
+      await clearIcsImportAsync(userId);
+      setIcsStatus('Den importerede kalender er fjernet.');
+    } catch (_clearError) {
+      setErrorMessage('Kunne ikke fjerne den importerede kalender.');
+    } finally {
+      setIcsImporting(false);
+    }
+  };
+
+  const handleToggleBusyCalendar = (calendarId) => {
+    setSelectionStatus('');
+    setBusyCalendarIds((prev) =>
+      prev.includes(calendarId)
+        ? prev.filter((id) => id !== calendarId)
+        : [...prev, calendarId]
+    );
+  };
+
+  const handleToggleBusyEventPolicy = (key) => {
+    setSelectionStatus('');
+    setBusyEventPolicy((prev) => ({ ...prev, [key]: !prev[key] }));
+  };
+
+  const handleSelectTargetCalendar = (calendarId) => {
+    setSelectionStatus('');
+    setTargetCalendarId(calendarId);
+  };
+
+  /**
+   * GEM KALENDERVALG
+   *
+   * Gemmer hvilke kalendere der tæller som optaget tid, og hvor bekræftede
+   * familiebegivenheder skrives hen. Arbejds-, helligdags- og fødselsdagskalendere
+   * kan dermed holdes ude af familiens ledige tider.
+   */
+  const handleSaveCalendarSelection = async () => {
+    try {
+      setSavingSelection(true);
+      setErrorMessage('');
+      await saveCalendarSelectionAsync(userId, {
+        calendars: deviceCalendars,
+        busyCalendarIds,
+        targetCalendarId,
+        busyEventPolicy,
+      });
+      const target = deviceCalendars.find(
+        (calendar) => calendar.id === targetCalendarId
+      );
+      setCalendarLabel(formatCalendarLabel(target?.title));
+      setSelectionStatus('Dit kalendervalg er gemt.');
+    } catch (_saveError) {
+      setErrorMessage('Kunne ikke gemme dit kalendervalg. Prøv igen.');
+    } finally {
+      setSavingSelection(false);
+    }
+  };
+
   /**
    * FORTSÆT TIL FAMILIE-SETUP
    * 
@@ -247,7 +395,11 @@ const CalendarSyncScreen = ({ navigation }) => {
   }, [calendarLabel, syncCompleted]);
 
   return (
-    <View style={styles.container}>
+    <ScrollView
+      style={styles.container}
+      contentContainerStyle={styles.content}
+      keyboardShouldPersistTaps="handled"
+    >
       <Text style={styles.title}>{heroContent.title}</Text>
       <Text style={styles.subtitle}>{heroContent.subtitle}</Text>
       {heroContent.paragraphs.map((copy) => (
@@ -259,6 +411,100 @@ const CalendarSyncScreen = ({ navigation }) => {
 
       {!promptVisible ? (
         <>
+          {syncCompleted && deviceCalendars.length ? (
+            <View style={styles.importCard}>
+              <Text style={styles.importTitle}>Tæller som optaget</Text>
+              <Text style={styles.importHint}>
+                Slå fx arbejds-, helligdags- og fødselsdagskalendere fra, hvis
+                de ikke skal blokere familietid.
+              </Text>
+              {deviceCalendars.map((calendar) => (
+                <View key={calendar.id} style={styles.calendarRow}>
+                  <View
+                    style={[
+                      styles.calendarColor,
+                      calendar.color
+                        ? { backgroundColor: calendar.color }
+                        : null,
+                    ]}
+                  />
+                  <View style={styles.calendarText}>
+                    <Text style={styles.calendarTitle}>{calendar.title}</Text>
+                    {calendar.sourceName ? (
+                      <Text style={styles.calendarSource}>
+                        {calendar.sourceName}
+                      </Text>
+                    ) : null}
+                  </View>
+                  <Switch
+                    value={busyCalendarIds.includes(calendar.id)}
+                    onValueChange={() => handleToggleBusyCalendar(calendar.id)}
+                    accessibilityLabel={`${calendar.title} tæller som optaget`}
+                  />
+                </View>
+              ))}
+
+              <Text style={[styles.importTitle, styles.calendarSectionTitle]}>
+                Disse aftaler tæller også som optaget
+              </Text>
+              {BUSY_EVENT_POLICY_OPTIONS.map((option) => (
+                <View key={option.key} style={styles.calendarRow}>
+                  <Text style={[styles.calendarTitle, styles.calendarText]}>
+                    {option.label}
+                  </Text>
+                  <Switch
+                    value={busyEventPolicy[option.key]}
+                    onValueChange={() =>
+                      handleToggleBusyEventPolicy(option.key)
+                    }
+                    accessibilityLabel={option.label}
+                  />
+                </View>
+              ))}
+
+              <Text style={[styles.importTitle, styles.calendarSectionTitle]}>
+                Familiebegivenheder gemmes i
+              </Text>
+              <View style={styles.calendarChipRow}>
+                {deviceCalendars
+                  .filter((calendar) => calendar.writable)
+                  .map((calendar) => {
+                    const selected = calendar.id === targetCalendarId;
+                    return (
+                      <Pressable
+                        key={calendar.id}
+                        onPress={() => handleSelectTargetCalendar(calendar.id)}
+                        style={[
+                          styles.calendarChip,
+                          selected ? styles.calendarChipSelected : null,
+                        ]}
+                        accessibilityRole="button"
+                        accessibilityState={{ selected }}
+                      >
+                        <Text
+                          style={[
+                            styles.calendarChipText,
+                            selected ? styles.calendarChipTextSelected : null,
+                          ]}
+                        >
+                          {calendar.title}
+                        </Text>
+                      </Pressable>
+                    );
+                  })}
+              </View>
+
+              <Button
+                title="Gem kalendervalg"
+                onPress={handleSaveCalendarSelection}
+                loading={savingSelection}
+                style={styles.importButton}
+              />
+              {selectionStatus ? (
+                <Text style={styles.importStatus}>{selectionStatus}</Text>
+              ) : null}
+            </View>
+          ) : null}
           <Button
             title="Fortsæt til familie"
             onPress={handleContinue}
@@ -269,6 +515,42 @@ const CalendarSyncScreen = ({ navigation }) => {
               <Text style={styles.retryLink}>Prøv igen</Text>
             </Pressable>
           ) : null}
+          {!syncCompleted ? (
+            <View style={styles.importCard}>
+              <Text style={styles.importTitle}>Importér kalender (.ics)</Text>
+              <Text style={styles.importHint}>
+                Indsæt et kalenderlink (fx det hemmelige iCal-link fra Google
+                eller Outlook) eller indholdet af en .ics-fil. Dine aftaler
+                deles kun som optaget tid.
+              </Text>
+              <TextInput
+                value={icsSource}
+                onChangeText={setIcsSource}
+                placeholder="https://... eller BEGIN:VCALENDAR..."
+                autoCapitalize="none"
+                autoCorrect={false}
+                multiline
+                style={styles.importInput}
+              />
+              <Button
+                title="Importér"
+                onPress={handleImportIcs}
+                loading={icsImporting}
+                style={styles.importButton}
+              />
+              {icsStatus ? (
+                <Text style={styles.importStatus}>{icsStatus}</Text>
+              ) : null}
+              <Pressable onPress={handleClearIcsImport} disabled={icsImporting}>
+                <Text style={styles.retryLink}>Fjern importeret kalender</Text>
+              </Pressable>
+              <Pressable onPress={() => navigation.navigate('ManualBusy')}>
+                <Text style={styles.retryLink}>
+                  Indtast optagede tider selv
+                </Text>
+              </Pressable>
+            </View>
+          ) : null}
         </>
       ) : null}
 
@@ -296,7 +578,7 @@ const CalendarSyncScreen = ({ navigation }) => {
           </View>
         </View>
       </Modal>
-    </View>
+    </ScrollView>
   );
 };
 
@@ -0,0 +1,306 @@
+/**
+ * ChildProfilesScreen
+ *
+ * Hvad goer filen for appen:
+ * - Lader en voksen i familien oprette, rette og slette profiler for børn uden
+ *   eget login (navn, alder og foretrukne dage).
+ * - Profilerne ligger på `families/{familyId}/children/{childId}` og indgår i
+ *   familiens ledige tider og AI-forslag (se utils/childProfiles).
+ *
+ * Overblik (hvordan filen er bygget op):
+ * - State: børn fra useChildProfiles, formular (navn, alder, dage) og redigeret id.
+ * - Flow: gem skriver barnets dokument; "Optagede tider" åbner ManualBusyScreen
+ *   for barnet.
+ * - UI: liste med børn og en formular med dag-chips.
+ */
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  Pressable,
+  ScrollView,
+  Alert,
+} from 'react-native';
+
+import Button from '../components/Button';
+import ErrorMessage from '../components/ErrorMessage';
+import { auth, db, firebase } from '../lib/firebase';
+import useChildProfiles from '../hooks/useChildProfiles';
+import { getChildDisplayName, readChildAge } from '../utils/childProfiles';
+import { normalizeManualBusyBlocks } from '../utils/manualBusy';
+import { FAMILY_PREFERENCE_MODES } from '../constants/familyPreferenceModes';
+import styles from '../styles/screens/ChildProfilesScreenStyles';
+
+const WEEK_DAYS = [
+  { key: 'monday', label: 'Man' },
+  { key: 'tuesday', label: 'Tir' },
+  { key: 'wednesday', label: 'Ons' },
+  { key: 'thursday', label: 'Tor' },
+  { key: 'friday', label: 'Fre' },
+  { key: 'saturday', label: 'Lør' },
+  { key: 'sunday', label: 'Søn' },
+];
+
+const MAX_CHILD_AGE = 17;
+
+const createDefaultForm = () => ({ name: '', age: '', days: [] });
+
+const describeChild = (child) => {
+  const parts = [];
+  const age = readChildAge(child.age);
+  if (age !== null) {
+    parts.push(`${age} år`);
+  }
+  const blockCount = normalizeManualBusyBlocks(child.manualBusyBlocks).length;
+  parts.push(
+    blockCount === 1 ? '1 optaget tid' : `${blockCount} optagede tider`
+  );
+  return parts.join(' · ');
+};
+
+const ChildProfilesScreen = ({ navigation, route }) => {
+  const userId = auth.currentUser?.uid ?? null;
+  const familyId = route?.params?.familyId ?? null;
+  const { children, loading } = useChildProfiles(familyId);
+  const [form, setForm] = useState(createDefaultForm);
+  const [editingId, setEditingId] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const childrenRef = familyId
+    ? db.collection('families').doc(familyId).collection('children')
+    : null;
+
+  const resetForm = () => {
+    setForm(createDefaultForm());
+    setEditingId(null);
+  };
+
+  /**
+   * GEM BØRNEPROFIL
+   *
+   * Opretter et nyt barn eller opdaterer det der redigeres. Felterne matcher
+   * users-dokumentets præferencefelter, så de samme hjælpere kan læse dem.
+   */
+  const handleSave = async () => {
+    const name = form.name.trim();
+    if (!name) {
+      setError('Skriv barnets navn.');
+      return;
+    }
+    const age = form.age.trim() ? readChildAge(form.age) : null;
+    if (form.age.trim() && (age === null || age > MAX_CHILD_AGE)) {
+      setError(`Alderen skal være et tal mellem 0 og ${MAX_CHILD_AGE}.`);
+      return;
+    }
+    if (!childrenRef || !userId) {
+      setError('Ingen familie valgt.');
+      return;
+    }
+
+    setSaving(true);
+    setError('');
+    try {
+      const payload = {
+        name,
+        age,
+        preferredFamilyDays: form.days,
+        familyPreferenceMode: FAMILY_PREFERENCE_MODES.CUSTOM,
+        updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
+      };
+      if (editingId) {
+        await childrenRef.doc(editingId).set(payload, { merge: true });
+      } else {
+        await childrenRef.add({
+          ...payload,
+          createdBy: userId,
+          createdAt: firebase.firestore.FieldValue.serverTimestamp(),
+        });
+      }
+      resetForm();
+    } catch (_saveError) {
+      setError('Kunne ikke gemme barnet. Prøv igen.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleEdit = (child) => {
+    const age = readChildAge(child.age);
+    setEditingId(child.id);
+    setForm({
+      name: getChildDisplayName(child),
+      age: age === null ? '' : String(age),
+      days: Array.isArray(child.preferredFamilyDays)
+        ? child.preferredFamilyDays
+        : [],
+    });
+    setError('');
+  };
+
+  const handleDelete = (child) => {
+    const childName = getChildDisplayName(child);
+    Alert.alert(
+      `Slet ${childName}?`,
+      'Barnets optagede tider slettes også og indgår ikke længere i familiens ledige tider.',
+      [
+        { text: 'Annuller', style: 'cancel' },
+        {
+          text: 'Slet',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await childrenRef.doc(child.id).delete();
+              if (editingId === child.id) {
+                resetForm();
+              }
+            } catch (_deleteError) {
+              setError('Kunne ikke slette barnet. Prøv igen.');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const handleOpenBusy = (child) => {
+    navigation.navigate('ManualBusy', {
+      familyId,
+      childId: child.id,
+      childName: getChildDisplayName(child),
+    });
+  };
+
+  const toggleDay = (dayKey) => {
+    setForm((prev) => ({
+      ...prev,
+      days: prev.days.includes(dayKey)
+        ? prev.days.filter((key) => key !== dayKey)
+        : WEEK_DAYS.map((day) => day.key).filter(
+            (key) => key === dayKey || prev.days.includes(key)
+          ),
+    }));
+  };
+
+  return (
+    <ScrollView
+      style={styles.container}
+      contentContainerStyle={styles.content}
+      keyboardShouldPersistTaps="handled"
+    >
+      <Text style={styles.title}>Børn uden login</Text>
+      <Text style={styles.subtitle}>
+        Tilføj børn, der ikke selv har en profil. Deres skole og
+        fritidsaktiviteter tæller med, når FamTime finder tider hvor familien er
+        fri.
+      </Text>
+
+      <View style={styles.card}>
+        {loading ? (
+          <Text style={styles.infoText}>Indlæser...</Text>
+        ) : children.length ? (
+          children.map((child) => (
+            <View key={child.id} style={styles.childRow}>
+              <Pressable
+                style={styles.childText}
+                onPress={() => handleEdit(child)}
+                accessibilityRole="button"
+              >
+                <Text style={styles.childName}>
+                  {getChildDisplayName(child)}
+                </Text>
+                <Text style={styles.childMeta}>{describeChild(child)}</Text>
+              </Pressable>
+              <View style={styles.childActions}>
+                <Pressable
+                  onPress={() => handleOpenBusy(child)}
+                  accessibilityRole="button"
+                >
+                  <Text style={styles.actionText}>Optagede tider</Text>
+                </Pressable>
+                <Pressable
+                  onPress={() => handleDelete(child)}
+                  disabled={saving}
+                  accessibilityRole="button"
+                  accessibilityLabel={`Slet ${getChildDisplayName(child)}`}
+                >
+                  <Text style={styles.deleteText}>Slet</Text>
+                </Pressable>
+              </View>
+            </View>
+          ))
+        ) : (
+          <Text style={styles.infoText}>
+            Der er ingen børn uden login i familien endnu.
+          </Text>
+        )}
+      </View>
+
+      <View style={styles.card}>
+        <Text style={styles.sectionTitle}>
+          {editingId ? 'Ret barn' : 'Tilføj barn'}
+        </Text>
+        <TextInput
+          style={styles.input}
+          placeholder="Navn"
+          value={form.name}
+          onChangeText={(name) => setForm((prev) => ({ ...prev, name }))}
+        />
+        <TextInput
+          style={styles.input}
+          placeholder="Alder"
+          keyboardType="number-pad"
+          value={form.age}
+          onChangeText={(age) => setForm((prev) => ({ ...prev, age }))}
+        />
+
+        <Text style={styles.fieldLabel}>Foretrukne dage til familietid</Text>
+        <View style={styles.dayRow}>
+          {WEEK_DAYS.map((day) => {
+            const selected = form.days.includes(day.key);
+            return (
+              <Pressable
+                key={day.key}
+                style={[styles.dayChip, selected ? styles.dayChipActive : null]}
+                onPress={() => toggleDay(day.key)}
+                accessibilityRole="button"
+                accessibilityState={{ selected }}
+              >
+                <Text
+                  style={[
+                    styles.dayChipText,
+                    selected ? styles.dayChipTextActive : null,
+                  ]}
+                >
+                  {day.label}
+                </Text>
+              </Pressable>
+            );
+          })}
+        </View>
+        <Text style={styles.infoText}>
+          Vælg ingen dage, hvis alle dage passer barnet.
+        </Text>
+
+        <ErrorMessage message={error} />
+        <Button
+          title={editingId ? 'Gem ændringer' : 'Tilføj'}
+          onPress={handleSave}
+          loading={saving}
+          style={styles.saveButton}
+        />
+        {editingId ? (
+          <Button
+            title="Annuller"
+            onPress={resetForm}
+            disabled={saving}
+            style={styles.cancelButton}
+          />
+        ) : null}
+      </View>
+    </ScrollView>
+  );
+};
+
+export default ChildProfilesScreen;
@@ -25,6 +25,7 @@ import {
   Platform,
   KeyboardAvoidingView,
   AppState,
+  Share,
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { useFocusEffect, useNavigation } from '@react-navigation/native';
@@ -38,31 +39,81 @@ import AISuggestion, {
   generateProfileSuggestion,
 } from '../components/AISuggestion';
 import { auth, db, firebase } from '../lib/firebase';
-import findMutualAvailability, { availabilityUtils } from '../lib/availability';
+import { buildFallbackQuorum } from '../lib/availability';
+import { computeFamilyAvailability } from '../lib/availabilityApi';
+import {
+  getFamilyCalendarFeedUrl,
+  isCalendarFeedConfigured,
+} from '../lib/calendarFeedApi';
 import DateTimePicker from '@react-native-community/datetimepicker';
 import { Ionicons } from '@expo/vector-icons';
 import styles from '../styles/screens/FamilyEventsScreenStyles';
 import {
-  FAMILY_PREFERENCE_MODES,
-  normalizeFamilyPreferenceMode,
-} from '../constants/familyPreferenceModes';
+  buildAvailabilityUserPreferences,
+  buildFamilyPreferenceEntry,
+  resolveFamilyPreferences,
+} from '../utils/familyPreferences';
 import {
   applyIntervalTravelBuffer,
   areBusyListsEqual,
   buildEventBusyIntervals,
   extractPreferencesFromCalendarDoc,
+  extractSharedBusyFromCalendarDoc,
   mergeBusyIntervals,
-  normalizeBusyPayload,
+  normalizeBusyEventPolicy,
   shallowEqualObjects,
 } from '../utils/calendarAvailability';
 import {
-  PENDING_APPROVAL_APPROVE_ACTION,
   PENDING_APPROVAL_NOTIFICATION_CATEGORY,
   PENDING_APPROVAL_NOTIFICATION_CHANNEL,
   PENDING_APPROVAL_NOTIFICATION_MESSAGE,
   PENDING_APPROVAL_NOTIFICATION_TITLE,
-  PENDING_APPROVAL_REJECT_ACTION,
 } from '../constants/notifications';
+import {
+  getRegisteredPushToken,
+  preparePendingApprovalNotificationsAsync,
+} from '../utils/pushNotifications';
+import { normalizeEventReminderMinutes } from '../constants/eventReminders';
+import { syncEventRemindersAsync } from '../utils/eventReminders';
+import { buildFamilyCalendarIcs } from '../utils/icalendar';
+import { copyStringToClipboard } from '../utils/clipboard';
+import { OUTBOX_KINDS, setDocumentWithOutboxAsync } from '../utils/writeOutbox';
+import useFamilyMemberships from '../hooks/useFamilyMemberships';
+import useOtherFamiliesBusy from '../hooks/useOtherFamiliesBusy';
+import useChildProfiles from '../hooks/useChildProfiles';
+import {
+  buildChildAvailabilityInputs,
+  getChildAges,
+  getChildDisplayName,
+  toChildMemberId,
+} from '../utils/childProfiles';
+import { buildFamilyEventsQuery } from '../utils/familyMemberships';
+import {
+  FAMILY_PERMISSIONS,
+  FAMILY_ROLES,
+  getEventApproverIds,
+  getFamilyMemberRole,
+  hasFamilyPermission,
+} from '../constants/familyRoles';
+import {
+  loadDeviceCalendarEventsAsync,
+  resolveBusyCalendarIds,
+} from '../utils/deviceCalendars';
+import {
+  DEVICE_CALENDAR_CHANGE_TYPES,
+  detectDeviceCalendarChangeAsync,
+  isSameDeviceCalendarChange,
+  proposeDeviceCalendarChangeAsync,
+  serializeDeviceCalendarChange,
+} from '../utils/deviceCalendarChanges';
+import {
+  DEFAULT_RECURRENCE_EXPANSION_DAYS,
+  RECURRENCE_FREQUENCIES,
+  RECURRENCE_FREQUENCY_OPTIONS,
+  buildRRule,
+  expandEventsInRange,
+  getOccurrenceKey,
+} from '../utils/recurrence';
 
 const DEFAULT_EVENT_DURATION_MINUTES = 60;
 const MIN_EVENT_DURATION_MINUTES = 15;
@@ -282,6 +333,10 @@ const createDefaultEventState = () => {
     description: '',
     start,
     end,
+    recurrenceFreq: RECURRENCE_FREQUENCIES.NONE,
+    recurrenceCount: '',
+    recurrenceUntil: null,
+    guestIds: [],
   };
 };
 
@@ -327,12 +382,17 @@ const FamilyEventsScreen = () => {
   const [formSaving, setFormSaving] = useState(false);
   const [showStartPicker, setShowStartPicker] = useState(isIOS);
   const [showEndPicker, setShowEndPicker] = useState(isIOS);
+  const [showRecurrenceUntilPicker, setShowRecurrenceUntilPicker] =
+    useState(false);
   const [suggestions, setSuggestions] = useState([]);
   const [suggestionNotice, setSuggestionNotice] = useState('');
   const [selectedSuggestionId, setSelectedSuggestionId] = useState(null);
   const [activeSlotId, setActiveSlotId] = useState(null);
   const [builderVisible, setBuilderVisible] = useState(false);
   const [notificationsAllowed, setNotificationsAllowed] = useState(false);
+  const [reminderMinutes, setReminderMinutes] = useState(null);
+  const [calendarShareMessage, setCalendarShareMessage] = useState('');
+  const [calendarFeedBusy, setCalendarFeedBusy] = useState(false);
   useFocusEffect(
     useCallback(() => {
       setBuilderVisible(false);
@@ -343,6 +403,7 @@ const FamilyEventsScreen = () => {
     docRef: null,
     primaryCalendarId: null,
     calendarIds: [],
+    busyCalendarIds: [],
   });
   const [familyMembers, setFamilyMembers] = useState([]);
   const [familyPreferences, setFamilyPreferences] = useState({});
@@ -352,7 +413,46 @@ const FamilyEventsScreen = () => {
   const familySyncLockRef = useRef(false);
   const currentUserId = auth.currentUser?.uid ?? null;
   const currentUserEmail = auth.currentUser?.email?.toLowerCase() ?? '';
-  const [currentUserProfile, setCurrentUserProfile] = useState(null);
+  const otherFamiliesBusy = useOtherFamiliesBusy(familyId);
+  const { children: childProfiles } = useChildProfiles(familyId);
+  // Børn uden login tæller med i tilgængeligheden som `child:<id>`.
+  const childAvailability = useMemo(
+    () => buildChildAvailabilityInputs(childProfiles),
+    [childProfiles]
+  );
+  const {
+    activeFamilyId,
+    families: memberFamilies,
+    loading: membershipsLoading,
+  } = useFamilyMemberships();
+  const [familyReloadKey, setFamilyReloadKey] = useState(0);
+  // ownerId/memberRoles/members fra familien; rollen styrer hvad brugeren må.
+  const [familyRoleData, setFamilyRoleData] = useState(null);
+  const userRole = familyRoleData
+    ? getFamilyMemberRole(familyRoleData, currentUserId)
+    : '';
+  const canProposeEvents = hasFamilyPermission(
+    userRole,
+    FAMILY_PERMISSIONS.PROPOSE_EVENTS
+  );
+  const canViewAllEvents = hasFamilyPermission(
+    userRole,
+    FAMILY_PERMISSIONS.VIEW_ALL_EVENTS
+  );
+  const canRotateCalendarFeed = hasFamilyPermission(
+    userRole,
+    FAMILY_PERMISSIONS.ROTATE_CALENDAR_FEED
+  );
+  const [moodDraftGuestIds, setMoodDraftGuestIds] = useState([]);
+  const [ownProfile, setOwnProfile] = useState(null);
+  // AI-forslagenes profil: brugerens egne data plus børnenes aldre.
+  const currentUserProfile = useMemo(
+    () =>
+      ownProfile
+        ? { ...ownProfile, childAges: getChildAges(childProfiles) }
+        : null,
+    [ownProfile, childProfiles]
+  );
   const [activeMoodKey, setActiveMoodKey] = useState(null);
   const [moodVariantSeed, setMoodVariantSeed] = useState('');
   const [moodDraftTitle, setMoodDraftTitle] = useState('');
@@ -361,6 +461,8 @@ const FamilyEventsScreen = () => {
   const [deviceBusyRefreshToken, setDeviceBusyRefreshToken] = useState(0);
   const deviceBusyLoadedRef = useRef('');
   const notifiedPendingEventsRef = useRef(new Map());
+  const reminderSyncRef = useRef(Promise.resolve());
+  const suggestionRequestRef = useRef(0);
   const requestDeviceBusyRefresh = useCallback(() => {
     setDeviceBusyRefreshToken((token) => token + 1);
   }, []);
@@ -431,6 +533,35 @@ const FamilyEventsScreen = () => {
     return `${dateLabel} fra ${startClock} - ${endClock}`;
   }, [activeSuggestion]);
 
+  // Navne til "Uden: ..." på forslag fundet i quorum-tilstand.
+  const memberNameById = useMemo(() => {
+    const map = new Map();
+    familyMembers.forEach((member) => {
+      if (member?.userId) {
+        map.set(
+          member.userId,
+          member.name || member.displayName || member.email || 'Familiemedlem'
+        );
+      }
+    });
+    childProfiles.forEach((child) => {
+      map.set(toChildMemberId(child.id), getChildDisplayName(child));
+    });
+    return map;
+  }, [familyMembers, childProfiles]);
+
+  // Gæster ser kun begivenheder, de inviteres til via guestIds.
+  const guestMembers = useMemo(
+    () =>
+      familyMembers.filter(
+        (member) =>
+          member?.userId &&
+          getFamilyMemberRole(familyRoleData, member.userId) ===
+            FAMILY_ROLES.GUEST
+      ),
+    [familyMembers, familyRoleData]
+  );
+
   const suggestionMetaText = useMemo(() => {
     if (!sortedSuggestions.length) {
       return '';
@@ -452,6 +583,66 @@ const FamilyEventsScreen = () => {
     setBuilderVisible(true);
   }, []);
 
+  /**
+   * EKSPORTÉR KALENDER
+   *
+   * Deler familiens events som .ics-tekst via systemets del-menu.
+   */
+  const handleExportCalendar = useCallback(async () => {
+    if (!familyId) {
+      return;
+    }
+    setCalendarShareMessage('');
+    try {
+      const ics = buildFamilyCalendarIcs(
+        [...confirmedEvents, ...pendingEvents],
+        {
+          calendarName: `FamTime - ${familyName || 'Familie'}`,
+          timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+        }
+      );
+      await Share.share({ title: 'famtime.ics', message: ics });
+    } catch (_shareError) {
+      setCalendarShareMessage('Kunne ikke eksportere kalenderen. Prøv igen.');
+    }
+  }, [confirmedEvents, familyId, familyName, pendingEvents]);
+
+  // Kopierer abonnementslinket; rotate=true gør tidligere delte links ugyldige.
+  const copyCalendarFeedLink = useCallback(
+    async (rotate) => {
+      if (!familyId) {
+        return;
+      }
+      setCalendarFeedBusy(true);
+      setCalendarShareMessage('');
+      try {
+        const feedUrl = await getFamilyCalendarFeedUrl(familyId, { rotate });
+        const copied = await copyStringToClipboard(feedUrl);
+        setCalendarShareMessage(
+          copied
+            ? 'Linket er kopieret. Indsæt det som kalenderabonnement (URL).'
+            : feedUrl
+        );
+      } catch (_feedError) {
+        setCalendarShareMessage('Kunne ikke hente kalender-linket. Prøv igen.');
+      } finally {
+        setCalendarFeedBusy(false);
+      }
+    },
+    [familyId]
+  );
+
+  const handleRotateCalendarFeed = useCallback(() => {
+    Alert.alert(
+      'Lav nyt link?',
+      'Det gamle link holder op med at virke for alle, der abonnerer på det.',
+      [
+        { text: 'Annuller', style: 'cancel' },
+        { text: 'Lav nyt link', onPress: () => copyCalendarFeedLink(true) },
+      ]
+    );
+  }, [copyCalendarFeedLink]);
+
   const sendPendingApprovalNotification = useCallback(
     async (event) => {
       if (!familyId) {
@@ -505,60 +696,11 @@ const FamilyEventsScreen = () => {
   useEffect(() => {
     let isMounted = true;
 
-    const resolveStatus = (response) => {
-      if (!response) {
-        return 'denied';
-      }
-      if (typeof response.status === 'string') {
-        return response.status;
-      }
-      return response.granted ? 'granted' : 'denied';
-    };
-
     const ensureNotificationSetup = async () => {
       try {
-        if (Platform.OS === 'android') {
-          await Notifications.setNotificationChannelAsync(
-            PENDING_APPROVAL_NOTIFICATION_CHANNEL,
-            {
-              name: 'Afventer godkendelse',
-              importance: Notifications.AndroidImportance.HIGH,
-              vibrationPattern: [0, 250, 250, 250],
-              lightColor: '#FFB74D',
-            }
-          );
-        }
-
-        await Notifications.setNotificationCategoryAsync(
-          PENDING_APPROVAL_NOTIFICATION_CATEGORY,
-          [
-            {
-              identifier: PENDING_APPROVAL_APPROVE_ACTION,
-              buttonTitle: 'Godkend',
-              options: {
-                isAuthenticationRequired: true,
-              },
-            },
-            {
-              identifier: PENDING_APPROVAL_REJECT_ACTION,
-              buttonTitle: 'Afvis',
-              options: {
-                isDestructive: true,
-              },
-            },
-          ]
-        );
-
-        const existingPermissions = await Notifications.getPermissionsAsync();
-        let finalStatus = resolveStatus(existingPermissions);
-
-        if (finalStatus !== 'granted') {
-          const requestedPermissions = await Notifications.requestPermissionsAsync();
-          finalStatus = resolveStatus(requestedPermissions);
-        }
-
+        const granted = await preparePendingApprovalNotificationsAsync();
         if (isMounted) {
-          setNotificationsAllowed(finalStatus === 'granted');
+          setNotificationsAllowed(granted);
         }
       } catch (_notificationError) {
         if (isMounted) {
@@ -589,7 +731,8 @@ const FamilyEventsScreen = () => {
       notifiedMap.clear();
     };
 
-    if (!notificationsAllowed || !currentUserId) {
+    // Med et push-token sender familyEventNotifications allerede besked fra serveren.
+    if (!notificationsAllowed || !currentUserId || getRegisteredPushToken()) {
       clearAllNotifiedEvents();
       return;
     }
@@ -734,6 +877,7 @@ const FamilyEventsScreen = () => {
     setFormSaving(false);
     setShowStartPicker(isIOS);
     setShowEndPicker(isIOS);
+    setShowRecurrenceUntilPicker(false);
     setSelectedSuggestionId(null);
   };
 
@@ -752,6 +896,8 @@ const FamilyEventsScreen = () => {
         return;
       }
 
+      const childMemberIds = Object.keys(childAvailability.preferenceEntries);
+
       try {
         const snapshots = await Promise.all(
           memberIds.map((id) =>
@@ -763,137 +909,20 @@ const FamilyEventsScreen = () => {
           )
         );
 
-        const rawPreferenceMap = {};
+        const rawPreferenceMap = { ...childAvailability.preferenceEntries };
         snapshots.forEach((docSnapshot, index) => {
           if (!docSnapshot || !docSnapshot.exists) {
             return;
           }
           const memberId = memberIds[index];
           const data = docSnapshot.data() ?? {};
-          const timeWindows =
-            data?.preferredFamilyTimeWindows && typeof data.preferredFamilyTimeWindows === 'object'
-              ? data.preferredFamilyTimeWindows
-              : null;
-          const minDurationMinutes =
-            typeof data?.preferredFamilyMinDurationMinutes === 'number'
-              ? data.preferredFamilyMinDurationMinutes
-              : null;
-          const maxDurationMinutes =
-            typeof data?.preferredFamilyMaxDurationMinutes === 'number'
-              ? data.preferredFamilyMaxDurationMinutes
-              : null;
-          const preferredDurationMinutes =
-            typeof data?.preferredFamilyPreferredDurationMinutes === 'number'
-              ? data.preferredFamilyPreferredDurationMinutes
-              : null;
-          const slotStepMinutes =
-            typeof data?.preferredFamilySlotStepMinutes === 'number'
-              ? data.preferredFamilySlotStepMinutes
-              : null;
-          const maxSuggestionDaysPerWeek =
-            typeof data?.preferredFamilyMaxSuggestionDaysPerWeek === 'number'
-              ? data.preferredFamilyMaxSuggestionDaysPerWeek
-              : null;
-          const bufferBeforeMinutes =
-            typeof data?.preferredFamilyBufferBeforeMinutes === 'number'
-              ? data.preferredFamilyBufferBeforeMinutes
-              : null;
-          const bufferAfterMinutes =
-            typeof data?.preferredFamilyBufferAfterMinutes === 'number'
-              ? data.preferredFamilyBufferAfterMinutes
-              : null;
-          const timeZone =
-            typeof data?.preferredFamilyTimeZone === 'string' && data.preferredFamilyTimeZone.trim().length
-              ? data.preferredFamilyTimeZone.trim()
-              : null;
-          rawPreferenceMap[memberId] = {
-            mode: normalizeFamilyPreferenceMode(data.familyPreferenceMode),
-            followUserId:
-              typeof data?.familyPreferenceFollowUserId === 'string'
-                ? data.familyPreferenceFollowUserId.trim()
-                : '',
-            own: {
-              days: Array.isArray(data.preferredFamilyDays)
-                ? data.preferredFamilyDays
-                : [],
-              timeWindows,
-              minDurationMinutes,
-              maxDurationMinutes,
-              preferredDurationMinutes,
-              slotStepMinutes,
-              maxSuggestionDaysPerWeek,
-              bufferBeforeMinutes,
-              bufferAfterMinutes,
-              timeZone,
-            },
-          };
+          rawPreferenceMap[memberId] = buildFamilyPreferenceEntry(data);
         });
 
-        const createEmptyPreferences = () => ({
-          days: [],
-          timeWindows: null,
-          minDurationMinutes: null,
-          maxDurationMinutes: null,
-          preferredDurationMinutes: null,
-          slotStepMinutes: null,
-          maxSuggestionDaysPerWeek: null,
-          bufferBeforeMinutes: null,
-          bufferAfterMinutes: null,
-          timeZone: null,
-        });
-
-        const resolvedPreferences = {};
-        const resolvePreferenceEntry = (memberId, chain = new Set()) => {
-          if (resolvedPreferences[memberId]) {
-            return resolvedPreferences[memberId];
-          }
-          const entry = rawPreferenceMap[memberId];
-          if (!entry) {
-            const empty = createEmptyPreferences();
-            resolvedPreferences[memberId] = empty;
-            return empty;
-          }
-          if (entry.mode === FAMILY_PREFERENCE_MODES.NONE) {
-            const empty = createEmptyPreferences();
-            resolvedPreferences[memberId] = empty;
-            return empty;
-          }
-          if (entry.mode === FAMILY_PREFERENCE_MODES.FOLLOW) {
-            const targetId = entry.followUserId;
-            if (
-              targetId &&
-              targetId !== memberId &&
-              rawPreferenceMap[targetId] &&
-              !chain.has(targetId)
-            ) {
-              chain.add(memberId);
-              const resolvedTarget = resolvePreferenceEntry(targetId, chain);
-              chain.delete(memberId);
-              const clone = {
-                ...resolvedTarget,
-                days: Array.isArray(resolvedTarget?.days)
-                  ? [...resolvedTarget.days]
-                  : [],
-              };
-              resolvedPreferences[memberId] = clone;
-              return clone;
-            }
-            const empty = createEmptyPreferences();
-            resolvedPreferences[memberId] = empty;
-            return empty;
-          }
-          const normalized = {
-            ...createEmptyPreferences(),
-            ...entry.own,
-            days: Array.isArray(entry.own?.days) ? entry.own.days : [],
-          };
-          resolvedPreferences[memberId] = normalized;
-          return normalized;
-        };
-
-        memberIds.forEach((memberId) => {
-          resolvePreferenceEntry(memberId);
-        });
+        const resolvedPreferences = resolveFamilyPreferences(rawPreferenceMap, [
+          ...memberIds,
+          ...childMemberIds,
+        ]);
 
         if (isActive) {
           setFamilyPreferences(resolvedPreferences);
@@ -910,7 +939,7 @@ const FamilyEventsScreen = () => {
     return () => {
       isActive = false;
     };
-  }, [familyMembers]);
+  }, [familyMembers, childAvailability]);
 
   useEffect(() => {
     const memberIds = Array.isArray(familyMembers)
@@ -956,9 +985,7 @@ const FamilyEventsScreen = () => {
             }
 
             const data = snapshot.exists ? snapshot.data() ?? {} : {};
-            const sharedBusy = [data.sharedBusy, data.busyIntervals, data.busy]
-              .filter((payload) => Array.isArray(payload))
-              .reduce((acc, payload) => mergeBusyIntervals(acc, normalizeBusyPayload(payload)), []);
+            const sharedBusy = extractSharedBusyFromCalendarDoc(data);
             const preferences = extractPreferencesFromCalendarDoc(data);
 
             setCalendarAvailability((prev) => {
@@ -1011,14 +1038,17 @@ const FamilyEventsScreen = () => {
     if (
       !currentUserId ||
       !calendarContext.ready ||
-      !Array.isArray(calendarContext.calendarIds) ||
-      !calendarContext.calendarIds.length
+      !Array.isArray(calendarContext.busyCalendarIds) ||
+      !calendarContext.busyCalendarIds.length
     ) {
       return undefined;
     }
 
-    const idsKey = calendarContext.calendarIds.slice().sort().join('|');
-    const loadKey = `${currentUserId}:${idsKey}:${deviceBusyRefreshToken}`;
+    const idsKey = calendarContext.busyCalendarIds.slice().sort().join('|');
+    const policyKey = JSON.stringify(
+      normalizeBusyEventPolicy(calendarContext.busyEventPolicy)
+    );
+    const loadKey = `${currentUserId}:${idsKey}:${policyKey}:${deviceBusyRefreshToken}`;
 
     if (deviceBusyLoadedRef.current === loadKey) {
       return undefined;
@@ -1040,30 +1070,18 @@ const FamilyEventsScreen = () => {
           start.getTime() + CALENDAR_DEVICE_LOOKAHEAD_DAYS * 24 * 60 * 60 * 1000
         );
 
-        const events = await Calendar.getEventsAsync(calendarContext.calendarIds, start, end);
+        const deviceEvents = await loadDeviceCalendarEventsAsync(
+          calendarContext.busyCalendarIds,
+          start,
+          end
+        );
         if (cancelled) {
           return;
         }
 
-        const deviceBusy = Array.isArray(events)
-          ? events
-              .map((event) => {
-                const startDate = availabilityUtils.toDate(
-                  event.startDate ?? event.start ?? event.startTime ?? null
-                );
-                const endDate = availabilityUtils.toDate(
-                  event.endDate ?? event.end ?? event.endTime ?? null
-                );
-                if (!startDate || !endDate || endDate <= startDate) {
-                  return null;
-                }
-                return {
-                  start: new Date(startDate.getTime()),
-                  end: new Date(endDate.getTime()),
-                };
-              })
-              .filter((interval) => Boolean(interval))
-          : [];
+        const deviceBusy = buildEventBusyIntervals(deviceEvents, {
+          policy: calendarContext.busyEventPolicy,
+        });
 
         const bufferedDeviceBusy = applyIntervalTravelBuffer(
           deviceBusy,
@@ -1101,7 +1119,13 @@ const FamilyEventsScreen = () => {
     return () => {
       cancelled = true;
     };
-  }, [calendarContext.ready, calendarContext.calendarIds, currentUserId, deviceBusyRefreshToken]);
+  }, [
+    calendarContext.ready,
+    calendarContext.busyCalendarIds,
+    calendarContext.busyEventPolicy,
+    currentUserId,
+    deviceBusyRefreshToken,
+  ]);
 
   const calendarEntries = useMemo(() => {
     const memberIds = Array.isArray(familyMembers)
@@ -1115,7 +1139,7 @@ const FamilyEventsScreen = () => {
       uniqueIds.add(currentUserId);
     }
 
-    return Array.from(uniqueIds).map((userId) => {
+    const memberEntries = Array.from(uniqueIds).map((userId) => {
       const entry = calendarAvailability[userId] ?? { busy: { shared: [], device: [] }, preferences: {} };
       const sharedBusy = entry.busy?.shared ?? [];
       const deviceBusy = entry.busy?.device ?? [];
@@ -1123,59 +1147,27 @@ const FamilyEventsScreen = () => {
 
       return {
         userId,
-        busy,
+        // Brugerens bekræftede begivenheder i andre familier blokerer også her.
+        busy:
+          userId === currentUserId
+            ? mergeBusyIntervals(busy, otherFamiliesBusy)
+            : busy,
         preferences: entry.preferences ?? {},
       };
     });
-  }, [familyMembers, currentUserId, calendarAvailability]);
-
-  const availabilityUserPreferences = useMemo(() => {
-    if (!familyPreferences || typeof familyPreferences !== 'object') {
-      return {};
-    }
-
-    const normalized = {};
-    Object.entries(familyPreferences).forEach(([userId, prefs]) => {
-      if (!prefs || typeof prefs !== 'object') {
-        return;
-      }
-
-      const entry = {};
-      if (Array.isArray(prefs.days) && prefs.days.length) {
-        entry.allowedWeekdays = prefs.days;
-      }
-      if (prefs.timeWindows) {
-        entry.timeWindows = prefs.timeWindows;
-      }
-
-      const numericFields = [
-        'minDurationMinutes',
-        'maxDurationMinutes',
-        'preferredDurationMinutes',
-        'slotStepMinutes',
-        'maxSuggestionDaysPerWeek',
-        'bufferBeforeMinutes',
-        'bufferAfterMinutes',
-      ];
-
-      numericFields.forEach((key) => {
-        const value = prefs[key];
-        if (typeof value === 'number' && Number.isFinite(value)) {
-          entry[key] = value;
-        }
-      });
-
-      if (typeof prefs.timeZone === 'string' && prefs.timeZone.trim().length) {
-        entry.timeZone = prefs.timeZone.trim();
-      }
-
-      if (Object.keys(entry).length) {
-        normalized[userId] = entry;
-      }
-    });
+    return [...memberEntries, ...childAvailability.calendars];
+  }, [
+    familyMembers,
+    currentUserId,
+    calendarAvailability,
+    otherFamiliesBusy,
+    childAvailability,
+  ]);
 
-    return normalized;
-  }, [familyPreferences]);
+  const availabilityUserPreferences = useMemo(
+    () => buildAvailabilityUserPreferences(familyPreferences),
+    [familyPreferences]
+  );
 
   const globalBusyIntervals = useMemo(() => {
     const confirmedBusy = buildEventBusyIntervals(confirmedEvents);
@@ -1195,34 +1187,38 @@ const FamilyEventsScreen = () => {
    * - Bruger kan ændre titel, beskrivelse etc.
    */
   const handleOpenCreateForm = (suggestion = null, overrides = {}) => {
-  if (!familyId) {
-    Alert.alert(
-      'Ingen familie',
-      'Du skal vaere tilknyttet en familie for at oprette begivenheder.'
-    );
-    return;
-  }
+    if (!familyId) {
+      Alert.alert(
+        'Ingen familie',
+        'Du skal vaere tilknyttet en familie for at oprette begivenheder.'
+      );
+      return;
+    }
+    if (!canProposeEvents) {
+      Alert.alert('Ingen adgang', 'Gæster kan ikke oprette begivenheder.');
+      return;
+    }
 
-  const suggestionOverrides = suggestion
-    ? {
-        start:
-          suggestion.start instanceof Date
-            ? new Date(suggestion.start)
-            : suggestion.start,
-        end:
-          suggestion.end instanceof Date
-            ? new Date(suggestion.end)
-            : suggestion.end,
-      }
-    : {};
+    const suggestionOverrides = suggestion
+      ? {
+          start:
+            suggestion.start instanceof Date
+              ? new Date(suggestion.start)
+              : suggestion.start,
+          end:
+            suggestion.end instanceof Date
+              ? new Date(suggestion.end)
+              : suggestion.end,
+        }
+      : {};
 
-  resetFormState({ ...suggestionOverrides, ...overrides });
-  if (suggestion) {
-    setSelectedSuggestionId(suggestion.id);
-    setActiveSlotId(suggestion.id);
-  }
-  setFormVisible(true);
-};
+    resetFormState({ ...suggestionOverrides, ...overrides });
+    if (suggestion) {
+      setSelectedSuggestionId(suggestion.id);
+      setActiveSlotId(suggestion.id);
+    }
+    setFormVisible(true);
+  };
 
 
   /**
@@ -1298,6 +1294,26 @@ const FamilyEventsScreen = () => {
     }
   };
 
+  /**
+   * SKIFT SLUTDATO FOR GENTAGELSE
+   *
+   * Sætter den sidste dag en serie må gentages (inkl. hele dagen).
+   */
+  const handleRecurrenceUntilChange = (event, selectedDate) => {
+    if (event?.type !== 'dismissed' && selectedDate) {
+      const untilDate = new Date(selectedDate);
+      untilDate.setHours(23, 59, 59, 0);
+      setFormData((prev) => ({
+        ...prev,
+        recurrenceUntil: untilDate,
+      }));
+    }
+
+    if (!isIOS) {
+      setShowRecurrenceUntilPicker(false);
+    }
+  };
+
   /**
    * LUKNINGSZONE TIL FORM-MODAL
    * 
@@ -1331,15 +1347,24 @@ const FamilyEventsScreen = () => {
    * Eksempel:
    * - Mandag 09:00-10:00: hele familien er ledig
    * - Tirsdag 14:30-15:30: hele familien er ledig
+   *
+   * Findes ingen tider hvor alle kan, prøves igen hvor alle på nær én kan
+   * (quorum). Slots viser så hvem der mangler.
+   *
+   * Beregningen sker i Cloud Function familyAvailability når den er sat op;
+   * Kun det seneste kald må opdatere forslagene, så et forældet svar ikke
+   * overskriver nyere.
    */
-  const buildSuggestions = useCallback(() => {
+  const buildSuggestions = useCallback(async () => {
+    suggestionRequestRef.current += 1;
+    const requestId = suggestionRequestRef.current;
     const periodStart = new Date();
     periodStart.setSeconds(0, 0);
     const periodEnd = new Date(
       periodStart.getTime() + AVAILABILITY_LOOKAHEAD_DAYS * 24 * 60 * 60 * 1000
     );
 
-    const availabilityResult = findMutualAvailability({
+    const availabilityOptions = {
       calendars: calendarEntries,
       periodStart,
       periodEnd,
@@ -1349,8 +1374,31 @@ const FamilyEventsScreen = () => {
       maxSuggestions: TOTAL_SUGGESTION_TARGET,
       defaultSlotDurationMinutes: DEFAULT_EVENT_DURATION_MINUTES,
       seedKey: familyId || currentUserId || 'famtime',
+    };
+    const callerBusy =
+      calendarEntries.find((entry) => entry.userId === currentUserId)?.busy ??
+      [];
+    let availabilityResult = await computeFamilyAvailability({
+      familyId,
+      options: availabilityOptions,
+      callerBusy,
     });
 
+    const fallbackQuorum = buildFallbackQuorum({
+      memberCount: calendarEntries.length,
+      requiredUserIds: currentUserId ? [currentUserId] : [],
+    });
+    if (!availabilityResult.slots?.length && fallbackQuorum) {
+      availabilityResult = await computeFamilyAvailability({
+        familyId,
+        options: { ...availabilityOptions, quorum: fallbackQuorum },
+        callerBusy,
+      });
+    }
+    if (requestId !== suggestionRequestRef.current) {
+      return;
+    }
+
     const slots = Array.isArray(availabilityResult.slots)
       ? availabilityResult.slots
       : [];
@@ -1371,6 +1419,7 @@ const FamilyEventsScreen = () => {
       id: `${slot.start.getTime()}-${slot.end.getTime()}-${index}`,
       start: slot.start,
       end: slot.end,
+      unavailableUserIds: slot.unavailableUserIds ?? [],
     }));
 
     const limitedSuggestions = nextSuggestions.slice(0, SUGGESTION_LIMIT);
@@ -1449,6 +1498,26 @@ const FamilyEventsScreen = () => {
     setMoodDraftDescription(text);
   }, []);
 
+  const handleToggleMoodGuest = useCallback((guestId) => {
+    setMoodDraftGuestIds((prev) =>
+      prev.includes(guestId)
+        ? prev.filter((id) => id !== guestId)
+        : [...prev, guestId]
+    );
+  }, []);
+
+  const handleToggleFormGuest = (guestId) => {
+    setFormData((prev) => {
+      const current = Array.isArray(prev.guestIds) ? prev.guestIds : [];
+      return {
+        ...prev,
+        guestIds: current.includes(guestId)
+          ? current.filter((id) => id !== guestId)
+          : [...current, guestId],
+      };
+    });
+  };
+
   const handleApplyAISuggestion = useCallback((text) => {
     const nextText = typeof text === 'string' ? text : '';
     setMoodDraftDescription(nextText);
@@ -1489,6 +1558,7 @@ const FamilyEventsScreen = () => {
       description: moodDraftDescription.trim(),
       start: baseStart,
       end: baseEnd,
+      guestIds: moodDraftGuestIds,
     };
 
     setFormData(eventState);
@@ -1500,12 +1570,14 @@ const FamilyEventsScreen = () => {
       setActiveMoodKey(null);
       setMoodDraftTitle('');
       setMoodDraftDescription('');
+      setMoodDraftGuestIds([]);
       navigation.navigate('OwnCalendar');
     }
   }, [
     activeSuggestion,
     moodDraftTitle,
     moodDraftDescription,
+    moodDraftGuestIds,
     handleSubmitEvent,
     navigation,
   ]);
@@ -1521,6 +1593,7 @@ const initializeCalendarContext = useCallback(
           docRef: null,
           primaryCalendarId: null,
           calendarIds: [],
+          busyCalendarIds: [],
         });
         familyCalendarRefsRef.current = {};
         return;
@@ -1534,6 +1607,7 @@ const initializeCalendarContext = useCallback(
             docRef: null,
             primaryCalendarId: null,
             calendarIds: [],
+            busyCalendarIds: [],
           });
           familyCalendarRefsRef.current = {};
           return;
@@ -1584,6 +1658,8 @@ const initializeCalendarContext = useCallback(
           docRef: calendarRef,
           primaryCalendarId,
           calendarIds,
+          busyCalendarIds: resolveBusyCalendarIds(calendarData, calendarIds),
+          busyEventPolicy: normalizeBusyEventPolicy(calendarData.busyEventPolicy),
         });
 
         const shouldPersistCalendarMeta =
@@ -1613,6 +1689,7 @@ const initializeCalendarContext = useCallback(
             docRef: calendarRef,
             primaryCalendarId: null,
             calendarIds: [],
+            busyCalendarIds: [],
           });
           return;
         }
@@ -1623,6 +1700,7 @@ const initializeCalendarContext = useCallback(
           docRef: null,
           primaryCalendarId: null,
           calendarIds: [],
+          busyCalendarIds: [],
         });
         familyCalendarRefsRef.current = {};
       }
@@ -1650,6 +1728,11 @@ const initializeCalendarContext = useCallback(
       return false;
     }
 
+    if (!canProposeEvents) {
+      setFormError('Gæster kan ikke oprette begivenheder.');
+      return false;
+    }
+
     const trimmedTitle = (data.title ?? '').trim();
     if (!trimmedTitle.length) {
       setFormError('Tilføj en titel til begivenheden.');
@@ -1698,8 +1781,24 @@ const initializeCalendarContext = useCallback(
       effectiveMemberIds.push(currentUserId);
     }
 
-    const pendingApprovals = effectiveMemberIds.filter((id) => id !== currentUserId);
+    const pendingApprovals = getEventApproverIds(
+      familyRoleData,
+      effectiveMemberIds
+    ).filter((id) => id !== currentUserId);
     const initialApprovedBy = currentUserId ? [currentUserId] : [];
+    const guestIds = (Array.isArray(data.guestIds) ? data.guestIds : []).filter(
+      (id) => guestMembers.some((member) => member.userId === id)
+    );
+
+    const recurrenceCount = Number.parseInt(data.recurrenceCount ?? '', 10);
+    const rrule = buildRRule({
+      freq: data.recurrenceFreq,
+      count: Number.isFinite(recurrenceCount) ? recurrenceCount : null,
+      until:
+        data.recurrenceUntil instanceof Date && data.recurrenceUntil > startDate
+          ? data.recurrenceUntil
+          : null,
+    });
 
     const payload = {
       title: trimmedTitle,
@@ -1713,10 +1812,15 @@ const initializeCalendarContext = useCallback(
           ? Array.from(new Set([...initialApprovedBy, ...effectiveMemberIds]))
           : initialApprovedBy,
       status: pendingApprovals.length === 0 ? 'confirmed' : 'pending',
+      guestIds,
       lastModifiedBy: currentUserId ?? null,
       lastModifiedEmail: currentUserEmail ?? '',
     };
 
+    if (rrule) {
+      payload.recurrence = { rrule, exdates: [], overrides: {} };
+    }
+
     try {
       const createPayload = {
         ...payload,
@@ -1729,14 +1833,28 @@ const initializeCalendarContext = useCallback(
         createPayload.approvedAt = firebase.firestore.FieldValue.serverTimestamp();
       }
 
-      await db
+      // Dokument-id'et laves lokalt, så en skrivning fra outboxen kan afspilles uden dubletter.
+      const eventRef = db
         .collection('families')
         .doc(familyId)
         .collection('events')
-        .add(createPayload);
+        .doc();
+      const { queued } = await setDocumentWithOutboxAsync({
+        kind: OUTBOX_KINDS.EVENT_CREATE,
+        docRef: eventRef,
+        data: createPayload,
+        merge: false,
+        createOnly: true,
+      });
 
       handleCloseForm();
       requestDeviceBusyRefresh();
+      if (queued) {
+        Alert.alert(
+          'Venter på forbindelse',
+          'Begivenheden er gemt på telefonen og sendes til familien, så snart du har forbindelse igen.'
+        );
+      }
       return true;
     } catch (_submitError) {
       setFormError(
@@ -1748,12 +1866,19 @@ const initializeCalendarContext = useCallback(
     }
   };
 
+  // Skift af aktiv familie i familievælgeren indlæser familien igen.
+  useEffect(() => {
+    if (activeFamilyId && familyId && activeFamilyId !== familyId) {
+      setFamilyReloadKey((prev) => prev + 1);
+    }
+  }, [activeFamilyId, familyId]);
+
   useEffect(() => {
     const currentUser = auth.currentUser;
     if (!currentUser) {
       setError('Ingen aktiv bruger fundet. Log ind igen.');
       setLoading(false);
-      setCurrentUserProfile(null);
+      setOwnProfile(null);
       return;
     }
 
@@ -1768,7 +1893,7 @@ const initializeCalendarContext = useCallback(
         const userDoc = await db.collection('users').doc(currentUser.uid).get();
         const userData = userDoc.data() ?? {};
 
-        setCurrentUserProfile({
+        setOwnProfile({
           name: userData.name ?? '',
           age: userData.age ?? '',
           gender: userData.gender ?? '',
@@ -1794,11 +1919,13 @@ const initializeCalendarContext = useCallback(
           setConfirmedEvents([]);
           setPendingEvents([]);
           setFamilyMembers([]);
+          setFamilyRoleData(null);
           setEventsLoaded(false);
           return;
         }
 
         setFamilyId(nextFamilyId);
+        setFamilyRoleData(null);
 
         unsubscribeFamily = db
           .collection('families')
@@ -1811,6 +1938,7 @@ const initializeCalendarContext = useCallback(
               setConfirmedEvents([]);
               setPendingEvents([]);
               setFamilyMembers([]);
+              setFamilyRoleData(null);
               setEventsLoaded(false);
               return;
             }
@@ -1820,14 +1948,16 @@ const initializeCalendarContext = useCallback(
             setFamilyMembers(
               Array.isArray(familyData.members) ? familyData.members : []
             );
+            setFamilyRoleData(familyData);
             setEventsLoaded(false);
           });
       } catch (_error) {
         setError('Kunne ikke hente familieoplysninger. Prøv igen senere.');
         setFamilyId(null);
         setFamilyMembers([]);
+        setFamilyRoleData(null);
         setEventsLoaded(false);
-        setCurrentUserProfile(null);
+        setOwnProfile(null);
       } finally {
         setLoading(false);
       }
@@ -1840,7 +1970,7 @@ const initializeCalendarContext = useCallback(
         unsubscribeFamily();
       }
     };
-  }, []);
+  }, [familyReloadKey]);
 
   useEffect(() => {
     if (!familyId) {
@@ -1852,72 +1982,78 @@ const initializeCalendarContext = useCallback(
 
     setEventsLoaded(false);
 
-    const unsubscribe = db
-      .collection('families')
-      .doc(familyId)
-      .collection('events')
-      .orderBy('start', 'asc')
-      .onSnapshot(
-        (snapshot) => {
-          const nextConfirmed = [];
-          const nextPending = [];
-
-          snapshot.forEach((doc) => {
-            const data = doc.data() ?? {};
-            const start = data.start?.toDate ? data.start.toDate() : null;
-            const end = data.end?.toDate ? data.end.toDate() : null;
-            const pendingChangeData = data.pendingChange ?? null;
-            const pendingChange = pendingChangeData
-              ? {
-                  title: pendingChangeData.title ?? '',
-                  description: pendingChangeData.description ?? '',
-                  start: pendingChangeData.start?.toDate
-                    ? pendingChangeData.start.toDate()
-                    : null,
-                  end: pendingChangeData.end?.toDate
-                    ? pendingChangeData.end.toDate()
-                    : null,
-                }
-              : null;
-            const event = {
-              id: doc.id,
-              title: data.title ?? 'Ingen titel',
-              description: data.description ?? '',
-              start,
-              end,
-              status: data.status ?? 'pending',
-              createdBy: data.createdBy ?? '',
-              createdByUid: data.createdByUid ?? '',
-              pendingApprovals: Array.isArray(data.pendingApprovals)
-                ? data.pendingApprovals
-                : [],
-              approvedBy: Array.isArray(data.approvedBy)
-                ? data.approvedBy
-                : [],
-              pendingChange,
-            };
-
-            if (event.status === 'pending') {
-              nextPending.push(event);
-            } else {
-              nextConfirmed.push(event);
-            }
-          });
+    // Gæster må kun læse begivenheder, de er inviteret til, så forespørgslen venter
+    // på rollen fra familiedokumentet.
+    if (!userRole) {
+      return undefined;
+    }
 
-          setConfirmedEvents(nextConfirmed);
-          setPendingEvents(nextPending);
-          setEventsLoaded(true);
-        },
-        () => {
-          setError('Kunne ikke hente familieevents. Prøv igen senere.');
-          setConfirmedEvents([]);
-          setPendingEvents([]);
-          setEventsLoaded(true);
-        }
-      );
+    const unsubscribe = buildFamilyEventsQuery(familyId, {
+      userId: currentUserId,
+      role: userRole,
+    }).onSnapshot(
+      (snapshot) => {
+        const nextConfirmed = [];
+        const nextPending = [];
+
+        snapshot.forEach((doc) => {
+          const data = doc.data() ?? {};
+          const start = data.start?.toDate ? data.start.toDate() : null;
+          const end = data.end?.toDate ? data.end.toDate() : null;
+          const pendingChangeData = data.pendingChange ?? null;
+          const pendingChange = pendingChangeData
+            ? {
+                title: pendingChangeData.title ?? '',
+                description: pendingChangeData.description ?? '',
+                start: pendingChangeData.start?.toDate
+                  ? pendingChangeData.start.toDate()
+                  : null,
+                end: pendingChangeData.end?.toDate
+                  ? pendingChangeData.end.toDate()
+                  : null,
+                cancel: Boolean(pendingChangeData.cancel),
+                scope: pendingChangeData.scope ?? null,
+                occurrenceKey: pendingChangeData.occurrenceKey ?? null,
+              }
+            : null;
+          const event = {
+            id: doc.id,
+            title: data.title ?? 'Ingen titel',
+            description: data.description ?? '',
+            start,
+            end,
+            status: data.status ?? 'pending',
+            createdBy: data.createdBy ?? '',
+            createdByUid: data.createdByUid ?? '',
+            pendingApprovals: Array.isArray(data.pendingApprovals)
+              ? data.pendingApprovals
+              : [],
+            approvedBy: Array.isArray(data.approvedBy) ? data.approvedBy : [],
+            pendingChange,
+            recurrence: data.recurrence ?? null,
+          };
+
+          if (event.status === 'pending') {
+            nextPending.push(event);
+          } else {
+            nextConfirmed.push(event);
+          }
+        });
+
+        setConfirmedEvents(nextConfirmed);
+        setPendingEvents(nextPending);
+        setEventsLoaded(true);
+      },
+      () => {
+        setError('Kunne ikke hente familieevents. Prøv igen senere.');
+        setConfirmedEvents([]);
+        setPendingEvents([]);
+        setEventsLoaded(true);
+      }
+    );
 
     return unsubscribe;
-  }, [familyId]);
+  }, [currentUserId, familyId, userRole]);
 
   useEffect(() => {
     const syncConfirmedEventsWithCalendar = async () => {
@@ -1940,13 +2076,48 @@ const initializeCalendarContext = useCallback(
         }
 
         let deviceCalendarChanged = false;
-        const confirmed = confirmedEvents.filter(
+        // Serier udfoldes til enkelte forekomster, som hver får sin egen kalenderpost.
+        const syncWindowStart = new Date();
+        syncWindowStart.setHours(0, 0, 0, 0);
+        const syncWindowEnd = new Date(
+          syncWindowStart.getTime() +
+            DEFAULT_RECURRENCE_EXPANSION_DAYS * 24 * 60 * 60 * 1000
+        );
+        const confirmedSeries = confirmedEvents.filter(
           (event) => event.status === 'confirmed'
         );
+        const confirmed = expandEventsInRange(confirmedSeries, {
+          rangeStart: syncWindowStart,
+          rangeEnd: syncWindowEnd,
+        });
         const confirmedIds = new Set(confirmed.map((event) => event.id));
+        const confirmedSeriesIds = new Set(
+          confirmedSeries.map((event) => event.id)
+        );
+        const syncWindowStartKey = getOccurrenceKey(syncWindowStart);
+
+        // Forekomster der er gledet ud af vinduet bag os skal blive i kalenderen.
+        const isPastOccurrenceRef = (refId) => {
+          const [seriesId, occurrenceKey] = refId.split('::');
+          return (
+            Boolean(occurrenceKey) &&
+            confirmedSeriesIds.has(seriesId) &&
+            occurrenceKey < syncWindowStartKey
+          );
+        };
 
         const refs = { ...familyCalendarRefsRef.current };
 
+        // Serier med et åbent forslag beholder deres kalenderposter, indtil familien har svaret.
+        const proposalSeriesIds = new Set(
+          pendingEvents
+            .filter((event) => event.pendingChange)
+            .map((event) => event.id)
+        );
+        const memberIds = familyMembers
+          .map((member) => member?.userId)
+          .filter((id) => typeof id === 'string' && id.trim().length > 0);
+
         const normalizeCalendarEventId = (value) => {
           if (typeof value === 'string') {
             const trimmed = value.trim();
@@ -2037,7 +2208,62 @@ const initializeCalendarContext = useCallback(
           const existingEntry = refs[event.id];
           if (existingEntry?.calendarEventId) {
             if (existingEntry.signature === signature) {
-              continue;
+              // FamTime er uændret: er posten flyttet eller slettet i enhedens kalender?
+              const deviceChange = await detectDeviceCalendarChangeAsync(
+                existingEntry.calendarEventId,
+                { start, end }
+              );
+              if (!deviceChange) {
+                if (existingEntry.deviceChange) {
+                  refs[event.id] = { ...existingEntry, deviceChange: null };
+                }
+                continue;
+              }
+
+              const seriesId = event.seriesId ?? event.id;
+              if (proposalSeriesIds.has(seriesId)) {
+                // Ét forslag pr. serie ad gangen; resten tages ved næste synk.
+                continue;
+              }
+              // Roller uden ret til forslaget får FamTime-tiden skrevet tilbage i stedet.
+              const mayProposeChange = hasFamilyPermission(
+                userRole,
+                deviceChange.type === DEVICE_CALENDAR_CHANGE_TYPES.DELETED
+                  ? FAMILY_PERMISSIONS.CANCEL_EVENTS
+                  : FAMILY_PERMISSIONS.PROPOSE_EVENTS
+              );
+              if (
+                mayProposeChange &&
+                !isSameDeviceCalendarChange(existingEntry, deviceChange)
+              ) {
+                try {
+                  const proposed = await proposeDeviceCalendarChangeAsync({
+                    familyId,
+                    event,
+                    change: deviceChange,
+                    userId: currentUserId,
+                    userEmail: currentUserEmail,
+                    memberIds: getEventApproverIds(familyRoleData, memberIds),
+                  });
+                  proposalSeriesIds.add(seriesId);
+                  // Et andet forslag venter: enhedens ændring bliver stående til næste synk.
+                  if (proposed) {
+                    refs[event.id] = {
+                      ...existingEntry,
+                      deviceChange: serializeDeviceCalendarChange(deviceChange),
+                    };
+                  }
+                } catch (proposalError) {
+                  // eslint-disable-next-line no-console
+                  console.warn(
+                    '[FamilyEvents] proposeDeviceCalendarChange failed',
+                    proposalError
+                  );
+                }
+                continue;
+              }
+              // Samme ændring er allerede foreslået og afvist (eller må ikke foreslås):
+              // FamTime-tiden skrives tilbage.
             }
             let updatedEntry = null;
 
@@ -2108,7 +2334,11 @@ const initializeCalendarContext = useCallback(
         }
 
         for (const [eventId, entry] of Object.entries(refs)) {
-          if (!confirmedIds.has(eventId)) {
+          if (
+            !confirmedIds.has(eventId) &&
+            !isPastOccurrenceRef(eventId) &&
+            !proposalSeriesIds.has(eventId.split('::')[0])
+          ) {
             if (entry?.calendarEventId) {
               const deleted = await safeDeleteCalendarEventAsync(
                 entry.calendarEventId,
@@ -2147,14 +2377,122 @@ const initializeCalendarContext = useCallback(
     syncConfirmedEventsWithCalendar();
   }, [
     confirmedEvents,
+    pendingEvents,
+    familyMembers,
     calendarContext.docRef,
     calendarContext.primaryCalendarId,
     calendarContext.ready,
+    currentUserEmail,
+    currentUserId,
     familyId,
+    familyRoleData,
+    userRole,
     eventsLoaded,
     requestDeviceBusyRefresh,
   ]);
 
+  // Brugerens valg af påmindelser kan ændres under Konto, så vi lytter på dokumentet.
+  useEffect(() => {
+    if (!currentUserId) {
+      return undefined;
+    }
+    return db
+      .collection('users')
+      .doc(currentUserId)
+      .onSnapshot(
+        (snapshot) => {
+          setReminderMinutes(
+            normalizeEventReminderMinutes(snapshot.data()?.eventReminderMinutes)
+          );
+        },
+        () => {
+          setReminderMinutes(normalizeEventReminderMinutes(undefined));
+        }
+      );
+  }, [currentUserId]);
+
+  /**
+   * PÅMINDELSER
+   *
+   * Bekræftede events (også dem med en ventende ændring, som stadig gælder indtil
+   * den godkendes) får lokale påmindelser. Kørslerne lægges i kø, så to hurtige
+   * snapshots ikke planlægger den samme påmindelse to gange.
+   */
+  useEffect(() => {
+    if (
+      !notificationsAllowed ||
+      !reminderMinutes ||
+      loading ||
+      (familyId && !eventsLoaded)
+    ) {
+      return;
+    }
+
+    const reminderEvents = familyId
+      ? [
+          ...confirmedEvents,
+          ...pendingEvents.filter((event) => event.pendingChange),
+        ]
+      : [];
+
+    // Andre familiers påmindelser bliver stående; kun forladte familier ryddes.
+    const memberFamilyIds = membershipsLoading
+      ? null
+      : memberFamilies.map((family) => family.id);
+
+    reminderSyncRef.current = reminderSyncRef.current
+      .then(() =>
+        syncEventRemindersAsync({
+          events: reminderEvents,
+          reminderMinutes,
+          familyId,
+          memberFamilyIds,
+        })
+      )
+      .catch((reminderError) => {
+        // eslint-disable-next-line no-console
+        console.warn('[FamilyEvents] syncEventRemindersAsync', reminderError);
+      });
+  }, [
+    confirmedEvents,
+    pendingEvents,
+    reminderMinutes,
+    notificationsAllowed,
+    loading,
+    familyId,
+    eventsLoaded,
+    memberFamilies,
+    membershipsLoading,
+  ]);
+
+  const renderGuestInvitePicker = (selectedIds, onToggle, labelStyle) =>
+    guestMembers.length ? (
+      <>
+        <Text style={labelStyle}>Inviter gæster</Text>
+        <View style={styles.suggestionsWrap}>
+          {guestMembers.map((member) => {
+            const selected = selectedIds.includes(member.userId);
+            return (
+              <Pressable
+                key={member.userId}
+                onPress={() => onToggle(member.userId)}
+                style={[
+                  styles.suggestionChip,
+                  selected ? styles.suggestionChipSelected : null,
+                ]}
+                accessibilityRole="button"
+                accessibilityState={{ selected }}
+              >
+                <Text style={styles.suggestionText}>
+                  {memberNameById.get(member.userId)}
+                </Text>
+              </Pressable>
+            );
+          })}
+        </View>
+      </>
+    ) : null;
+
   const renderEventFormModal = () => (
     <Modal visible={formVisible} transparent animationType="slide">
       <Pressable
@@ -2248,6 +2586,84 @@ const initializeCalendarContext = useCallback(
               />
             )}
 
+              <Text style={styles.modalLabel}>Gentagelse</Text>
+              <View style={styles.suggestionsWrap}>
+                {RECURRENCE_FREQUENCY_OPTIONS.map((option) => (
+                  <Pressable
+                    key={option.key}
+                    onPress={() =>
+                      handleChangeFormField('recurrenceFreq', option.key)
+                    }
+                    style={[
+                      styles.suggestionChip,
+                      formData.recurrenceFreq === option.key
+                        ? styles.suggestionChipSelected
+                        : null,
+                    ]}
+                    accessibilityRole="button"
+                    accessibilityState={{
+                      selected: formData.recurrenceFreq === option.key,
+                    }}
+                  >
+                    <Text style={styles.suggestionText}>{option.label}</Text>
+                  </Pressable>
+                ))}
+              </View>
+              {formData.recurrenceFreq !== RECURRENCE_FREQUENCIES.NONE ? (
+                <>
+                  <Text style={styles.modalLabel}>Antal gange (valgfrit)</Text>
+                  <TextInput
+                    style={styles.modalInput}
+                    placeholder="Fx 10"
+                    keyboardType="number-pad"
+                    value={formData.recurrenceCount}
+                    onChangeText={(text) =>
+                      handleChangeFormField(
+                        'recurrenceCount',
+                        text.replace(/[^0-9]/g, '')
+                      )
+                    }
+                  />
+                  <Text style={styles.modalLabel}>
+                    Gentag indtil (valgfrit)
+                  </Text>
+                  <Pressable
+                    style={styles.modalDateButton}
+                    onPress={() => setShowRecurrenceUntilPicker(true)}
+                    accessibilityRole="button"
+                    accessibilityLabel="Vælg slutdato for gentagelse"
+                  >
+                    <Text style={styles.modalDateText}>
+                      {formData.recurrenceUntil instanceof Date
+                        ? formatSelectedDateLabel(formData.recurrenceUntil)
+                        : 'Ingen slutdato'}
+                    </Text>
+                  </Pressable>
+                  {showRecurrenceUntilPicker ? (
+                    <DateTimePicker
+                      value={
+                        formData.recurrenceUntil instanceof Date
+                          ? formData.recurrenceUntil
+                          : formData.start
+                      }
+                      mode="date"
+                      minimumDate={formData.start}
+                      display={isIOS ? 'inline' : 'default'}
+                      onChange={handleRecurrenceUntilChange}
+                    />
+                  ) : null}
+                  <Text style={styles.modalHint}>
+                    Antal gange vinder, hvis begge er udfyldt.
+                  </Text>
+                </>
+              ) : null}
+
+              {renderGuestInvitePicker(
+                Array.isArray(formData.guestIds) ? formData.guestIds : [],
+                handleToggleFormGuest,
+                styles.modalLabel
+              )}
+
             <Text style={styles.modalLabel}>Hurtige forslag</Text>
             {suggestions.length ? (
               <View style={styles.suggestionsWrap}>
@@ -2353,7 +2769,7 @@ const initializeCalendarContext = useCallback(
               <Text style={styles.subtitle}>
                 Hvis FamTimes autogenererede aftaler ikke passer til jer, kan du her designe dine egne aktiviteter.
               </Text>
-              {!builderVisible ? (
+              {!builderVisible && canProposeEvents ? (
                 <Pressable
                   style={styles.heroButton}
                   onPress={handleRevealBuilder}
@@ -2362,9 +2778,52 @@ const initializeCalendarContext = useCallback(
                   <Text style={styles.heroButtonText}>Lav familieaktivitet</Text>
                 </Pressable>
               ) : null}
+              {userRole && !canProposeEvents ? (
+                <Text style={styles.infoText}>
+                  Som gæst ser du kun de aktiviteter, du er inviteret til.
+                </Text>
+              ) : null}
             </View>
 
-            {builderVisible ? (
+            {familyId ? (
+              <View style={styles.sectionCard}>
+                <Text style={styles.sectionTitle}>
+                  Familiekalender i andre apps
+                </Text>
+                <Text style={styles.infoText}>
+                  Eksportér familiens aktiviteter som .ics, eller abonnér på dem
+                  fra fx Google Kalender eller Outlook.
+                </Text>
+                <Button
+                  title="Eksportér (.ics)"
+                  onPress={handleExportCalendar}
+                  style={styles.calendarShareButton}
+                />
+                {isCalendarFeedConfigured() && canViewAllEvents ? (
+                  <>
+                    <Button
+                      title="Kopiér abonnementslink"
+                      onPress={() => copyCalendarFeedLink(false)}
+                      loading={calendarFeedBusy}
+                      style={styles.calendarShareButton}
+                    />
+                    {canRotateCalendarFeed ? (
+                      <Button
+                        title="Lav nyt link"
+                        onPress={handleRotateCalendarFeed}
+                        disabled={calendarFeedBusy}
+                        style={styles.calendarShareSecondaryButton}
+                      />
+                    ) : null}
+                  </>
+                ) : null}
+                {calendarShareMessage ? (
+                  <Text style={styles.sectionHint}>{calendarShareMessage}</Text>
+                ) : null}
+              </View>
+            ) : null}
+
+            {builderVisible && canProposeEvents ? (
             <View style={styles.card}>
               {shouldShowStatusCard ? (
                 <View style={styles.sectionCard}>
@@ -2428,6 +2887,18 @@ const initializeCalendarContext = useCallback(
                               {isActive && activeDurationLabel ? (
                                 <Text style={styles.slotDuration}>{activeDurationLabel}</Text>
                               ) : null}
+                                {suggestion.unavailableUserIds?.length ? (
+                                  <Text style={styles.slotMissing}>
+                                    Uden:{' '}
+                                    {suggestion.unavailableUserIds
+                                      .map(
+                                        (memberId) =>
+                                          memberNameById.get(memberId) ??
+                                          'Familiemedlem'
+                                      )
+                                      .join(', ')}
+                                  </Text>
+                                ) : null}
                             </Pressable>
                           );
                         })}
@@ -2536,6 +3007,12 @@ const initializeCalendarContext = useCallback(
                         multiline
                       />
 
+                      {renderGuestInvitePicker(
+                        moodDraftGuestIds,
+                        handleToggleMoodGuest,
+                        styles.moodEditorLabel
+                      )}
+
                       <ErrorMessage message={formError} />
 
                       {activeSuggestion && currentUserProfile && aiMoodKey ? (
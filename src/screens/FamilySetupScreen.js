@@ -8,6 +8,13 @@
  * - Flow: bruger kan oprette en ny familie med kode/navn eller tilslutte sig en eksisterende via kode.
  * - Data: læser/skriver `families/{id}` og brugerens `users/{uid}` (familyId/familyRole), holder family-snapshot live.
  * - Handlinger: opret/tilslut familie, kopier kode, håndtér requests, overdrag ejerskab eller fjern medlem.
+ * - Invitation pr. e-mail (administrator): Cloud Function `familyInvite` sender et signeret link.
+ * - Links: famtime://join/{familyCode} åbner skærmen med koden udfyldt (route.params.familyCode).
+ * - Invitationskoder (utils/inviteCodes): administratorer opretter udløbende koder med QR
+ *   (FamilyInviteCodes); koden kan tastes eller scannes og indløses via familyInvite.
+ *   Det permanente familie-ID virker kun, indtil familien har fået sin første kode.
+ * - Godkend/afvis, fjern medlem og overdragelse logges af Cloud Functions ud fra
+ *   updatedBy (utils/familyActivity), som skrives ved ændringer i medlemmer og anmodninger.
  * - UI: formular til oprettelse/tilslutning, statusbeskeder, liste over medlemmer/requests med actions.
  */
 import React, { useEffect, useRef, useState } from 'react';
@@ -18,14 +25,47 @@ import {
   ActivityIndicator,
   Pressable,
   Alert,
+  Share,
 } from 'react-native';
 import Button from '../components/Button';
 import FormInput from '../components/FormInput';
 import ErrorMessage from '../components/ErrorMessage';
+import FamilyInviteCodes from '../components/FamilyInviteCodes';
+import QrCodeScanner from '../components/QrCodeScanner';
 import { auth, db, firebase } from '../lib/firebase';
 import { colors } from '../styles/theme';
 import styles from '../styles/screens/FamilySetupScreenStyles';
 import { copyStringToClipboard } from '../utils/clipboard';
+import { buildJoinLink, readJoinCode } from '../navigation/linking';
+import { normalizeInviteCode } from '../utils/inviteCodes';
+import {
+  ASSIGNABLE_FAMILY_ROLES,
+  FAMILY_PERMISSIONS,
+  FAMILY_ROLES,
+  FAMILY_ROLE_LABELS,
+  canRemoveFamilyMember,
+  getFamilyMemberRole,
+  getFamilyRoleLabel,
+  hasFamilyPermission,
+} from '../constants/familyRoles';
+import {
+  assignFamilyIfNoneAsync,
+  detachMemberFromFamilyAsync,
+  setActiveFamilyRoleAsync,
+} from '../utils/familyMemberships';
+import {
+  FAMILY_INVITE_ERRORS,
+  INVITE_CODE_RESULTS,
+  isFamilyInviteConfigured,
+  redeemInviteCodeAsync,
+  sendFamilyInviteAsync,
+} from '../lib/familyInviteApi';
+import {
+  buildMembersUpdate,
+  isPermissionDeniedError,
+} from '../utils/familyMembers';
+
+const emailPattern = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
 
 const adjectives = [
   'glad',
@@ -158,9 +198,16 @@ const generateFamilyCode = async () => {
     if (!candidate) {
       continue;
     }
-    const existingDoc = await db.collection('families').doc(candidate).get();
-    if (!existingDoc.exists) {
-      return candidate;
+    try {
+      const existingDoc = await db.collection('families').doc(candidate).get();
+      if (!existingDoc.exists) {
+        return candidate;
+      }
+    } catch (lookupError) {
+      // Afvist læsning betyder at koden tilhører en anden familie.
+      if (!isPermissionDeniedError(lookupError)) {
+        throw lookupError;
+      }
     }
   }
 
@@ -168,7 +215,7 @@ const generateFamilyCode = async () => {
   return fallbackRef.id;
 };
 
-const FamilySetupScreen = ({ navigation }) => {
+const FamilySetupScreen = ({ navigation, route }) => {
   // State-grupper: flow-mode (create/join), familieoplysninger, status/loader, og administrative handlinger.
   const [mode, setMode] = useState('create');
   const [familyName, setFamilyName] = useState('');
@@ -184,11 +231,46 @@ const FamilySetupScreen = ({ navigation }) => {
   const [removingMemberId, setRemovingMemberId] = useState('');
   const [approvingRequestIds, setApprovingRequestIds] = useState([]);
   const [rejectingRequestIds, setRejectingRequestIds] = useState([]);
+  const [inviteEmail, setInviteEmail] = useState('');
+  const [sendingInvite, setSendingInvite] = useState(false);
+  const [changingRoleId, setChangingRoleId] = useState('');
+  // Viser opret/tilslut-formularen, selvom brugeren allerede er i en familie.
+  const [addingFamily, setAddingFamily] = useState(false);
+  const [scannerVisible, setScannerVisible] = useState(false);
   const familyUnsubscribeRef = useRef(null);
 
   const userId = auth.currentUser?.uid ?? null;
   const userEmail = auth.currentUser?.email ?? '';
 
+  // Rettigheder i den viste familie (se constants/familyRoles).
+  const currentFamilyRole = getFamilyMemberRole(existingFamily, userId);
+  const isCurrentUserAdmin =
+    Boolean(existingFamily?.id) && existingFamily.ownerId === userId;
+  const canApproveRequests =
+    Boolean(existingFamily?.id) &&
+    hasFamilyPermission(
+      currentFamilyRole,
+      FAMILY_PERMISSIONS.APPROVE_JOIN_REQUESTS
+    );
+  const canRemoveMember = (member) =>
+    Boolean(existingFamily?.id) &&
+    Boolean(member?.userId) &&
+    member.userId !== userId &&
+    canRemoveFamilyMember(
+      currentFamilyRole,
+      getFamilyMemberRole(existingFamily, member.userId)
+    );
+  const canManageMember = (member) =>
+    Boolean(member?.userId) &&
+    member.userId !== userId &&
+    (isCurrentUserAdmin || canRemoveMember(member));
+  const canManageChildProfiles =
+    Boolean(existingFamily?.id) &&
+    hasFamilyPermission(
+      currentFamilyRole,
+      FAMILY_PERMISSIONS.MANAGE_CHILD_PROFILES
+    );
+
   useEffect(() => {
     if (!userId) {
       setExistingFamily(null);
@@ -261,6 +343,18 @@ const FamilySetupScreen = ({ navigation }) => {
     setStatusMessage('');
   }, [mode]);
 
+  const linkedFamilyCode = route?.params?.familyCode ?? '';
+
+  useEffect(() => {
+    // Et join-link udfylder koden; brugeren bekræfter selv med "Tilslut".
+    if (!linkedFamilyCode) {
+      return;
+    }
+    setMode('join');
+    setFamilyCode(linkedFamilyCode);
+    setAddingFamily(true);
+  }, [linkedFamilyCode]);
+
   /**
    * OPRET NY FAMILIE
    * 
@@ -291,14 +385,14 @@ const FamilySetupScreen = ({ navigation }) => {
       const codeVariants = buildFamilyCodeCandidates(familyRef.id);
 
       const members = [
-        { userId, email: userEmail.toLowerCase(), role: 'admin' },
+        { userId, email: userEmail.toLowerCase(), role: FAMILY_ROLES.ADMIN },
       ];
 
       await familyRef.set({
         name: trimmedName,
         ownerId: userId,
         ownerEmail: userEmail.toLowerCase(),
-        members,
+        ...buildMembersUpdate(members),
         pendingInvites: [],
         joinRequests: [],
         codeVariants: codeVariants.length ? codeVariants : [familyRef.id],
@@ -308,7 +402,7 @@ const FamilySetupScreen = ({ navigation }) => {
       await db.collection('users').doc(userId).set(
         {
           familyId: familyRef.id,
-          familyRole: 'admin',
+          familyRole: FAMILY_ROLES.ADMIN,
         },
         { merge: true }
       );
@@ -327,6 +421,7 @@ const FamilySetupScreen = ({ navigation }) => {
         `Familien er oprettet. Del familie ID'et ${generatedFamilyCode} med dine familiemedlemmer.`
       );
       setFamilyName('');
+      setAddingFamily(false);
     } catch (_error) {
       setError('Kunne ikke oprette familien. Prøv igen.');
     } finally {
@@ -334,6 +429,64 @@ const FamilySetupScreen = ({ navigation }) => {
     }
   };
 
+  /**
+   * TILSLUT MED INVITATIONSKODE
+   *
+   * Cloud Function familyInvite indløser koden og tilføjer enten brugeren med det
+   * samme (automatisk godkendelse) eller sender en anmodning til administratoren.
+   * Ved tilføjelse sætter funktionen users/{uid}.familyId, så skærmen skifter selv.
+   */
+  const handleRedeemInviteCode = async (code) => {
+    if (!isFamilyInviteConfigured()) {
+      setError('Invitationskoder er ikke sat op i denne app.');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError('');
+      setStatusMessage('');
+
+      const { familyName: joinedFamilyName, result } =
+        await redeemInviteCodeAsync(code);
+      setFamilyCode('');
+      if (result === INVITE_CODE_RESULTS.REQUESTED) {
+        setStatusMessage(
+          'Din anmodning er sendt til familiens administrator. Du får besked, når den bliver godkendt.'
+        );
+        return;
+      }
+      setStatusMessage(
+        result === INVITE_CODE_RESULTS.JOINED
+          ? `Du er nu medlem af ${joinedFamilyName || 'familien'}.`
+          : 'Du er allerede tilknyttet denne familie.'
+      );
+      setAddingFamily(false);
+    } catch (redeemError) {
+      const messages = {
+        [FAMILY_INVITE_ERRORS.EXPIRED]: 'Koden er udløbet. Bed om en ny kode.',
+        [FAMILY_INVITE_ERRORS.REVOKED]:
+          'Koden er tilbagekaldt. Bed om en ny kode.',
+        [FAMILY_INVITE_ERRORS.USED]:
+          'Koden er allerede brugt. Bed om en ny kode.',
+        [FAMILY_INVITE_ERRORS.NOT_FOUND]:
+          'Der findes ingen familie med den kode.',
+      };
+      setError(
+        messages[redeemError?.functionError] ??
+          'Kunne ikke tilslutte familien. Prøv igen.'
+      );
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCodeScanned = (value) => {
+    setScannerVisible(false);
+    setFamilyCode(readJoinCode(value));
+    setError('');
+  };
+
   /**
    * TILSLUT EKSISTERENDE FAMILIE
    * 
@@ -354,6 +507,12 @@ const FamilySetupScreen = ({ navigation }) => {
       return;
     }
 
+    const inviteCode = normalizeInviteCode(trimmedCode);
+    if (inviteCode) {
+      await handleRedeemInviteCode(inviteCode);
+      return;
+    }
+
     try {
       setLoading(true);
       setError('');
@@ -370,20 +529,29 @@ const FamilySetupScreen = ({ navigation }) => {
 
       for (let i = 0; i < codeCandidates.length; i += 1) {
         const candidateRef = db.collection('families').doc(codeCandidates[i]);
-        const candidateDoc = await candidateRef.get();
-        if (candidateDoc.exists) {
+        try {
+          const candidateDoc = await candidateRef.get();
+          if (candidateDoc.exists) {
+            familyRef = candidateRef;
+            familyDoc = candidateDoc;
+            break;
+          }
+        } catch (lookupError) {
+          // Familien findes, men kun medlemmer og inviterede må læse den.
+          if (!isPermissionDeniedError(lookupError)) {
+            throw lookupError;
+          }
           familyRef = candidateRef;
-          familyDoc = candidateDoc;
           break;
         }
       }
 
-      if (!familyDoc || !familyRef) {
+      if (!familyRef) {
         setError('Der findes ingen familie med den kode.');
         return;
       }
 
-      const familyData = familyDoc.data() ?? {};
+      const familyData = familyDoc ? familyDoc.data() ?? {} : {};
       const members = Array.isArray(familyData.members)
         ? [...familyData.members]
         : [];
@@ -400,28 +568,25 @@ const FamilySetupScreen = ({ navigation }) => {
       const alreadyMember = alreadyMemberIndex !== -1;
 
       if (alreadyMember) {
-        const existingMember = members[alreadyMemberIndex] ?? {};
         await db
           .collection('users')
           .doc(userId)
           .set(
             {
-              familyId: familyDoc.id,
-              familyRole:
-                typeof existingMember?.role === 'string'
-                  ? existingMember.role
-                  : 'member',
+              familyId: familyRef.id,
+              familyRole: getFamilyMemberRole(familyData, userId),
             },
             { merge: true }
           );
 
         setExistingFamily({
-          id: familyDoc.id,
+          id: familyRef.id,
           ...familyData,
           members,
         });
         setStatusMessage('Du er allerede tilknyttet denne familie.');
         setFamilyCode('');
+        setAddingFamily(false);
         return;
       }
 
@@ -442,27 +607,16 @@ const FamilySetupScreen = ({ navigation }) => {
           ? userData.name.trim()
           : '';
 
-      const pendingInvitesSource = Array.isArray(familyData.pendingInvites)
-        ? familyData.pendingInvites
-        : [];
-      const pendingInvites = normalizedUserEmail
-        ? pendingInvitesSource.filter(
-            (email) =>
-              typeof email === 'string' &&
-              email.toLowerCase() !== normalizedUserEmail
-          )
-        : pendingInvitesSource;
-
-      joinRequests.push({
-        userId,
-        email: normalizedUserEmail,
-        displayName: userDisplayName,
-        requestedAt: firebase.firestore.Timestamp.now(),
-      });
-
+      // Anmodningen tilføjes sidst i listen; reglerne tillader kun den ændring
+      // for brugere, der endnu ikke er medlemmer. pendingInvites ryddes ved godkendelse.
       await familyRef.update({
-        joinRequests,
-        pendingInvites,
+        joinRequests: firebase.firestore.FieldValue.arrayUnion({
+          userId,
+          email: normalizedUserEmail,
+          displayName: userDisplayName,
+          requestedAt: firebase.firestore.Timestamp.now(),
+        }),
+        updatedBy: userId,
         updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
       });
 
@@ -477,9 +631,10 @@ const FamilySetupScreen = ({ navigation }) => {
         ? rawMessage
         : 'Kunne ikke tilslutte familien. Prøv igen.';
 
+      // Familier med invitationskoder tager ikke imod anmodninger via familie-ID'et.
       if (baseMessage.includes('Missing or insufficient permissions')) {
         setError(
-          'Manglende tilladelser i Firestore. Kontakt administratoren eller prøv igen senere.'
+          'Familien kræver en invitationskode. Bed familiens administrator om en kode.'
         );
       } else {
         setError(baseMessage);
@@ -561,16 +716,11 @@ const FamilySetupScreen = ({ navigation }) => {
   /**
    * BEKRÆFT FJERN MEDLEM
    * 
-   * Viser en dialog der beder ejeren bekræfte at et medlem skal fjernes.
-   * Kun ejeren kan fjerne medlemmer (ikke sig selv).
+   * Viser en dialog der beder en administrator bekræfte at et medlem skal fjernes.
+   * Medadministratorer kan ikke fjerne ejeren eller andre medadministratorer.
    */
   const confirmRemoveMember = (member) => {
-    if (
-      !existingFamily?.id ||
-      existingFamily.ownerId !== userId ||
-      !member?.userId ||
-      member.userId === userId
-    ) {
+    if (!canRemoveMember(member)) {
       return;
     }
 
@@ -591,16 +741,15 @@ const FamilySetupScreen = ({ navigation }) => {
   };
 
   const handleManageMemberPress = (member) => {
-    if (
-      !existingFamily?.id ||
-      existingFamily.ownerId !== userId ||
-      !member?.userId ||
-      member.userId === userId
-    ) {
+    if (!canManageMember(member)) {
       return;
     }
 
-    if (transferringAdminId === member.userId || removingMemberId === member.userId) {
+    if (
+      transferringAdminId === member.userId ||
+      removingMemberId === member.userId ||
+      changingRoleId === member.userId
+    ) {
       return;
     }
 
@@ -608,18 +757,24 @@ const FamilySetupScreen = ({ navigation }) => {
     const isTargetOwner = existingFamily.ownerId === member.userId;
     const actions = [];
 
-    if (!isTargetOwner) {
+    if (isCurrentUserAdmin && !isTargetOwner) {
+      actions.push({
+        text: 'Skift rolle',
+        onPress: () => promptMemberRole(member),
+      });
       actions.push({
         text: 'Gør til administrator',
         onPress: () => confirmTransferOwnership(member),
       });
     }
 
-    actions.push({
-      text: 'Fjern medlem',
-      style: 'destructive',
-      onPress: () => confirmRemoveMember(member),
-    });
+    if (canRemoveMember(member)) {
+      actions.push({
+        text: 'Fjern medlem',
+        style: 'destructive',
+        onPress: () => confirmRemoveMember(member),
+      });
+    }
 
     actions.push({ text: 'Luk', style: 'cancel' });
 
@@ -627,6 +782,67 @@ const FamilySetupScreen = ({ navigation }) => {
   };
 
 
+  /**
+   * SKIFT ROLLE
+   *
+   * Kun administratoren giver roller. Rollen skrives i memberRoles (som reglerne
+   * læser) og på members-listen; medlemmets familyRole opdateres, hvis familien er
+   * medlemmets aktive familie.
+   */
+  const handleChangeMemberRole = async (member, role) => {
+    if (!isCurrentUserAdmin || !member?.userId || member.userId === userId) {
+      setError('Kun familiens administrator kan skifte roller.');
+      return;
+    }
+
+    try {
+      setChangingRoleId(member.userId);
+      setError('');
+      setStatusMessage('');
+
+      const familyRef = db.collection('families').doc(existingFamily.id);
+      const familyDoc = await familyRef.get();
+      const data = familyDoc.data() ?? {};
+      const members = (Array.isArray(data.members) ? data.members : []).map(
+        (item) => (item?.userId === member.userId ? { ...item, role } : item)
+      );
+
+      await familyRef.update({
+        ...buildMembersUpdate(members),
+        [`memberRoles.${member.userId}`]: role,
+        updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
+      });
+      await setActiveFamilyRoleAsync(member.userId, existingFamily.id, role);
+
+      setStatusMessage(
+        `${getMemberDisplayLabel(member)} er nu ${getFamilyRoleLabel(
+          role
+        ).toLowerCase()}.`
+      );
+    } catch (_roleError) {
+      setError('Kunne ikke skifte rolle. Prøv igen.');
+    } finally {
+      setChangingRoleId('');
+    }
+  };
+
+  const promptMemberRole = (member) => {
+    const currentRole = getFamilyMemberRole(existingFamily, member.userId);
+    Alert.alert(
+      'Skift rolle',
+      `Vælg rolle for ${getMemberDisplayLabel(member)}.`,
+      [
+        ...ASSIGNABLE_FAMILY_ROLES.filter((role) => role !== currentRole).map(
+          (role) => ({
+            text: FAMILY_ROLE_LABELS[role],
+            onPress: () => handleChangeMemberRole(member, role),
+          })
+        ),
+        { text: 'Annuller', style: 'cancel' },
+      ]
+    );
+  };
+
   /**
    * BEKRÆFT OVERDRAGELSE
    * 
@@ -715,42 +931,34 @@ const FamilySetupScreen = ({ navigation }) => {
 
       members[targetIndex] = {
         ...members[targetIndex],
-        role: 'admin',
+        role: FAMILY_ROLES.ADMIN,
       };
 
       members[currentIndex] = {
         ...members[currentIndex],
-        role: 'member',
+        role: FAMILY_ROLES.ADULT,
       };
 
+      // Rollerne på user-docs skrives mens brugeren stadig er ejer (kræves af reglerne).
+      // Rollen skrives kun, hvis familien er den pågældendes aktive familie.
+      await Promise.all([
+        setActiveFamilyRoleAsync(
+          member.userId,
+          existingFamily.id,
+          FAMILY_ROLES.ADMIN
+        ),
+        setActiveFamilyRoleAsync(userId, existingFamily.id, FAMILY_ROLES.ADULT),
+      ]);
+
       await familyRef.update({
-        members,
+        ...buildMembersUpdate(members),
+        [`memberRoles.${member.userId}`]: FAMILY_ROLES.ADMIN,
+        [`memberRoles.${userId}`]: FAMILY_ROLES.ADULT,
         ownerId: member.userId,
         ownerEmail: normalizedTargetEmail || firebase.firestore.FieldValue.delete(),
         updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
       });
 
-      await Promise.all([
-        db
-          .collection('users')
-          .doc(member.userId)
-          .set(
-            {
-              familyRole: 'admin',
-            },
-            { merge: true }
-          ),
-        db
-          .collection('users')
-          .doc(userId)
-          .set(
-            {
-              familyRole: 'member',
-            },
-            { merge: true }
-          ),
-      ]);
-
       setExistingFamily((prev) =>
         prev
           ? {
@@ -780,13 +988,8 @@ const FamilySetupScreen = ({ navigation }) => {
    * så deres e-mail ikke længere afventer.
    */
   const handleRemoveMember = async (member) => {
-    if (
-      !existingFamily?.id ||
-      existingFamily.ownerId !== userId ||
-      !member?.userId ||
-      member.userId === userId
-    ) {
-      setError('Kun familiens ejer kan fjerne medlemmer.');
+    if (!canRemoveMember(member)) {
+      setError('Du har ikke rettigheder til at fjerne dette medlem.');
       return;
     }
 
@@ -804,6 +1007,17 @@ const FamilySetupScreen = ({ navigation }) => {
       }
 
       const data = familyDoc.data() ?? {};
+      const actorRole = getFamilyMemberRole(data, userId);
+      if (
+        !canRemoveFamilyMember(
+          actorRole,
+          getFamilyMemberRole(data, member.userId)
+        )
+      ) {
+        setError('Du har ikke rettigheder til at fjerne dette medlem.');
+        return;
+      }
+
       let members = Array.isArray(data.members) ? [...data.members] : [];
       members = members.filter((item) => item.userId !== member.userId);
 
@@ -819,32 +1033,21 @@ const FamilySetupScreen = ({ navigation }) => {
         : [];
 
       await familyRef.update({
-        members,
+        ...buildMembersUpdate(members),
         pendingInvites,
+        // Kun administratoren skriver roller; medadministratorer lader rollen stå.
+        ...(actorRole === FAMILY_ROLES.ADMIN
+          ? {
+              [`memberRoles.${member.userId}`]:
+                firebase.firestore.FieldValue.delete(),
+            }
+          : {}),
+        updatedBy: userId,
         updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
       });
 
-      await db
-        .collection('users')
-        .doc(member.userId)
-        .set(
-          {
-            familyId: firebase.firestore.FieldValue.delete(),
-            familyRole: firebase.firestore.FieldValue.delete(),
-          },
-          { merge: true }
-        );
-
-      await db
-        .collection('calendar')
-        .doc(member.userId)
-        .set(
-          {
-            familyEventRefs: {},
-            updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
-          },
-          { merge: true }
-        );
+      // Har medlemmet en anden familie aktiv, røres dets users/calendar-dokumenter ikke.
+      await detachMemberFromFamilyAsync(member.userId, existingFamily.id);
 
       setExistingFamily((prev) =>
         prev
@@ -874,12 +1077,8 @@ const FamilySetupScreen = ({ navigation }) => {
    * og låser knap mens handlingen kører.
    */
   const handleApproveRequest = async (request) => {
-    if (
-      !existingFamily?.id ||
-      existingFamily.ownerId !== userId ||
-      !request?.userId
-    ) {
-      setError('Kun familiens ejer kan godkende anmodninger.');
+    if (!canApproveRequests || !request?.userId) {
+      setError('Kun familiens administratorer kan godkende anmodninger.');
       return;
     }
 
@@ -918,7 +1117,7 @@ const FamilySetupScreen = ({ navigation }) => {
         members.push({
           userId: request.userId,
           email: normalizedEmail,
-          role: 'member',
+          role: FAMILY_ROLES.ADULT,
           displayName:
             typeof targetRequest.displayName === 'string'
               ? targetRequest.displayName
@@ -939,22 +1138,19 @@ const FamilySetupScreen = ({ navigation }) => {
         : [];
 
       await familyRef.update({
-        members,
+        ...buildMembersUpdate(members),
         joinRequests,
         pendingInvites,
+        updatedBy: userId,
         updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
       });
 
-      await db
-        .collection('users')
-        .doc(request.userId)
-        .set(
-          {
-            familyId: familyRef.id,
-            familyRole: 'member',
-          },
-          { merge: true }
-        );
+      // Er brugeren allerede i en anden familie, vises denne i familievælgeren.
+      await assignFamilyIfNoneAsync(
+        request.userId,
+        familyRef.id,
+        FAMILY_ROLES.ADULT
+      );
 
       setExistingFamily((prev) =>
         prev
@@ -984,12 +1180,8 @@ const FamilySetupScreen = ({ navigation }) => {
    * mens handlingen kører for at undgå dobbelte kald.
    */
   const handleRejectRequest = async (request) => {
-    if (
-      !existingFamily?.id ||
-      existingFamily.ownerId !== userId ||
-      !request?.userId
-    ) {
-      setError('Kun familiens ejer kan afvise anmodninger.');
+    if (!canApproveRequests || !request?.userId) {
+      setError('Kun familiens administratorer kan afvise anmodninger.');
       return;
     }
 
@@ -1018,6 +1210,7 @@ const FamilySetupScreen = ({ navigation }) => {
 
       await familyRef.update({
         joinRequests,
+        updatedBy: userId,
         updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
       });
 
@@ -1047,11 +1240,7 @@ const FamilySetupScreen = ({ navigation }) => {
    * afvise, med spærring når en handling allerede er i gang for den bruger.
    */
   const handleRequestPress = (request) => {
-    if (
-      !existingFamily?.id ||
-      existingFamily.ownerId !== userId ||
-      !request?.userId
-    ) {
+    if (!canApproveRequests || !request?.userId) {
       return;
     }
 
@@ -1117,33 +1306,11 @@ const FamilySetupScreen = ({ navigation }) => {
       );
 
       if (memberIds.length) {
+        // Før sletningen, så reglerne stadig kan se medlemskabet. Medlemmer med en
+        // anden familie aktiv beholder den.
         await Promise.all(
           memberIds.map((memberId) =>
-            db
-              .collection('users')
-              .doc(memberId)
-              .set(
-                {
-                  familyId: firebase.firestore.FieldValue.delete(),
-                  familyRole: firebase.firestore.FieldValue.delete(),
-                },
-                { merge: true }
-              )
-          )
-        );
-
-        await Promise.all(
-          memberIds.map((memberId) =>
-            db
-              .collection('calendar')
-              .doc(memberId)
-              .set(
-                {
-                  familyEventRefs: {},
-                  updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
-                },
-                { merge: true }
-              )
+            detachMemberFromFamilyAsync(memberId, existingFamily.id)
           )
         );
       }
@@ -1165,6 +1332,73 @@ const FamilySetupScreen = ({ navigation }) => {
     }
   };
 
+  // Linket åbner FamTime med familiekoden udfyldt (se navigation/linking.js).
+  const handleShareJoinLink = () => {
+    if (!existingFamily?.id) {
+      return;
+    }
+    Share.share({ message: buildJoinLink(existingFamily.id) }).catch(() => {});
+  };
+
+  const renderJoinLinkActions = () => (
+    <>
+      <Pressable
+        onPress={handleShareJoinLink}
+        style={[styles.copyIdButton, styles.shareLinkButton]}
+      >
+        <Text style={styles.copyIdButtonText}>Del link</Text>
+      </Pressable>
+    </>
+  );
+
+  /**
+   * INVITER PR. E-MAIL
+   *
+   * Funktionen sender invitationsmailen og returnerer linket, som også kan deles
+   * direkte. Den inviterede tilmeldes, når kontoen er oprettet og e-mailen bekræftet.
+   */
+  const handleSendInvite = async () => {
+    const email = inviteEmail.trim().toLowerCase();
+    if (!existingFamily?.id || existingFamily.ownerId !== userId) {
+      return;
+    }
+    if (!emailPattern.test(email)) {
+      setError('Angiv en gyldig e-mailadresse.');
+      return;
+    }
+
+    setSendingInvite(true);
+    setError('');
+    setStatusMessage('');
+    try {
+      const { link } = await sendFamilyInviteAsync({
+        familyId: existingFamily.id,
+        email,
+      });
+      setInviteEmail('');
+      setStatusMessage(`Invitation sendt til ${email}.`);
+      if (link) {
+        Alert.alert(
+          'Invitation sendt',
+          'Du kan også dele linket direkte med den inviterede.',
+          [
+            { text: 'Luk', style: 'cancel' },
+            {
+              text: 'Del link',
+              onPress: () => {
+                Share.share({ message: link }).catch(() => {});
+              },
+            },
+          ]
+        );
+      }
+    } catch (_error) {
+      setError('Kunne ikke sende invitationen. Prøv igen senere.');
+    } finally {
+      setSendingInvite(false);
+    }
+  };
+
   /**
    * FORTSÆT TIL APPEN
    * 
@@ -1184,7 +1418,7 @@ const FamilySetupScreen = ({ navigation }) => {
     );
   }
 
-  if (existingFamily) {
+  if (existingFamily && !addingFamily) {
     const members = Array.isArray(existingFamily.members)
       ? existingFamily.members
       : [];
@@ -1201,9 +1435,11 @@ const FamilySetupScreen = ({ navigation }) => {
             {`Familien "${existingFamily.name || 'FamTime'}" er oprettet.`}
           </Text>
           <Text style={styles.heroSubtitle}>
-            {existingFamily.name
-              ? `Del familie-ID'et med ${existingFamily.name}, så alle kan komme med i FamTime.`
-              : "Del familie-ID'et med dine familiemedlemmer, så de kan tilslutte sig."}
+            {existingFamily.inviteCodesOnly
+              ? 'Nye medlemmer tilslutter sig med en invitationskode fra familiens administrator.'
+              : existingFamily.name
+                ? `Del familie-ID'et med ${existingFamily.name}, så alle kan komme med i FamTime.`
+                : "Del familie-ID'et med dine familiemedlemmer, så de kan tilslutte sig."}
           </Text>
           <View style={styles.familyCodeRow}>
             <View style={styles.familyCodePill}>
@@ -1244,17 +1480,14 @@ const FamilySetupScreen = ({ navigation }) => {
             ) : (
               members.map((member) => {
                 const label = getMemberDisplayLabel(member);
-                const memberIsOwner = existingFamily.ownerId === member.userId;
-                const roleLabel = memberIsOwner
-                  ? '(Administrator)'
-                  : member.role === 'admin'
-                    ? '(Administrator)'
-                    : '(Medlem)';
-                const canManageMember =
-                  isCurrentOwner && member.userId && member.userId !== userId;
+                const roleLabel = `(${getFamilyRoleLabel(
+                  getFamilyMemberRole(existingFamily, member.userId)
+                )})`;
                 const isMemberBusy =
-                  transferringAdminId === member.userId || removingMemberId === member.userId;
-                const isInteractive = canManageMember && !isMemberBusy;
+                  transferringAdminId === member.userId ||
+                  removingMemberId === member.userId ||
+                  changingRoleId === member.userId;
+                const isInteractive = canManageMember(member) && !isMemberBusy;
                 const key = member.userId || label;
 
                 return (
@@ -1279,7 +1512,7 @@ const FamilySetupScreen = ({ navigation }) => {
                 );
               })
             )}
-            {isCurrentOwner ? (
+            {canApproveRequests ? (
               <>
                 <Text style={[styles.familyCardTitle, styles.requestsTitle]}>
                   Anmodninger
@@ -1333,6 +1566,32 @@ const FamilySetupScreen = ({ navigation }) => {
             ) : null}
           </View>
 
+          {existingFamily.inviteCodesOnly ? null : renderJoinLinkActions()}
+
+          {canApproveRequests && isFamilyInviteConfigured() ? (
+            <FamilyInviteCodes familyId={existingFamily.id} />
+          ) : null}
+
+          {isCurrentOwner && isFamilyInviteConfigured() ? (
+            <View style={styles.familyCard}>
+              <Text style={styles.familyCardTitle}>Inviter pr. e-mail</Text>
+              <FormInput
+                label="E-mail"
+                value={inviteEmail}
+                onChangeText={setInviteEmail}
+                keyboardType="email-address"
+                autoCorrect={false}
+                placeholder="familie@email.dk"
+                style={styles.field}
+              />
+              <Button
+                title="Send invitation"
+                onPress={handleSendInvite}
+                loading={sendingInvite}
+              />
+            </View>
+          ) : null}
+
           {existingFamily.ownerId === userId ? (
             <Button
               title="Slet familie"
@@ -1342,6 +1601,24 @@ const FamilySetupScreen = ({ navigation }) => {
             />
           ) : null}
 
+          {canManageChildProfiles ? (
+            <Button
+              title="Børn uden login"
+              onPress={() =>
+                navigation.navigate('ChildProfiles', {
+                  familyId: existingFamily.id,
+                })
+              }
+              style={styles.addFamilyButton}
+            />
+          ) : null}
+
+          <Button
+            title="Opret eller tilslut en familie mere"
+            onPress={() => setAddingFamily(true)}
+            style={styles.addFamilyButton}
+          />
+
           <Button
             title="Gå til FamTime"
             onPress={handleContinueToApp}
@@ -1357,8 +1634,9 @@ const FamilySetupScreen = ({ navigation }) => {
       <View style={styles.container}>
         <Text style={styles.title}>Opret eller tilslut familie</Text>
         <Text style={styles.subtitle}>
-          Del FamTime med din familie ved at oprette en familie eller tilslutte
-          dig en eksisterende.
+          {existingFamily
+            ? 'Du kan være med i flere familier og skifte mellem dem øverst i appen. Din optagede tid gælder i dem alle.'
+            : 'Del FamTime med din familie ved at oprette en familie eller tilslutte dig en eksisterende.'}
         </Text>
 
         <View style={styles.modeSwitch}>
@@ -1424,10 +1702,22 @@ const FamilySetupScreen = ({ navigation }) => {
               label="Familiekode"
               value={familyCode}
               onChangeText={setFamilyCode}
-              placeholder="Indtast familie-ID"
+              placeholder="Invitationskode eller familie-ID"
               style={styles.field}
             />
 
+            <Pressable
+              onPress={() => setScannerVisible(true)}
+              style={[styles.copyIdButton, styles.scanCodeButton]}
+            >
+              <Text style={styles.copyIdButtonText}>Scan QR-kode</Text>
+            </Pressable>
+            <QrCodeScanner
+              visible={scannerVisible}
+              onScanned={handleCodeScanned}
+              onClose={() => setScannerVisible(false)}
+            />
+
             <Button
               title="Tilslut familie"
               onPress={handleJoinFamily}
@@ -1436,6 +1726,17 @@ const FamilySetupScreen = ({ navigation }) => {
             />
           </>
         )}
+
+        {existingFamily ? (
+          <Pressable
+            onPress={() => setAddingFamily(false)}
+            style={styles.backToFamilyButton}
+          >
+            <Text style={styles.backToFamilyText}>
+              {`Tilbage til ${existingFamily.name || 'din familie'}`}
+            </Text>
+          </Pressable>
+        ) : null}
       </View>
     </ScrollView>
   );
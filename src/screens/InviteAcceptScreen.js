@@ -0,0 +1,236 @@
+/**
+ * InviteAcceptScreen
+ *
+ * Hvad goer filen for appen:
+ * - Tilmelder brugeren den familie, et invitationslink (famtime://invite/{token}) peger på.
+ * - Kræver bekræftet e-mail: indtil da vises en vejledning og mulighed for at sende
+ *   bekræftelsesmailen igen.
+ *
+ * Overblik (hvordan filen er bygget op):
+ * - State: fase (checking/unverified/joined/failed), familienavn, fejl og "mail sendt".
+ * - Flow: gem token -> acceptPendingInviteAsync ved start, ved tryk og når appen kommer
+ *   tilbage i forgrunden (fx efter mailprogrammet) -> videre til Landing.
+ * - UI: header + kort med status og handlinger.
+ */
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import {
+  ActivityIndicator,
+  AppState,
+  ScrollView,
+  Text,
+  View,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+
+import Button from '../components/Button';
+import ErrorMessage from '../components/ErrorMessage';
+import { auth } from '../lib/firebase';
+import { getFriendlyAuthError } from '../lib/errorMessages';
+import {
+  FAMILY_INVITE_ERRORS,
+  decodeInviteToken,
+} from '../lib/familyInviteApi';
+import {
+  PENDING_INVITE_RESULTS,
+  acceptPendingInviteAsync,
+  clearPendingInviteAsync,
+  getPendingInviteToken,
+  savePendingInviteAsync,
+} from '../utils/pendingInvite';
+import { colors } from '../styles/theme';
+import styles from '../styles/screens/InviteAcceptScreenStyles';
+
+const PHASES = {
+  CHECKING: 'checking',
+  UNVERIFIED: 'unverified',
+  JOINED: 'joined',
+  FAILED: 'failed',
+};
+
+const describeInviteError = (error, inviteEmail) => {
+  switch (error) {
+    case FAMILY_INVITE_ERRORS.EXPIRED:
+      return 'Invitationen er udløbet. Bed familiens administrator om en ny.';
+    case FAMILY_INVITE_ERRORS.USED:
+      return 'Invitationen er allerede brugt.';
+    case FAMILY_INVITE_ERRORS.EMAIL_MISMATCH:
+      return inviteEmail
+        ? `Invitationen er sendt til ${inviteEmail}. Log ind med den e-mail for at bruge den.`
+        : 'Invitationen er sendt til en anden e-mail.';
+    case FAMILY_INVITE_ERRORS.NOT_FOUND:
+    case FAMILY_INVITE_ERRORS.INVALID_TOKEN:
+      return 'Invitationen findes ikke længere.';
+    default:
+      return 'Kunne ikke bruge invitationen. Tjek din forbindelse og prøv igen.';
+  }
+};
+
+const InviteAcceptScreen = ({ navigation, route }) => {
+  const token = route?.params?.token ?? getPendingInviteToken();
+  const invite = decodeInviteToken(token);
+  const userEmail = auth.currentUser?.email ?? '';
+
+  const [phase, setPhase] = useState(PHASES.CHECKING);
+  const [familyName, setFamilyName] = useState('');
+  const [error, setError] = useState('');
+  const [verificationSent, setVerificationSent] = useState(false);
+  const [sending, setSending] = useState(false);
+  const attemptingRef = useRef(false);
+
+  const attemptJoin = useCallback(async () => {
+    if (!token || attemptingRef.current) {
+      return;
+    }
+    attemptingRef.current = true;
+    setPhase(PHASES.CHECKING);
+    setError('');
+    try {
+      await savePendingInviteAsync(token);
+      const result = await acceptPendingInviteAsync(token);
+      if (result.status === PENDING_INVITE_RESULTS.JOINED) {
+        setFamilyName(result.familyName ?? '');
+        setPhase(PHASES.JOINED);
+      } else if (result.status === PENDING_INVITE_RESULTS.UNVERIFIED) {
+        setPhase(PHASES.UNVERIFIED);
+      } else {
+        setError(describeInviteError(result.error, invite?.email));
+        setPhase(PHASES.FAILED);
+      }
+    } catch (_error) {
+      setError(describeInviteError('', invite?.email));
+      setPhase(PHASES.FAILED);
+    } finally {
+      attemptingRef.current = false;
+    }
+  }, [invite?.email, token]);
+
+  useEffect(() => {
+    attemptJoin();
+  }, [attemptJoin]);
+
+  // Brugeren bekræfter typisk i mailprogrammet; prøv igen, når appen er tilbage.
+  useEffect(() => {
+    const subscription = AppState.addEventListener('change', (state) => {
+      if (state === 'active' && phase === PHASES.UNVERIFIED) {
+        attemptJoin();
+      }
+    });
+    return () => subscription.remove();
+  }, [attemptJoin, phase]);
+
+  const handleResendVerification = async () => {
+    if (!auth.currentUser) {
+      return;
+    }
+    setSending(true);
+    setError('');
+    try {
+      await auth.currentUser.sendEmailVerification();
+      setVerificationSent(true);
+    } catch (sendError) {
+      setError(getFriendlyAuthError(sendError));
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const continueToApp = () => {
+    navigation.reset({ index: 0, routes: [{ name: 'Landing' }] });
+  };
+
+  const handleSkip = async () => {
+    await clearPendingInviteAsync();
+    continueToApp();
+  };
+
+  const renderContent = () => {
+    if (!token) {
+      return (
+        <>
+          <Text style={styles.bodyText}>Der er ingen invitation at vise.</Text>
+          <Button title="Fortsæt" onPress={continueToApp} />
+        </>
+      );
+    }
+
+    if (phase === PHASES.CHECKING) {
+      return (
+        <View style={styles.loadingRow}>
+          <ActivityIndicator color={colors.primary} />
+          <Text style={styles.loadingText}>Tjekker invitationen…</Text>
+        </View>
+      );
+    }
+
+    if (phase === PHASES.JOINED) {
+      return (
+        <>
+          <Text style={styles.bodyText}>
+            {familyName
+              ? `Du er nu medlem af ${familyName}.`
+              : 'Du er nu medlem af familien.'}
+          </Text>
+          <Button title="Fortsæt" onPress={continueToApp} />
+        </>
+      );
+    }
+
+    if (phase === PHASES.UNVERIFIED) {
+      return (
+        <>
+          <Text style={styles.bodyText}>
+            {`Bekræft din e-mail ${userEmail} via linket i den mail, vi har sendt. Derefter tilmelder vi dig familien.`}
+          </Text>
+          {verificationSent ? (
+            <Text style={styles.successText}>Bekræftelsesmail sendt.</Text>
+          ) : null}
+          <Button
+            title="Jeg har bekræftet min e-mail"
+            onPress={attemptJoin}
+            style={styles.action}
+          />
+          <Button
+            title="Send bekræftelsesmail igen"
+            onPress={handleResendVerification}
+            loading={sending}
+            style={styles.action}
+          />
+        </>
+      );
+    }
+
+    return (
+      <>
+        <Button title="Prøv igen" onPress={attemptJoin} style={styles.action} />
+        <Button
+          title="Fortsæt uden invitation"
+          onPress={handleSkip}
+          style={styles.action}
+        />
+      </>
+    );
+  };
+
+  return (
+    <SafeAreaView style={styles.safeArea}>
+      <ScrollView contentContainerStyle={styles.content}>
+        <View style={styles.header}>
+          <Text style={styles.kicker}>Invitation</Text>
+          <Text style={styles.title}>Bliv en del af familien</Text>
+          {invite?.email ? (
+            <Text style={styles.subtitle}>
+              {`Invitationen er sendt til ${invite.email}.`}
+            </Text>
+          ) : null}
+        </View>
+
+        <View style={styles.card}>
+          <ErrorMessage message={error} />
+          {renderContent()}
+        </View>
+      </ScrollView>
+    </SafeAreaView>
+  );
+};
+
+export default InviteAcceptScreen;
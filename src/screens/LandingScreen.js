@@ -34,6 +34,8 @@ import { auth, db, firebase } from '../lib/firebase';
 import { colors } from '../styles/theme';
 import styles from '../styles/screens/LandingScreenStyles';
 import { copyStringToClipboard } from '../utils/clipboard';
+import { buildMembersUpdate } from '../utils/familyMembers';
+import { OUTBOX_KINDS, setDocumentWithOutboxAsync } from '../utils/writeOutbox';
 import {
   AVATAR_EMOJIS,
   DEFAULT_AVATAR_EMOJI,
@@ -50,6 +52,10 @@ import {
   FAMILY_PREFERENCE_MODES,
   normalizeFamilyPreferenceMode,
 } from '../constants/familyPreferenceModes';
+import {
+  getFamilyMemberRole,
+  getFamilyRoleLabel,
+} from '../constants/familyRoles';
 import DateTimePicker from '@react-native-community/datetimepicker';
 
 const WEEK_DAYS = [
@@ -64,6 +70,15 @@ const WEEK_DAYS = [
 
 const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
 
+// Gemmes via outboxen; uden forbindelse springes familiens medlemsliste over og
+// opdateres ved næste gem.
+const saveUserProfileAsync = (userId, payload) =>
+  setDocumentWithOutboxAsync({
+    kind: OUTBOX_KINDS.PROFILE_SAVE,
+    docRef: db.collection('users').doc(userId),
+    data: payload,
+  });
+
 /**
  * TIDSVINDUE PRESETS
  * 
@@ -1715,21 +1730,17 @@ const LandingScreen = ({ navigation, route }) => {
             firebase.firestore.FieldValue.delete();
         }
 
-        await db.collection('users').doc(userId).set(payload, { merge: true });
+        const { queued } = await saveUserProfileAsync(userId, payload);
 
         const userFamilyId =
           typeof profile.familyId === 'string' ? profile.familyId.trim() : '';
-        if (userFamilyId) {
+        if (userFamilyId && !queued) {
           try {
             const familyRef = db.collection('families').doc(userFamilyId);
             const familyDoc = await familyRef.get();
             if (familyDoc.exists) {
               const familyData = familyDoc.data() ?? {};
-              const memberRole =
-                typeof profile.familyRole === 'string' &&
-                profile.familyRole.trim().length
-                  ? profile.familyRole.trim()
-                  : 'member';
+              const memberRole = getFamilyMemberRole(familyData, userId);
               let members = Array.isArray(familyData.members)
                 ? [...familyData.members]
                 : [];
@@ -1762,7 +1773,8 @@ const LandingScreen = ({ navigation, route }) => {
               }
 
               await familyRef.update({
-                members,
+                ...buildMembersUpdate(members),
+                updatedBy: userId,
                 updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
               });
             }
@@ -2345,7 +2357,7 @@ const LandingScreen = ({ navigation, route }) => {
                 <Text style={styles.familyInfoText}>
                   Din rolle:{' '}
                   <Text style={styles.familyInfoValue}>
-                    {profile.familyRole === 'admin' ? 'Administrator' : 'Medlem'}
+                    {getFamilyRoleLabel(profile.familyRole)}
                   </Text>
                 </Text>
               ) : null}
@@ -4,15 +4,18 @@
  * Hvad goer filen for appen:
  * - Er indgangen til appen: her logger brugeren ind med e-mail og adgangskode via Firebase Auth.
  * - Viser fejl paa en brugervenlig maade og giver genveje til "Glemt adgangskode" og "Opret konto".
+ * - Tilbyder Google/Apple-login; findes e-mailen allerede, forbindes login-metoden til kontoen
+ *   naeste gang brugeren logger ind med adgangskode.
  * - Naar login lykkes, overtager RootNavigator og sender brugeren videre til resten af appens flow.
  *
  * Overblik (hvordan filen er bygget op):
- * - State: email/password, felt-fejl, auth-fejl og loading.
+ * - State: email/password, "Husk mig", felt-fejl, auth-fejl og loading.
  * - Helpers: clear errors naar brugeren retter input, og `validate` til at tjekke felter foer login.
- * - Flow: valider input -> kald `signInWithEmailAndPassword` -> ved fejl nulstilles session og fejl vises.
+ * - Flow: valider input -> vælg session-lagring ("Husk mig") -> kald `signInWithEmailAndPassword`
+ *   -> ved fejl nulstilles session og fejl vises.
  * - UI: header + kort med to felter, login-knap og links til andre auth-skærme.
  */
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import {
   View,
   Text,
@@ -20,14 +23,22 @@ import {
   ScrollView,
   KeyboardAvoidingView,
   Platform,
+  Switch,
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 
 import FormInput from '../components/FormInput';
 import Button from '../components/Button';
 import ErrorMessage from '../components/ErrorMessage';
+import FederatedSignInButtons from '../components/FederatedSignInButtons';
 import { auth } from '../lib/firebase';
 import { getFriendlyAuthError } from '../lib/errorMessages';
+import { applyRememberMeAsync, loadRememberMeAsync } from '../utils/session';
+import {
+  FEDERATED_PROVIDERS,
+  getPendingLink,
+  linkPendingCredentialAsync,
+} from '../utils/federatedAuth';
 import styles from '../styles/screens/LoginScreenStyles';
 
 const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
@@ -52,6 +63,21 @@ const LoginScreen = ({ navigation }) => {
   const [fieldErrors, setFieldErrors] = useState({});
   const [authError, setAuthError] = useState('');
   const [loading, setLoading] = useState(false);
+  const [rememberMe, setRememberMe] = useState(false);
+  const [pendingLink, setPendingLink] = useState(getPendingLink);
+
+  // Viser sidste valg af "Husk mig" igen; standard er at sessionen ikke huskes.
+  useEffect(() => {
+    let active = true;
+    loadRememberMeAsync().then((remember) => {
+      if (active) {
+        setRememberMe(remember);
+      }
+    });
+    return () => {
+      active = false;
+    };
+  }, []);
 
   /**
    * RYDNING AF FEJLBESKEDER
@@ -143,7 +169,9 @@ const LoginScreen = ({ navigation }) => {
     try {
       setLoading(true);
       setAuthError('');
+      await applyRememberMeAsync(rememberMe);
       await auth.signInWithEmailAndPassword(email.trim(), password);
+      await linkPendingCredentialAsync();
     } catch (error) {
       await resetAuthSession();
       setAuthError(getFriendlyAuthError(error));
@@ -152,6 +180,25 @@ const LoginScreen = ({ navigation }) => {
     }
   };
 
+  /**
+   * FEJL FRA GOOGLE/APPLE
+   *
+   * Findes e-mailen allerede med adgangskode, udfyldes e-mailen, så brugeren kan
+   * logge ind og dermed forbinde Google/Apple til samme konto.
+   */
+  const handleFederatedError = (error) => {
+    const link = getPendingLink();
+    setPendingLink(link);
+    if (link?.email) {
+      setEmail(link.email);
+      clearFieldError('email');
+    }
+    setAuthError(getFriendlyAuthError(error));
+  };
+
+  const pendingProviderLabel =
+    pendingLink?.providerId === FEDERATED_PROVIDERS.APPLE ? 'Apple' : 'Google';
+
   return (
     <SafeAreaView style={styles.safeArea}>
       <KeyboardAvoidingView
@@ -172,6 +219,11 @@ const LoginScreen = ({ navigation }) => {
 
           <View style={styles.card}>
             <ErrorMessage message={authError} />
+            {pendingLink && !authError ? (
+              <Text style={styles.linkHint}>
+                {`Log ind med din adgangskode for at forbinde ${pendingProviderLabel} til din konto.`}
+              </Text>
+            ) : null}
 
             <FormInput
               label="E-mail"
@@ -195,6 +247,17 @@ const LoginScreen = ({ navigation }) => {
               placeholder="••••••"
             />
 
+            <View style={styles.rememberRow}>
+              <Text style={styles.rememberLabel}>
+                Husk mig på denne telefon
+              </Text>
+              <Switch
+                value={rememberMe}
+                onValueChange={setRememberMe}
+                accessibilityLabel="Husk mig"
+              />
+            </View>
+
             <Button
               title="Log ind"
               onPress={handleLogin}
@@ -202,6 +265,12 @@ const LoginScreen = ({ navigation }) => {
               style={styles.submit}
             />
 
+            <FederatedSignInButtons
+              beforeSignIn={() => applyRememberMeAsync(rememberMe)}
+              onError={handleFederatedError}
+              disabled={loading}
+            />
+
             <View style={styles.linksRow}>
               <TouchableOpacity
                 onPress={() => navigation.navigate('ForgotPassword')}
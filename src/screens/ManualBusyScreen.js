@@ -0,0 +1,341 @@
+/**
+ * ManualBusyScreen
+ *
+ * Hvad goer filen for appen:
+ * - Lader brugeren oprette, rette og slette egne optaget-tider (fx "Fodbold tirsdag 17-19"),
+ *   typisk når kalenderadgang er afslået i CalendarSyncScreen.
+ * - Blokkene gemmes på `calendar/{uid}.manualBusyBlocks` og indgår i familiens
+ *   ledige tider via extractSharedBusyFromCalendarDoc.
+ * - Med route.params { familyId, childId, childName } redigeres i stedet et barns
+ *   tider på families/{familyId}/children/{childId} (se ChildProfilesScreen).
+ *
+ * Overblik (hvordan filen er bygget op):
+ * - State: blokke fra Firestore, formular (titel, dato, start/slut, ugentlig) og redigeret id.
+ * - Flow: onSnapshot på ejerens dokument -> liste; gem/slet skriver hele listen.
+ * - UI: liste med blokke, formular med dato- og tidsvælgere.
+ */
+import React, { useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  Pressable,
+  ScrollView,
+  Switch,
+  Alert,
+  Platform,
+} from 'react-native';
+import DateTimePicker from '@react-native-community/datetimepicker';
+
+import Button from '../components/Button';
+import ErrorMessage from '../components/ErrorMessage';
+import { auth } from '../lib/firebase';
+import {
+  createManualBusyBlockId,
+  getManualBusyDocRef,
+  normalizeManualBusyBlocks,
+  saveManualBusyBlocksAsync,
+} from '../utils/manualBusy';
+import styles from '../styles/screens/ManualBusyScreenStyles';
+
+const isIOS = Platform.OS === 'ios';
+const DEFAULT_BLOCK_MINUTES = 120;
+
+const createDefaultForm = () => {
+  const start = new Date();
+  start.setHours(17, 0, 0, 0);
+  return {
+    title: '',
+    start,
+    end: new Date(start.getTime() + DEFAULT_BLOCK_MINUTES * 60000),
+    weekly: true,
+  };
+};
+
+const formatClock = (date) =>
+  date.toLocaleTimeString('da-DK', { hour: '2-digit', minute: '2-digit' });
+
+const formatDay = (date) =>
+  date.toLocaleDateString('da-DK', {
+    weekday: 'long',
+    day: 'numeric',
+    month: 'long',
+  });
+
+const formatWeekday = (date) =>
+  date.toLocaleDateString('da-DK', { weekday: 'long' });
+
+const describeBlock = (block) =>
+  block.weekly
+    ? `Hver ${formatWeekday(block.start)} ${formatClock(block.start)}-${formatClock(block.end)}`
+    : `${formatDay(block.start)} ${formatClock(block.start)}-${formatClock(block.end)}`;
+
+// Sætter klokkeslættet fra `time` på datoen fra `day`.
+const combineDayAndTime = (day, time) => {
+  const next = new Date(day);
+  next.setHours(time.getHours(), time.getMinutes(), 0, 0);
+  return next;
+};
+
+const ManualBusyScreen = ({ route }) => {
+  const userId = auth.currentUser?.uid ?? null;
+  const {
+    familyId = null,
+    childId = null,
+    childName = '',
+  } = route?.params ?? {};
+  const [blocks, setBlocks] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [form, setForm] = useState(createDefaultForm);
+  const [editingId, setEditingId] = useState(null);
+  const [activePicker, setActivePicker] = useState(null);
+
+  useEffect(() => {
+    if (!userId || (childId && !familyId)) {
+      setLoading(false);
+      return undefined;
+    }
+
+    return getManualBusyDocRef({ userId, familyId, childId }).onSnapshot(
+      (snapshot) => {
+        setBlocks(normalizeManualBusyBlocks(snapshot.data()?.manualBusyBlocks));
+        setLoading(false);
+      },
+      () => {
+        setError(
+          childId
+            ? 'Kunne ikke hente barnets optagede tider.'
+            : 'Kunne ikke hente dine optagede tider.'
+        );
+        setLoading(false);
+      }
+    );
+  }, [userId, familyId, childId]);
+
+  const resetForm = () => {
+    setForm(createDefaultForm());
+    setEditingId(null);
+    setActivePicker(null);
+  };
+
+  const persistBlocks = async (nextBlocks) => {
+    setSaving(true);
+    setError('');
+    try {
+      await saveManualBusyBlocksAsync(
+        { userId, familyId, childId },
+        nextBlocks
+      );
+      return true;
+    } catch (_saveError) {
+      setError('Kunne ikke gemme. Prøv igen.');
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * GEM BLOK
+   *
+   * Opretter en ny blok eller erstatter den der redigeres.
+   */
+  const handleSave = async () => {
+    if (form.end <= form.start) {
+      setError('Sluttidspunktet skal være efter starttidspunktet.');
+      return;
+    }
+
+    const block = {
+      id: editingId ?? createManualBusyBlockId(),
+      title: form.title.trim() || 'Optaget',
+      start: form.start,
+      end: form.end,
+      weekly: form.weekly,
+    };
+    const nextBlocks = editingId
+      ? blocks.map((item) => (item.id === editingId ? block : item))
+      : [...blocks, block];
+
+    if (await persistBlocks(nextBlocks)) {
+      resetForm();
+    }
+  };
+
+  const handleEdit = (block) => {
+    setEditingId(block.id);
+    setForm({
+      title: block.title,
+      start: block.start,
+      end: block.end,
+      weekly: block.weekly,
+    });
+    setError('');
+  };
+
+  const handleDelete = (block) => {
+    Alert.alert('Slet optaget tid?', describeBlock(block), [
+      { text: 'Annuller', style: 'cancel' },
+      {
+        text: 'Slet',
+        style: 'destructive',
+        onPress: async () => {
+          const deleted = await persistBlocks(
+            blocks.filter((item) => item.id !== block.id)
+          );
+          if (deleted && editingId === block.id) {
+            resetForm();
+          }
+        },
+      },
+    ]);
+  };
+
+  const handlePickerChange = (_event, selected) => {
+    const picker = activePicker;
+    if (!isIOS) {
+      setActivePicker(null);
+    }
+    if (!selected) {
+      return;
+    }
+
+    setForm((prev) => {
+      if (picker === 'day') {
+        const start = combineDayAndTime(selected, prev.start);
+        return { ...prev, start, end: combineDayAndTime(selected, prev.end) };
+      }
+      if (picker === 'start') {
+        const start = combineDayAndTime(prev.start, selected);
+        const end =
+          prev.end > start
+            ? prev.end
+            : new Date(start.getTime() + DEFAULT_BLOCK_MINUTES * 60000);
+        return { ...prev, start, end };
+      }
+      return { ...prev, end: combineDayAndTime(prev.start, selected) };
+    });
+  };
+
+  const renderPickerButton = (key, label, value) => (
+    <Pressable
+      style={[
+        styles.pickerButton,
+        activePicker === key ? styles.pickerButtonActive : null,
+      ]}
+      onPress={() => setActivePicker(activePicker === key ? null : key)}
+      accessibilityRole="button"
+    >
+      <Text style={styles.pickerLabel}>{label}</Text>
+      <Text style={styles.pickerValue}>{value}</Text>
+    </Pressable>
+  );
+
+  return (
+    <ScrollView
+      style={styles.container}
+      contentContainerStyle={styles.content}
+      keyboardShouldPersistTaps="handled"
+    >
+      <Text style={styles.title}>
+        {childId
+          ? `Optagede tider for ${childName || 'barnet'}`
+          : 'Mine optagede tider'}
+      </Text>
+      <Text style={styles.subtitle}>
+        {childId
+          ? 'Skole, fritidsaktiviteter og andet, der gør barnet optaget. De voksne i familien kan se og rette tiderne.'
+          : 'Fortæl familien hvornår du er optaget, hvis du ikke deler din kalender. Kun tidspunktet deles; titlen ser kun du.'}
+      </Text>
+
+      <View style={styles.card}>
+        {loading ? (
+          <Text style={styles.infoText}>Indlæser...</Text>
+        ) : blocks.length ? (
+          blocks.map((block) => (
+            <View key={block.id} style={styles.blockRow}>
+              <Pressable
+                style={styles.blockText}
+                onPress={() => handleEdit(block)}
+                accessibilityRole="button"
+              >
+                <Text style={styles.blockTitle}>{block.title}</Text>
+                <Text style={styles.blockMeta}>{describeBlock(block)}</Text>
+              </Pressable>
+              <Pressable
+                onPress={() => handleDelete(block)}
+                disabled={saving}
+                accessibilityRole="button"
+                accessibilityLabel={`Slet ${block.title}`}
+              >
+                <Text style={styles.deleteText}>Slet</Text>
+              </Pressable>
+            </View>
+          ))
+        ) : (
+          <Text style={styles.infoText}>
+            {childId
+              ? 'Barnet har ingen optagede tider endnu.'
+              : 'Du har ingen optagede tider endnu.'}
+          </Text>
+        )}
+      </View>
+
+      <View style={styles.card}>
+        <Text style={styles.sectionTitle}>
+          {editingId ? 'Ret optaget tid' : 'Ny optaget tid'}
+        </Text>
+        <TextInput
+          style={styles.input}
+          placeholder="Fx Fodboldtræning"
+          value={form.title}
+          onChangeText={(title) => setForm((prev) => ({ ...prev, title }))}
+        />
+
+        {renderPickerButton(
+          'day',
+          form.weekly ? 'Første gang' : 'Dato',
+          formatDay(form.start)
+        )}
+        {renderPickerButton('start', 'Fra', formatClock(form.start))}
+        {renderPickerButton('end', 'Til', formatClock(form.end))}
+        {activePicker ? (
+          <DateTimePicker
+            value={activePicker === 'end' ? form.end : form.start}
+            mode={activePicker === 'day' ? 'date' : 'time'}
+            display={isIOS ? 'spinner' : 'default'}
+            onChange={handlePickerChange}
+          />
+        ) : null}
+
+        <View style={styles.switchRow}>
+          <Text style={styles.switchLabel}>Gentag hver uge</Text>
+          <Switch
+            value={form.weekly}
+            onValueChange={(weekly) => setForm((prev) => ({ ...prev, weekly }))}
+          />
+        </View>
+
+        <ErrorMessage message={error} />
+        <Button
+          title={editingId ? 'Gem ændringer' : 'Tilføj'}
+          onPress={handleSave}
+          loading={saving}
+          style={styles.saveButton}
+        />
+        {editingId ? (
+          <Button
+            title="Annuller"
+            onPress={resetForm}
+            disabled={saving}
+            style={styles.cancelButton}
+          />
+        ) : null}
+      </View>
+    </ScrollView>
+  );
+};
+
+export default ManualBusyScreen;
@@ -11,7 +11,7 @@
  * - Helpers: formattering af tid/dato og små konverteringer (fx Firestore timestamp -> Date).
  * - State: familie/events, proposal-modal, auto-suggestions, praef erencer/busy-data og UI-tilstande.
  * - Dataflow: live-lytning på Firestore (familie, events, praef erencer) + device-kalender busy tider (polling/appstate).
- * - Logik: bruger `findMutualAvailability` til at bygge ledige slots og en suggestions-kø, inkl. sponsor-indslag.
+ * - Logik: bruger `computeFamilyAvailability` (server med lokal fallback) til at bygge ledige slots og en suggestions-kø, inkl. sponsor-indslag.
  * - UI: statuskort, autosuggestions, sektioner pr. status og modaler til forslag/detaljer.
  */
 import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
@@ -40,22 +40,66 @@ import { Ionicons } from '@expo/vector-icons';
 import { DEFAULT_AVATAR_EMOJI } from '../constants/avatarEmojis';
 import styles from '../styles/screens/OwnCalendarScreenStyles';
 import { colors } from '../styles/theme';
-import findMutualAvailability, { availabilityUtils } from '../lib/availability';
+import {
+  AVAILABILITY_DIAGNOSTIC_STAGES,
+  buildFallbackQuorum,
+} from '../lib/availability';
+import { computeFamilyAvailability } from '../lib/availabilityApi';
 import useActivityPool from '../hooks/useActivityPool';
 import {
   applyIntervalTravelBuffer,
   areBusyListsEqual,
   buildEventBusyIntervals,
   extractPreferencesFromCalendarDoc,
+  extractSharedBusyFromCalendarDoc,
   mergeBusyIntervals,
-  normalizeBusyPayload,
+  normalizeBusyEventPolicy,
   shallowEqualObjects,
 } from '../utils/calendarAvailability';
 import { simpleHash } from '../utils/activityHelpers';
 import {
-  FAMILY_PREFERENCE_MODES,
-  normalizeFamilyPreferenceMode,
-} from '../constants/familyPreferenceModes';
+  buildAvailabilityUserPreferences,
+  buildFamilyPreferenceEntry,
+  resolveFamilyPreferences,
+} from '../utils/familyPreferences';
+import {
+  RECURRENCE_FREQUENCIES,
+  RECURRENCE_SCOPES,
+  buildRRule,
+  describeRecurrence,
+  expandEventsInRange,
+  occurrenceKeyToDate,
+} from '../utils/recurrence';
+import { buildOccurrenceRecurrencePayload } from '../utils/pendingApprovalActions';
+import {
+  EVENT_APPROVAL_ACTIONS,
+  EVENT_APPROVAL_RESULTS,
+} from '../utils/eventApproval';
+import {
+  OUTBOX_KINDS,
+  isOutboxConflictError,
+  runApprovalWithOutboxAsync,
+  setDocumentWithOutboxAsync,
+} from '../utils/writeOutbox';
+import useOutboxEntries from '../hooks/useOutboxEntries';
+import useOtherFamiliesBusy from '../hooks/useOtherFamiliesBusy';
+import useChildProfiles from '../hooks/useChildProfiles';
+import {
+  buildChildAvailabilityInputs,
+  getChildDisplayName,
+  toChildMemberId,
+} from '../utils/childProfiles';
+import { buildFamilyEventsQuery } from '../utils/familyMemberships';
+import {
+  FAMILY_PERMISSIONS,
+  getEventApproverIds,
+  getFamilyMemberRole,
+  hasFamilyPermission,
+} from '../constants/familyRoles';
+import {
+  loadDeviceCalendarEventsAsync,
+  resolveBusyCalendarIds,
+} from '../utils/deviceCalendars';
 import rajissimoLogo from '../assets/rajissimo logo.png';
 
 const isIOS = Platform.OS === 'ios';
@@ -200,7 +244,55 @@ const formatDateRange = (start, end) => {
   return `${startDateLabel} kl. ${startTimeLabel} - ${endDateLabel} kl. ${endTimeLabel}`;
 };
 
-const OwnCalendarScreen = () => {
+/**
+ * RÅD UD FRA DIAGNOSTIK
+ *
+ * Omsætter diagnostics fra findMutualAvailability til en konkret anbefaling,
+ * så brugeren ved hvad der skal ændres. memberLabel navngiver det medlem
+ * hvis præferencer eller kalender var mest begrænsende.
+ */
+const describeAvailabilityDiagnostics = (diagnostics, memberLabel) => {
+  const restrictive = diagnostics?.restrictiveMember;
+  const name = restrictive?.userId ? memberLabel(restrictive.userId) : '';
+  const memberHint = (() => {
+    if (!name) {
+      return '';
+    }
+    switch (restrictive.reason) {
+      case 'busy':
+        return ` Kalenderen for ${name} blokerer - frigør tid der for at få forslag.`;
+      case AVAILABILITY_DIAGNOSTIC_STAGES.WEEKDAYS:
+        return ` Færrest dage er valgt af ${name} - tilføj flere under Konto.`;
+      case AVAILABILITY_DIAGNOSTIC_STAGES.DURATION:
+        return ` Længste minimumsvarighed er sat af ${name} - sæt den ned under Konto.`;
+      default:
+        return ` Snævreste tidsvinduer er sat af ${name} - udvid dem under Konto.`;
+    }
+  })();
+
+  switch (diagnostics?.stage) {
+    case AVAILABILITY_DIAGNOSTIC_STAGES.WEEKDAYS:
+      return `Familiens præferencer har ingen fælles ugedage.${memberHint}`;
+    case AVAILABILITY_DIAGNOSTIC_STAGES.TIME_WINDOWS:
+      return `Familiens tidsvinduer overlapper ikke.${memberHint}`;
+    case AVAILABILITY_DIAGNOSTIC_STAGES.COMMON_FREE:
+      return `Der er ingen tid hvor alle er ledige de næste ${AVAILABILITY_LOOKAHEAD_DAYS} dage.${memberHint}`;
+    case AVAILABILITY_DIAGNOSTIC_STAGES.DAILY_WINDOWS:
+      return `Den fælles ledige tid ligger uden for jeres tidsvinduer.${memberHint}`;
+    case AVAILABILITY_DIAGNOSTIC_STAGES.DURATION:
+      return `De ledige tidsrum er kortere end minimumsvarigheden.${memberHint}`;
+    case AVAILABILITY_DIAGNOSTIC_STAGES.SAME_DAY:
+      return 'De eneste ledige tider er i dag og ligger for tæt på. Der kommer nye forslag i morgen.';
+    case AVAILABILITY_DIAGNOSTIC_STAGES.OVERRUN:
+      return 'De ledige tider går for langt ud over tidsvinduerne. Ryk sluttidspunktet senere under Konto.';
+    case AVAILABILITY_DIAGNOSTIC_STAGES.QUORUM:
+      return 'Ingen tider hvor nok af familien er ledige hele vejen igennem.';
+    default:
+      return '';
+  }
+};
+
+const OwnCalendarScreen = ({ navigation, route }) => {
   // --- Grunddata: hvem er brugeren, og basisstatus for skærmen ---
   const currentUser = auth.currentUser;
   const currentUserId = currentUser?.uid ?? null;
@@ -220,6 +312,12 @@ const OwnCalendarScreen = () => {
   const [familyPreferences, setFamilyPreferences] = useState({});
   const [calendarAvailability, setCalendarAvailability] = useState({});
   const [currentUserEmoji, setCurrentUserEmoji] = useState(DEFAULT_AVATAR_EMOJI);
+  const { children: childProfiles } = useChildProfiles(familyId);
+  // Børn uden login tæller med i tilgængeligheden som `child:<id>`.
+  const childAvailability = useMemo(
+    () => buildChildAvailabilityInputs(childProfiles),
+    [childProfiles]
+  );
   const memberById = useMemo(() => {
     const map = new Map();
     const mergeMemberData = (userId, source = {}) => {
@@ -257,17 +355,31 @@ const OwnCalendarScreen = () => {
       });
     }
 
+    childProfiles.forEach((child) => {
+      const userId = toChildMemberId(child.id);
+      map.set(userId, { userId, name: getChildDisplayName(child) });
+    });
+
     return map;
-  }, [familyMembers, memberProfiles]);
+  }, [familyMembers, memberProfiles, childProfiles]);
   const [userRole, setUserRole] = useState('');
-  const normalizedUserRole = useMemo(() => {
-    if (typeof userRole !== 'string') {
-      return '';
-    }
-    return userRole.trim().toLowerCase();
-  }, [userRole]);
-  const isAdminUser = normalizedUserRole === 'admin' || normalizedUserRole === 'owner';
+  // ownerId/memberRoles/members fra familien; bruges til roller og godkendere.
+  const [familyRoleData, setFamilyRoleData] = useState(null);
+  const canCancelAnyEvent = hasFamilyPermission(
+    userRole,
+    FAMILY_PERMISSIONS.CANCEL_ANY_EVENT
+  );
+  const canProposeEvents = hasFamilyPermission(
+    userRole,
+    FAMILY_PERMISSIONS.PROPOSE_EVENTS
+  );
   const [events, setEvents] = useState([]);
+  const [eventsFamilyId, setEventsFamilyId] = useState(null);
+  // Begivenhed åbnet via link (famtime://family/{id}/event/{eventId}).
+  const [linkedEventId, setLinkedEventId] = useState('');
+  const scrollViewRef = useRef(null);
+  const scrollContentRef = useRef(null);
+  const linkedEventCardRef = useRef(null);
 
   // --- Forslagsmodal og UI-tilstande til oprettelse/visning af events ---
   const [proposalVisible, setProposalVisible] = useState(false);
@@ -279,6 +391,10 @@ const OwnCalendarScreen = () => {
     end: new Date(new Date().getTime() + 60 * 60 * 1000),
   });
   const [proposalError, setProposalError] = useState('');
+  // Gælder forslaget kun én forekomst eller hele serien (kun relevant for gentagne events).
+  const [proposalScope, setProposalScope] = useState(
+    RECURRENCE_SCOPES.OCCURRENCE
+  );
   const [proposalSaving, setProposalSaving] = useState(false);
 
   const [showProposalDatePicker, setShowProposalDatePicker] = useState(isIOS);
@@ -300,9 +416,12 @@ const OwnCalendarScreen = () => {
   const sponsorInstanceRef = useRef(0);
   const [autoSuggestionError, setAutoSuggestionError] = useState('');
   const [autoSuggestionNotice, setAutoSuggestionNotice] = useState('');
+  const [availabilityDiagnostics, setAvailabilityDiagnostics] = useState(null);
   const [autoActionId, setAutoActionId] = useState(null);
   const [suggestionLoading, setSuggestionLoading] = useState(true);
   const { remoteActivities, manualActivities } = useActivityPool();
+  const { pendingTargetIds: outboxTargetIds } = useOutboxEntries();
+  const otherFamiliesBusy = useOtherFamiliesBusy(familyId);
   const [previewSuggestion, setPreviewSuggestion] = useState(null);
 
   // --- UI helpers ---
@@ -416,6 +535,7 @@ const OwnCalendarScreen = () => {
       });
       setProposalError('');
       setProposalSaving(false);
+      setProposalScope(RECURRENCE_SCOPES.OCCURRENCE);
       setShowProposalDatePicker(isIOS);
       setShowProposalStartTimePicker(false);
       setShowProposalEndTimePicker(false);
@@ -483,20 +603,26 @@ const OwnCalendarScreen = () => {
     [events, currentUserId, requiresRenewedApproval]
   );
 
-  const eventsConfirmed = useMemo(
-    () =>
-      events
-        .filter(
-          (event) =>
-            event.status === 'confirmed' && !requiresRenewedApproval(event)
-        )
-        .sort((a, b) => {
-          const timeA = a.start ? a.start.getTime() : 0;
-          const timeB = b.start ? b.start.getTime() : 0;
-          return timeA - timeB;
-        }),
-    [events, requiresRenewedApproval]
-  );
+  // Gentagne serier vises som enkelte forekomster i den periode forslagene dækker.
+  const eventsConfirmed = useMemo(() => {
+    const rangeStart = new Date();
+    rangeStart.setHours(0, 0, 0, 0);
+    const rangeEnd = new Date(
+      rangeStart.getTime() + AVAILABILITY_LOOKAHEAD_DAYS * 24 * 60 * 60 * 1000
+    );
+
+    return expandEventsInRange(
+      events.filter(
+        (event) =>
+          event.status === 'confirmed' && !requiresRenewedApproval(event)
+      ),
+      { rangeStart, rangeEnd }
+    ).sort((a, b) => {
+      const timeA = a.start ? a.start.getTime() : 0;
+      const timeB = b.start ? b.start.getTime() : 0;
+      return timeA - timeB;
+    });
+  }, [events, requiresRenewedApproval]);
 
   const confirmedEventsAll = useMemo(
     () => events.filter((event) => event.status === 'confirmed'),
@@ -520,7 +646,7 @@ const OwnCalendarScreen = () => {
       uniqueIds.add(currentUserId);
     }
 
-    return Array.from(uniqueIds).map((userId) => {
+    const memberEntries = Array.from(uniqueIds).map((userId) => {
       const entry = calendarAvailability[userId] ?? { busy: { shared: [], device: [] }, preferences: {} };
       const sharedBusy = entry.busy?.shared ?? [];
       const deviceBusy = entry.busy?.device ?? [];
@@ -528,60 +654,27 @@ const OwnCalendarScreen = () => {
 
       return {
         userId,
-        busy,
+        // Brugerens bekræftede begivenheder i andre familier blokerer også her.
+        busy:
+          userId === currentUserId
+            ? mergeBusyIntervals(busy, otherFamiliesBusy)
+            : busy,
         preferences: entry.preferences ?? {},
       };
     });
-  }, [familyMembers, currentUserId, calendarAvailability]);
-
-  const availabilityUserPreferences = useMemo(() => {
-    if (!familyPreferences || typeof familyPreferences !== 'object') {
-      return {};
-    }
-
-    // Transformer rå familiepræferencer til det format availability-beregneren forventer.
-    const normalized = {};
-    Object.entries(familyPreferences).forEach(([userId, prefs]) => {
-      if (!prefs || typeof prefs !== 'object') {
-        return;
-      }
-
-      const entry = {};
-      if (Array.isArray(prefs.days) && prefs.days.length) {
-        entry.allowedWeekdays = prefs.days;
-      }
-      if (prefs.timeWindows) {
-        entry.timeWindows = prefs.timeWindows;
-      }
-
-      const numericFields = [
-        'minDurationMinutes',
-        'maxDurationMinutes',
-        'preferredDurationMinutes',
-        'slotStepMinutes',
-        'maxSuggestionDaysPerWeek',
-        'bufferBeforeMinutes',
-        'bufferAfterMinutes',
-      ];
-
-      numericFields.forEach((key) => {
-        const value = prefs[key];
-        if (typeof value === 'number' && Number.isFinite(value)) {
-          entry[key] = value;
-        }
-      });
-
-      if (typeof prefs.timeZone === 'string' && prefs.timeZone.trim().length) {
-        entry.timeZone = prefs.timeZone.trim();
-      }
-
-      if (Object.keys(entry).length) {
-        normalized[userId] = entry;
-      }
-    });
+    return [...memberEntries, ...childAvailability.calendars];
+  }, [
+    familyMembers,
+    currentUserId,
+    calendarAvailability,
+    otherFamiliesBusy,
+    childAvailability,
+  ]);
 
-    return normalized;
-  }, [familyPreferences]);
+  const availabilityUserPreferences = useMemo(
+    () => buildAvailabilityUserPreferences(familyPreferences),
+    [familyPreferences]
+  );
 
   const globalBusyIntervals = useMemo(() => {
     const confirmedBusy = buildEventBusyIntervals(confirmedEventsAll);
@@ -662,6 +755,9 @@ const OwnCalendarScreen = () => {
         slotId: slot.id,
         start: slot.start,
         end: slot.end,
+        score: slot.score ?? null,
+        scoreBreakdown: slot.scoreBreakdown ?? null,
+        unavailableUserIds: slot.unavailableUserIds ?? [],
         title: activity.title ?? 'FamTime forslag',
         description,
         priceLabel,
@@ -744,56 +840,105 @@ const OwnCalendarScreen = () => {
       setAutoSuggestions([]);
       setSuggestionLoading(false);
       setAutoSuggestionNotice('Ingen ledige tidsrum - juster præferencer.');
+      setAvailabilityDiagnostics(null);
       return;
     }
 
+    let isActive = true;
     setSuggestionLoading(true);
     setAutoSuggestionError('');
 
-    try {
-      const periodStart = new Date();
-      periodStart.setSeconds(0, 0);
-      const periodEnd = new Date(
-        periodStart.getTime() + AVAILABILITY_LOOKAHEAD_DAYS * 24 * 60 * 60 * 1000
-      );
+    const buildQueue = async () => {
+      try {
+        const periodStart = new Date();
+        periodStart.setSeconds(0, 0);
+        const periodEnd = new Date(
+          periodStart.getTime() +
+            AVAILABILITY_LOOKAHEAD_DAYS * 24 * 60 * 60 * 1000
+        );
 
-      const availabilityResult = findMutualAvailability({
-        calendars: calendarEntries,
-        periodStart,
-        periodEnd,
-        groupPreferences: {},
-        userPreferences: availabilityUserPreferences,
-        globalBusyIntervals,
-        maxSuggestions: AUTO_SUGGESTION_QUEUE_LIMIT,
-        defaultSlotDurationMinutes: DEFAULT_EVENT_DURATION_MINUTES,
-        seedKey: familyId || currentUserId || 'famtime',
-      });
+        const availabilityOptions = {
+          calendars: calendarEntries,
+          periodStart,
+          periodEnd,
+          groupPreferences: {},
+          userPreferences: availabilityUserPreferences,
+          globalBusyIntervals,
+          maxSuggestions: AUTO_SUGGESTION_QUEUE_LIMIT,
+          defaultSlotDurationMinutes: DEFAULT_EVENT_DURATION_MINUTES,
+          seedKey: familyId || currentUserId || 'famtime',
+        };
+        // Brugerens egne enhedsintervaller findes kun her på telefonen og sendes med til serveren.
+        const callerBusy =
+          calendarEntries.find((entry) => entry.userId === currentUserId)
+            ?.busy ?? [];
+        let availabilityResult = await computeFamilyAvailability({
+          familyId,
+          options: availabilityOptions,
+          callerBusy,
+        });
+        // Diagnostik fra den strikse beregning forklarer bedst hvorfor ingen kan samtidig.
+        const strictDiagnostics = availabilityResult.diagnostics ?? null;
 
-      const slots = Array.isArray(availabilityResult.slots)
-        ? availabilityResult.slots.map((slot, index) => ({
-            id: `${slot.start.getTime()}-${slot.end.getTime()}-${index}`,
-            start: slot.start,
-            end: slot.end,
-          }))
-        : [];
+        // Ingen tider hvor alle kan: prøv igen hvor alle på nær én kan (brugeren selv skal med).
+        const fallbackQuorum = buildFallbackQuorum({
+          memberCount: calendarEntries.length,
+          requiredUserIds: currentUserId ? [currentUserId] : [],
+        });
+        if (!availabilityResult.slots?.length && fallbackQuorum) {
+          availabilityResult = await computeFamilyAvailability({
+            familyId,
+            options: { ...availabilityOptions, quorum: fallbackQuorum },
+            callerBusy,
+          });
+        }
+        if (!isActive) {
+          return;
+        }
 
-      autoSlotQueueRef.current = slots;
-      autoSlotCursorRef.current = 0;
-      suggestionSequenceRef.current = 0;
-      sponsorInstanceRef.current = 0;
-      setSuggestionLoading(false);
-      setAutoSuggestionNotice(slots.length ? '' : 'Ingen ledige tidsrum - juster præferencer.');
-      setAutoSuggestions(fillVisibleSuggestions([]));
-    } catch (error) {
-      console.warn('[OwnCalendar] build auto suggestions', error);
-      setAutoSuggestionError('Kunne ikke hente forslag lige nu.');
-      setSuggestionLoading(false);
-      autoSlotQueueRef.current = [];
-      autoSlotCursorRef.current = 0;
-      suggestionSequenceRef.current = 0;
-      sponsorInstanceRef.current = 0;
-      setAutoSuggestions([]);
-    }
+        // Slots kommer allerede sorteret efter score, så køen viser de bedste tider først.
+        const slots = Array.isArray(availabilityResult.slots)
+          ? availabilityResult.slots.map((slot, index) => ({
+              id: `${slot.start.getTime()}-${slot.end.getTime()}-${index}`,
+              start: slot.start,
+              end: slot.end,
+              score: slot.score ?? null,
+              scoreBreakdown: slot.scoreBreakdown ?? null,
+              unavailableUserIds: slot.unavailableUserIds ?? [],
+            }))
+          : [];
+
+        autoSlotQueueRef.current = slots;
+        autoSlotCursorRef.current = 0;
+        suggestionSequenceRef.current = 0;
+        sponsorInstanceRef.current = 0;
+        setSuggestionLoading(false);
+        setAutoSuggestionNotice(
+          slots.length ? '' : 'Ingen ledige tidsrum - juster præferencer.'
+        );
+        setAvailabilityDiagnostics(slots.length ? null : strictDiagnostics);
+        setAutoSuggestions(fillVisibleSuggestions([]));
+      } catch (error) {
+        console.warn('[OwnCalendar] build auto suggestions', error);
+        if (!isActive) {
+          return;
+        }
+        setAutoSuggestionError('Kunne ikke hente forslag lige nu.');
+        setAvailabilityDiagnostics(null);
+        setSuggestionLoading(false);
+        autoSlotQueueRef.current = [];
+        autoSlotCursorRef.current = 0;
+        suggestionSequenceRef.current = 0;
+        sponsorInstanceRef.current = 0;
+        setAutoSuggestions([]);
+      }
+    };
+
+    buildQueue();
+
+    return () => {
+      isActive = false;
+    };
   }, [
     availabilityUserPreferences,
     calendarEntries,
@@ -840,7 +985,7 @@ const OwnCalendarScreen = () => {
    * Omdanner autoslot til event-forslag med korrekt godkendelsesliste og metadata.
    */
   const handleAcceptAutoSuggestion = useCallback(
-    async (suggestion) => {
+    async (suggestion, options = {}) => {
       if (!suggestion || !familyId || !currentUserId) {
         return;
       }
@@ -855,7 +1000,10 @@ const OwnCalendarScreen = () => {
           return;
         }
 
-        const pendingApprovals = memberIds.filter((id) => id !== currentUserId);
+        const pendingApprovals = getEventApproverIds(
+          familyRoleData,
+          memberIds
+        ).filter((id) => id !== currentUserId);
         const initialApprovedBy = currentUserId ? [currentUserId] : [];
         const start =
           suggestion.start instanceof Date && !Number.isNaN(suggestion.start.getTime())
@@ -894,6 +1042,14 @@ const OwnCalendarScreen = () => {
           autoSuggestionSource: suggestion.sourceType,
         };
 
+        if (options.repeatWeekly && !suggestion.isSponsor) {
+          payload.recurrence = {
+            rrule: buildRRule({ freq: RECURRENCE_FREQUENCIES.WEEKLY }),
+            exdates: [],
+            overrides: {},
+          };
+        }
+
         const createPayload = {
           ...payload,
           createdBy: currentUserEmail,
@@ -905,13 +1061,24 @@ const OwnCalendarScreen = () => {
           createPayload.approvedAt = firebase.firestore.FieldValue.serverTimestamp();
         }
 
-        await db
+        const eventRef = db
           .collection('families')
           .doc(familyId)
           .collection('events')
-          .add(createPayload);
+          .doc();
+        const { queued } = await setDocumentWithOutboxAsync({
+          kind: OUTBOX_KINDS.EVENT_CREATE,
+          docRef: eventRef,
+          data: createPayload,
+          merge: false,
+          createOnly: true,
+        });
 
-        setStatusMessage('Forslaget er sendt til familien.');
+        setStatusMessage(
+          queued
+            ? 'Forslaget gemmes og sendes, når du har forbindelse igen.'
+            : 'Forslaget er sendt til familien.'
+        );
         setAutoSuggestions((prev) =>
           fillVisibleSuggestions(prev.filter((item) => item.id !== suggestion.id))
         );
@@ -927,6 +1094,7 @@ const OwnCalendarScreen = () => {
       currentUserEmail,
       currentUserId,
       familyId,
+      familyRoleData,
       fillVisibleSuggestions,
       setStatusMessage,
     ]
@@ -966,7 +1134,9 @@ const OwnCalendarScreen = () => {
       if (!prev.size) {
         return prev;
       }
-      const validIds = new Set(events.map((event) => event.id));
+      const validIds = new Set(
+        [...events, ...eventsConfirmed].map((event) => event.id)
+      );
       const next = new Set();
       prev.forEach((id) => {
         if (validIds.has(id)) {
@@ -978,7 +1148,7 @@ const OwnCalendarScreen = () => {
       }
       return next;
     });
-  }, [events]);
+  }, [events, eventsConfirmed]);
 
   // Henter familiemedlemmers profiler/præferencer fra Firestore og samler dem i lokale maps.
   useEffect(() => {
@@ -997,6 +1167,8 @@ const OwnCalendarScreen = () => {
         return;
       }
 
+      const childMemberIds = Object.keys(childAvailability.preferenceEntries);
+
       try {
         const snapshots = await Promise.all(
           memberIds.map((id) =>
@@ -1008,7 +1180,7 @@ const OwnCalendarScreen = () => {
           )
         );
 
-        const rawPreferenceMap = {};
+        const rawPreferenceMap = { ...childAvailability.preferenceEntries };
         const profileMap = {};
         snapshots.forEach((docSnapshot, index) => {
           if (!docSnapshot || !docSnapshot.exists) {
@@ -1034,126 +1206,13 @@ const OwnCalendarScreen = () => {
             name: normalizedName,
             email: normalizedEmail,
           };
-          const timeWindows =
-            data?.preferredFamilyTimeWindows && typeof data.preferredFamilyTimeWindows === 'object'
-              ? data.preferredFamilyTimeWindows
-              : null;
-          const minDurationMinutes =
-            typeof data?.preferredFamilyMinDurationMinutes === 'number'
-              ? data.preferredFamilyMinDurationMinutes
-              : null;
-          const maxDurationMinutes =
-            typeof data?.preferredFamilyMaxDurationMinutes === 'number'
-              ? data.preferredFamilyMaxDurationMinutes
-              : null;
-          const preferredDurationMinutes =
-            typeof data?.preferredFamilyPreferredDurationMinutes === 'number'
-              ? data.preferredFamilyPreferredDurationMinutes
-              : null;
-          const slotStepMinutes =
-            typeof data?.preferredFamilySlotStepMinutes === 'number'
-              ? data.preferredFamilySlotStepMinutes
-              : null;
-          const maxSuggestionDaysPerWeek =
-            typeof data?.preferredFamilyMaxSuggestionDaysPerWeek === 'number'
-              ? data.preferredFamilyMaxSuggestionDaysPerWeek
-              : null;
-          const bufferBeforeMinutes =
-            typeof data?.preferredFamilyBufferBeforeMinutes === 'number'
-              ? data.preferredFamilyBufferBeforeMinutes
-              : null;
-          const bufferAfterMinutes =
-            typeof data?.preferredFamilyBufferAfterMinutes === 'number'
-              ? data.preferredFamilyBufferAfterMinutes
-              : null;
-          const timeZone =
-            typeof data?.preferredFamilyTimeZone === 'string' && data.preferredFamilyTimeZone.trim().length
-              ? data.preferredFamilyTimeZone.trim()
-              : null;
-          rawPreferenceMap[memberId] = {
-            mode: normalizeFamilyPreferenceMode(data.familyPreferenceMode),
-            followUserId:
-              typeof data?.familyPreferenceFollowUserId === 'string'
-                ? data.familyPreferenceFollowUserId.trim()
-                : '',
-            own: {
-              days: Array.isArray(data.preferredFamilyDays) ? data.preferredFamilyDays : [],
-              timeWindows,
-              minDurationMinutes,
-              maxDurationMinutes,
-              preferredDurationMinutes,
-              slotStepMinutes,
-              maxSuggestionDaysPerWeek,
-              bufferBeforeMinutes,
-              bufferAfterMinutes,
-              timeZone,
-            },
-          };
-        });
-
-        const createEmptyPreferences = () => ({
-          days: [],
-          timeWindows: null,
-          minDurationMinutes: null,
-          maxDurationMinutes: null,
-          preferredDurationMinutes: null,
-          slotStepMinutes: null,
-          maxSuggestionDaysPerWeek: null,
-          bufferBeforeMinutes: null,
-          bufferAfterMinutes: null,
-          timeZone: null,
+          rawPreferenceMap[memberId] = buildFamilyPreferenceEntry(data);
         });
 
-        const resolvedPreferences = {};
-        const resolvePreferenceEntry = (memberId, chain = new Set()) => {
-          if (resolvedPreferences[memberId]) {
-            return resolvedPreferences[memberId];
-          }
-          const entry = rawPreferenceMap[memberId];
-          if (!entry) {
-            const empty = createEmptyPreferences();
-            resolvedPreferences[memberId] = empty;
-            return empty;
-          }
-          if (entry.mode === FAMILY_PREFERENCE_MODES.NONE) {
-            const empty = createEmptyPreferences();
-            resolvedPreferences[memberId] = empty;
-            return empty;
-          }
-          if (entry.mode === FAMILY_PREFERENCE_MODES.FOLLOW) {
-            const targetId = entry.followUserId;
-            if (
-              targetId &&
-              targetId !== memberId &&
-              rawPreferenceMap[targetId] &&
-              !chain.has(targetId)
-            ) {
-              chain.add(memberId);
-              const resolvedTarget = resolvePreferenceEntry(targetId, chain);
-              chain.delete(memberId);
-              const clone = {
-                ...resolvedTarget,
-                days: Array.isArray(resolvedTarget?.days) ? [...resolvedTarget.days] : [],
-              };
-              resolvedPreferences[memberId] = clone;
-              return clone;
-            }
-            const empty = createEmptyPreferences();
-            resolvedPreferences[memberId] = empty;
-            return empty;
-          }
-          const normalized = {
-            ...createEmptyPreferences(),
-            ...entry.own,
-            days: Array.isArray(entry.own?.days) ? entry.own.days : [],
-          };
-          resolvedPreferences[memberId] = normalized;
-          return normalized;
-        };
-
-        memberIds.forEach((memberId) => {
-          resolvePreferenceEntry(memberId);
-        });
+        const resolvedPreferences = resolveFamilyPreferences(rawPreferenceMap, [
+          ...memberIds,
+          ...childMemberIds,
+        ]);
 
         if (isActive) {
           setFamilyPreferences(resolvedPreferences);
@@ -1172,7 +1231,7 @@ const OwnCalendarScreen = () => {
     return () => {
       isActive = false;
     };
-  }, [familyMembers]);
+  }, [familyMembers, childAvailability]);
 
   // Live-lytning på kalenderdata pr. medlem (busy intervaller + præferencer) for opdaterede forslag.
   useEffect(() => {
@@ -1219,9 +1278,7 @@ const OwnCalendarScreen = () => {
             }
 
             const data = snapshot.exists ? snapshot.data() ?? {} : {};
-            const sharedBusy = [data.sharedBusy, data.busyIntervals, data.busy]
-              .filter((payload) => Array.isArray(payload))
-              .reduce((acc, payload) => mergeBusyIntervals(acc, normalizeBusyPayload(payload)), []);
+            const sharedBusy = extractSharedBusyFromCalendarDoc(data);
             const preferences = extractPreferencesFromCalendarDoc(data);
 
             setCalendarAvailability((prev) => {
@@ -1302,15 +1359,26 @@ const OwnCalendarScreen = () => {
           });
         };
 
+        let busyEventPolicy = normalizeBusyEventPolicy(null);
         try {
           const calendarDoc = await db.collection('calendar').doc(currentUserId).get();
           const calendarData = calendarDoc.data() ?? {};
-          if (Array.isArray(calendarData.calendarIds)) {
-            appendIds(calendarData.calendarIds);
-          }
-          if (typeof calendarData.calendarId === 'string') {
-            appendIds([calendarData.calendarId]);
+          busyEventPolicy = normalizeBusyEventPolicy(
+            calendarData.busyEventPolicy
+          );
+          if (Array.isArray(calendarData.busyCalendarIds)) {
+            // Brugerens valg fra CalendarSyncScreen; et tomt valg betyder ingen busy-kalendere.
+            const busyCalendarIds = resolveBusyCalendarIds(calendarData);
+            if (!cancelled) {
+              setDeviceCalendarSource({
+                ready: Boolean(busyCalendarIds.length),
+                calendarIds: busyCalendarIds,
+                busyEventPolicy,
+              });
+            }
+            return;
           }
+          appendIds(resolveBusyCalendarIds(calendarData));
         } catch (_error) {
           // ignore doc errors, fallback to device calendars
         }
@@ -1325,6 +1393,7 @@ const OwnCalendarScreen = () => {
           setDeviceCalendarSource({
             ready: Boolean(calendarIds.length),
             calendarIds,
+            busyEventPolicy,
           });
         }
       } catch (error) {
@@ -1354,7 +1423,10 @@ const OwnCalendarScreen = () => {
     }
 
     const idsKey = deviceCalendarSource.calendarIds.slice().sort().join('|');
-    const loadKey = `${currentUserId}:${idsKey}:${deviceBusyRefreshToken}`;
+    const policyKey = JSON.stringify(
+      normalizeBusyEventPolicy(deviceCalendarSource.busyEventPolicy)
+    );
+    const loadKey = `${currentUserId}:${idsKey}:${policyKey}:${deviceBusyRefreshToken}`;
     if (deviceBusyLoadedRef.current === loadKey) {
       return undefined;
     }
@@ -1375,30 +1447,18 @@ const OwnCalendarScreen = () => {
           start.getTime() + AVAILABILITY_LOOKAHEAD_DAYS * 24 * 60 * 60 * 1000
         );
 
-        const events = await Calendar.getEventsAsync(deviceCalendarSource.calendarIds, start, end);
+        const deviceEvents = await loadDeviceCalendarEventsAsync(
+          deviceCalendarSource.calendarIds,
+          start,
+          end
+        );
         if (cancelled) {
           return;
         }
 
-        const deviceBusy = Array.isArray(events)
-          ? events
-              .map((event) => {
-                const startDate = availabilityUtils.toDate(
-                  event.startDate ?? event.start ?? event.startTime ?? null
-                );
-                const endDate = availabilityUtils.toDate(
-                  event.endDate ?? event.end ?? event.endTime ?? null
-                );
-                if (!startDate || !endDate || endDate <= startDate) {
-                  return null;
-                }
-                return {
-                  start: new Date(startDate.getTime()),
-                  end: new Date(endDate.getTime()),
-                };
-              })
-              .filter((interval) => Boolean(interval))
-          : [];
+        const deviceBusy = buildEventBusyIntervals(deviceEvents, {
+          policy: deviceCalendarSource.busyEventPolicy,
+        });
 
         const bufferedDeviceBusy = applyIntervalTravelBuffer(
           deviceBusy,
@@ -1439,6 +1499,7 @@ const OwnCalendarScreen = () => {
   }, [
     currentUserId,
     deviceBusyRefreshToken,
+    deviceCalendarSource.busyEventPolicy,
     deviceCalendarSource.calendarIds,
     deviceCalendarSource.ready,
   ]);
@@ -1453,6 +1514,7 @@ const OwnCalendarScreen = () => {
 
     let unsubscribeUser = null;
     let unsubscribeFamilyDoc = null;
+    let roleFamilyId = null;
 
     unsubscribeUser = db
       .collection('users')
@@ -1467,11 +1529,16 @@ const OwnCalendarScreen = () => {
           setCurrentUserEmoji(nextEmoji);
           const nextFamilyId = data.familyId ?? null;
           setFamilyId(nextFamilyId);
-          setUserRole(data.familyRole ?? '');
+          // Rollen kendes først, når familiedokumentet er læst (se nedenfor).
+          if (nextFamilyId !== roleFamilyId) {
+            roleFamilyId = nextFamilyId;
+            setUserRole('');
+          }
 
           if (!nextFamilyId) {
             setFamilyName('');
             setFamilyMembers([]);
+            setFamilyRoleData(null);
             setEvents([]);
             setInfoMessage(
               'Du er endnu ikke tilknyttet en familie. Tilslut eller opret en familie for at se begivenheder.'
@@ -1502,6 +1569,7 @@ const OwnCalendarScreen = () => {
                   setInfoMessage(
                     'Familien blev ikke fundet. Måske er den blevet slettet.'
                   );
+                  setLoading(false);
                   return;
                 }
 
@@ -1510,6 +1578,9 @@ const OwnCalendarScreen = () => {
                 setFamilyMembers(
                   Array.isArray(familyData.members) ? familyData.members : []
                 );
+                setFamilyRoleData(familyData);
+                // Rollen i familien vinder over den cachede familyRole på brugeren.
+                setUserRole(getFamilyMemberRole(familyData, currentUserId));
                 setInfoMessage('');
               },
               () => {
@@ -1518,6 +1589,7 @@ const OwnCalendarScreen = () => {
                 setInfoMessage(
                   'Kunne ikke hente familieoplysninger. Prøv igen senere.'
                 );
+                setLoading(false);
               }
             );
         },
@@ -1558,60 +1630,136 @@ const OwnCalendarScreen = () => {
 
     setLoading(true);
 
-    const unsubscribe = db
-      .collection('families')
-      .doc(familyId)
-      .collection('events')
-      .orderBy('start', 'asc')
-      .onSnapshot(
-        (snapshot) => {
-          const nextEvents = [];
-          snapshot.forEach((doc) => {
-            const data = doc.data() ?? {};
-            const pendingChangeData = data.pendingChange ?? null;
-
-            const pendingChange = pendingChangeData
-              ? {
-                  title: pendingChangeData.title ?? '',
-                  description: pendingChangeData.description ?? '',
-                  start: toDate(pendingChangeData.start),
-                  end: toDate(pendingChangeData.end),
-                }
-              : null;
-
-            nextEvents.push({
-              id: doc.id,
-              title: data.title ?? 'Ingen titel',
-              description: data.description ?? '',
-              start: toDate(data.start),
-              end: toDate(data.end),
-              status: data.status ?? 'pending',
-              createdBy: data.createdBy ?? '',
-              createdByUid: data.createdByUid ?? '',
-              pendingApprovals: Array.isArray(data.pendingApprovals)
-                ? data.pendingApprovals
-                : [],
-              approvedBy: Array.isArray(data.approvedBy)
-                ? data.approvedBy
-                : [],
-              pendingChange,
-              lastModifiedBy: data.lastModifiedBy ?? null,
-              lastModifiedEmail: data.lastModifiedEmail ?? '',
-            });
+    // Gæster må kun læse begivenheder, de er inviteret til, så forespørgslen venter
+    // på rollen fra familiedokumentet.
+    if (!userRole) {
+      return undefined;
+    }
+
+    const unsubscribe = buildFamilyEventsQuery(familyId, {
+      userId: currentUserId,
+      role: userRole,
+    }).onSnapshot(
+      (snapshot) => {
+        const nextEvents = [];
+        snapshot.forEach((doc) => {
+          const data = doc.data() ?? {};
+          const pendingChangeData = data.pendingChange ?? null;
+
+          const pendingChange = pendingChangeData
+            ? {
+                title: pendingChangeData.title ?? '',
+                description: pendingChangeData.description ?? '',
+                start: toDate(pendingChangeData.start),
+                end: toDate(pendingChangeData.end),
+                cancel: Boolean(pendingChangeData.cancel),
+                scope: pendingChangeData.scope ?? null,
+                occurrenceKey: pendingChangeData.occurrenceKey ?? null,
+              }
+            : null;
+
+          nextEvents.push({
+            id: doc.id,
+            title: data.title ?? 'Ingen titel',
+            description: data.description ?? '',
+            start: toDate(data.start),
+            end: toDate(data.end),
+            status: data.status ?? 'pending',
+            createdBy: data.createdBy ?? '',
+            createdByUid: data.createdByUid ?? '',
+            pendingApprovals: Array.isArray(data.pendingApprovals)
+              ? data.pendingApprovals
+              : [],
+            approvedBy: Array.isArray(data.approvedBy) ? data.approvedBy : [],
+            pendingChange,
+            recurrence: data.recurrence ?? null,
+            lastModifiedBy: data.lastModifiedBy ?? null,
+            lastModifiedEmail: data.lastModifiedEmail ?? '',
+            updatedAt: data.updatedAt ?? null,
           });
+        });
 
-          setEvents(nextEvents);
-          setLoading(false);
-        },
-        () => {
-          setError('Kunne ikke hente familieevents. Prøv igen senere.');
-          setEvents([]);
-          setLoading(false);
-        }
-      );
+        setEvents(nextEvents);
+        setEventsFamilyId(familyId);
+        setLoading(false);
+      },
+      () => {
+        setError('Kunne ikke hente familieevents. Prøv igen senere.');
+        setEvents([]);
+        setLoading(false);
+      }
+    );
 
     return () => unsubscribe();
-  }, [familyId]);
+  }, [currentUserId, familyId, userRole]);
+
+  const routeEventId = route?.params?.eventId ?? '';
+  const routeFamilyId = route?.params?.familyId ?? '';
+
+  /**
+   * ÅBN BEGIVENHED FRA LINK
+   *
+   * Venter til familiens events er hentet, folder begivenheden ud og fjerner
+   * link-params igen, så samme link kan åbnes igen senere.
+   */
+  useEffect(() => {
+    if (!routeEventId || !familyId || eventsFamilyId !== familyId) {
+      return;
+    }
+    navigation.setParams({ eventId: undefined, familyId: undefined });
+
+    if (routeFamilyId && routeFamilyId !== familyId) {
+      setError('Begivenheden hører til en familie, du ikke er medlem af.');
+      return;
+    }
+    const target = [
+      ...eventsPendingUser,
+      ...eventsPendingOthers,
+      ...eventsConfirmed,
+    ].find(
+      (event) => event.id === routeEventId || event.seriesId === routeEventId
+    );
+    if (!target) {
+      setError('Begivenheden findes ikke længere.');
+      return;
+    }
+
+    setCollapsedSections((prev) => ({ ...prev, pendingOthers: false }));
+    setExpandedEventIds((prev) => new Set(prev).add(target.id));
+    setLinkedEventId(target.id);
+  }, [
+    eventsConfirmed,
+    eventsFamilyId,
+    eventsPendingOthers,
+    eventsPendingUser,
+    familyId,
+    navigation,
+    routeEventId,
+    routeFamilyId,
+  ]);
+
+  useEffect(() => {
+    if (!linkedEventId) {
+      return undefined;
+    }
+    // Kortet måles efter næste layout, når sektionen er foldet ud.
+    const timer = setTimeout(() => {
+      if (!linkedEventCardRef.current || !scrollContentRef.current) {
+        return;
+      }
+      linkedEventCardRef.current.measureLayout(
+        scrollContentRef.current,
+        (_x, y) => {
+          scrollViewRef.current?.scrollTo({
+            y: Math.max(0, y - 24),
+            animated: true,
+          });
+        },
+        () => {}
+      );
+    }, 250);
+    return () => clearTimeout(timer);
+  }, [linkedEventId]);
 
   const handleRefresh = useCallback(() => {
     setRefreshing(true);
@@ -1649,83 +1797,25 @@ const OwnCalendarScreen = () => {
         return;
       }
 
-      // Markerer event som godkendt af den aktuelle bruger og afslutter hvis alle har godkendt.
-      const pendingList = Array.isArray(event.pendingApprovals)
-        ? event.pendingApprovals
-        : [];
-
-      if (!pendingList.includes(currentUserId)) {
-        return;
-      }
-
-      const remaining = pendingList.filter((id) => id !== currentUserId);
-      const approvedBy = Array.isArray(event.approvedBy)
-        ? Array.from(new Set([...event.approvedBy, currentUserId]))
-        : [currentUserId];
-
-      if (remaining.length === 0) {
-        if (event.pendingChange?.cancel) {
-          try {
-            await db
-              .collection('families')
-              .doc(familyId)
-              .collection('events')
-              .doc(event.id)
-              .delete();
-            setStatusMessage('Begivenheden er aflyst for hele familien.');
-          } catch (_deleteError) {
-            setError('Kunne ikke aflyse begivenheden. Prøv igen.');
-          }
-          return;
-        }
-      }
-
-      const updatePayload = {
-        pendingApprovals: remaining,
-        approvedBy,
-        updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
-      };
-
-      if (remaining.length === 0) {
-        updatePayload.status = 'confirmed';
-        updatePayload.approvedAt = firebase.firestore.FieldValue.serverTimestamp();
-
-        if (event.pendingChange) {
-          if (event.pendingChange.start) {
-            updatePayload.start = firebase.firestore.Timestamp.fromDate(
-              event.pendingChange.start
-            );
-          }
-          if (event.pendingChange.end) {
-            updatePayload.end = firebase.firestore.Timestamp.fromDate(
-              event.pendingChange.end
-            );
-          }
-          if (typeof event.pendingChange.title === 'string') {
-            updatePayload.title = event.pendingChange.title;
-          }
-          if (typeof event.pendingChange.description === 'string') {
-            updatePayload.description = event.pendingChange.description;
-          }
-
-          updatePayload.pendingChange =
-            firebase.firestore.FieldValue.delete();
-        }
-      }
-
+      // Godkendelsen køres som transaktion (evt. på serveren), så samtidige godkendelser ikke går tabt.
       try {
-        await db
-          .collection('families')
-          .doc(familyId)
-          .collection('events')
-          .doc(event.id)
-          .set(updatePayload, { merge: true });
-
-        setStatusMessage(
-          remaining.length === 0
-            ? 'Begivenheden er godkendt af familien.'
-            : 'Din godkendelse er registreret.'
-        );
+        const { queued, result } = await runApprovalWithOutboxAsync({
+          familyId,
+          eventId: event.id,
+          userId: currentUserId,
+          action: EVENT_APPROVAL_ACTIONS.APPROVE,
+        });
+        if (queued) {
+          setStatusMessage(
+            'Din godkendelse sendes, når du har forbindelse igen.'
+          );
+        } else if (result === EVENT_APPROVAL_RESULTS.CANCELLED) {
+          setStatusMessage('Begivenheden er aflyst for hele familien.');
+        } else if (result === EVENT_APPROVAL_RESULTS.CONFIRMED) {
+          setStatusMessage('Begivenheden er godkendt af familien.');
+        } else if (result === EVENT_APPROVAL_RESULTS.APPROVED) {
+          setStatusMessage('Din godkendelse er registreret.');
+        }
       } catch (_error) {
         setError('Kunne ikke godkende begivenheden. Prøv igen.');
       }
@@ -1735,55 +1825,78 @@ const OwnCalendarScreen = () => {
 
   const handleRejectChange = useCallback(
     async (event) => {
-      if (!familyId || !event?.id) {
+      if (!familyId || !event?.id || !currentUserId) {
         return;
       }
 
       // Afviser en foreslået ændring og nulstiller pending/approval felter.
       try {
-        await db
-          .collection('families')
-          .doc(familyId)
-          .collection('events')
-          .doc(event.id)
-          .set(
-            {
-              pendingApprovals: [],
-              approvedBy: [],
-              pendingChange: firebase.firestore.FieldValue.delete(),
-              status: 'confirmed',
-              updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
-            },
-            { merge: true }
+        const { queued, result } = await runApprovalWithOutboxAsync({
+          familyId,
+          eventId: event.id,
+          userId: currentUserId,
+          action: EVENT_APPROVAL_ACTIONS.REJECT,
+        });
+        if (queued) {
+          setStatusMessage(
+            'Din afvisning sendes, når du har forbindelse igen.'
           );
-        setStatusMessage('Forslaget er afvist.');
+        } else if (result === EVENT_APPROVAL_RESULTS.REJECTED) {
+          setStatusMessage('Forslaget er afvist.');
+        }
       } catch (_error) {
         setError('Kunne ikke afvise forslaget. Prøv igen.');
       }
     },
-    [familyId]
+    [currentUserId, familyId]
   );
 
   const handleAdminCancelEvent = useCallback(
-    async (event) => {
-      if (!familyId || !event?.id) {
+    async (event, scope = RECURRENCE_SCOPES.SERIES) => {
+      if (!familyId || !event?.id || !canCancelAnyEvent) {
         return;
       }
 
-      // Kun for admin/owner: sletter hele begivenheden for alle.
+      // Kun for administratorer: sletter hele begivenheden (eller én forekomst) for alle.
+      const eventRef = db
+        .collection('families')
+        .doc(familyId)
+        .collection('events')
+        .doc(event.seriesId ?? event.id);
+
       try {
-        await db
-          .collection('families')
-          .doc(familyId)
-          .collection('events')
-          .doc(event.id)
-          .delete();
+        if (scope === RECURRENCE_SCOPES.OCCURRENCE && event.occurrenceKey) {
+          await eventRef.set(
+            {
+              recurrence: buildOccurrenceRecurrencePayload({
+                occurrenceKey: event.occurrenceKey,
+                cancel: true,
+              }),
+              lastModifiedBy: currentUserId,
+              updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
+            },
+            { merge: true }
+          );
+          setStatusMessage('Denne gang er aflyst for hele familien.');
+          return;
+        }
+
+        // Reglerne kræver, at den der sletter, står som lastModifiedBy; aktivitetsloggen
+        // læser aflyseren derfra.
+        await eventRef.set(
+          {
+            lastModifiedBy: currentUserId,
+            updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
+          },
+          { merge: true }
+        );
+        await eventRef.delete();
         setStatusMessage('Begivenheden er aflyst for hele familien.');
       } catch (_error) {
         setError('Kunne ikke aflyse begivenheden. Prøv igen.');
       }
     },
-    [familyId]
+    [canCancelAnyEvent, currentUserId, familyId]
   );
 
   const confirmAdminCancelEvent = useCallback(
@@ -1791,6 +1904,27 @@ const OwnCalendarScreen = () => {
       if (!event) {
         return;
       }
+      if (event.occurrenceKey) {
+        Alert.alert(
+          'Aflys begivenhed',
+          'Begivenheden gentages. Vil du kun aflyse denne gang eller hele serien?',
+          [
+            { text: 'Behold', style: 'cancel' },
+            {
+              text: 'Kun denne gang',
+              onPress: () =>
+                handleAdminCancelEvent(event, RECURRENCE_SCOPES.OCCURRENCE),
+            },
+            {
+              text: 'Hele serien',
+              style: 'destructive',
+              onPress: () =>
+                handleAdminCancelEvent(event, RECURRENCE_SCOPES.SERIES),
+            },
+          ]
+        );
+        return;
+      }
       Alert.alert(
         'Aflys begivenhed',
         'Er du sikker på, at du vil aflyse denne begivenhed for hele familien?',
@@ -1986,38 +2120,79 @@ const OwnCalendarScreen = () => {
     setStatusMessage('');
 
     const memberIds = await computeMemberIds();
-    const pendingApprovals = memberIds.filter((id) => id !== currentUserId);
+    const pendingApprovals = getEventApproverIds(
+      familyRoleData,
+      memberIds
+    ).filter((id) => id !== currentUserId);
+    const seriesId = proposalEvent.seriesId ?? proposalEvent.id;
+    const isOccurrence = Boolean(proposalEvent.occurrenceKey);
+    const series = events.find((item) => item.id === seriesId);
+
+    let changeStart = proposalData.start;
+    let changeEnd = proposalData.end;
+    if (isOccurrence && proposalScope === RECURRENCE_SCOPES.SERIES) {
+      // Flyt hele serien med samme forskydning som den valgte forekomst.
+      if (
+        series?.start instanceof Date &&
+        proposalEvent.start instanceof Date
+      ) {
+        const offsetMs =
+          proposalData.start.getTime() - proposalEvent.start.getTime();
+        changeStart = new Date(series.start.getTime() + offsetMs);
+        changeEnd = new Date(
+          changeStart.getTime() +
+            (proposalData.end.getTime() - proposalData.start.getTime())
+        );
+      }
+    }
 
     const changePayload = {
       title: trimmedTitle,
       description: proposalData.description.trim(),
-      start: firebase.firestore.Timestamp.fromDate(proposalData.start),
-      end: firebase.firestore.Timestamp.fromDate(proposalData.end),
+      start: firebase.firestore.Timestamp.fromDate(changeStart),
+      end: firebase.firestore.Timestamp.fromDate(changeEnd),
     };
 
+    if (isOccurrence) {
+      changePayload.scope = proposalScope;
+      if (proposalScope === RECURRENCE_SCOPES.OCCURRENCE) {
+        changePayload.occurrenceKey = proposalEvent.occurrenceKey;
+      }
+    }
+
     try {
-      await db
-        .collection('families')
-        .doc(familyId)
-        .collection('events')
-        .doc(proposalEvent.id)
-        .set(
-          {
-            pendingChange: changePayload,
-            pendingApprovals,
-            approvedBy: [currentUserId],
-            status: 'pending',
-            lastModifiedBy: currentUserId,
-            lastModifiedEmail: currentUserEmail,
-            updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
-          },
-          { merge: true }
-        );
+      const { queued } = await setDocumentWithOutboxAsync({
+        kind: OUTBOX_KINDS.EVENT_PROPOSAL,
+        docRef: db
+          .collection('families')
+          .doc(familyId)
+          .collection('events')
+          .doc(seriesId),
+        data: {
+          pendingChange: changePayload,
+          pendingApprovals,
+          approvedBy: [currentUserId],
+          status: 'pending',
+          lastModifiedBy: currentUserId,
+          lastModifiedEmail: currentUserEmail,
+          updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
+        },
+        // Forslaget må ikke overskrive en ændring, der er kommet til imens.
+        baseUpdatedAt: series?.updatedAt ?? null,
+      });
 
-      setStatusMessage('Forslaget er sendt til familien.');
+      setStatusMessage(
+        queued
+          ? 'Forslaget gemmes og sendes, når du har forbindelse igen.'
+          : 'Forslaget er sendt til familien.'
+      );
       closeProposalModal();
-    } catch (_error) {
-      setProposalError('Kunne ikke sende forslaget. Prøv igen.');
+    } catch (proposalSubmitError) {
+      setProposalError(
+        isOutboxConflictError(proposalSubmitError)
+          ? 'Begivenheden er ændret i mellemtiden. Luk og prøv igen.'
+          : 'Kunne ikke sende forslaget. Prøv igen.'
+      );
     } finally {
       setProposalSaving(false);
     }
@@ -2026,13 +2201,16 @@ const OwnCalendarScreen = () => {
     computeMemberIds,
     currentUserEmail,
     currentUserId,
+    events,
     familyId,
+    familyRoleData,
     proposalData.description,
     proposalData.end,
     proposalData.start,
     proposalData.title,
     proposalEvent,
     proposalMinDate,
+    proposalScope,
   ]);
 
   const renderEventSection = (
@@ -2264,16 +2442,48 @@ const OwnCalendarScreen = () => {
               const headerStart = showNewSchedule ? pendingStart || event.start : event.start;
               const headerEnd = showNewSchedule ? pendingEnd || event.end : event.end;
               const showAdminCancel =
-                isAdminUser && !(event.status === 'pending' && pendingList.includes(currentUserId));
+                canCancelAnyEvent && !(event.status === 'pending' && pendingList.includes(currentUserId));
+                    const recurrenceLabel = describeRecurrence(
+                      event.recurrence
+                    );
+                    const waitingForSync = outboxTargetIds.has(
+                      event.seriesId ?? event.id
+                    );
+                    const pendingOccurrenceDate =
+                      event.pendingChange?.scope ===
+                      RECURRENCE_SCOPES.OCCURRENCE
+                        ? occurrenceKeyToDate(event.pendingChange.occurrenceKey)
+                        : null;
 
               return (
-                <View key={event.id} style={styles.eventCard}>
+                <View
+                  key={event.id}
+                  ref={
+                    event.id === linkedEventId ? linkedEventCardRef : undefined
+                  }
+                  style={[
+                    styles.eventCard,
+                    event.id === linkedEventId
+                      ? styles.eventCardLinked
+                      : null,
+                  ]}
+                >
                   <View style={styles.eventHeader}>
                     <View style={styles.eventHeaderText}>
                       <Text style={styles.eventTitle}>{headerTitle}</Text>
                       <Text style={styles.eventTime}>
                         {formatDateRange(headerStart, headerEnd)}
                       </Text>
+                            {recurrenceLabel ? (
+                              <Text style={styles.eventRecurrenceText}>
+                                Gentages: {recurrenceLabel}
+                              </Text>
+                            ) : null}
+                            {waitingForSync ? (
+                              <Text style={styles.eventSyncPendingText}>
+                                Venter på forbindelse – synkroniseres automatisk
+                              </Text>
+                            ) : null}
                     </View>
                     {hasExpandableDetails ? (
                       <Pressable
@@ -2340,6 +2550,14 @@ const OwnCalendarScreen = () => {
                     {event.pendingChange ? (
                       <View style={styles.pendingChangeBox}>
                         <Text style={styles.pendingChangeTitle}>Foreslået ændring</Text>
+                                {pendingOccurrenceDate ? (
+                                  <Text style={styles.pendingChangeText}>
+                                    Gælder kun{' '}
+                                    {formatWeekdayDateLabel(
+                                      pendingOccurrenceDate
+                                    )}
+                                  </Text>
+                                ) : null}
                         {event.pendingChange.cancel ? (
                           <Text style={styles.pendingChangeText}>
                             Forslag: Aflys begivenheden
@@ -2401,11 +2619,13 @@ const OwnCalendarScreen = () => {
                       style={[styles.eventActionButton, styles.eventRejectButton]}
                     />
                   ) : null}
-                  <Button
-                    title="Foreslå ændring"
-                    onPress={() => openProposalModal(event)}
-                    style={[styles.eventActionButton, styles.eventActionButtonPrimary]}
-                  />
+                  {canProposeEvents ? (
+                    <Button
+                      title="Foreslå ændring"
+                      onPress={() => openProposalModal(event)}
+                      style={[styles.eventActionButton, styles.eventActionButtonPrimary]}
+                    />
+                  ) : null}
                 </View>
               </View>
             );
@@ -2429,7 +2649,22 @@ const OwnCalendarScreen = () => {
   const renderAutoSuggestionSection = () => {
     const variantTheme = SECTION_VARIANTS.ideas;
     const showEmptyState = !suggestionLoading && !autoSuggestions.length;
-    const emptyLabel = autoSuggestionNotice || 'Ingen ledige tidsrum - juster præferencer.';
+    const diagnosticsAdvice = describeAvailabilityDiagnostics(
+      availabilityDiagnostics,
+      (memberId) => {
+        const member = memberById.get(memberId);
+        return (
+          member?.name ||
+          member?.displayName ||
+          member?.email ||
+          (memberId === currentUserId ? 'dig' : 'et familiemedlem')
+        );
+      }
+    );
+    const emptyLabel =
+      diagnosticsAdvice ||
+      autoSuggestionNotice ||
+      'Ingen ledige tidsrum - juster præferencer.';
     const collapsibleKey = 'autoSuggestions';
     const isCollapsed = Boolean(collapsedSections[collapsibleKey]);
 
@@ -2552,6 +2787,22 @@ const OwnCalendarScreen = () => {
                         <Text style={styles.autoSuggestionTime}>
                           {formatDateRange(suggestion.start, suggestion.end)}
                         </Text>
+                        {suggestion.unavailableUserIds?.length ? (
+                          <Text style={styles.autoSuggestionMissingText}>
+                            Uden:{' '}
+                            {suggestion.unavailableUserIds
+                              .map((memberId) => {
+                                const member = memberById.get(memberId);
+                                return (
+                                  member?.name ||
+                                  member?.displayName ||
+                                  member?.email ||
+                                  'Familiemedlem'
+                                );
+                              })
+                              .join(', ')}
+                          </Text>
+                        ) : null}
                         {suggestion.preview ? (
                           <Text
                             style={
@@ -2634,6 +2885,18 @@ const OwnCalendarScreen = () => {
             {priceLine ? (
               <Text style={styles.previewModalPrice}>Pris: {priceLine}</Text>
             ) : null}
+            {previewSuggestion.isSponsor ? null : (
+              <Button
+                title="Godkend som ugentlig"
+                onPress={() => {
+                  handleAcceptAutoSuggestion(previewSuggestion, {
+                    repeatWeekly: true,
+                  });
+                  handleCloseSuggestionPreview();
+                }}
+                style={styles.previewModalButton}
+              />
+            )}
             <Button
               title="Luk"
               onPress={handleCloseSuggestionPreview}
@@ -2653,12 +2916,13 @@ const OwnCalendarScreen = () => {
     <>
       <SafeAreaView style={styles.safeArea}>
         <ScrollView
+          ref={scrollViewRef}
           contentContainerStyle={styles.scrollContent}
           refreshControl={
             <RefreshControl refreshing={refreshing} onRefresh={handleRefresh} />
           }
         >
-          <View style={styles.container}>
+          <View ref={scrollContentRef} style={styles.container}>
             <View style={styles.heroCard}>
               <Text style={styles.title}>Familiens kalender</Text>
               <Text style={styles.subtitle}>
@@ -2734,6 +2998,42 @@ const OwnCalendarScreen = () => {
                   style={styles.modalCard}
                 >
                   <Text style={styles.modalTitle}>Foreslå ændring</Text>
+                  {proposalEvent?.occurrenceKey ? (
+                    <>
+                      <Text style={styles.modalLabel}>Gælder for</Text>
+                      <View style={styles.scopeChipRow}>
+                        {[
+                          {
+                            key: RECURRENCE_SCOPES.OCCURRENCE,
+                            label: 'Kun denne gang',
+                          },
+                          {
+                            key: RECURRENCE_SCOPES.SERIES,
+                            label: 'Hele serien',
+                          },
+                        ].map((option) => (
+                          <Pressable
+                            key={option.key}
+                            onPress={() => setProposalScope(option.key)}
+                            style={[
+                              styles.scopeChip,
+                              proposalScope === option.key
+                                ? styles.scopeChipSelected
+                                : null,
+                            ]}
+                            accessibilityRole="button"
+                            accessibilityState={{
+                              selected: proposalScope === option.key,
+                            }}
+                          >
+                            <Text style={styles.scopeChipText}>
+                              {option.label}
+                            </Text>
+                          </Pressable>
+                        ))}
+                      </View>
+                    </>
+                  ) : null}
                   <Text style={styles.modalLabel}>Titel</Text>
                   <TextInput
                     style={styles.modalInput}
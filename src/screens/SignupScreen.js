@@ -8,9 +8,12 @@
  * - Validerer e-mail/kodeord lokalt før oprettelse.
  * - Opretter Firebase Auth-bruger og gemmer basisprofil i Firestore.
  * - Viser fejl inline og giver link tilbage til login.
+ * - Google/Apple (FederatedSignInButtons) opretter kontoen uden adgangskode.
+ * - Åbnes via et invitationslink (route.params.token): e-mailen udfyldes, invitationen
+ *   gemmes, og der sendes en bekræftelsesmail, så InviteAccept kan tilmelde familien.
  * - UI: simpel formular i et kort med header + tre inputfelter og call-to-action.
  */
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import {
   View,
   Text,
@@ -24,8 +27,15 @@ import { SafeAreaView } from 'react-native-safe-area-context';
 import FormInput from '../components/FormInput';
 import Button from '../components/Button';
 import ErrorMessage from '../components/ErrorMessage';
+import FederatedSignInButtons from '../components/FederatedSignInButtons';
 import { auth, db, firebase } from '../lib/firebase';
 import { getFriendlyAuthError } from '../lib/errorMessages';
+import { decodeInviteToken } from '../lib/familyInviteApi';
+import { applyRememberMeAsync, loadRememberMeAsync } from '../utils/session';
+import {
+  getPendingInviteToken,
+  savePendingInviteAsync,
+} from '../utils/pendingInvite';
 import styles from '../styles/screens/SignupScreenStyles';
 
 const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
@@ -42,15 +52,25 @@ const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
  * 4. Vi gemmer brugerens basisprofil i Firestore
  * 5. Brugeren er nu registreret og kan logge ind
  */
-const SignupScreen = ({ navigation }) => {
+const SignupScreen = ({ navigation, route }) => {
+  const inviteToken = route?.params?.token ?? getPendingInviteToken();
+  const invite = decodeInviteToken(inviteToken);
+
   // Formularstate og fejlhåndtering for e-mail/kodeord.
-  const [email, setEmail] = useState('');
+  const [email, setEmail] = useState(invite?.email ?? '');
   const [password, setPassword] = useState('');
   const [confirmPassword, setConfirmPassword] = useState('');
   const [fieldErrors, setFieldErrors] = useState({});
   const [authError, setAuthError] = useState('');
   const [loading, setLoading] = useState(false);
 
+  useEffect(() => {
+    // Invitationen skal overleve oprettelsen og turen til mailprogrammet.
+    if (inviteToken) {
+      savePendingInviteAsync(inviteToken);
+    }
+  }, [inviteToken]);
+
   /**
    * VALIDERING AF OPRETTELSESFORMULAR
    * 
@@ -103,6 +123,8 @@ const SignupScreen = ({ navigation }) => {
     try {
       setLoading(true);
       setAuthError('');
+      // Nye konti følger telefonens "Husk mig"-valg (standard: ikke husket).
+      await applyRememberMeAsync(await loadRememberMeAsync());
       const credentials = await auth.createUserWithEmailAndPassword(
         email.trim(),
         password
@@ -115,6 +137,11 @@ const SignupScreen = ({ navigation }) => {
           email: email.trim(),
           createdAt: firebase.firestore.FieldValue.serverTimestamp(),
         });
+
+      if (inviteToken) {
+        // Familien tilmeldes først, når e-mailen er bekræftet (InviteAcceptScreen).
+        await credentials.user.sendEmailVerification();
+      }
     } catch (error) {
       console.error('[SignupScreen] Signup failed', error);
       setAuthError(getFriendlyAuthError(error));
@@ -145,6 +172,15 @@ const SignupScreen = ({ navigation }) => {
           <View style={styles.card}>
             <ErrorMessage message={authError} />
 
+            {invite ? (
+              <View style={styles.inviteBanner}>
+                <Text style={styles.inviteBannerText}>
+                  Du er inviteret til en familie. Opret en konto med den e-mail,
+                  invitationen er sendt til, og bekræft den.
+                </Text>
+              </View>
+            ) : null}
+
             <FormInput
               label="E-mail"
               value={email}
@@ -183,6 +219,14 @@ const SignupScreen = ({ navigation }) => {
               style={styles.submit}
             />
 
+            <FederatedSignInButtons
+              beforeSignIn={async () =>
+                applyRememberMeAsync(await loadRememberMeAsync())
+              }
+              onError={(error) => setAuthError(getFriendlyAuthError(error))}
+              disabled={loading}
+            />
+
             <TouchableOpacity
               onPress={() => navigation.goBack()}
               style={styles.loginLink}
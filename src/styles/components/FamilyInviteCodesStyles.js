@@ -0,0 +1,111 @@
+/**
+ * FAMILY INVITE CODES STYLES
+ *
+ * Styling til invitationskoderne i familieopsætningen:
+ * - Aktive koder med QR-kode og handlinger
+ * - Valg af udløb, antal brug og automatisk godkendelse
+ */
+import { StyleSheet } from 'react-native';
+import { colors, spacing, fontSizes, radius } from '../theme';
+
+const styles = StyleSheet.create({
+  card: {
+    marginTop: spacing.lg,
+    backgroundColor: colors.surface,
+    borderRadius: radius.md,
+    padding: spacing.lg,
+    gap: spacing.sm,
+  },
+  title: {
+    fontSize: fontSizes.lg,
+    fontWeight: '700',
+    color: colors.text,
+  },
+  subtitle: {
+    fontSize: fontSizes.sm,
+    color: colors.mutedText,
+  },
+  infoText: {
+    fontSize: fontSizes.sm,
+    color: colors.mutedText,
+  },
+  codeRow: {
+    paddingVertical: spacing.sm,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+    gap: spacing.xs,
+  },
+  codeValue: {
+    fontSize: fontSizes.lg,
+    fontWeight: '700',
+    letterSpacing: 2,
+    color: colors.text,
+  },
+  codeMeta: {
+    fontSize: fontSizes.xs,
+    color: colors.mutedText,
+  },
+  qrWrapper: {
+    alignSelf: 'center',
+    padding: spacing.sm,
+    borderRadius: radius.md,
+    backgroundColor: colors.surface,
+  },
+  codeActions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: spacing.md,
+  },
+  actionText: {
+    fontSize: fontSizes.sm,
+    fontWeight: '600',
+    color: colors.primaryDark,
+  },
+  revokeText: {
+    fontSize: fontSizes.sm,
+    fontWeight: '600',
+    color: colors.error,
+  },
+  fieldLabel: {
+    marginTop: spacing.xs,
+    fontSize: fontSizes.sm,
+    fontWeight: '600',
+    color: colors.text,
+  },
+  optionRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: spacing.xs,
+  },
+  optionChip: {
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: radius.lg,
+    paddingHorizontal: spacing.sm,
+    paddingVertical: spacing.xs,
+    backgroundColor: colors.surfaceMuted,
+  },
+  optionChipActive: {
+    borderColor: colors.primary,
+    backgroundColor: colors.primary,
+  },
+  optionChipText: {
+    fontSize: fontSizes.sm,
+    fontWeight: '600',
+    color: colors.text,
+  },
+  optionChipTextActive: {
+    color: colors.primaryText,
+  },
+  switchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  switchLabel: {
+    fontSize: fontSizes.md,
+    color: colors.text,
+  },
+});
+
+export default styles;
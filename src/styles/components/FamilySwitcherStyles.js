@@ -0,0 +1,91 @@
+/**
+ * FAMILY SWITCHER STYLES
+ *
+ * Styling til familievælgeren øverst i MainTabs:
+ * - Smal bjælke med den aktive familie
+ * - Modal-liste med familierne og brugerens rolle i hver
+ */
+import { StyleSheet } from 'react-native';
+import { colors, spacing, fontSizes, radius } from '../theme';
+
+const styles = StyleSheet.create({
+  bar: {
+    backgroundColor: colors.canvas,
+    paddingHorizontal: spacing.md,
+    paddingBottom: spacing.xs,
+  },
+  trigger: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'center',
+    maxWidth: '100%',
+    paddingHorizontal: spacing.sm,
+    paddingVertical: spacing.xs,
+    marginTop: spacing.xs,
+    borderRadius: radius.lg,
+    borderWidth: 1,
+    borderColor: colors.border,
+    backgroundColor: colors.surface,
+  },
+  triggerPressed: {
+    opacity: 0.85,
+  },
+  triggerText: {
+    flexShrink: 1,
+    marginHorizontal: spacing.xs,
+    color: colors.text,
+    fontSize: fontSizes.sm,
+    fontWeight: '600',
+  },
+  backdrop: {
+    flex: 1,
+    justifyContent: 'center',
+    padding: spacing.lg,
+    backgroundColor: 'rgba(75, 46, 18, 0.35)',
+  },
+  sheet: {
+    borderRadius: radius.lg,
+    padding: spacing.md,
+    backgroundColor: colors.surface,
+  },
+  sheetTitle: {
+    marginBottom: spacing.sm,
+    color: colors.text,
+    fontSize: fontSizes.lg,
+    fontWeight: '700',
+  },
+  option: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: spacing.sm,
+    paddingHorizontal: spacing.sm,
+    marginBottom: spacing.xs,
+    borderRadius: radius.md,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  optionActive: {
+    borderColor: colors.primary,
+    backgroundColor: colors.background,
+  },
+  optionTextWrapper: {
+    flex: 1,
+  },
+  optionName: {
+    color: colors.text,
+    fontSize: fontSizes.md,
+    fontWeight: '600',
+  },
+  optionRole: {
+    marginTop: spacing.xxs,
+    color: colors.mutedText,
+    fontSize: fontSizes.xs,
+  },
+  errorText: {
+    marginTop: spacing.xs,
+    color: colors.error,
+    fontSize: fontSizes.sm,
+  },
+});
+
+export default styles;
@@ -0,0 +1,61 @@
+/**
+ * FEDERATED SIGN-IN STYLES
+ *
+ * Styling til Google/Apple-knapperne under login-formularen:
+ * - "eller"-skillelinje
+ * - Apple-knap i Apples egen stil og Google-knap som lys knap med logo
+ */
+import { StyleSheet } from 'react-native';
+import { colors, spacing, fontSizes, radius } from '../theme';
+
+const styles = StyleSheet.create({
+  container: {
+    marginTop: spacing.lg,
+  },
+  dividerRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: spacing.md,
+  },
+  dividerLine: {
+    flex: 1,
+    height: StyleSheet.hairlineWidth,
+    backgroundColor: colors.border,
+  },
+  dividerText: {
+    marginHorizontal: spacing.sm,
+    color: colors.mutedText,
+    fontSize: fontSizes.sm,
+  },
+  appleButton: {
+    height: 48,
+    marginBottom: spacing.sm,
+  },
+  googleButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    minHeight: 48,
+    borderRadius: radius.md,
+    borderWidth: 1,
+    borderColor: colors.border,
+    backgroundColor: colors.surface,
+  },
+  googleButtonPressed: {
+    opacity: 0.85,
+  },
+  googleButtonText: {
+    marginLeft: spacing.xs,
+    color: colors.text,
+    fontSize: fontSizes.md,
+    fontWeight: '600',
+  },
+  buttonDisabled: {
+    opacity: 0.5,
+  },
+  spinner: {
+    marginTop: spacing.sm,
+  },
+});
+
+export default styles;
@@ -0,0 +1,54 @@
+/**
+ * QR CODE SCANNER STYLES
+ *
+ * Styling til scanneren i familieopsætningen:
+ * - Modal med kvadratisk kameravindue
+ * - Forklaring, når kameraadgang mangler
+ */
+import { StyleSheet } from 'react-native';
+import { colors, spacing, fontSizes, radius } from '../theme';
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    justifyContent: 'center',
+    padding: spacing.lg,
+    backgroundColor: 'rgba(75, 46, 18, 0.35)',
+  },
+  sheet: {
+    borderRadius: radius.lg,
+    padding: spacing.md,
+    backgroundColor: colors.surface,
+    gap: spacing.sm,
+  },
+  title: {
+    color: colors.text,
+    fontSize: fontSizes.lg,
+    fontWeight: '700',
+  },
+  infoText: {
+    color: colors.mutedText,
+    fontSize: fontSizes.sm,
+  },
+  cameraFrame: {
+    aspectRatio: 1,
+    borderRadius: radius.md,
+    overflow: 'hidden',
+    backgroundColor: colors.text,
+  },
+  camera: {
+    flex: 1,
+  },
+  closeButton: {
+    alignSelf: 'center',
+    paddingVertical: spacing.xs,
+    paddingHorizontal: spacing.md,
+  },
+  closeText: {
+    color: colors.primaryDark,
+    fontSize: fontSizes.md,
+    fontWeight: '600',
+  },
+});
+
+export default styles;
@@ -10,6 +10,14 @@ import { StyleSheet } from 'react-native';
 import { colors } from '../theme';
 
 const styles = StyleSheet.create({
+  /**
+   * CONTAINER
+   * Rummer familievælgeren og fanerne
+   */
+  container: {
+    flex: 1,
+  },
+
   /**
    * TAB BAR
    * Transparent tab bar med custom positioning og no default border/shadow
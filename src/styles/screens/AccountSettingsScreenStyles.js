@@ -267,10 +267,59 @@ const styles = StyleSheet.create({
     marginTop: spacing.md,
     backgroundColor: colors.error,
   },
+  reminderChipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: spacing.xs,
+  },
+  reminderChip: {
+    paddingVertical: spacing.xs,
+    paddingHorizontal: spacing.md,
+    borderRadius: 999,
+    borderWidth: 1,
+    borderColor: colors.border,
+    backgroundColor: colors.surfaceMuted,
+  },
+  reminderChipSelected: {
+    borderColor: colors.primary,
+    backgroundColor: 'rgba(230, 138, 46, 0.18)',
+  },
+  reminderChipText: {
+    fontSize: fontSizes.sm,
+    color: colors.text,
+    fontWeight: '600',
+  },
+  reminderChipTextSelected: {
+    color: colors.primaryDark,
+  },
   logoutButton: {
     marginTop: spacing.md,
     backgroundColor: colors.primary,
   },
+  activityFilterLabel: {
+    fontSize: fontSizes.xs,
+    fontWeight: '600',
+    color: colors.mutedText,
+    marginTop: spacing.sm,
+    marginBottom: spacing.xs,
+  },
+  activityList: {
+    marginTop: spacing.md,
+  },
+  activityRow: {
+    paddingVertical: spacing.sm,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+  },
+  activityText: {
+    fontSize: fontSizes.sm,
+    color: colors.text,
+  },
+  activityMeta: {
+    fontSize: fontSizes.xs,
+    color: colors.mutedText,
+    marginTop: 2,
+  },
 });
 
 export default styles;
@@ -5,9 +5,13 @@ import { colors, spacing, fontSizes, radius } from '../theme';
 const styles = StyleSheet.create({
   container: {
     flex: 1,
+    backgroundColor: colors.background,
+  },
+  content: {
+    flexGrow: 1,
     paddingHorizontal: spacing.lg,
     paddingTop: spacing.xl * 2,
-    backgroundColor: colors.background,
+    paddingBottom: spacing.xl,
     justifyContent: 'flex-start',
     alignItems: 'stretch',
   },
@@ -41,6 +45,95 @@ const styles = StyleSheet.create({
     textAlign: 'center',
     fontSize: fontSizes.md,
   },
+  importCard: {
+    marginTop: spacing.xl,
+    padding: spacing.lg,
+    borderRadius: radius.md,
+    borderWidth: 1,
+    borderColor: colors.border,
+    backgroundColor: colors.surface,
+  },
+  importTitle: {
+    fontSize: fontSizes.md,
+    fontWeight: '700',
+    color: colors.text,
+    marginBottom: spacing.xs,
+  },
+  importHint: {
+    fontSize: fontSizes.sm,
+    color: colors.mutedText,
+    marginBottom: spacing.sm,
+  },
+  importInput: {
+    minHeight: 72,
+    maxHeight: 160,
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: radius.md,
+    padding: spacing.sm,
+    fontSize: fontSizes.sm,
+    color: colors.text,
+    textAlignVertical: 'top',
+  },
+  importButton: {
+    marginTop: spacing.sm,
+  },
+  importStatus: {
+    marginTop: spacing.sm,
+    fontSize: fontSizes.sm,
+    color: colors.text,
+  },
+  calendarRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: spacing.xs,
+  },
+  calendarColor: {
+    width: 12,
+    height: 12,
+    borderRadius: 6,
+    marginRight: spacing.sm,
+    backgroundColor: colors.border,
+  },
+  calendarText: {
+    flex: 1,
+    marginRight: spacing.sm,
+  },
+  calendarTitle: {
+    fontSize: fontSizes.md,
+    color: colors.text,
+  },
+  calendarSource: {
+    fontSize: fontSizes.xs,
+    color: colors.mutedText,
+  },
+  calendarSectionTitle: {
+    marginTop: spacing.md,
+  },
+  calendarChipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: spacing.xs,
+  },
+  calendarChip: {
+    paddingVertical: spacing.xs,
+    paddingHorizontal: spacing.sm,
+    borderRadius: radius.md,
+    borderWidth: 1,
+    borderColor: colors.border,
+    backgroundColor: colors.surface,
+  },
+  calendarChipSelected: {
+    borderColor: colors.primary,
+    backgroundColor: colors.primary,
+  },
+  calendarChipText: {
+    fontSize: fontSizes.sm,
+    color: colors.text,
+  },
+  calendarChipTextSelected: {
+    color: colors.primaryText,
+  },
   modalBackdrop: {
     flex: 1,
     backgroundColor: 'rgba(75, 46, 18, 0.45)',
@@ -0,0 +1,125 @@
+import { StyleSheet } from 'react-native';
+
+import { colors, spacing, fontSizes, radius } from '../theme';
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.canvas,
+  },
+  content: {
+    padding: spacing.lg,
+    paddingBottom: spacing.xxl,
+    gap: spacing.lg,
+  },
+  title: {
+    fontSize: fontSizes.xl,
+    fontWeight: '700',
+    color: colors.text,
+  },
+  subtitle: {
+    fontSize: fontSizes.md,
+    color: colors.mutedText,
+  },
+  card: {
+    backgroundColor: colors.surface,
+    borderRadius: radius.xl,
+    padding: spacing.lg,
+    shadowColor: colors.shadow,
+    shadowOpacity: 0.2,
+    shadowRadius: 12,
+    shadowOffset: { width: 0, height: 8 },
+    elevation: 3,
+    gap: spacing.sm,
+  },
+  sectionTitle: {
+    fontSize: fontSizes.lg,
+    fontWeight: '700',
+    color: colors.text,
+  },
+  infoText: {
+    fontSize: fontSizes.sm,
+    color: colors.mutedText,
+  },
+  childRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    gap: spacing.sm,
+    paddingVertical: spacing.xs,
+  },
+  childText: {
+    flex: 1,
+  },
+  childName: {
+    fontSize: fontSizes.md,
+    fontWeight: '600',
+    color: colors.text,
+  },
+  childMeta: {
+    fontSize: fontSizes.sm,
+    color: colors.mutedText,
+  },
+  childActions: {
+    alignItems: 'flex-end',
+    gap: spacing.xs,
+  },
+  actionText: {
+    fontSize: fontSizes.sm,
+    fontWeight: '600',
+    color: colors.primaryDark,
+  },
+  deleteText: {
+    fontSize: fontSizes.sm,
+    fontWeight: '600',
+    color: colors.error,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: radius.md,
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.sm,
+    fontSize: fontSizes.md,
+    color: colors.text,
+  },
+  fieldLabel: {
+    fontSize: fontSizes.sm,
+    fontWeight: '600',
+    color: colors.text,
+    marginTop: spacing.xs,
+  },
+  dayRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: spacing.xs,
+  },
+  dayChip: {
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: radius.lg,
+    paddingHorizontal: spacing.sm,
+    paddingVertical: spacing.xs,
+    backgroundColor: colors.surfaceMuted,
+  },
+  dayChipActive: {
+    borderColor: colors.primary,
+    backgroundColor: colors.primary,
+  },
+  dayChipText: {
+    fontSize: fontSizes.sm,
+    color: colors.text,
+    fontWeight: '600',
+  },
+  dayChipTextActive: {
+    color: colors.primaryText,
+  },
+  saveButton: {
+    marginTop: spacing.sm,
+  },
+  cancelButton: {
+    backgroundColor: '#BFA386',
+  },
+});
+
+export default styles;
@@ -187,6 +187,12 @@ const styles = StyleSheet.create({
     color: colors.mutedText,
     fontWeight: '600',
   },
+  slotMissing: {
+    marginTop: spacing.xs,
+    fontSize: fontSizes.xs,
+    color: colors.mutedText,
+    fontStyle: 'italic',
+  },
   moodScrollWrapper: {
     marginTop: spacing.sm,
     marginBottom: spacing.lg,
@@ -458,6 +464,13 @@ const styles = StyleSheet.create({
     marginTop: spacing.sm,
     backgroundColor: '#BFA386',
   },
+  calendarShareButton: {
+    marginTop: spacing.md,
+  },
+  calendarShareSecondaryButton: {
+    marginTop: spacing.sm,
+    backgroundColor: '#BFA386',
+  },
   helperText: {
     fontSize: fontSizes.xs,
     color: colors.mutedText,
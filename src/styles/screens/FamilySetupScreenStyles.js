@@ -85,6 +85,16 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     justifyContent: 'center',
   },
+  shareLinkButton: {
+    marginLeft: 0,
+    marginTop: spacing.sm,
+    alignSelf: 'flex-start',
+  },
+  scanCodeButton: {
+    marginLeft: 0,
+    marginBottom: spacing.md,
+    alignSelf: 'flex-start',
+  },
   copyIdButtonText: {
     color: colors.primaryText,
     fontSize: fontSizes.sm,
@@ -134,6 +144,20 @@ const styles = StyleSheet.create({
   primaryAction: {
     marginTop: spacing.md,
   },
+  addFamilyButton: {
+    marginTop: spacing.lg,
+    backgroundColor: colors.primaryDark,
+  },
+  backToFamilyButton: {
+    marginTop: spacing.lg,
+    alignSelf: 'center',
+    paddingVertical: spacing.xs,
+  },
+  backToFamilyText: {
+    color: colors.primaryDark,
+    fontSize: fontSizes.sm,
+    fontWeight: '600',
+  },
   familyCard: {
     marginTop: spacing.lg,
     backgroundColor: colors.surface,
@@ -0,0 +1,72 @@
+import { StyleSheet } from 'react-native';
+import { colors, spacing, fontSizes, radius } from '../theme';
+
+const styles = StyleSheet.create({
+  safeArea: {
+    flex: 1,
+    backgroundColor: colors.canvas,
+  },
+  content: {
+    flexGrow: 1,
+    paddingHorizontal: spacing.lg,
+    paddingBottom: spacing.xl,
+    justifyContent: 'center',
+  },
+  header: {
+    alignItems: 'center',
+    marginBottom: spacing.lg,
+  },
+  kicker: {
+    fontSize: fontSizes.sm,
+    fontWeight: '600',
+    color: colors.mutedText,
+    letterSpacing: 0.4,
+  },
+  title: {
+    fontSize: fontSizes.xxl,
+    fontWeight: '800',
+    color: colors.text,
+    marginTop: spacing.xs,
+    textAlign: 'center',
+  },
+  subtitle: {
+    fontSize: fontSizes.md,
+    color: colors.mutedText,
+    textAlign: 'center',
+    marginTop: spacing.xs,
+  },
+  card: {
+    backgroundColor: colors.surface,
+    borderRadius: radius.xl,
+    padding: spacing.xl,
+    shadowColor: colors.shadow,
+    shadowOpacity: 0.35,
+    shadowRadius: 18,
+    shadowOffset: { width: 0, height: 12 },
+    elevation: 4,
+  },
+  bodyText: {
+    fontSize: fontSizes.md,
+    color: colors.text,
+    marginBottom: spacing.md,
+  },
+  successText: {
+    color: colors.success,
+    fontSize: fontSizes.sm,
+    marginBottom: spacing.md,
+  },
+  loadingRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  loadingText: {
+    marginLeft: spacing.sm,
+    color: colors.mutedText,
+    fontSize: fontSizes.sm,
+  },
+  action: {
+    marginTop: spacing.sm,
+  },
+});
+
+export default styles;
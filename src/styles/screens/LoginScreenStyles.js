@@ -51,6 +51,23 @@ const styles = StyleSheet.create({
   field: {
     marginBottom: spacing.md,
   },
+  linkHint: {
+    color: colors.primaryDark,
+    fontSize: fontSizes.sm,
+    marginBottom: spacing.md,
+  },
+  rememberRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: spacing.sm,
+  },
+  rememberLabel: {
+    color: colors.text,
+    fontSize: fontSizes.sm,
+    flexShrink: 1,
+    marginRight: spacing.sm,
+  },
   submit: {
     marginTop: spacing.sm,
   },
@@ -0,0 +1,116 @@
+import { StyleSheet } from 'react-native';
+
+import { colors, spacing, fontSizes, radius } from '../theme';
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.canvas,
+  },
+  content: {
+    padding: spacing.lg,
+    paddingBottom: spacing.xxl,
+    gap: spacing.lg,
+  },
+  title: {
+    fontSize: fontSizes.xl,
+    fontWeight: '700',
+    color: colors.text,
+  },
+  subtitle: {
+    fontSize: fontSizes.md,
+    color: colors.mutedText,
+  },
+  card: {
+    backgroundColor: colors.surface,
+    borderRadius: radius.xl,
+    padding: spacing.lg,
+    shadowColor: colors.shadow,
+    shadowOpacity: 0.2,
+    shadowRadius: 12,
+    shadowOffset: { width: 0, height: 8 },
+    elevation: 3,
+    gap: spacing.sm,
+  },
+  sectionTitle: {
+    fontSize: fontSizes.lg,
+    fontWeight: '700',
+    color: colors.text,
+  },
+  infoText: {
+    fontSize: fontSizes.sm,
+    color: colors.mutedText,
+  },
+  blockRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    gap: spacing.sm,
+    paddingVertical: spacing.xs,
+  },
+  blockText: {
+    flex: 1,
+  },
+  blockTitle: {
+    fontSize: fontSizes.md,
+    fontWeight: '600',
+    color: colors.text,
+  },
+  blockMeta: {
+    fontSize: fontSizes.sm,
+    color: colors.mutedText,
+  },
+  deleteText: {
+    fontSize: fontSizes.sm,
+    fontWeight: '600',
+    color: colors.error,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: radius.md,
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.sm,
+    fontSize: fontSizes.md,
+    color: colors.text,
+  },
+  pickerButton: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: radius.md,
+    padding: spacing.md,
+    backgroundColor: colors.surfaceMuted,
+  },
+  pickerButtonActive: {
+    borderColor: colors.primary,
+  },
+  pickerLabel: {
+    fontSize: fontSizes.sm,
+    color: colors.mutedText,
+  },
+  pickerValue: {
+    fontSize: fontSizes.md,
+    color: colors.text,
+    fontWeight: '600',
+  },
+  switchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginTop: spacing.xs,
+  },
+  switchLabel: {
+    fontSize: fontSizes.md,
+    color: colors.text,
+  },
+  saveButton: {
+    marginTop: spacing.sm,
+  },
+  cancelButton: {
+    backgroundColor: '#BFA386',
+  },
+});
+
+export default styles;
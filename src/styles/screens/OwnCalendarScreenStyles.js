@@ -190,6 +190,10 @@ const styles = StyleSheet.create({
     shadowOffset: { width: 0, height: 6 },
     elevation: 2,
   },
+  eventCardLinked: {
+    borderWidth: 2,
+    borderColor: colors.primary,
+  },
   eventHeader: {
     flexDirection: 'row',
     alignItems: 'flex-start',
@@ -253,6 +257,18 @@ const styles = StyleSheet.create({
     color: colors.mutedText,
     marginBottom: spacing.xs,
   },
+  eventRecurrenceText: {
+    fontSize: fontSizes.xs,
+    color: colors.primaryDark,
+    fontWeight: '600',
+    marginBottom: spacing.xs,
+  },
+  eventSyncPendingText: {
+    fontSize: fontSizes.xs,
+    color: colors.mutedText,
+    fontStyle: 'italic',
+    marginBottom: spacing.xs,
+  },
   approvalRow: {
     marginBottom: spacing.sm,
   },
@@ -384,6 +400,11 @@ const styles = StyleSheet.create({
     fontSize: fontSizes.sm,
     color: colors.text,
   },
+  autoSuggestionMissingText: {
+    fontSize: fontSizes.sm,
+    color: colors.mutedText,
+    fontStyle: 'italic',
+  },
   autoSuggestionSponsorPreview: {
     fontSize: fontSizes.sm,
     color: colors.text,
@@ -524,6 +545,27 @@ const styles = StyleSheet.create({
     fontSize: fontSizes.md,
     color: colors.text,
   },
+  scopeChipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: spacing.xs,
+  },
+  scopeChip: {
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: radius.md,
+    paddingVertical: spacing.xs,
+    paddingHorizontal: spacing.sm,
+    backgroundColor: colors.surface,
+  },
+  scopeChipSelected: {
+    borderColor: colors.primary,
+    backgroundColor: colors.surfaceMuted,
+  },
+  scopeChipText: {
+    fontSize: fontSizes.sm,
+    color: colors.text,
+  },
   calendarPickerWrapper: {
     borderWidth: 1,
     borderColor: colors.border,
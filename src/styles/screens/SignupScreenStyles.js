@@ -50,6 +50,17 @@ const styles = StyleSheet.create({
   field: {
     marginBottom: spacing.md,
   },
+  inviteBanner: {
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: radius.md,
+    padding: spacing.sm,
+    marginBottom: spacing.md,
+  },
+  inviteBannerText: {
+    color: colors.text,
+    fontSize: fontSizes.sm,
+  },
   submit: {
     marginTop: spacing.sm,
   },
@@ -1,4 +1,9 @@
 ﻿import { availabilityUtils } from '../lib/availability';
+import {
+  RECURRENCE_SCOPES,
+  expandEventOccurrences,
+  isRecurringEvent,
+} from './recurrence';
 
 /**
  * Shared helpers for availability/busy calculations across screens.
@@ -59,11 +64,92 @@ export const applyIntervalTravelBuffer = (intervals = [], bufferMinutes = 0) =>
   }));
 };
 
-export const buildEventBusyIntervals = (events = []) => {
+/**
+ * BUSY-POLITIK FOR KALENDERAFTALER
+ *
+ * Afgør hvilke aftaler der bliver til busy-tid. Hver kategori er true, hvis den
+ * skal tælle som optaget; brugerens egne valg ligger på calendar/{uid}.busyEventPolicy
+ * og flettes oven på standarderne. Almindelige aftaler (og familiebegivenheder)
+ * tæller altid, aflyste aldrig.
+ */
+export const DEFAULT_BUSY_EVENT_POLICY = {
+  free: false,
+  tentative: true,
+  declined: false,
+  allDay: false,
+};
+
+export const normalizeBusyEventPolicy = (raw) =>
+  Object.keys(DEFAULT_BUSY_EVENT_POLICY).reduce((policy, key) => {
+    policy[key] =
+      typeof raw?.[key] === 'boolean'
+        ? raw[key]
+        : DEFAULT_BUSY_EVENT_POLICY[key];
+    return policy;
+  }, {});
+
+const readLowerCase = (value) =>
+  typeof value === 'string' ? value.trim().toLowerCase() : '';
+
+// Felterne dækker både expo-calendar events (availability, status, attendees)
+// og events fra parseIcsEvents (transparency, status).
+export const classifyEventAvailability = (event) => {
+  const status = readLowerCase(event?.status);
+  if (status === 'canceled' || status === 'cancelled') {
+    return 'cancelled';
+  }
+
+  const selfResponse = readLowerCase(
+    event?.selfResponse ??
+      (Array.isArray(event?.attendees)
+        ? event.attendees.find((attendee) => attendee?.isCurrentUser)?.status
+        : null)
+  );
+  if (selfResponse === 'declined') {
+    return 'declined';
+  }
+
+  const availability = readLowerCase(event?.availability);
+  if (
+    availability === 'free' ||
+    readLowerCase(event?.transparency) === 'transparent'
+  ) {
+    return 'free';
+  }
+  if (event?.allDay === true) {
+    return 'allDay';
+  }
+  if (
+    availability === 'tentative' ||
+    status === 'tentative' ||
+    selfResponse === 'tentative'
+  ) {
+    return 'tentative';
+  }
+  return 'busy';
+};
+
+export const shouldCountEventAsBusy = (
+  event,
+  policy = DEFAULT_BUSY_EVENT_POLICY
+) => {
+  const category = classifyEventAvailability(event);
+  if (category === 'busy') {
+    return true;
+  }
+  return category !== 'cancelled' && Boolean(policy[category]);
+};
+
+// Gentagne events udfoldes til forekomster i `options.rangeStart/rangeEnd`
+// (default: de næste par måneder), så hver forekomst bliver et busy-interval.
+// `options.policy` overstyrer DEFAULT_BUSY_EVENT_POLICY (se ovenfor).
+export const buildEventBusyIntervals = (events = [], options = {}) => {
   if (!Array.isArray(events)) {
     return [];
   }
 
+  const policy = normalizeBusyEventPolicy(options.policy);
+
   const intervals = [];
   const appendInterval = (startValue, endValue) => {
     const interval = normalizeInterval(startValue, endValue);
@@ -73,6 +159,43 @@ export const buildEventBusyIntervals = (events = []) => {
   };
 
   events.forEach((event) => {
+    if (!shouldCountEventAsBusy(event, policy)) {
+      return;
+    }
+
+    if (isRecurringEvent(event)) {
+      expandEventOccurrences(event, options).forEach((occurrence) => {
+        appendInterval(occurrence.start, occurrence.end);
+        if (occurrence.pendingChange && !occurrence.pendingChange.cancel) {
+          appendInterval(
+            occurrence.pendingChange.start,
+            occurrence.pendingChange.end
+          );
+        }
+      });
+
+      const seriesChange = event.pendingChange;
+      if (
+        seriesChange &&
+        !seriesChange.cancel &&
+        seriesChange.scope !== RECURRENCE_SCOPES.OCCURRENCE
+      ) {
+        // En foreslået flytning af hele serien blokerer også de nye tider.
+        expandEventOccurrences(
+          {
+            ...event,
+            start: seriesChange.start,
+            end: seriesChange.end,
+            pendingChange: null,
+          },
+          options
+        ).forEach((occurrence) => {
+          appendInterval(occurrence.start, occurrence.end);
+        });
+      }
+      return;
+    }
+
     appendInterval(event?.start, event?.end);
     if (event?.pendingChange) {
       appendInterval(event.pendingChange.start, event.pendingChange.end);
@@ -97,6 +220,23 @@ export const normalizeBusyPayload = (input) => {
     .filter((interval) => Boolean(interval));
 };
 
+// Samler alle delte busy-lister fra et calendar/{uid}-dokument til én sorteret liste.
+// importedBusy er busy-tid fra en importeret .ics (se utils/icsImport), og
+// manualBusyBlocks er brugerens egne (evt. ugentlige) blokke (se utils/manualBusy).
+// options ({ rangeStart, rangeEnd }) styrer, hvilken periode ugentlige blokke udfoldes i.
+export const extractSharedBusyFromCalendarDoc = (data, options = {}) =>
+  [data?.sharedBusy, data?.busyIntervals, data?.busy, data?.importedBusy]
+    .filter((payload) => Array.isArray(payload))
+    .reduce(
+      (acc, payload) => mergeBusyIntervals(acc, normalizeBusyPayload(payload)),
+      mergeBusyIntervals(
+        buildEventBusyIntervals(
+          Array.isArray(data?.manualBusyBlocks) ? data.manualBusyBlocks : [],
+          options
+        )
+      )
+    );
+
 const isFirestoreFieldValue = (value) =>
   Boolean(
     value &&
@@ -0,0 +1,68 @@
+/**
+ * Børneprofiler for børn uden eget login.
+ *
+ * Laeseguide:
+ * - Profilerne ligger i families/{id}/children/{childId} og oprettes af en voksen.
+ *   Felterne hedder det samme som på users- og calendar-dokumenter (preferredFamily*,
+ *   familyPreferenceMode, manualBusyBlocks), så de samme hjælpere kan læse dem.
+ * - I availability-beregningen er et barn medlemmet `child:<childId>`, så id'et
+ *   aldrig kolliderer med et Firebase Auth uid. Børn godkender ikke begivenheder.
+ * - Filen er ren (ingen Firebase) og deles med familyAvailability Cloud Function.
+ */
+import { extractSharedBusyFromCalendarDoc } from './calendarAvailability';
+import { buildFamilyPreferenceEntry } from './familyPreferences';
+
+export const CHILD_MEMBER_ID_PREFIX = 'child:';
+
+export const toChildMemberId = (childId) =>
+  `${CHILD_MEMBER_ID_PREFIX}${childId}`;
+
+export const isChildMemberId = (memberId) =>
+  typeof memberId === 'string' && memberId.startsWith(CHILD_MEMBER_ID_PREFIX);
+
+export const readChildAge = (value) => {
+  const age = typeof value === 'string' ? Number(value.trim()) : value;
+  return typeof age === 'number' && Number.isFinite(age) && age >= 0
+    ? Math.floor(age)
+    : null;
+};
+
+// children er [{ id, ...data }]; et barn uden navn vises som "Barn".
+export const getChildDisplayName = (child) =>
+  typeof child?.name === 'string' && child.name.trim().length
+    ? child.name.trim()
+    : 'Barn';
+
+/**
+ * BØRN I AVAILABILITY
+ *
+ * Giver kalender-input til findMutualAvailability og præference-entries til
+ * resolveFamilyPreferences, nøglet på barnets medlems-id. options ({ rangeStart,
+ * rangeEnd }) gives videre til udfoldningen af ugentlige blokke.
+ */
+export const buildChildAvailabilityInputs = (children = [], options = {}) => {
+  const calendars = [];
+  const preferenceEntries = {};
+
+  (Array.isArray(children) ? children : []).forEach((child) => {
+    if (!child?.id) {
+      return;
+    }
+    const memberId = toChildMemberId(child.id);
+    calendars.push({
+      userId: memberId,
+      busy: extractSharedBusyFromCalendarDoc(child, options),
+      preferences: {},
+    });
+    preferenceEntries[memberId] = buildFamilyPreferenceEntry(child);
+  });
+
+  return { calendars, preferenceEntries };
+};
+
+// Aldre til AI-forslagenes profil, fx [6, 9].
+export const getChildAges = (children = []) =>
+  (Array.isArray(children) ? children : [])
+    .map((child) => readChildAge(child?.age))
+    .filter((age) => age !== null)
+    .sort((a, b) => a - b);
@@ -0,0 +1,155 @@
+/**
+ * Tovejs-synk af FamTime-begivenheder i enhedens kalender.
+ *
+ * Laeseguide:
+ * - detectDeviceCalendarChangeAsync: slår kalenderposten op via calendarEventId fra
+ *   calendar/{uid}.familyEventRefs og sammenligner med FamTime-tiden.
+ *   Returnerer { type: 'moved', start, end }, { type: 'deleted' } eller null.
+ * - proposeDeviceCalendarChangeAsync: gør en flytning til et pendingChange-forslag og en
+ *   sletning til en aflysningsanmodning, som familien godkender som andre forslag.
+ *   Er brugeren eneste medlem, godkendes ændringen med det samme. Venter begivenheden
+ *   allerede på et forslag, skrives intet, og ændringen prøves igen ved næste synk.
+ */
+import * as Calendar from 'expo-calendar';
+
+import { db, firebase } from '../lib/firebase';
+import { availabilityUtils } from '../lib/availability';
+import { RECURRENCE_SCOPES } from './recurrence';
+import { approvePendingEvent } from './pendingApprovalActions';
+
+export const DEVICE_CALENDAR_CHANGE_TYPES = {
+  MOVED: 'moved',
+  DELETED: 'deleted',
+};
+
+// Kalendere runder nogle gange til hele minutter; mindre forskelle ignoreres.
+const TIME_TOLERANCE_MS = 60 * 1000;
+
+const isEventNotFoundError = (error) =>
+  error?.code === 'E_EVENT_NOT_FOUND' ||
+  /not found|does not exist|could not be found/i.test(
+    typeof error?.message === 'string' ? error.message : ''
+  );
+
+const isSameTime = (first, second) =>
+  Boolean(first && second) &&
+  Math.abs(first.getTime() - second.getTime()) < TIME_TOLERANCE_MS;
+
+export const detectDeviceCalendarChangeAsync = async (
+  calendarEventId,
+  { start, end }
+) => {
+  let deviceEvent = null;
+  try {
+    deviceEvent = await Calendar.getEventAsync(calendarEventId);
+  } catch (error) {
+    if (isEventNotFoundError(error)) {
+      return { type: DEVICE_CALENDAR_CHANGE_TYPES.DELETED };
+    }
+    // Ukendt fejl: hellere ingen ændring end en forkert aflysning.
+    return null;
+  }
+
+  if (!deviceEvent) {
+    return { type: DEVICE_CALENDAR_CHANGE_TYPES.DELETED };
+  }
+
+  const deviceStart = availabilityUtils.toDate(deviceEvent.startDate);
+  const deviceEnd = availabilityUtils.toDate(deviceEvent.endDate);
+  if (!deviceStart || !deviceEnd || deviceEnd <= deviceStart) {
+    return null;
+  }
+  if (isSameTime(deviceStart, start) && isSameTime(deviceEnd, end)) {
+    return null;
+  }
+
+  return {
+    type: DEVICE_CALENDAR_CHANGE_TYPES.MOVED,
+    start: deviceStart,
+    end: deviceEnd,
+  };
+};
+
+export const isSameDeviceCalendarChange = (entry, change) =>
+  Boolean(entry?.deviceChange) &&
+  entry.deviceChange.type === change?.type &&
+  (change.type === DEVICE_CALENDAR_CHANGE_TYPES.DELETED ||
+    (entry.deviceChange.start === change.start.toISOString() &&
+      entry.deviceChange.end === change.end.toISOString()));
+
+// Gemmes på familyEventRefs-posten, så samme ændring ikke foreslås igen efter afvisning.
+export const serializeDeviceCalendarChange = (change) =>
+  change.type === DEVICE_CALENDAR_CHANGE_TYPES.DELETED
+    ? { type: change.type }
+    : {
+        type: change.type,
+        start: change.start.toISOString(),
+        end: change.end.toISOString(),
+      };
+
+/**
+ * FORESLÅ ÆNDRING FRA ENHEDSKALENDEREN
+ *
+ * event er en (evt. udfoldet) familiebegivenhed; forekomster foreslås kun for
+ * den ene gang (scope OCCURRENCE), ligesom forslag fra OwnCalendarScreen.
+ * Skrives i en transaktion, så et andet medlems åbne forslag aldrig overskrives.
+ * Returnerer true når forslaget er gemt, false når begivenheden er slettet eller
+ * allerede har et pendingChange.
+ */
+export const proposeDeviceCalendarChangeAsync = async ({
+  familyId,
+  event,
+  change,
+  userId,
+  userEmail,
+  memberIds,
+}) => {
+  const seriesId = event.seriesId ?? event.id;
+  const pendingChange =
+    change.type === DEVICE_CALENDAR_CHANGE_TYPES.DELETED
+      ? { cancel: true }
+      : {
+          start: firebase.firestore.Timestamp.fromDate(change.start),
+          end: firebase.firestore.Timestamp.fromDate(change.end),
+        };
+  if (event.occurrenceKey) {
+    pendingChange.scope = RECURRENCE_SCOPES.OCCURRENCE;
+    pendingChange.occurrenceKey = event.occurrenceKey;
+  }
+
+  const otherMemberIds = Array.from(new Set(memberIds)).filter(
+    (id) => id !== userId
+  );
+
+  const eventRef = db
+    .collection('families')
+    .doc(familyId)
+    .collection('events')
+    .doc(seriesId);
+
+  const proposed = await db.runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(eventRef);
+    if (!snapshot.exists || snapshot.get('pendingChange')) {
+      return false;
+    }
+    transaction.set(
+      eventRef,
+      {
+        pendingChange,
+        pendingApprovals: otherMemberIds.length ? otherMemberIds : [userId],
+        approvedBy: otherMemberIds.length ? [userId] : [],
+        status: 'pending',
+        lastModifiedBy: userId,
+        lastModifiedEmail: userEmail ?? '',
+        updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
+      },
+      { merge: true }
+    );
+    return true;
+  });
+
+  if (proposed && !otherMemberIds.length) {
+    await approvePendingEvent({ familyId, eventId: seriesId, userId });
+  }
+  return proposed;
+};
@@ -0,0 +1,169 @@
+/**
+ * Valg af enhedskalendere til busy-tid og familiebegivenheder.
+ *
+ * Laeseguide:
+ * - calendar/{uid}.calendarIds: alle enhedens kalendere (som før).
+ * - calendar/{uid}.busyCalendarIds: de kalendere brugeren har valgt skal tælle som
+ *   optaget. Mangler feltet, tæller alle kalendere (gammel adfærd).
+ * - calendar/{uid}.calendarId: kalenderen som modtager bekræftede familiebegivenheder.
+ * - calendar/{uid}.busyEventPolicy: om ledige, foreløbige, afviste og heldagsaftaler
+ *   tæller som optaget (se normalizeBusyEventPolicy i calendarAvailability).
+ * - resolveBusyCalendarIds bruges af alle loadDeviceBusy-kald, så valget respekteres overalt.
+ * - loadDeviceCalendarEventsAsync henter aftaler i et format buildEventBusyIntervals forstår.
+ */
+import { Platform } from 'react-native';
+import * as Calendar from 'expo-calendar';
+
+import { db, firebase } from '../lib/firebase';
+import { availabilityUtils } from '../lib/availability';
+import { normalizeBusyEventPolicy } from './calendarAvailability';
+
+// Svar på invitationer kræver et opslag pr. aftale; begrænser antallet pr. indlæsning.
+const MAX_ATTENDEE_LOOKUPS = 40;
+
+const toIdList = (values) =>
+  Array.from(
+    new Set(
+      (Array.isArray(values) ? values : []).filter(
+        (value) => typeof value === 'string' && value.trim().length > 0
+      )
+    )
+  );
+
+export const listDeviceEventCalendarsAsync = async () => {
+  const calendars = await Calendar.getCalendarsAsync(
+    Calendar.EntityTypes.EVENT
+  );
+  return (Array.isArray(calendars) ? calendars : [])
+    .filter((calendar) => calendar?.id)
+    .map((calendar) => ({
+      id: calendar.id,
+      title: calendar.title || 'Unavngivet kalender',
+      color: calendar.color ?? null,
+      sourceName: calendar.source?.name ?? '',
+      writable: Boolean(calendar.allowsModifications),
+      isPrimary: Boolean(calendar.isPrimary),
+    }));
+};
+
+// Samme prioritering som det oprindelige automatiske valg i CalendarSyncScreen.
+export const pickDefaultTargetCalendar = (calendars) =>
+  calendars.find((calendar) => calendar.writable) ??
+  calendars.find((calendar) => calendar.isPrimary) ??
+  calendars[0] ??
+  null;
+
+/**
+ * BUSY-KALENDERE
+ *
+ * Returnerer de kalender-IDs der skal læses som optaget tid. Et gemt, tomt valg
+ * betyder "ingen kalendere" og respekteres; uden valg bruges alle kendte kalendere.
+ */
+export const resolveBusyCalendarIds = (calendarData, fallbackIds = []) => {
+  if (Array.isArray(calendarData?.busyCalendarIds)) {
+    return toIdList(calendarData.busyCalendarIds);
+  }
+  return toIdList([
+    ...(Array.isArray(calendarData?.calendarIds)
+      ? calendarData.calendarIds
+      : []),
+    calendarData?.calendarId,
+    ...fallbackIds,
+  ]);
+};
+
+const readSelfResponseAsync = async (event) => {
+  try {
+    const attendees = await Calendar.getAttendeesForEventAsync(event.id, {
+      instanceStartDate: event.startDate,
+    });
+    return (
+      (Array.isArray(attendees) ? attendees : []).find(
+        (attendee) => attendee?.isCurrentUser
+      )?.status ?? null
+    );
+  } catch (_error) {
+    return null;
+  }
+};
+
+/**
+ * HENT ENHEDSAFTALER
+ *
+ * Returnerer { id, start, end, allDay, availability, status, selfResponse } for
+ * aftalerne i de valgte kalendere. Invitationer fra andre (organizer der ikke er
+ * brugeren selv) får slået brugerens svar op, så afviste aftaler kan sorteres fra.
+ */
+export const loadDeviceCalendarEventsAsync = async (
+  calendarIds,
+  start,
+  end
+) => {
+  const events = await Calendar.getEventsAsync(calendarIds, start, end);
+  let attendeeLookups = 0;
+
+  const normalized = await Promise.all(
+    (Array.isArray(events) ? events : []).map(async (event) => {
+      const startDate = availabilityUtils.toDate(
+        event.startDate ?? event.start ?? event.startTime ?? null
+      );
+      const endDate = availabilityUtils.toDate(
+        event.endDate ?? event.end ?? event.endTime ?? null
+      );
+      if (!startDate || !endDate || endDate <= startDate) {
+        return null;
+      }
+
+      const invitedByOthers =
+        event.organizer && event.organizer.isCurrentUser === false;
+      let selfResponse = null;
+      if (invitedByOthers && attendeeLookups < MAX_ATTENDEE_LOOKUPS) {
+        attendeeLookups += 1;
+        selfResponse = await readSelfResponseAsync(event);
+      }
+
+      return {
+        id: event.id,
+        start: startDate,
+        end: endDate,
+        allDay: Boolean(event.allDay),
+        availability: event.availability ?? null,
+        status: event.status ?? null,
+        selfResponse,
+      };
+    })
+  );
+
+  return normalized.filter(Boolean);
+};
+
+export const saveCalendarSelectionAsync = async (
+  userId,
+  { calendars, busyCalendarIds, targetCalendarId, busyEventPolicy }
+) => {
+  if (!userId) {
+    throw new Error('Ingen bruger logget ind.');
+  }
+
+  const knownIds = new Set(calendars.map((calendar) => calendar.id));
+  const targetCalendar =
+    calendars.find((calendar) => calendar.id === targetCalendarId) ?? null;
+
+  await db
+    .collection('calendar')
+    .doc(userId)
+    .set(
+      {
+        calendarIds: Array.from(knownIds),
+        busyCalendarIds: toIdList(busyCalendarIds).filter((id) =>
+          knownIds.has(id)
+        ),
+        busyEventPolicy: normalizeBusyEventPolicy(busyEventPolicy),
+        calendarId: targetCalendar?.id ?? null,
+        calendarTitle: targetCalendar?.title ?? null,
+        platform: Platform.OS,
+        updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
+      },
+      { merge: true }
+    );
+};
@@ -0,0 +1,225 @@
+/**
+ * Godkendelse og afvisning af ventende familiebegivenheder.
+ *
+ * Laeseguide:
+ * - planEventApproval / planPendingChangeRejection: ren logik, der ud fra det
+ *   aktuelle event-dokument beregner hvad der skal skrives.
+ * - runEventApprovalTransaction: læser og skriver i én Firestore-transaktion, så
+ *   to samtidige godkendelser hverken mister en godkendelse eller anvender
+ *   pendingChange to gange.
+ * - Bruges både af appen (pendingApprovalActions) og af Cloud Function
+ *   eventApproval. Derfor ingen Firebase-import: kalderen giver et `fields`-objekt
+ *   { serverTimestamp(), deleteField(), arrayUnion(...values), timestampFromDate(date) }.
+ */
+import { resolveOccurrenceChange } from './recurrence';
+
+export const EVENT_APPROVAL_ACTIONS = {
+  APPROVE: 'approve',
+  REJECT: 'reject',
+};
+
+export const EVENT_APPROVAL_RESULTS = {
+  // Godkendelsen er registreret, men andre mangler stadig.
+  APPROVED: 'approved',
+  // Sidste godkendelse: begivenheden (eller ændringen) er bekræftet.
+  CONFIRMED: 'confirmed',
+  // Sidste godkendelse af en aflysning: begivenheden er slettet.
+  CANCELLED: 'cancelled',
+  REJECTED: 'rejected',
+  // Intet at gøre (allerede håndteret, ikke på listen eller event slettet).
+  NOOP: 'noop',
+};
+
+const toTimestamp = (value, fields) => {
+  if (!value) {
+    return null;
+  }
+  if (value instanceof Date) {
+    return fields.timestampFromDate(value);
+  }
+  if (typeof value.toDate === 'function') {
+    return value;
+  }
+  return null;
+};
+
+// Skriver en godkendt ændring af én forekomst ind i seriens exdates/overrides.
+export const buildOccurrenceRecurrencePayload = (
+  { occurrenceKey, cancel, override },
+  fields
+) => {
+  if (cancel) {
+    return {
+      exdates: fields.arrayUnion(occurrenceKey),
+      overrides: {
+        [occurrenceKey]: fields.deleteField(),
+      },
+    };
+  }
+
+  return {
+    overrides: {
+      [occurrenceKey]: {
+        title: override?.title ?? null,
+        description: override?.description ?? null,
+        start: toTimestamp(override?.start, fields),
+        end: toTimestamp(override?.end, fields),
+      },
+    },
+  };
+};
+
+/**
+ * GODKEND
+ *
+ * Fjerner userId fra pendingApprovals. Ved sidste godkendelse anvendes
+ * pendingChange (flyt/omdøb, forekomst-ændring eller aflysning). En forekomst-ændring
+ * skriver recurrence og dermed også lastModifiedBy, som reglerne kræver.
+ * Returnerer { result, deleteEvent, update }.
+ */
+export const planEventApproval = (event, userId, fields) => {
+  const pendingList = Array.isArray(event?.pendingApprovals)
+    ? event.pendingApprovals
+    : [];
+
+  if (!userId || !pendingList.includes(userId)) {
+    return {
+      result: EVENT_APPROVAL_RESULTS.NOOP,
+      deleteEvent: false,
+      update: null,
+    };
+  }
+
+  const remaining = pendingList.filter((id) => id !== userId);
+  const approvedBy = Array.isArray(event.approvedBy)
+    ? Array.from(new Set([...event.approvedBy, userId]))
+    : [userId];
+  const occurrenceChange = resolveOccurrenceChange(event.pendingChange);
+
+  if (
+    remaining.length === 0 &&
+    event.pendingChange?.cancel &&
+    !occurrenceChange
+  ) {
+    return {
+      result: EVENT_APPROVAL_RESULTS.CANCELLED,
+      deleteEvent: true,
+      update: null,
+    };
+  }
+
+  const update = {
+    pendingApprovals: remaining,
+    approvedBy,
+    updatedAt: fields.serverTimestamp(),
+  };
+
+  if (remaining.length) {
+    return {
+      result: EVENT_APPROVAL_RESULTS.APPROVED,
+      deleteEvent: false,
+      update,
+    };
+  }
+
+  update.status = 'confirmed';
+  update.approvedAt = fields.serverTimestamp();
+
+  if (occurrenceChange) {
+    update.recurrence = buildOccurrenceRecurrencePayload(
+      occurrenceChange,
+      fields
+    );
+    update.lastModifiedBy = userId;
+    update.pendingChange = fields.deleteField();
+  } else if (event.pendingChange) {
+    const nextStart = toTimestamp(event.pendingChange.start, fields);
+    const nextEnd = toTimestamp(event.pendingChange.end, fields);
+    if (nextStart) {
+      update.start = nextStart;
+    }
+    if (nextEnd) {
+      update.end = nextEnd;
+    }
+    if (typeof event.pendingChange.title === 'string') {
+      update.title = event.pendingChange.title;
+    }
+    if (typeof event.pendingChange.description === 'string') {
+      update.description = event.pendingChange.description;
+    }
+    update.pendingChange = fields.deleteField();
+  }
+
+  return {
+    result: EVENT_APPROVAL_RESULTS.CONFIRMED,
+    deleteEvent: false,
+    update,
+  };
+};
+
+/**
+ * AFVIS
+ *
+ * Nulstiller en foreslået ændring. Kun medlemmer der mangler at godkende kan afvise.
+ * lastModifiedBy viser aktivitetsloggen, hvem der afviste.
+ */
+export const planPendingChangeRejection = (event, userId, fields) => {
+  const pendingList = Array.isArray(event?.pendingApprovals)
+    ? event.pendingApprovals
+    : [];
+
+  if (!event?.pendingChange || !userId || !pendingList.includes(userId)) {
+    return {
+      result: EVENT_APPROVAL_RESULTS.NOOP,
+      deleteEvent: false,
+      update: null,
+    };
+  }
+
+  return {
+    result: EVENT_APPROVAL_RESULTS.REJECTED,
+    deleteEvent: false,
+    update: {
+      pendingApprovals: [],
+      approvedBy: [],
+      pendingChange: fields.deleteField(),
+      status: 'confirmed',
+      lastModifiedBy: userId,
+      updatedAt: fields.serverTimestamp(),
+    },
+  };
+};
+
+/**
+ * TRANSAKTION
+ *
+ * `db` og `docRef` kan være både compat-klienten og firebase-admin; de har samme
+ * runTransaction/get/set/delete-API. Returnerer et EVENT_APPROVAL_RESULTS-felt.
+ * Aktivitetsloggen skrives af Cloud Function familyEventActivity.
+ */
+export const runEventApprovalTransaction = (
+  db,
+  docRef,
+  { action, userId },
+  fields
+) =>
+  db.runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(docRef);
+    if (!snapshot.exists) {
+      return EVENT_APPROVAL_RESULTS.NOOP;
+    }
+
+    const event = snapshot.data() ?? {};
+    const plan =
+      action === EVENT_APPROVAL_ACTIONS.REJECT
+        ? planPendingChangeRejection(event, userId, fields)
+        : planEventApproval(event, userId, fields);
+
+    if (plan.deleteEvent) {
+      transaction.delete(docRef);
+    } else if (plan.update) {
+      transaction.set(docRef, plan.update, { merge: true });
+    }
+
+    return plan.result;
+  });
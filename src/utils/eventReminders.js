@@ -0,0 +1,183 @@
+/**
+ * Lokale påmindelser før bekræftede familiebegivenheder (expo-notifications).
+ *
+ * Laeseguide:
+ * - syncEventRemindersAsync: planlægger/aflyser så én families planlagte påmindelser
+ *   svarer præcis til de givne events og brugerens valgte tidspunkter. Kaldes igen når
+ *   events ændres, så en godkendt pendingChange (ny start) flytter påmindelsen og
+ *   et slettet event fjerner den. Andre familiers påmindelser røres ikke, medmindre
+ *   brugeren ikke længere er medlem af dem.
+ * - cancelEventRemindersAsync: fjerner alle FamTime-påmindelser (fx ved logout).
+ * - Hver påmindelse har identifier `event-reminder::<familyId>::<eventId>::<minutter>`,
+ *   så vi kan genkende vores egne blandt enhedens øvrige planlagte notifikationer.
+ *   Familien læses fra data.familyId, som også ældre påmindelser uden familie i
+ *   nøglen har.
+ */
+import { Platform } from 'react-native';
+import * as Notifications from 'expo-notifications';
+
+import {
+  EVENT_REMINDER_CHANNEL,
+  getEventReminderOption,
+} from '../constants/eventReminders';
+import { expandEventsInRange } from './recurrence';
+
+const REMINDER_IDENTIFIER_PREFIX = 'event-reminder::';
+const REMINDER_LOOKAHEAD_DAYS = 30;
+// iOS tillader højst 64 planlagte notifikationer pr. app; resten planlægges senere.
+const MAX_SCHEDULED_REMINDERS = 40;
+
+let channelReady = false;
+
+const ensureReminderChannelAsync = async () => {
+  if (channelReady || Platform.OS !== 'android') {
+    return;
+  }
+  await Notifications.setNotificationChannelAsync(EVENT_REMINDER_CHANNEL, {
+    name: 'Påmindelser',
+    importance: Notifications.AndroidImportance.DEFAULT,
+  });
+  channelReady = true;
+};
+
+const formatClock = (date) =>
+  date.toLocaleTimeString('da-DK', { hour: '2-digit', minute: '2-digit' });
+
+const getScheduledRemindersAsync = async () => {
+  const scheduled = await Notifications.getAllScheduledNotificationsAsync();
+  return (Array.isArray(scheduled) ? scheduled : []).filter(
+    (request) =>
+      typeof request?.identifier === 'string' &&
+      request.identifier.startsWith(REMINDER_IDENTIFIER_PREFIX)
+  );
+};
+
+// Beregner de påmindelser der skal være planlagt lige nu, nærmeste først.
+const buildDesiredReminders = (events, reminderMinutes, familyId) => {
+  const now = new Date();
+  const occurrences = expandEventsInRange(events, {
+    rangeStart: now,
+    rangeEnd: new Date(
+      now.getTime() + REMINDER_LOOKAHEAD_DAYS * 24 * 60 * 60 * 1000
+    ),
+  });
+
+  const familyPrefix = `${REMINDER_IDENTIFIER_PREFIX}${familyId ?? ''}::`;
+  const reminders = [];
+  occurrences.forEach((event) => {
+    if (!(event.start instanceof Date) || Number.isNaN(event.start.getTime())) {
+      return;
+    }
+    reminderMinutes.forEach((minutes) => {
+      const option = getEventReminderOption(minutes);
+      const triggerAt = new Date(event.start.getTime() - minutes * 60000);
+      if (!option || triggerAt <= now) {
+        return;
+      }
+      reminders.push({
+        identifier: `${familyPrefix}${event.id}::${minutes}`,
+        triggerAt,
+        title: event.title || 'FamTime begivenhed',
+        body: `Starter ${option.relativeLabel} kl. ${formatClock(event.start)}`,
+        data: {
+          type: 'event-reminder',
+          familyId: familyId ?? '',
+          eventId: event.seriesId ?? event.id,
+          triggerAt: triggerAt.getTime(),
+        },
+      });
+    });
+  });
+
+  return reminders
+    .sort((a, b) => a.triggerAt - b.triggerAt)
+    .slice(0, MAX_SCHEDULED_REMINDERS);
+};
+
+/**
+ * SYNKRONISER PÅMINDELSER
+ *
+ * events: familiens (familyId) bekræftede events (serier udfoldes her). reminderMinutes:
+ * brugerens valg, fx [1440, 60]. Allerede planlagte påmindelser med samme
+ * tidspunkt og tekst bliver stående; resten af familiens aflyses eller planlægges.
+ * memberFamilyIds (brugerens familier, når de er hentet) aflyser også påmindelser
+ * fra familier, brugeren har forladt.
+ */
+export const syncEventRemindersAsync = async ({
+  events,
+  reminderMinutes,
+  familyId,
+  memberFamilyIds = null,
+}) => {
+  const desired = buildDesiredReminders(
+    Array.isArray(events) ? events : [],
+    Array.isArray(reminderMinutes) ? reminderMinutes : [],
+    familyId
+  );
+  const desiredById = new Map(
+    desired.map((reminder) => [reminder.identifier, reminder])
+  );
+  const scheduled = await getScheduledRemindersAsync();
+  const keptIds = new Set();
+
+  for (const request of scheduled) {
+    const reminderFamilyId = request.content?.data?.familyId ?? '';
+    const isLeftFamily =
+      Array.isArray(memberFamilyIds) &&
+      !memberFamilyIds.includes(reminderFamilyId);
+    if (reminderFamilyId !== (familyId ?? '') && !isLeftFamily) {
+      continue;
+    }
+    const wanted = desiredById.get(request.identifier);
+    const content = request.content ?? {};
+    const unchanged =
+      wanted &&
+      content.data?.triggerAt === wanted.data.triggerAt &&
+      content.title === wanted.title &&
+      content.body === wanted.body;
+
+    if (unchanged) {
+      keptIds.add(request.identifier);
+    } else {
+      await Notifications.cancelScheduledNotificationAsync(request.identifier);
+    }
+  }
+
+  const missing = desired.filter(
+    (reminder) => !keptIds.has(reminder.identifier)
+  );
+  if (!missing.length) {
+    return;
+  }
+
+  await ensureReminderChannelAsync();
+  for (const reminder of missing) {
+    await Notifications.scheduleNotificationAsync({
+      identifier: reminder.identifier,
+      content: {
+        title: reminder.title,
+        body: reminder.body,
+        data: reminder.data,
+      },
+      trigger: {
+        type: Notifications.SchedulableTriggerInputTypes.DATE,
+        date: reminder.triggerAt,
+        channelId: EVENT_REMINDER_CHANNEL,
+      },
+    });
+  }
+};
+
+export const cancelEventRemindersAsync = async () => {
+  try {
+    const scheduled = await getScheduledRemindersAsync();
+    await Promise.all(
+      scheduled.map((request) =>
+        Notifications.cancelScheduledNotificationAsync(request.identifier)
+      )
+    );
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.warn('[eventReminders] Kunne ikke fjerne påmindelser', error);
+  }
+};
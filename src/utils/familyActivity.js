@@ -0,0 +1,309 @@
+/**
+ * Familiens aktivitetslog (families/{id}/activity).
+ *
+ * Laeseguide:
+ * - Loggen skrives kun af Cloud Functions; appen må læse, men aldrig skrive.
+ * - Et indslag gemmer id'er og et øjebliksbillede af navne/titler, så det stadig
+ *   kan læses, når medlemmet er fjernet eller begivenheden slettet.
+ * - planFamilyActivity / planEventActivity udleder indslag af en ændring i
+ *   families/{id} eller en begivenhed. Den handlende læses kun fra felter, som
+ *   reglerne binder til kalderen (updatedBy, createdByUid, lastModifiedBy,
+ *   pendingApprovals/approvedBy). familyInvite skriver selv, når nogen kommer med
+ *   via invitation eller kode.
+ * - Filen er ren (ingen Firebase) og deles med Cloud Functions. Kalderen giver
+ *   `fields` med serverTimestamp() som i eventApproval.
+ */
+export const FAMILY_ACTIVITY_COLLECTION = 'activity';
+
+export const FAMILY_ACTIVITY_TYPES = {
+  JOIN_APPROVED: 'join-approved',
+  JOIN_REJECTED: 'join-rejected',
+  MEMBER_JOINED: 'member-joined',
+  MEMBER_REMOVED: 'member-removed',
+  OWNERSHIP_TRANSFERRED: 'ownership-transferred',
+  EVENT_PROPOSED: 'event-proposed',
+  EVENT_APPROVED: 'event-approved',
+  EVENT_REJECTED: 'event-rejected',
+  EVENT_CANCELLED: 'event-cancelled',
+};
+
+export const FAMILY_ACTIVITY_LABELS = {
+  [FAMILY_ACTIVITY_TYPES.JOIN_APPROVED]: 'Godkendte anmodninger',
+  [FAMILY_ACTIVITY_TYPES.JOIN_REJECTED]: 'Afviste anmodninger',
+  [FAMILY_ACTIVITY_TYPES.MEMBER_JOINED]: 'Nye medlemmer',
+  [FAMILY_ACTIVITY_TYPES.MEMBER_REMOVED]: 'Fjernede medlemmer',
+  [FAMILY_ACTIVITY_TYPES.OWNERSHIP_TRANSFERRED]: 'Ny administrator',
+  [FAMILY_ACTIVITY_TYPES.EVENT_PROPOSED]: 'Forslag',
+  [FAMILY_ACTIVITY_TYPES.EVENT_APPROVED]: 'Godkendelser',
+  [FAMILY_ACTIVITY_TYPES.EVENT_REJECTED]: 'Afvisninger',
+  [FAMILY_ACTIVITY_TYPES.EVENT_CANCELLED]: 'Aflysninger',
+};
+
+// Felter der kan følge med et indslag; tomme værdier gemmes ikke.
+const ACTIVITY_TEXT_FIELDS = [
+  'actorId',
+  'actorName',
+  'targetUserId',
+  'targetName',
+  'eventId',
+  'eventTitle',
+  'result',
+  'via',
+];
+
+const readText = (value) => (typeof value === 'string' ? value.trim() : '');
+
+/**
+ * BYG INDSLAG
+ *
+ * details: { actorId, actorName, targetUserId, targetName, eventId, eventTitle,
+ * result, via, occurrence, change }. Returnerer null ved ukendt type eller
+ * manglende actorId.
+ */
+export const buildFamilyActivityEntry = (type, details, fields) => {
+  if (!Object.values(FAMILY_ACTIVITY_TYPES).includes(type)) {
+    return null;
+  }
+  if (!readText(details?.actorId)) {
+    return null;
+  }
+
+  const entry = { type };
+  ACTIVITY_TEXT_FIELDS.forEach((key) => {
+    const value = readText(details[key]);
+    if (value) {
+      entry[key] = value;
+    }
+  });
+  if (details.occurrence) {
+    entry.occurrence = true;
+  }
+  if (details.change) {
+    entry.change = true;
+  }
+  entry.createdAt = fields.serverTimestamp();
+  return entry;
+};
+
+const readIds = (list) =>
+  (Array.isArray(list) ? list : []).map(readText).filter(Boolean);
+
+const readRequestIds = (requests) =>
+  readIds(
+    (Array.isArray(requests) ? requests : []).map((item) => item?.userId)
+  );
+
+/**
+ * INDSLAG FRA EN FAMILIEÆNDRING
+ *
+ * before/after er families/{id} før og efter. Returnerer [{ type, details }].
+ * Ejerskifte tilskrives den tidligere ejer (kun ejeren må skifte ownerId); øvrige
+ * ændringer tilskrives updatedBy, som reglerne kræver ved ændringer i memberIds og
+ * joinRequests. Nye medlemmer via invitation logges af familyInvite.
+ */
+export const planFamilyActivity = (before, after) => {
+  if (!before || !after) {
+    return [];
+  }
+
+  const entries = [];
+  const ownerBefore = readText(before.ownerId);
+  const ownerAfter = readText(after.ownerId);
+  if (ownerBefore && ownerAfter && ownerBefore !== ownerAfter) {
+    entries.push({
+      type: FAMILY_ACTIVITY_TYPES.OWNERSHIP_TRANSFERRED,
+      details: { actorId: ownerBefore, targetUserId: ownerAfter },
+    });
+  }
+
+  const actorId = readText(after.updatedBy);
+  if (!actorId) {
+    return entries;
+  }
+
+  const membersBefore = readIds(before.memberIds);
+  const membersAfter = readIds(after.memberIds);
+  const requestsAfter = readRequestIds(after.joinRequests);
+
+  readRequestIds(before.joinRequests)
+    .filter((userId) => !requestsAfter.includes(userId) && userId !== actorId)
+    .forEach((userId) => {
+      entries.push({
+        type: membersAfter.includes(userId)
+          ? FAMILY_ACTIVITY_TYPES.JOIN_APPROVED
+          : FAMILY_ACTIVITY_TYPES.JOIN_REJECTED,
+        details: { actorId, targetUserId: userId },
+      });
+    });
+
+  // Den, der selv forlader familien, logges ikke.
+  membersBefore
+    .filter((userId) => !membersAfter.includes(userId) && userId !== actorId)
+    .forEach((userId) => {
+      entries.push({
+        type: FAMILY_ACTIVITY_TYPES.MEMBER_REMOVED,
+        details: { actorId, targetUserId: userId },
+      });
+    });
+
+  return entries;
+};
+
+const isSameValue = (a, b) =>
+  JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * INDSLAG FRA EN BEGIVENHEDSÆNDRING
+ *
+ * before/after er begivenheden før og efter (null ved oprettelse/sletning).
+ * Returnerer [{ type, details }] uden eventId/titel, som kalderen tilføjer.
+ * - Oprettelse: createdByUid. Forslag: approvedBy, som reglerne sætter til [kalder].
+ * - Godkendelse: det uid, der forsvinder fra pendingApprovals og står i approvedBy.
+ * - Afvisning, aflysning af én gang og sletning: lastModifiedBy, som reglerne
+ *   kræver er kalderen. Sletter den sidste godkender en aflysning, er det en
+ *   godkendelse.
+ */
+export const planEventActivity = (before, after) => {
+  if (!before && !after) {
+    return [];
+  }
+
+  if (!before) {
+    return [
+      {
+        type: FAMILY_ACTIVITY_TYPES.EVENT_PROPOSED,
+        details: { actorId: after.createdByUid },
+      },
+    ];
+  }
+
+  if (!after) {
+    const pending = readIds(before.pendingApprovals);
+    const lastModifiedBy = readText(before.lastModifiedBy);
+    if (
+      before.pendingChange?.cancel === true &&
+      pending.length === 1 &&
+      pending[0] !== lastModifiedBy
+    ) {
+      return [
+        {
+          type: FAMILY_ACTIVITY_TYPES.EVENT_APPROVED,
+          details: { actorId: pending[0], result: 'cancelled' },
+        },
+      ];
+    }
+    return [
+      {
+        type: FAMILY_ACTIVITY_TYPES.EVENT_CANCELLED,
+        details: { actorId: lastModifiedBy },
+      },
+    ];
+  }
+
+  const pendingBefore = readIds(before.pendingApprovals);
+  const pendingAfter = readIds(after.pendingApprovals);
+  const approvedAfter = readIds(after.approvedBy);
+  const approvers = pendingBefore.filter(
+    (userId) => !pendingAfter.includes(userId) && approvedAfter.includes(userId)
+  );
+  if (approvers.length) {
+    return approvers.map((actorId) => ({
+      type: FAMILY_ACTIVITY_TYPES.EVENT_APPROVED,
+      details: {
+        actorId,
+        result: pendingAfter.length ? 'approved' : 'confirmed',
+      },
+    }));
+  }
+
+  if (before.pendingChange && !after.pendingChange && !pendingAfter.length) {
+    return [
+      {
+        type: FAMILY_ACTIVITY_TYPES.EVENT_REJECTED,
+        details: { actorId: after.lastModifiedBy, result: 'rejected' },
+      },
+    ];
+  }
+
+  if (
+    after.pendingChange &&
+    !isSameValue(before.pendingChange, after.pendingChange)
+  ) {
+    return [
+      {
+        type: FAMILY_ACTIVITY_TYPES.EVENT_PROPOSED,
+        details: {
+          actorId: approvedAfter[0],
+          change: true,
+          occurrence: after.pendingChange.scope === 'occurrence',
+        },
+      },
+    ];
+  }
+
+  const exdatesBefore = readIds(before.recurrence?.exdates);
+  if (
+    readIds(after.recurrence?.exdates).some(
+      (key) => !exdatesBefore.includes(key)
+    )
+  ) {
+    return [
+      {
+        type: FAMILY_ACTIVITY_TYPES.EVENT_CANCELLED,
+        details: { actorId: after.lastModifiedBy, occurrence: true },
+      },
+    ];
+  }
+
+  return [];
+};
+
+const quoteTitle = (entry) =>
+  entry.eventTitle ? `"${entry.eventTitle}"` : 'en begivenhed';
+
+/**
+ * BESKRIV INDSLAG
+ *
+ * Giver en sætning som "Mette godkendte anmodningen fra Ole". nameById slår
+ * nuværende medlemmers navne op; ellers bruges øjebliksbilledet i indslaget.
+ */
+export const describeFamilyActivity = (entry, nameById = {}) => {
+  const actor = nameById[entry?.actorId] || entry?.actorName || 'Et medlem';
+  const target =
+    nameById[entry?.targetUserId] || entry?.targetName || 'et medlem';
+  const title = quoteTitle(entry ?? {});
+
+  switch (entry?.type) {
+    case FAMILY_ACTIVITY_TYPES.JOIN_APPROVED:
+      return `${actor} godkendte anmodningen fra ${target}.`;
+    case FAMILY_ACTIVITY_TYPES.JOIN_REJECTED:
+      return `${actor} afviste anmodningen fra ${target}.`;
+    case FAMILY_ACTIVITY_TYPES.MEMBER_JOINED:
+      return entry.via === 'invite-code'
+        ? `${actor} kom med i familien med en invitationskode.`
+        : `${actor} kom med i familien via en invitation.`;
+    case FAMILY_ACTIVITY_TYPES.MEMBER_REMOVED:
+      return `${actor} fjernede ${target} fra familien.`;
+    case FAMILY_ACTIVITY_TYPES.OWNERSHIP_TRANSFERRED:
+      return `${actor} gjorde ${target} til administrator.`;
+    case FAMILY_ACTIVITY_TYPES.EVENT_PROPOSED:
+      return entry.change
+        ? `${actor} foreslog en ændring af ${title}.`
+        : `${actor} foreslog ${title}.`;
+    case FAMILY_ACTIVITY_TYPES.EVENT_APPROVED:
+      if (entry.result === 'cancelled') {
+        return `${actor} godkendte aflysningen af ${title}, som nu er aflyst.`;
+      }
+      return entry.result === 'confirmed'
+        ? `${actor} godkendte ${title}, som nu er bekræftet.`
+        : `${actor} godkendte ${title}.`;
+    case FAMILY_ACTIVITY_TYPES.EVENT_REJECTED:
+      return `${actor} afviste ændringen af ${title}.`;
+    case FAMILY_ACTIVITY_TYPES.EVENT_CANCELLED:
+      return entry.occurrence
+        ? `${actor} aflyste én gang af ${title} for hele familien.`
+        : `${actor} aflyste ${title} for hele familien.`;
+    default:
+      return `${actor} ændrede familien.`;
+  }
+};
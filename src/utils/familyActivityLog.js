@@ -0,0 +1,52 @@
+/**
+ * Læsning af familiens aktivitetslog fra appen.
+ *
+ * Laeseguide:
+ * - Indslagene skrives af Cloud Functions (se utils/familyActivity); reglerne
+ *   afviser skrivning fra appen.
+ * - subscribeToFamilyActivity giver de nyeste indslag; filtrering på medlem og
+ *   type sker i skærmen, så forespørgslen ikke kræver sammensatte indekser.
+ */
+import { db } from '../lib/firebase';
+import { FAMILY_ACTIVITY_COLLECTION } from './familyActivity';
+
+export const FAMILY_ACTIVITY_PAGE_SIZE = 200;
+
+const getActivityCollection = (familyId) =>
+  db
+    .collection('families')
+    .doc(familyId)
+    .collection(FAMILY_ACTIVITY_COLLECTION);
+
+/**
+ * LYT PÅ AKTIVITETSLOGGEN
+ *
+ * Kalder listener med [{ id, ...data, createdAt: Date|null }], nyeste først.
+ * Returnerer en afmeldingsfunktion.
+ */
+export const subscribeToFamilyActivity = (familyId, listener, onError) =>
+  getActivityCollection(familyId)
+    .orderBy('createdAt', 'desc')
+    .limit(FAMILY_ACTIVITY_PAGE_SIZE)
+    .onSnapshot(
+      (snapshot) => {
+        listener(
+          snapshot.docs.map((doc) => {
+            const data = doc.data({ serverTimestamps: 'estimate' }) ?? {};
+            return {
+              id: doc.id,
+              ...data,
+              createdAt:
+                typeof data.createdAt?.toDate === 'function'
+                  ? data.createdAt.toDate()
+                  : null,
+            };
+          })
+        );
+      },
+      (error) => {
+        // eslint-disable-next-line no-console
+        console.warn('[familyActivityLog] Kunne ikke hente loggen', error);
+        onError?.(error);
+      }
+    );
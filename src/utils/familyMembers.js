@@ -0,0 +1,29 @@
+/**
+ * FAMILIEMEDLEMMER
+ *
+ * families/{id}.memberIds er en flad liste af medlemmernes uid'er, som
+ * Firestore-reglerne bruger til adgangstjek (reglerne kan ikke gennemløbe
+ * members[]). Den skal derfor skrives sammen med members ved hver ændring.
+ */
+
+export const buildMemberIds = (members) =>
+  Array.from(
+    new Set(
+      (Array.isArray(members) ? members : [])
+        .map((member) =>
+          typeof member?.userId === 'string' ? member.userId.trim() : ''
+        )
+        .filter((id) => id.length > 0)
+    )
+  );
+
+// Reglerne svarer permission-denied på familier man ikke er medlem af.
+export const isPermissionDeniedError = (error) =>
+  error?.code === 'permission-denied' ||
+  error?.code === 'firestore/permission-denied';
+
+// Felter til en families-opdatering der ændrer members.
+export const buildMembersUpdate = (members) => ({
+  members,
+  memberIds: buildMemberIds(members),
+});
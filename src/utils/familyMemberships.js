@@ -0,0 +1,230 @@
+/**
+ * Medlemskab af flere familier.
+ *
+ * Laeseguide:
+ * - users/{uid}.familyId er den aktive familie, som skærmene viser; familyRole er
+ *   brugerens rolle i netop den familie. Rollen i hver familie ligger på
+ *   families/{id} (se constants/familyRoles).
+ * - Brugerens familier findes med families where memberIds array-contains uid.
+ * - Administratorens ændringer af et medlems users-dokument (godkend, fjern,
+ *   overdrag, slet) må kun røre den aktive familie; har medlemmet en anden familie
+ *   aktiv, skrives kun på familien selv.
+ * - Bekræftede begivenheder i de andre familier tæller som optaget tid for brugeren
+ *   (subscribeToFamiliesBusy).
+ */
+import { db, firebase } from '../lib/firebase';
+import {
+  buildEventBusyIntervals,
+  mergeBusyIntervals,
+} from './calendarAvailability';
+import { isPermissionDeniedError } from './familyMembers';
+import {
+  FAMILY_PERMISSIONS,
+  FAMILY_ROLES,
+  getFamilyMemberRole,
+  hasFamilyPermission,
+} from '../constants/familyRoles';
+
+const toMembership = (snapshot, userId) => {
+  const data = snapshot.data() ?? {};
+  return {
+    id: snapshot.id,
+    name:
+      typeof data.name === 'string' && data.name
+        ? data.name
+        : 'FamTime familie',
+    role: getFamilyMemberRole(data, userId),
+  };
+};
+
+/**
+ * LYT PÅ BRUGERENS FAMILIER
+ *
+ * Kalder listener med [{ id, name, role }] sorteret efter navn. Returnerer en
+ * afmeldingsfunktion.
+ */
+export const subscribeToFamilyMemberships = (userId, listener, onError) =>
+  db
+    .collection('families')
+    .where('memberIds', 'array-contains', userId)
+    .onSnapshot(
+      (snapshot) => {
+        const families = snapshot.docs
+          .map((doc) => toMembership(doc, userId))
+          .sort((a, b) => a.name.localeCompare(b.name, 'da'));
+        listener(families);
+      },
+      (error) => {
+        // eslint-disable-next-line no-console
+        console.warn('[familyMemberships] Kunne ikke hente familier', error);
+        onError?.(error);
+      }
+    );
+
+// Den aktive familie hentes direkte (familyId kan pege på en familie, man er fjernet fra).
+export const loadFamilyMembershipAsync = async (familyId, userId) => {
+  try {
+    const snapshot = await db.collection('families').doc(familyId).get();
+    return snapshot.exists ? toMembership(snapshot, userId) : null;
+  } catch (_error) {
+    return null;
+  }
+};
+
+export const switchActiveFamilyAsync = (userId, family) =>
+  db
+    .collection('users')
+    .doc(userId)
+    .set(
+      {
+        familyId: family.id,
+        familyRole: family.role ?? FAMILY_ROLES.ADULT,
+      },
+      { merge: true }
+    );
+
+const readMemberUserDataAsync = async (userId) => {
+  try {
+    const snapshot = await db.collection('users').doc(userId).get();
+    return snapshot.data() ?? {};
+  } catch (error) {
+    // Medlemmer med en anden familie aktiv kan ikke læses; så skal intet skrives.
+    if (isPermissionDeniedError(error)) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * GØR FAMILIEN AKTIV FOR ET NYT MEDLEM
+ *
+ * Bruges når administratoren godkender en anmodning. Har medlemmet allerede en
+ * aktiv familie, beholdes den; den nye familie vises i familievælgeren.
+ */
+export const assignFamilyIfNoneAsync = async (userId, familyId, role) => {
+  const data = await readMemberUserDataAsync(userId);
+  if (data === null || (data.familyId && data.familyId !== familyId)) {
+    return false;
+  }
+  await db.collection('users').doc(userId).set(
+    {
+      familyId,
+      familyRole: role,
+    },
+    { merge: true }
+  );
+  return true;
+};
+
+// Opdaterer rollen, hvis familien er medlemmets aktive familie.
+export const setActiveFamilyRoleAsync = async (userId, familyId, role) => {
+  const data = await readMemberUserDataAsync(userId);
+  if (!data || data.familyId !== familyId) {
+    return false;
+  }
+  await db
+    .collection('users')
+    .doc(userId)
+    .set({ familyRole: role }, { merge: true });
+  return true;
+};
+
+/**
+ * FJERN FAMILIEN FRA ET MEDLEM
+ *
+ * Nulstiller kalender-referencerne og familyId/familyRole, men kun når familien er
+ * medlemmets aktive familie. Kaldes mens reglerne stadig kan se medlemskabet.
+ */
+export const detachMemberFromFamilyAsync = async (userId, familyId) => {
+  const data = await readMemberUserDataAsync(userId);
+  if (!data || data.familyId !== familyId) {
+    return false;
+  }
+
+  // Kalenderen nulstilles før familyId fjernes, så reglerne kan se medlemmets familie.
+  await db.collection('calendar').doc(userId).set(
+    {
+      familyEventRefs: {},
+      updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
+    },
+    { merge: true }
+  );
+  await db.collection('users').doc(userId).set(
+    {
+      familyId: firebase.firestore.FieldValue.delete(),
+      familyRole: firebase.firestore.FieldValue.delete(),
+    },
+    { merge: true }
+  );
+  return true;
+};
+
+/**
+ * FAMILIENS BEGIVENHEDER
+ *
+ * Gæster må kun læse begivenheder, de er inviteret til (guestIds), og reglerne
+ * afviser en forespørgsel, der kunne returnere andre. Sorteret efter start.
+ */
+export const buildFamilyEventsQuery = (familyId, { userId, role } = {}) => {
+  const eventsRef = db
+    .collection('families')
+    .doc(familyId)
+    .collection('events');
+  const scoped = hasFamilyPermission(role, FAMILY_PERMISSIONS.VIEW_ALL_EVENTS)
+    ? eventsRef
+    : eventsRef.where('guestIds', 'array-contains', userId ?? '');
+  return scoped.orderBy('start', 'asc');
+};
+
+/**
+ * OPTAGET TID FRA ANDRE FAMILIER
+ *
+ * families er [{ id, role }]. Lytter på de bekræftede begivenheder i brugerens
+ * øvrige familier og kalder listener med dem samlet som busy-intervaller. En
+ * familie der ikke kan læses springes over. Returnerer en afmeldingsfunktion.
+ */
+export const subscribeToFamiliesBusy = (families, userId, listener) => {
+  const list = Array.isArray(families) ? families : [];
+  const busyByFamily = {};
+
+  const emit = () => {
+    listener(
+      Object.values(busyByFamily).reduce(
+        (merged, intervals) => mergeBusyIntervals(merged, intervals),
+        []
+      )
+    );
+  };
+
+  if (!list.length) {
+    listener([]);
+    return () => {};
+  }
+
+  const unsubscribers = list.map(({ id: familyId, role }) =>
+    buildFamilyEventsQuery(familyId, { userId, role }).onSnapshot(
+      (snapshot) => {
+        busyByFamily[familyId] = buildEventBusyIntervals(
+          snapshot.docs
+            .map((doc) => ({ id: doc.id, ...doc.data() }))
+            .filter((event) => event.status === 'confirmed')
+        );
+        emit();
+      },
+      (error) => {
+        // eslint-disable-next-line no-console
+        console.warn(
+          '[familyMemberships] Kunne ikke hente begivenheder',
+          error
+        );
+        busyByFamily[familyId] = [];
+        emit();
+      }
+    )
+  );
+
+  return () => {
+    unsubscribers.forEach((unsubscribe) => unsubscribe());
+  };
+};
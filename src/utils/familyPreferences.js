@@ -0,0 +1,169 @@
+/**
+ * Fælles helpers til familiepræferencer (users/{uid}.preferredFamily*).
+ *
+ * Laeseguide:
+ * - buildFamilyPreferenceEntry: læser et brugerdokument til { mode, followUserId, own }.
+ * - resolveFamilyPreferences: følger "Følg familie"-kæder og giver endelige præferencer pr. medlem.
+ * - buildAvailabilityUserPreferences: omsætter til det format findMutualAvailability forventer.
+ * - Bruges af OwnCalendarScreen, FamilyEventsScreen og familyAvailability Cloud Function.
+ */
+import {
+  FAMILY_PREFERENCE_MODES,
+  normalizeFamilyPreferenceMode,
+} from '../constants/familyPreferenceModes';
+
+const readNumber = (value) => (typeof value === 'number' ? value : null);
+
+const createEmptyPreferences = () => ({
+  days: [],
+  timeWindows: null,
+  minDurationMinutes: null,
+  maxDurationMinutes: null,
+  preferredDurationMinutes: null,
+  slotStepMinutes: null,
+  maxSuggestionDaysPerWeek: null,
+  bufferBeforeMinutes: null,
+  bufferAfterMinutes: null,
+  timeZone: null,
+});
+
+export const buildFamilyPreferenceEntry = (data = {}) => ({
+  mode: normalizeFamilyPreferenceMode(data.familyPreferenceMode),
+  followUserId:
+    typeof data?.familyPreferenceFollowUserId === 'string'
+      ? data.familyPreferenceFollowUserId.trim()
+      : '',
+  own: {
+    days: Array.isArray(data.preferredFamilyDays)
+      ? data.preferredFamilyDays
+      : [],
+    timeWindows:
+      data?.preferredFamilyTimeWindows &&
+      typeof data.preferredFamilyTimeWindows === 'object'
+        ? data.preferredFamilyTimeWindows
+        : null,
+    minDurationMinutes: readNumber(data?.preferredFamilyMinDurationMinutes),
+    maxDurationMinutes: readNumber(data?.preferredFamilyMaxDurationMinutes),
+    preferredDurationMinutes: readNumber(
+      data?.preferredFamilyPreferredDurationMinutes
+    ),
+    slotStepMinutes: readNumber(data?.preferredFamilySlotStepMinutes),
+    maxSuggestionDaysPerWeek: readNumber(
+      data?.preferredFamilyMaxSuggestionDaysPerWeek
+    ),
+    bufferBeforeMinutes: readNumber(data?.preferredFamilyBufferBeforeMinutes),
+    bufferAfterMinutes: readNumber(data?.preferredFamilyBufferAfterMinutes),
+    timeZone:
+      typeof data?.preferredFamilyTimeZone === 'string' &&
+      data.preferredFamilyTimeZone.trim().length
+        ? data.preferredFamilyTimeZone.trim()
+        : null,
+  },
+});
+
+/**
+ * RESOLVE AF PRÆFERENCER
+ *
+ * "Ingen" giver tomme præferencer, "Følg familie" kopierer målpersonens
+ * præferencer (cirkulære kæder giver tomme), ellers bruges egne værdier.
+ */
+export const resolveFamilyPreferences = (rawPreferenceMap, memberIds) => {
+  const resolvedPreferences = {};
+  const resolvePreferenceEntry = (memberId, chain = new Set()) => {
+    if (resolvedPreferences[memberId]) {
+      return resolvedPreferences[memberId];
+    }
+    const entry = rawPreferenceMap[memberId];
+    if (!entry || entry.mode === FAMILY_PREFERENCE_MODES.NONE) {
+      const empty = createEmptyPreferences();
+      resolvedPreferences[memberId] = empty;
+      return empty;
+    }
+    if (entry.mode === FAMILY_PREFERENCE_MODES.FOLLOW) {
+      const targetId = entry.followUserId;
+      if (
+        targetId &&
+        targetId !== memberId &&
+        rawPreferenceMap[targetId] &&
+        !chain.has(targetId)
+      ) {
+        chain.add(memberId);
+        const resolvedTarget = resolvePreferenceEntry(targetId, chain);
+        chain.delete(memberId);
+        const clone = {
+          ...resolvedTarget,
+          days: Array.isArray(resolvedTarget?.days)
+            ? [...resolvedTarget.days]
+            : [],
+        };
+        resolvedPreferences[memberId] = clone;
+        return clone;
+      }
+      const empty = createEmptyPreferences();
+      resolvedPreferences[memberId] = empty;
+      return empty;
+    }
+    const normalized = {
+      ...createEmptyPreferences(),
+      ...entry.own,
+      days: Array.isArray(entry.own?.days) ? entry.own.days : [],
+    };
+    resolvedPreferences[memberId] = normalized;
+    return normalized;
+  };
+
+  memberIds.forEach((memberId) => {
+    resolvePreferenceEntry(memberId);
+  });
+
+  return resolvedPreferences;
+};
+
+const NUMERIC_PREFERENCE_FIELDS = [
+  'minDurationMinutes',
+  'maxDurationMinutes',
+  'preferredDurationMinutes',
+  'slotStepMinutes',
+  'maxSuggestionDaysPerWeek',
+  'bufferBeforeMinutes',
+  'bufferAfterMinutes',
+];
+
+// Transformer rå familiepræferencer til det format availability-beregneren forventer.
+export const buildAvailabilityUserPreferences = (familyPreferences) => {
+  if (!familyPreferences || typeof familyPreferences !== 'object') {
+    return {};
+  }
+
+  const normalized = {};
+  Object.entries(familyPreferences).forEach(([userId, prefs]) => {
+    if (!prefs || typeof prefs !== 'object') {
+      return;
+    }
+
+    const entry = {};
+    if (Array.isArray(prefs.days) && prefs.days.length) {
+      entry.allowedWeekdays = prefs.days;
+    }
+    if (prefs.timeWindows) {
+      entry.timeWindows = prefs.timeWindows;
+    }
+
+    NUMERIC_PREFERENCE_FIELDS.forEach((key) => {
+      const value = prefs[key];
+      if (typeof value === 'number' && Number.isFinite(value)) {
+        entry[key] = value;
+      }
+    });
+
+    if (typeof prefs.timeZone === 'string' && prefs.timeZone.trim().length) {
+      entry.timeZone = prefs.timeZone.trim();
+    }
+
+    if (Object.keys(entry).length) {
+      normalized[userId] = entry;
+    }
+  });
+
+  return normalized;
+};
@@ -0,0 +1,215 @@
+/**
+ * Login med Google og Apple ved siden af e-mail/adgangskode.
+ *
+ * Laeseguide:
+ * - Google: FederatedSignInButtons henter et ID-token via expo-auth-session og kalder
+ *   signInWithGoogleIdTokenAsync. Klient-ID'erne ligger i Expo extra (app.config.js);
+ *   uden klient-ID til platformen vises knappen ikke.
+ * - Apple: kun på iOS. signInWithAppleAsync sender en SHA-256 nonce til Apple og den rå
+ *   nonce til Firebase, så tokenet ikke kan genbruges.
+ * - Findes e-mailen allerede med en anden login-metode, kaster Firebase
+ *   auth/account-exists-with-different-credential. Credentialet gemmes så, og når
+ *   brugeren logger ind med adgangskode, forbindes det til samme konto og samme
+ *   users/{uid} (linkPendingCredentialAsync).
+ * - Nye brugere får et users/{uid}-dokument som ved oprettelse med e-mail.
+ */
+import { Platform } from 'react-native';
+import Constants from 'expo-constants';
+import * as AppleAuthentication from 'expo-apple-authentication';
+import * as Crypto from 'expo-crypto';
+
+import { auth, db, firebase } from '../lib/firebase';
+
+export const FEDERATED_PROVIDERS = {
+  GOOGLE: 'google.com',
+  APPLE: 'apple.com',
+};
+
+// Forbindelse der venter på login med adgangskode: { email, credential, providerId }.
+let pendingLink = null;
+
+const readExtra = (key) => {
+  const extra =
+    Constants?.expoConfig?.extra ??
+    Constants?.manifest2?.extra ??
+    Constants?.manifest?.extra ??
+    {};
+  const value = extra?.[key];
+  return typeof value === 'string' ? value.trim() : '';
+};
+
+export const getGoogleClientIds = () => ({
+  iosClientId: readExtra('googleIosClientId'),
+  androidClientId: readExtra('googleAndroidClientId'),
+  webClientId: readExtra('googleWebClientId'),
+});
+
+export const isGoogleSignInConfigured = () => {
+  const { iosClientId, androidClientId, webClientId } = getGoogleClientIds();
+  if (Platform.OS === 'ios') {
+    return Boolean(iosClientId);
+  }
+  if (Platform.OS === 'android') {
+    return Boolean(androidClientId);
+  }
+  return Boolean(webClientId);
+};
+
+export const isAppleSignInAvailableAsync = async () => {
+  if (Platform.OS !== 'ios') {
+    return false;
+  }
+  try {
+    return await AppleAuthentication.isAvailableAsync();
+  } catch (_error) {
+    return false;
+  }
+};
+
+export const getPendingLink = () =>
+  pendingLink
+    ? { email: pendingLink.email, providerId: pendingLink.providerId }
+    : null;
+
+export const clearPendingLink = () => {
+  pendingLink = null;
+};
+
+const ensureUserDocumentAsync = async (user, displayName) => {
+  const userRef = db.collection('users').doc(user.uid);
+  const snapshot = await userRef.get();
+  if (snapshot.exists) {
+    return;
+  }
+
+  const payload = {
+    email: user.email ?? '',
+    createdAt: firebase.firestore.FieldValue.serverTimestamp(),
+  };
+  const name = (displayName || user.displayName || '').trim();
+  if (name) {
+    payload.name = name;
+  }
+  await userRef.set(payload);
+};
+
+/**
+ * LOG IND MED CREDENTIAL
+ *
+ * Fælles for Google og Apple. Ved eksisterende konto med anden login-metode gemmes
+ * credentialet til senere forbindelse, og fejlen kastes videre til skærmen.
+ */
+const signInWithFederatedCredentialAsync = async (
+  credential,
+  providerId,
+  { displayName = '' } = {}
+) => {
+  try {
+    const result = await auth.signInWithCredential(credential);
+    pendingLink = null;
+    await ensureUserDocumentAsync(result.user, displayName);
+    return result.user;
+  } catch (error) {
+    const email = error?.email ?? error?.customData?.email ?? '';
+    // Uden e-mail ved vi ikke, hvilken konto credentialet hører til.
+    if (
+      error?.code === 'auth/account-exists-with-different-credential' &&
+      email
+    ) {
+      pendingLink = {
+        email,
+        credential: error.credential ?? credential,
+        providerId,
+      };
+    }
+    throw error;
+  }
+};
+
+export const signInWithGoogleIdTokenAsync = (idToken) =>
+  signInWithFederatedCredentialAsync(
+    firebase.auth.GoogleAuthProvider.credential(idToken),
+    FEDERATED_PROVIDERS.GOOGLE
+  );
+
+/**
+ * LOG IND MED APPLE
+ *
+ * Returnerer null, hvis brugeren selv annullerer Apple-dialogen.
+ */
+export const signInWithAppleAsync = async () => {
+  const rawNonce = Crypto.randomUUID();
+  const hashedNonce = await Crypto.digestStringAsync(
+    Crypto.CryptoDigestAlgorithm.SHA256,
+    rawNonce
+  );
+
+  let appleCredential;
+  try {
+    appleCredential = await AppleAuthentication.signInAsync({
+      requestedScopes: [
+        AppleAuthentication.AppleAuthenticationScope.FULL_NAME,
+        AppleAuthentication.AppleAuthenticationScope.EMAIL,
+      ],
+      nonce: hashedNonce,
+    });
+  } catch (error) {
+    if (error?.code === 'ERR_REQUEST_CANCELED') {
+      return null;
+    }
+    throw error;
+  }
+
+  if (!appleCredential?.identityToken) {
+    throw Object.assign(new Error('Apple returnerede intet token.'), {
+      code: 'auth/invalid-credential',
+    });
+  }
+
+  // Apple sender kun navnet første gang brugeren logger ind.
+  const displayName = appleCredential.fullName
+    ? AppleAuthentication.formatFullName(appleCredential.fullName)
+    : '';
+  const provider = new firebase.auth.OAuthProvider(FEDERATED_PROVIDERS.APPLE);
+  return signInWithFederatedCredentialAsync(
+    provider.credential({
+      idToken: appleCredential.identityToken,
+      rawNonce,
+    }),
+    FEDERATED_PROVIDERS.APPLE,
+    { displayName }
+  );
+};
+
+/**
+ * FORBIND VENTENDE LOGIN
+ *
+ * Kaldes efter login med adgangskode. Forbinder kun, hvis det er samme e-mail som
+ * credentialet blev afvist for; uden e-mail forbindes aldrig, så credentialet ikke
+ * havner på den næste, der logger ind. Fejl her må ikke stoppe selve login.
+ */
+export const linkPendingCredentialAsync = async () => {
+  const user = auth.currentUser;
+  if (!pendingLink || !user) {
+    return false;
+  }
+
+  const { email, credential } = pendingLink;
+  const expectedEmail = (email ?? '').trim().toLowerCase();
+  if (
+    !expectedEmail ||
+    (user.email ?? '').trim().toLowerCase() !== expectedEmail
+  ) {
+    return false;
+  }
+
+  pendingLink = null;
+  try {
+    await user.linkWithCredential(credential);
+    return true;
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.warn('[federatedAuth] Kunne ikke forbinde login-metode', error);
+    return false;
+  }
+};
@@ -0,0 +1,623 @@
+/**
+ * iCalendar (.ics) for familiebegivenheder.
+ *
+ * Laeseguide:
+ * - buildFamilyCalendarIcs: laver en VCALENDAR-tekst ud fra events i samme form
+ *   som families/{id}/events (Timestamp eller Date i start/end).
+ * - Bruges både af eksporten i FamilyEvents og af Cloud Function
+ *   familyCalendarFeed, så de to giver samme resultat.
+ * - UID er event-id'et, så kalenderprogrammer opdaterer i stedet for at oprette
+ *   dubletter når et event ændres. Serier skrives med den gemte RRULE; aflyste
+ *   forekomster bliver EXDATE og flyttede forekomster egne VEVENTs med RECURRENCE-ID.
+ * - Tider skrives med TZID, så gentagelser følger sommertid. Forekomst-nøglerne
+ *   ("YYYY-MM-DD") forudsættes at være i samme tidszone.
+ * - parseIcsEvents: den modsatte vej; læser en importeret .ics til events, som
+ *   buildEventBusyIntervals kan lave busy-tid af.
+ */
+import { availabilityUtils } from '../lib/availability';
+import {
+  getOccurrenceKey,
+  normalizeRecurrence,
+  parseRRule,
+} from './recurrence';
+
+export const ICS_DEFAULT_TIME_ZONE = 'Europe/Copenhagen';
+
+const UID_DOMAIN = 'famtime';
+
+// Strenge klienter (fx Outlook) kræver VTIMEZONE for TZID; vi medsender EU-reglerne
+// for standardzonen. Andre zoner sendes kun som IANA-navn.
+const DEFAULT_VTIMEZONE = [
+  'BEGIN:VTIMEZONE',
+  `TZID:${ICS_DEFAULT_TIME_ZONE}`,
+  'BEGIN:DAYLIGHT',
+  'TZOFFSETFROM:+0100',
+  'TZOFFSETTO:+0200',
+  'TZNAME:CEST',
+  'DTSTART:19700329T020000',
+  'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU',
+  'END:DAYLIGHT',
+  'BEGIN:STANDARD',
+  'TZOFFSETFROM:+0200',
+  'TZOFFSETTO:+0100',
+  'TZNAME:CET',
+  'DTSTART:19701025T030000',
+  'RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU',
+  'END:STANDARD',
+  'END:VTIMEZONE',
+];
+
+const MAX_LINE_OCTETS = 75;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const zonedFormatters = new Map();
+
+const getZonedFormatter = (timeZone) => {
+  if (!zonedFormatters.has(timeZone)) {
+    zonedFormatters.set(
+      timeZone,
+      new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+      })
+    );
+  }
+  return zonedFormatters.get(timeZone);
+};
+
+// "YYYYMMDDTHHMMSS" i den angivne tidszone (uden Z).
+const formatLocalDateTime = (date, timeZone) => {
+  const parts = {};
+  getZonedFormatter(timeZone)
+    .formatToParts(date)
+    .forEach(({ type, value }) => {
+      parts[type] = value;
+    });
+  return `${parts.year}${parts.month}${parts.day}T${parts.hour}${parts.minute}${parts.second}`;
+};
+
+const formatUtcDateTime = (date) =>
+  `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(
+    date.getUTCDate()
+  )}T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(
+    date.getUTCSeconds()
+  )}Z`;
+
+const escapeText = (value) =>
+  String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+const utf8Length = (char) => {
+  const code = char.codePointAt(0);
+  if (code < 0x80) {
+    return 1;
+  }
+  if (code < 0x800) {
+    return 2;
+  }
+  return code < 0x10000 ? 3 : 4;
+};
+
+// RFC 5545: linjer over 75 oktetter foldes med CRLF + mellemrum.
+const foldLine = (line) => {
+  const segments = [];
+  let current = '';
+  let octets = 0;
+  Array.from(line).forEach((char) => {
+    const size = utf8Length(char);
+    const limit = segments.length ? MAX_LINE_OCTETS - 1 : MAX_LINE_OCTETS;
+    if (octets + size > limit) {
+      segments.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  });
+  segments.push(current);
+  return segments.join('\r\n ');
+};
+
+const buildDescription = (event) => {
+  const sections = [];
+  if (typeof event.description === 'string' && event.description.trim()) {
+    sections.push(event.description.trim());
+  }
+  if (event.pendingChange?.cancel) {
+    sections.push('Aflysning afventer godkendelse.');
+  } else if (event.pendingChange) {
+    sections.push('En foreslået ændring afventer godkendelse.');
+  } else if (event.status === 'pending') {
+    sections.push('Afventer godkendelse fra familien.');
+  }
+  return sections.join('\n\n');
+};
+
+const buildSummary = (title, status) => {
+  const safeTitle =
+    typeof title === 'string' && title.trim() ? title.trim() : 'FamTime';
+  return status === 'pending' ? `[Afventer] ${safeTitle}` : safeTitle;
+};
+
+const buildVEvent = ({
+  uid,
+  stamp,
+  start,
+  end,
+  summary,
+  description,
+  status,
+  timeZone,
+  extraLines = [],
+}) => [
+  'BEGIN:VEVENT',
+  `UID:${uid}`,
+  `DTSTAMP:${formatUtcDateTime(stamp)}`,
+  `DTSTART;TZID=${timeZone}:${formatLocalDateTime(start, timeZone)}`,
+  `DTEND;TZID=${timeZone}:${formatLocalDateTime(end, timeZone)}`,
+  `SUMMARY:${escapeText(summary)}`,
+  ...(description ? [`DESCRIPTION:${escapeText(description)}`] : []),
+  `STATUS:${status === 'pending' ? 'TENTATIVE' : 'CONFIRMED'}`,
+  ...extraLines,
+  'END:VEVENT',
+];
+
+const buildEventLines = (event, { timeZone, now }) => {
+  const start = availabilityUtils.toDate(event?.start);
+  const end = availabilityUtils.toDate(event?.end);
+  if (!event?.id || !start || !end || end <= start) {
+    return [];
+  }
+
+  const uid = `${event.id}@${UID_DOMAIN}`;
+  const stamp = availabilityUtils.toDate(event.updatedAt) ?? now;
+  const status = event.status === 'pending' ? 'pending' : 'confirmed';
+  const summary = buildSummary(event.title, status);
+  const description = buildDescription(event);
+  const recurrence = normalizeRecurrence(event.recurrence);
+
+  if (!recurrence) {
+    return buildVEvent({
+      uid,
+      stamp,
+      start,
+      end,
+      summary,
+      description,
+      status,
+      timeZone,
+    });
+  }
+
+  // Forekomst-nøgle + seriens klokkeslæt = forekomstens oprindelige start.
+  const seriesClock = formatLocalDateTime(start, timeZone).slice(8);
+  const occurrenceId = (key) => `${key.replace(/-/g, '')}${seriesClock}`;
+  const exdates = Array.from(recurrence.exdates).map(occurrenceId);
+
+  const lines = buildVEvent({
+    uid,
+    stamp,
+    start,
+    end,
+    summary,
+    description,
+    status,
+    timeZone,
+    extraLines: [
+      `RRULE:${recurrence.rrule.trim().replace(/^RRULE:/i, '')}`,
+      ...(exdates.length
+        ? [`EXDATE;TZID=${timeZone}:${exdates.join(',')}`]
+        : []),
+    ],
+  });
+
+  const durationMs = end.getTime() - start.getTime();
+  Object.entries(recurrence.overrides).forEach(([key, override]) => {
+    if (recurrence.exdates.has(key)) {
+      return;
+    }
+    const originalStart = /^\d{4}-\d{2}-\d{2}$/.test(key)
+      ? occurrenceId(key)
+      : null;
+    if (!originalStart || !override.start) {
+      return;
+    }
+    lines.push(
+      ...buildVEvent({
+        uid,
+        stamp,
+        start: override.start,
+        end: override.end ?? new Date(override.start.getTime() + durationMs),
+        summary: buildSummary(override.title ?? event.title, status),
+        description: override.description ?? description,
+        status,
+        timeZone,
+        extraLines: [`RECURRENCE-ID;TZID=${timeZone}:${originalStart}`],
+      })
+    );
+  });
+
+  return lines;
+};
+
+/**
+ * BYG ICS
+ *
+ * options.calendarName: vises som kalendernavn hos abonnenter.
+ * options.timeZone: IANA-tidszone (standard Europe/Copenhagen).
+ * options.refreshInterval: fx 'PT1H' for feeds, så klienter henter igen.
+ */
+export const buildFamilyCalendarIcs = (events, options = {}) => {
+  const timeZone = options.timeZone || ICS_DEFAULT_TIME_ZONE;
+  const now = availabilityUtils.toDate(options.now) ?? new Date();
+  const calendarName = options.calendarName || 'FamTime';
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//FamTime//Familiebegivenheder//DA',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(calendarName)}`,
+    `X-WR-TIMEZONE:${timeZone}`,
+    ...(options.refreshInterval
+      ? [
+          `REFRESH-INTERVAL;VALUE=DURATION:${options.refreshInterval}`,
+          `X-PUBLISHED-TTL:${options.refreshInterval}`,
+        ]
+      : []),
+    ...(timeZone === ICS_DEFAULT_TIME_ZONE ? DEFAULT_VTIMEZONE : []),
+    ...(Array.isArray(events) ? events : []).flatMap((event) =>
+      buildEventLines(event, { timeZone, now })
+    ),
+    'END:VCALENDAR',
+  ];
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Linjer foldet med CRLF + mellemrum/tab samles igen.
+const unfoldLines = (text) =>
+  String(text ?? '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/\n[ \t]/g, '')
+    .split('\n')
+    .filter((line) => line.length);
+
+const splitOutsideQuotes = (value, separator) => {
+  const parts = [];
+  let current = '';
+  let quoted = false;
+  Array.from(value).forEach((char) => {
+    if (char === '"') {
+      quoted = !quoted;
+    }
+    if (char === separator && !quoted) {
+      parts.push(current);
+      current = '';
+      return;
+    }
+    current += char;
+  });
+  parts.push(current);
+  return parts;
+};
+
+// "DTSTART;TZID=Europe/Copenhagen:20250101T100000" -> { name, params, value }
+const parseContentLine = (line) => {
+  const [head, ...rest] = splitOutsideQuotes(line, ':');
+  const [name, ...rawParams] = splitOutsideQuotes(head, ';');
+  const params = {};
+  rawParams.forEach((param) => {
+    const [key, ...valueParts] = param.split('=');
+    params[key.trim().toUpperCase()] = valueParts
+      .join('=')
+      .trim()
+      .replace(/^"|"$/g, '');
+  });
+  return { name: name.trim().toUpperCase(), params, value: rest.join(':') };
+};
+
+const unescapeText = (value) =>
+  String(value ?? '').replace(/\\([\\;,nN])/g, (_, char) =>
+    char === 'n' || char === 'N' ? '\n' : char
+  );
+
+const getTimeZoneOffsetMs = (date, timeZone) => {
+  const parts = {};
+  getZonedFormatter(timeZone)
+    .formatToParts(date)
+    .forEach(({ type, value }) => {
+      parts[type] = Number(value);
+    });
+  const asUtc = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour % 24,
+    parts.minute,
+    parts.second
+  );
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// Vægurstid i en IANA-zone -> Date. To gennemløb rammer rigtigt omkring sommertidsskift.
+const zonedTimeToDate = (parts, timeZone) => {
+  const guess = Date.UTC(...parts);
+  const first = guess - getTimeZoneOffsetMs(new Date(guess), timeZone);
+  return new Date(guess - getTimeZoneOffsetMs(new Date(first), timeZone));
+};
+
+const parseIcsDate = (value, params = {}) => {
+  const match = String(value ?? '')
+    .trim()
+    .match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month, day, hours, minutes, seconds, utc] = match;
+  if (hours === undefined || params.VALUE === 'DATE') {
+    return {
+      date: new Date(Number(year), Number(month) - 1, Number(day)),
+      allDay: true,
+    };
+  }
+
+  const parts = [
+    Number(year),
+    Number(month) - 1,
+    Number(day),
+    Number(hours),
+    Number(minutes),
+    Number(seconds),
+  ];
+  let date = null;
+  if (utc) {
+    date = new Date(Date.UTC(...parts));
+  } else if (params.TZID) {
+    try {
+      date = zonedTimeToDate(parts, params.TZID);
+    } catch (_timeZoneError) {
+      // Ukendt zone (fx Windows-navne fra Outlook): læs som lokal tid.
+      date = null;
+    }
+  }
+  date = date ?? new Date(...parts);
+  return Number.isNaN(date.getTime()) ? null : { date, allDay: false };
+};
+
+const parseIcsDuration = (value) => {
+  const match = String(value ?? '')
+    .trim()
+    .match(
+      /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/
+    );
+  if (!match) {
+    return null;
+  }
+  const [, sign, weeks, days, hours, minutes, seconds] = match;
+  const totalMs =
+    (Number(weeks ?? 0) * 7 + Number(days ?? 0)) * DAY_MS +
+    Number(hours ?? 0) * 3600000 +
+    Number(minutes ?? 0) * 60000 +
+    Number(seconds ?? 0) * 1000;
+  return sign === '-' ? -totalMs : totalMs;
+};
+
+const UNSUPPORTED_RRULE_PARTS = [
+  'BYMONTH',
+  'BYMONTHDAY',
+  'BYSETPOS',
+  'BYYEARDAY',
+  'BYWEEKNO',
+  'BYHOUR',
+  'BYMINUTE',
+  'BYSECOND',
+];
+
+/**
+ * Tilpasser en importeret RRULE til det recurrence.js kan udfolde.
+ * YEARLY bliver MONTHLY med INTERVAL*12, og DAILY med BYDAY bliver WEEKLY.
+ * Returnerer null for regler vi ikke kan gengive præcist (så bruges kun første forekomst).
+ */
+const normalizeImportedRRule = (rrule) => {
+  const parts = {};
+  String(rrule ?? '')
+    .replace(/^RRULE:/i, '')
+    .split(';')
+    .forEach((segment) => {
+      const [key, value] = segment.split('=');
+      if (key && value !== undefined) {
+        parts[key.trim().toUpperCase()] = value.trim().toUpperCase();
+      }
+    });
+
+  if (UNSUPPORTED_RRULE_PARTS.some((key) => key in parts)) {
+    return null;
+  }
+
+  const interval = Number.parseInt(parts.INTERVAL ?? '1', 10) || 1;
+  if (parts.FREQ === 'YEARLY' && !parts.BYDAY) {
+    parts.FREQ = 'MONTHLY';
+    parts.INTERVAL = String(interval * 12);
+  } else if (parts.FREQ === 'DAILY' && parts.BYDAY && interval === 1) {
+    parts.FREQ = 'WEEKLY';
+  } else if (parts.FREQ === 'MONTHLY' && parts.BYDAY) {
+    return null;
+  }
+
+  const normalized = ['FREQ', 'INTERVAL', 'BYDAY', 'COUNT', 'UNTIL']
+    .filter((key) => parts[key])
+    .map((key) => `${key}=${parts[key]}`)
+    .join(';');
+  return parseRRule(normalized) ? normalized : null;
+};
+
+const collectVEvents = (lines) => {
+  const components = [];
+  let current = null;
+  let nestedDepth = 0;
+
+  lines.forEach((line) => {
+    const { name, params, value } = parseContentLine(line);
+    const upperValue = value.trim().toUpperCase();
+    if (name === 'BEGIN' && upperValue === 'VEVENT') {
+      current = [];
+      nestedDepth = 0;
+      return;
+    }
+    if (!current) {
+      return;
+    }
+    if (name === 'END' && upperValue === 'VEVENT') {
+      components.push(current);
+      current = null;
+      return;
+    }
+    // Underkomponenter som VALARM springes over.
+    if (name === 'BEGIN') {
+      nestedDepth += 1;
+      return;
+    }
+    if (name === 'END') {
+      nestedDepth = Math.max(0, nestedDepth - 1);
+      return;
+    }
+    if (nestedDepth === 0) {
+      current.push({ name, params, value });
+    }
+  });
+
+  return components;
+};
+
+const readVEvent = (properties) => {
+  const get = (name) => properties.find((property) => property.name === name);
+  const uid = get('UID')?.value.trim() ?? '';
+  const dtstart = get('DTSTART');
+  const start = dtstart ? parseIcsDate(dtstart.value, dtstart.params) : null;
+  if (!start) {
+    return null;
+  }
+
+  const dtend = get('DTEND');
+  const parsedEnd = dtend ? parseIcsDate(dtend.value, dtend.params) : null;
+  const durationMs = parseIcsDuration(get('DURATION')?.value);
+  let end = parsedEnd?.date ?? null;
+  if (!end && durationMs !== null) {
+    end = new Date(start.date.getTime() + durationMs);
+  }
+  if (!end && start.allDay) {
+    end = new Date(start.date);
+    end.setDate(end.getDate() + 1);
+  }
+
+  const recurrenceIdProperty = get('RECURRENCE-ID');
+  const exdates = properties
+    .filter((property) => property.name === 'EXDATE')
+    .flatMap((property) =>
+      property.value
+        .split(',')
+        .map((value) => parseIcsDate(value, property.params))
+    )
+    .filter(Boolean)
+    .map(({ date }) => getOccurrenceKey(date));
+
+  return {
+    uid,
+    title: unescapeText(get('SUMMARY')?.value ?? ''),
+    description: unescapeText(get('DESCRIPTION')?.value ?? ''),
+    start: start.date,
+    end,
+    allDay: start.allDay,
+    cancelled: get('STATUS')?.value.trim().toUpperCase() === 'CANCELLED',
+    tentative: get('STATUS')?.value.trim().toUpperCase() === 'TENTATIVE',
+    transparency:
+      get('TRANSP')?.value.trim().toUpperCase() === 'TRANSPARENT'
+        ? 'transparent'
+        : 'opaque',
+    rrule: get('RRULE') ? normalizeImportedRRule(get('RRULE').value) : null,
+    exdates,
+    recurrenceId: recurrenceIdProperty
+      ? parseIcsDate(recurrenceIdProperty.value, recurrenceIdProperty.params)
+      : null,
+  };
+};
+
+/**
+ * LÆS ICS
+ *
+ * Returnerer events i samme form som familiebegivenheder:
+ * { id, title, description, start, end, allDay, transparency, status, recurrence }.
+ * Aflyste forekomster bliver exdates, og flyttede forekomster (RECURRENCE-ID)
+ * bliver overrides på seriens event.
+ */
+export const parseIcsEvents = (text) => {
+  const vevents = collectVEvents(unfoldLines(text))
+    .map(readVEvent)
+    .filter((vevent) => vevent && vevent.end && vevent.end > vevent.start);
+
+  const toEvent = (vevent, id) => ({
+    id,
+    title: vevent.title,
+    description: vevent.description,
+    start: vevent.start,
+    end: vevent.end,
+    allDay: vevent.allDay,
+    transparency: vevent.transparency,
+    status: vevent.tentative ? 'tentative' : 'confirmed',
+    recurrence: vevent.rrule
+      ? { rrule: vevent.rrule, exdates: vevent.exdates, overrides: {} }
+      : null,
+  });
+
+  const events = [];
+  const seriesByUid = new Map();
+  vevents
+    .filter((vevent) => !vevent.recurrenceId && !vevent.cancelled)
+    .forEach((vevent, index) => {
+      const event = toEvent(vevent, vevent.uid || `ics-${index}`);
+      if (vevent.uid && event.recurrence) {
+        seriesByUid.set(vevent.uid, event);
+      }
+      events.push(event);
+    });
+
+  vevents
+    .filter((vevent) => vevent.recurrenceId)
+    .forEach((vevent) => {
+      const occurrenceKey = getOccurrenceKey(vevent.recurrenceId.date);
+      const series = seriesByUid.get(vevent.uid);
+      if (!series) {
+        if (!vevent.cancelled) {
+          events.push(toEvent(vevent, `${vevent.uid}::${occurrenceKey}`));
+        }
+        return;
+      }
+      if (vevent.cancelled) {
+        series.recurrence.exdates.push(occurrenceKey);
+        return;
+      }
+      series.recurrence.overrides[occurrenceKey] = {
+        title: vevent.title,
+        description: vevent.description,
+        start: vevent.start,
+        end: vevent.end,
+      };
+    });
+
+  return events;
+};
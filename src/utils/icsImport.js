@@ -0,0 +1,160 @@
+/**
+ * Import af .ics som busy-tid for medlemmer uden enhedskalender.
+ *
+ * Laeseguide:
+ * - importIcsBusyAsync: henter en .ics (URL) eller bruger indsat tekst, udfolder
+ *   events med buildEventBusyIntervals og gemmer resultatet på
+ *   calendar/{uid}.importedBusy. extractSharedBusyFromCalendarDoc læser feltet, så
+ *   både appen og familyAvailability regner med det. Brugerens busyEventPolicy
+ *   (ledige/foreløbige/heldagsaftaler) anvendes ved importen.
+ * - Kilden (URL, antal events, tidspunkt) gemmes i calendar/{uid}/private/icsImport,
+ *   som kun ejeren kan læse: en delt .ics-URL giver adgang til hele kalenderen,
+ *   mens calendar/{uid} læses af familien.
+ * - refreshIcsImportIfStaleAsync: henter en importeret URL igen, når den er over et døgn
+ *   gammel, så gentagne aftaler rækker fremad.
+ * - clearIcsImportAsync: fjerner den importerede busy-tid igen.
+ */
+import { db, firebase } from '../lib/firebase';
+import { DEFAULT_RECURRENCE_EXPANSION_DAYS } from './recurrence';
+import {
+  buildEventBusyIntervals,
+  mergeBusyIntervals,
+} from './calendarAvailability';
+import { parseIcsEvents } from './icalendar';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Holder calendar-dokumentet langt under Firestores grænse på 1 MB.
+const MAX_IMPORTED_INTERVALS = 1500;
+const IMPORT_REFRESH_MS = DAY_MS;
+
+const getCalendarRef = (userId) => db.collection('calendar').doc(userId);
+
+const getImportSourceRef = (userId) =>
+  getCalendarRef(userId).collection('private').doc('icsImport');
+
+export const isIcsUrl = (value) =>
+  /^(https?|webcal):\/\//i.test(String(value ?? '').trim());
+
+const fetchIcsText = async (url) => {
+  const response = await fetch(url.trim().replace(/^webcal:\/\//i, 'https://'));
+  if (!response.ok) {
+    throw new Error(`ICS-svar ${response.status}`);
+  }
+  return response.text();
+};
+
+const buildImportedBusy = (text, policy) => {
+  const events = parseIcsEvents(text);
+  const rangeStart = new Date(Date.now() - DAY_MS);
+  const rangeEnd = new Date(
+    Date.now() + DEFAULT_RECURRENCE_EXPANSION_DAYS * DAY_MS
+  );
+  const intervals = mergeBusyIntervals(
+    buildEventBusyIntervals(events, { rangeStart, rangeEnd, policy })
+  )
+    .filter(
+      (interval) => interval.end > rangeStart && interval.start < rangeEnd
+    )
+    .slice(0, MAX_IMPORTED_INTERVALS);
+
+  return { eventCount: events.length, intervals };
+};
+
+/**
+ * IMPORTÉR ICS
+ *
+ * source: en http(s)/webcal-URL eller selve .ics-teksten.
+ * Returnerer { eventCount, intervalCount }. Kaster hvis filen ikke indeholder events.
+ */
+export const importIcsBusyAsync = async (userId, source) => {
+  if (!userId) {
+    throw new Error('Ingen bruger logget ind.');
+  }
+
+  const fromUrl = isIcsUrl(source);
+  const text = fromUrl ? await fetchIcsText(source) : String(source ?? '');
+  const calendarDoc = await getCalendarRef(userId).get();
+  const { eventCount, intervals } = buildImportedBusy(
+    text,
+    calendarDoc.data()?.busyEventPolicy
+  );
+  if (!eventCount) {
+    throw new Error('Ingen VEVENT i filen.');
+  }
+
+  await getImportSourceRef(userId).set({
+    sourceUrl: fromUrl ? source.trim() : null,
+    eventCount,
+    importedAt: firebase.firestore.FieldValue.serverTimestamp(),
+  });
+
+  // icsImport lå tidligere på calendar/{uid} og fjernes, så URL'en ikke deles.
+  await getCalendarRef(userId).set(
+    {
+      importedBusy: intervals.map((interval) => ({
+        start: firebase.firestore.Timestamp.fromDate(interval.start),
+        end: firebase.firestore.Timestamp.fromDate(interval.end),
+      })),
+      icsImport: firebase.firestore.FieldValue.delete(),
+      updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
+    },
+    { merge: true }
+  );
+
+  return { eventCount, intervalCount: intervals.length };
+};
+
+// Kaldes ved login; kun URL-importer kan hentes igen.
+export const refreshIcsImportIfStaleAsync = async (userId) => {
+  if (!userId) {
+    return false;
+  }
+
+  try {
+    const [sourceSnapshot, calendarSnapshot] = await Promise.all([
+      getImportSourceRef(userId).get(),
+      getCalendarRef(userId).get(),
+    ]);
+    // Importer fra før private/icsImport fandtes, flyttes ved næste import.
+    const source = sourceSnapshot.exists
+      ? sourceSnapshot.data()
+      : calendarSnapshot.data()?.icsImport;
+    const sourceUrl = source?.sourceUrl;
+    const importedAt = source?.importedAt?.toDate?.();
+    if (
+      !isIcsUrl(sourceUrl) ||
+      (importedAt && Date.now() - importedAt.getTime() < IMPORT_REFRESH_MS)
+    ) {
+      return false;
+    }
+    await importIcsBusyAsync(userId, sourceUrl);
+    return true;
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.warn('[icsImport] Kunne ikke opdatere importeret kalender', error);
+    return false;
+  }
+};
+
+// Sletter kun den private kilde; bruges også, når profilen slettes.
+export const deleteIcsImportSourceAsync = async (userId) => {
+  if (!userId) {
+    return;
+  }
+  await getImportSourceRef(userId).delete();
+};
+
+export const clearIcsImportAsync = async (userId) => {
+  if (!userId) {
+    return;
+  }
+  await deleteIcsImportSourceAsync(userId);
+  await getCalendarRef(userId).set(
+    {
+      importedBusy: firebase.firestore.FieldValue.delete(),
+      icsImport: firebase.firestore.FieldValue.delete(),
+      updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
+    },
+    { merge: true }
+  );
+};
@@ -0,0 +1,117 @@
+/**
+ * Invitationskoder til at tilslutte en familie.
+ *
+ * Laeseguide:
+ * - En kode ligger i familyInviteCodes/{code} og skrives kun af Cloud Function
+ *   `familyInvite` (opret, tilbagekald, forny og indløs).
+ * - Koden er 8 tegn uden forvekslelige tegn (0/O, 1/I/L) og vises som "ABCD-EFGH".
+ *   normalizeInviteCode tåler små bogstaver, mellemrum og bindestreger.
+ * - maxUses null betyder ubegrænset; autoApprove tilføjer medlemmet med det samme
+ *   i stedet for at oprette en anmodning.
+ * - En brug tælles først, når indløseren bliver medlem: ved autoApprove straks,
+ *   ellers når administratoren godkender anmodningen (planInviteCodeUses). En afvist
+ *   anmodning bruger ikke koden op.
+ * - Filen er ren (ingen Firebase) og deles med familyInvite Cloud Function.
+ */
+export const INVITE_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+export const INVITE_CODE_LENGTH = 8;
+
+export const INVITE_CODE_STATUS = {
+  ACTIVE: 'active',
+  EXPIRED: 'expired',
+  REVOKED: 'revoked',
+  USED_UP: 'used-up',
+};
+
+// Returnerer koden uden skilletegn, eller '' hvis værdien ikke er en invitationskode.
+export const normalizeInviteCode = (value) => {
+  if (typeof value !== 'string') {
+    return '';
+  }
+  const compact = value.toUpperCase().replace(/[\s-]/g, '');
+  if (compact.length !== INVITE_CODE_LENGTH) {
+    return '';
+  }
+  return [...compact].every((char) => INVITE_CODE_ALPHABET.includes(char))
+    ? compact
+    : '';
+};
+
+export const formatInviteCode = (code) => {
+  const normalized = normalizeInviteCode(code);
+  return normalized
+    ? `${normalized.slice(0, 4)}-${normalized.slice(4)}`
+    : String(code ?? '');
+};
+
+// Firestore Timestamp, Date eller millisekunder -> millisekunder (null ved ukendt).
+const toMillis = (value) => {
+  if (!value) {
+    return null;
+  }
+  if (typeof value.toMillis === 'function') {
+    return value.toMillis();
+  }
+  if (value instanceof Date) {
+    return value.getTime();
+  }
+  return Number.isFinite(value) ? value : null;
+};
+
+export const getInviteCodeExpiresAt = (data) => {
+  const millis = toMillis(data?.expiresAt);
+  return millis === null ? null : new Date(millis);
+};
+
+/**
+ * STATUS FOR INVITATIONSKODE
+ *
+ * Samme vurdering i appen (listen over koder) og i funktionen (indløsning):
+ * tilbagekaldt vejer tungest, derefter udløbet og til sidst brugt op.
+ */
+export const getInviteCodeStatus = (data, now = Date.now()) => {
+  if (!data || data.revokedAt) {
+    return INVITE_CODE_STATUS.REVOKED;
+  }
+  const expiresAt = toMillis(data.expiresAt);
+  if (expiresAt !== null && expiresAt <= now) {
+    return INVITE_CODE_STATUS.EXPIRED;
+  }
+  const maxUses = Number.isFinite(data.maxUses) ? data.maxUses : null;
+  const uses = Number.isFinite(data.uses) ? data.uses : 0;
+  if (maxUses !== null && uses >= maxUses) {
+    return INVITE_CODE_STATUS.USED_UP;
+  }
+  return INVITE_CODE_STATUS.ACTIVE;
+};
+
+const readIds = (list) =>
+  (Array.isArray(list) ? list : []).filter(
+    (id) => typeof id === 'string' && id.length > 0
+  );
+
+/**
+ * BRUG AF KODER VED GODKENDTE ANMODNINGER
+ *
+ * before/after er families/{id} før og efter. Returnerer { [kode]: [uid, ...] } for
+ * anmodninger med inviteCode, der er forsvundet fordi indløseren er blevet medlem.
+ */
+export const planInviteCodeUses = (before, after) => {
+  const membersBefore = readIds(before?.memberIds);
+  const membersAfter = readIds(after?.memberIds);
+  const uses = {};
+  (Array.isArray(before?.joinRequests) ? before.joinRequests : []).forEach(
+    (request) => {
+      const code = normalizeInviteCode(request?.inviteCode);
+      const userId = request?.userId;
+      if (
+        code &&
+        membersAfter.includes(userId) &&
+        !membersBefore.includes(userId)
+      ) {
+        uses[code] = [...(uses[code] ?? []), userId];
+      }
+    }
+  );
+  return uses;
+};
@@ -0,0 +1,79 @@
+/**
+ * Manuelle optaget-tider for medlemmer uden synkroniseret kalender.
+ *
+ * Laeseguide:
+ * - Blokke gemmes på calendar/{uid}.manualBusyBlocks i samme form som
+ *   familiebegivenheder ({ id, title, start, end, recurrence }), så
+ *   extractSharedBusyFromCalendarDoc kan udfolde dem med buildEventBusyIntervals.
+ * - Ugentlige blokke får en RRULE uden BYDAY og gentages derfor på startdagens ugedag.
+ * - normalizeManualBusyBlocks: rå Firestore-data -> { id, title, start, end, weekly }.
+ * - saveManualBusyBlocksAsync: skriver hele listen (få blokke pr. bruger).
+ * - owner er { userId } for brugerens egne tider eller { familyId, childId } for et
+ *   barn uden login; barnets blokke ligger på families/{id}/children/{childId}.
+ */
+import { db, firebase } from '../lib/firebase';
+import { availabilityUtils } from '../lib/availability';
+import {
+  RECURRENCE_FREQUENCIES,
+  buildRRule,
+  isRecurringEvent,
+} from './recurrence';
+
+export const createManualBusyBlockId = () =>
+  `busy-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+export const normalizeManualBusyBlocks = (raw) =>
+  (Array.isArray(raw) ? raw : [])
+    .map((block) => {
+      const start = availabilityUtils.toDate(block?.start);
+      const end = availabilityUtils.toDate(block?.end);
+      if (!start || !end || end <= start) {
+        return null;
+      }
+      return {
+        id:
+          typeof block.id === 'string' && block.id
+            ? block.id
+            : createManualBusyBlockId(),
+        title: typeof block.title === 'string' ? block.title : '',
+        start,
+        end,
+        weekly: isRecurringEvent(block),
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.start.getTime() - b.start.getTime());
+
+const toStoredBlock = ({ id, title, start, end, weekly }) => ({
+  id,
+  title: title.trim(),
+  start: firebase.firestore.Timestamp.fromDate(start),
+  end: firebase.firestore.Timestamp.fromDate(end),
+  recurrence: weekly
+    ? { rrule: buildRRule({ freq: RECURRENCE_FREQUENCIES.WEEKLY }) }
+    : null,
+});
+
+export const getManualBusyDocRef = ({ userId, familyId, childId } = {}) => {
+  if (childId) {
+    return db
+      .collection('families')
+      .doc(familyId)
+      .collection('children')
+      .doc(childId);
+  }
+  if (!userId) {
+    throw new Error('Ingen bruger logget ind.');
+  }
+  return db.collection('calendar').doc(userId);
+};
+
+export const saveManualBusyBlocksAsync = async (owner, blocks) => {
+  await getManualBusyDocRef(owner).set(
+    {
+      manualBusyBlocks: blocks.map(toStoredBlock),
+      updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
+    },
+    { merge: true }
+  );
+};
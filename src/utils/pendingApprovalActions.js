@@ -1,117 +1,80 @@
 /**
- * Hjælpefunktioner til at håndtere lokale notifikations-actions for pending familieevents.
- * Bruges når brugeren trykker "Godkend/Afvis" direkte fra notifikationen.
+ * Hjælpefunktioner til at godkende/afvise pending familieevents.
+ * Bruges når brugeren trykker "Godkend/Afvis" direkte fra notifikationen og af
+ * kalenderskærmene, så alle går gennem samme transaktion (se eventApproval.js).
  */
 import * as Notifications from 'expo-notifications';
 
 import { auth, db, firebase } from '../lib/firebase';
+import { getFunctionUrl, postToFunction } from '../lib/cloudFunctions';
 import {
   PENDING_APPROVAL_APPROVE_ACTION,
   PENDING_APPROVAL_REJECT_ACTION,
 } from '../constants/notifications';
+import {
+  EVENT_APPROVAL_ACTIONS,
+  EVENT_APPROVAL_RESULTS,
+  buildOccurrenceRecurrencePayload as buildSharedOccurrencePayload,
+  runEventApprovalTransaction,
+} from './eventApproval';
 
 const getEventDocRef = (familyId, eventId) =>
   db.collection('families').doc(familyId).collection('events').doc(eventId);
 
-const toFirestoreTimestamp = (value) => {
-  if (!value) {
-    return null;
-  }
-  if (value instanceof firebase.firestore.Timestamp) {
-    return value;
-  }
-  if (value instanceof Date) {
-    return firebase.firestore.Timestamp.fromDate(value);
-  }
-  return null;
+// Compat-klientens feltværdier til de delte godkendelsesfunktioner.
+const clientFields = {
+  serverTimestamp: () => firebase.firestore.FieldValue.serverTimestamp(),
+  deleteField: () => firebase.firestore.FieldValue.delete(),
+  arrayUnion: (...values) =>
+    firebase.firestore.FieldValue.arrayUnion(...values),
+  timestampFromDate: (date) => firebase.firestore.Timestamp.fromDate(date),
 };
 
-// Markerer et event som godkendt fra en notifikation (og opdaterer/aflyser ved behov).
-const approvePendingEvent = async ({ familyId, eventId, userId }) => {
-  const docRef = getEventDocRef(familyId, eventId);
-  const snapshot = await docRef.get();
-  if (!snapshot.exists) {
-    return false;
-  }
-
-  const event = snapshot.data() ?? {};
-  const pendingList = Array.isArray(event.pendingApprovals)
-    ? event.pendingApprovals
-    : [];
-
-  if (!pendingList.includes(userId)) {
-    return false;
-  }
-
-  const remaining = pendingList.filter((id) => id !== userId);
-  const approvedBy = Array.isArray(event.approvedBy)
-    ? Array.from(new Set([...event.approvedBy, userId]))
-    : [userId];
-
-  if (remaining.length === 0 && event.pendingChange?.cancel) {
-    await docRef.delete();
-    return true;
-  }
-
-  const updatePayload = {
-    pendingApprovals: remaining,
-    approvedBy,
-    updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
-  };
+// Skriver en godkendt ændring af én forekomst ind i seriens exdates/overrides.
+export const buildOccurrenceRecurrencePayload = (change) =>
+  buildSharedOccurrencePayload(change, clientFields);
 
-  if (remaining.length === 0) {
-    updatePayload.status = 'confirmed';
-    updatePayload.approvedAt = firebase.firestore.FieldValue.serverTimestamp();
-
-    if (event.pendingChange) {
-      const nextStart = toFirestoreTimestamp(event.pendingChange.start);
-      const nextEnd = toFirestoreTimestamp(event.pendingChange.end);
-      if (nextStart) {
-        updatePayload.start = nextStart;
-      }
-      if (nextEnd) {
-        updatePayload.end = nextEnd;
-      }
-      if (typeof event.pendingChange.title === 'string') {
-        updatePayload.title = event.pendingChange.title;
-      }
-      if (typeof event.pendingChange.description === 'string') {
-        updatePayload.description = event.pendingChange.description;
-      }
-
-      updatePayload.pendingChange = firebase.firestore.FieldValue.delete();
-    }
-  }
-
-  await docRef.set(updatePayload, { merge: true });
-  return true;
-};
-
-// Afviser en ventende ændring/aflysning fra en notifikation.
-const rejectPendingChange = async ({ familyId, eventId }) => {
-  const docRef = getEventDocRef(familyId, eventId);
-  const snapshot = await docRef.get();
-  if (!snapshot.exists) {
-    return false;
-  }
-  const event = snapshot.data() ?? {};
-  if (!event.pendingChange) {
-    return false;
+/**
+ * KØR GODKEND/AFVIS
+ *
+ * Bruger Cloud Function eventApproval når den er sat op (eventApprovalFunctionUrl),
+ * ellers samme transaktion direkte fra appen. Returnerer et EVENT_APPROVAL_RESULTS-felt.
+ */
+const runPendingEventAction = async ({ familyId, eventId, userId, action }) => {
+  const url = getFunctionUrl('eventApprovalFunctionUrl');
+  if (url) {
+    const data = await postToFunction(url, { familyId, eventId, action });
+    return typeof data?.result === 'string'
+      ? data.result
+      : EVENT_APPROVAL_RESULTS.NOOP;
   }
 
-  await docRef.set(
-    {
-      pendingApprovals: [],
-      approvedBy: [],
-      pendingChange: firebase.firestore.FieldValue.delete(),
-      status: 'confirmed',
-      updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
-    },
-    { merge: true }
+  return runEventApprovalTransaction(
+    db,
+    getEventDocRef(familyId, eventId),
+    { action, userId },
+    clientFields
   );
-  return true;
 };
 
+// Markerer et event som godkendt (og opdaterer/aflyser når alle har godkendt).
+export const approvePendingEvent = ({ familyId, eventId, userId }) =>
+  runPendingEventAction({
+    familyId,
+    eventId,
+    userId,
+    action: EVENT_APPROVAL_ACTIONS.APPROVE,
+  });
+
+// Afviser en ventende ændring/aflysning.
+export const rejectPendingChange = ({ familyId, eventId, userId }) =>
+  runPendingEventAction({
+    familyId,
+    eventId,
+    userId,
+    action: EVENT_APPROVAL_ACTIONS.REJECT,
+  });
+
 // Entry-point fra Expo notifications: ruter godkend/afvis actions til Firestore.
 export const handlePendingApprovalNotificationResponse = async (response) => {
   try {
@@ -141,7 +104,7 @@ export const handlePendingApprovalNotificationResponse = async (response) => {
     }
 
     if (actionId === PENDING_APPROVAL_REJECT_ACTION) {
-      await rejectPendingChange({ familyId, eventId });
+      await rejectPendingChange({ familyId, eventId, userId: currentUserId });
     }
   } catch (error) {
     console.warn('Kunne ikke håndtere notifikationshandling', error);
@@ -0,0 +1,143 @@
+/**
+ * Invitation der venter på oprettelse og e-mailbekræftelse.
+ *
+ * Laeseguide:
+ * - Et invitationslink (famtime://invite/{token}) gemmes her, så det overlever
+ *   oprettelse af konto, turen til mailprogrammet og genstart af appen.
+ * - RootNavigator åbner InviteAcceptScreen, når der ligger en invitation og
+ *   brugeren er logget ind; skærmen kalder acceptPendingInviteAsync.
+ * - Invitationen fjernes, når den er accepteret, eller når den ikke kan bruges.
+ */
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+import { auth } from '../lib/firebase';
+import {
+  FAMILY_INVITE_ERRORS,
+  acceptFamilyInviteAsync,
+} from '../lib/familyInviteApi';
+
+const PENDING_INVITE_STORAGE_KEY = 'famtime.pendingInvite';
+
+export const PENDING_INVITE_RESULTS = {
+  JOINED: 'joined',
+  UNVERIFIED: 'unverified',
+  FAILED: 'failed',
+};
+
+// Fejl hvor et nyt forsøg ikke hjælper; invitationen glemmes.
+const FINAL_INVITE_ERRORS = [
+  FAMILY_INVITE_ERRORS.EXPIRED,
+  FAMILY_INVITE_ERRORS.USED,
+  FAMILY_INVITE_ERRORS.NOT_FOUND,
+  FAMILY_INVITE_ERRORS.INVALID_TOKEN,
+];
+
+let pendingInviteToken = null;
+const listeners = new Set();
+
+const setPendingInviteToken = (token) => {
+  pendingInviteToken = token;
+  listeners.forEach((listener) => listener(token));
+};
+
+export const loadPendingInviteAsync = async () => {
+  try {
+    const stored = await AsyncStorage.getItem(PENDING_INVITE_STORAGE_KEY);
+    if (stored && !pendingInviteToken) {
+      setPendingInviteToken(stored);
+    }
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.warn('[pendingInvite] Kunne ikke læse invitation', error);
+  }
+  return pendingInviteToken;
+};
+
+export const savePendingInviteAsync = async (token) => {
+  if (!token || token === pendingInviteToken) {
+    return;
+  }
+  setPendingInviteToken(token);
+  try {
+    await AsyncStorage.setItem(PENDING_INVITE_STORAGE_KEY, token);
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.warn('[pendingInvite] Kunne ikke gemme invitation', error);
+  }
+};
+
+export const clearPendingInviteAsync = async () => {
+  setPendingInviteToken(null);
+  try {
+    await AsyncStorage.removeItem(PENDING_INVITE_STORAGE_KEY);
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.warn('[pendingInvite] Kunne ikke fjerne invitation', error);
+  }
+};
+
+export const getPendingInviteToken = () => pendingInviteToken;
+
+export const subscribeToPendingInvite = (listener) => {
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+  };
+};
+
+/**
+ * SIKR BEKRÆFTET E-MAIL
+ *
+ * Genindlæser brugeren (så en netop bekræftet e-mail ses) og fornyer ID-tokenet, så
+ * email_verified også gælder for regler og Cloud Functions. Kan sende en ny
+ * bekræftelsesmail, hvis e-mailen stadig ikke er bekræftet.
+ */
+export const ensureEmailVerifiedAsync = async (
+  user,
+  { sendIfUnverified = false } = {}
+) => {
+  await user.reload();
+  const refreshedUser = auth.currentUser ?? user;
+  if (!refreshedUser.emailVerified) {
+    if (sendIfUnverified) {
+      await refreshedUser.sendEmailVerification();
+    }
+    return false;
+  }
+  await refreshedUser.getIdToken(true);
+  return true;
+};
+
+/**
+ * ACCEPTÉR VENTENDE INVITATION
+ *
+ * Kræver bekræftet e-mail og lader serveren tilmelde brugeren.
+ * Returnerer { status, familyName?, error? }.
+ */
+export const acceptPendingInviteAsync = async (token = pendingInviteToken) => {
+  const user = auth.currentUser;
+  if (!user || !token) {
+    return { status: PENDING_INVITE_RESULTS.FAILED };
+  }
+
+  if (!(await ensureEmailVerifiedAsync(user))) {
+    return { status: PENDING_INVITE_RESULTS.UNVERIFIED };
+  }
+
+  try {
+    const { familyName } = await acceptFamilyInviteAsync(token);
+    await clearPendingInviteAsync();
+    return { status: PENDING_INVITE_RESULTS.JOINED, familyName };
+  } catch (error) {
+    if (error?.functionError === FAMILY_INVITE_ERRORS.EMAIL_NOT_VERIFIED) {
+      return { status: PENDING_INVITE_RESULTS.UNVERIFIED };
+    }
+    if (FINAL_INVITE_ERRORS.includes(error?.functionError)) {
+      await clearPendingInviteAsync();
+    }
+    return {
+      status: PENDING_INVITE_RESULTS.FAILED,
+      error: error?.functionError ?? '',
+    };
+  }
+};
@@ -0,0 +1,153 @@
+/**
+ * Push-notifikationer (Expo push) for familiebegivenheder.
+ *
+ * Laeseguide:
+ * - preparePendingApprovalNotificationsAsync: opretter Android-kanal og
+ *   "Godkend/Afvis"-kategorien og spørger om tilladelse. Returnerer true ved tilladelse.
+ * - registerPushTokenAsync: gemmer enhedens Expo push-token på users/{uid}.expoPushTokens,
+ *   så Cloud Function familyEventNotifications kan sende til alle brugerens enheder.
+ * - unregisterPushTokenAsync: fjerner tokenet igen ved logout.
+ * - getRegisteredPushToken: tokenet for denne enhed (tom streng hvis push ikke er sat op).
+ */
+import { Platform } from 'react-native';
+import Constants from 'expo-constants';
+import * as Notifications from 'expo-notifications';
+
+import { db, firebase } from '../lib/firebase';
+import {
+  PENDING_APPROVAL_APPROVE_ACTION,
+  PENDING_APPROVAL_NOTIFICATION_CATEGORY,
+  PENDING_APPROVAL_NOTIFICATION_CHANNEL,
+  PENDING_APPROVAL_REJECT_ACTION,
+} from '../constants/notifications';
+
+let registeredPushToken = '';
+
+const resolvePermissionStatus = (response) => {
+  if (!response) {
+    return 'denied';
+  }
+  if (typeof response.status === 'string') {
+    return response.status;
+  }
+  return response.granted ? 'granted' : 'denied';
+};
+
+export const preparePendingApprovalNotificationsAsync = async () => {
+  if (Platform.OS === 'android') {
+    await Notifications.setNotificationChannelAsync(
+      PENDING_APPROVAL_NOTIFICATION_CHANNEL,
+      {
+        name: 'Afventer godkendelse',
+        importance: Notifications.AndroidImportance.HIGH,
+        vibrationPattern: [0, 250, 250, 250],
+        lightColor: '#FFB74D',
+      }
+    );
+  }
+
+  await Notifications.setNotificationCategoryAsync(
+    PENDING_APPROVAL_NOTIFICATION_CATEGORY,
+    [
+      {
+        identifier: PENDING_APPROVAL_APPROVE_ACTION,
+        buttonTitle: 'Godkend',
+        options: {
+          isAuthenticationRequired: true,
+        },
+      },
+      {
+        identifier: PENDING_APPROVAL_REJECT_ACTION,
+        buttonTitle: 'Afvis',
+        options: {
+          isDestructive: true,
+        },
+      },
+    ]
+  );
+
+  const existingPermissions = await Notifications.getPermissionsAsync();
+  let finalStatus = resolvePermissionStatus(existingPermissions);
+
+  if (finalStatus !== 'granted') {
+    const requestedPermissions = await Notifications.requestPermissionsAsync();
+    finalStatus = resolvePermissionStatus(requestedPermissions);
+  }
+
+  return finalStatus === 'granted';
+};
+
+const getEasProjectId = () =>
+  Constants?.expoConfig?.extra?.eas?.projectId ??
+  Constants?.easConfig?.projectId ??
+  null;
+
+/**
+ * REGISTRER PUSH-TOKEN
+ *
+ * Kaldes når en bruger er logget ind. Fejl (simulator, ingen tilladelse)
+ * ignoreres; så bruges kun lokale notifikationer på enheden.
+ */
+export const registerPushTokenAsync = async (userId) => {
+  if (!userId) {
+    return '';
+  }
+
+  try {
+    const granted = await preparePendingApprovalNotificationsAsync();
+    if (!granted) {
+      return '';
+    }
+
+    const projectId = getEasProjectId();
+    const { data: token } = await Notifications.getExpoPushTokenAsync(
+      projectId ? { projectId } : undefined
+    );
+    if (typeof token !== 'string' || !token.length) {
+      return '';
+    }
+
+    await db
+      .collection('users')
+      .doc(userId)
+      .set(
+        {
+          expoPushTokens: firebase.firestore.FieldValue.arrayUnion(token),
+        },
+        { merge: true }
+      );
+
+    registeredPushToken = token;
+    return token;
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.warn('[pushNotifications] Kunne ikke registrere push-token', error);
+    return '';
+  }
+};
+
+// Fjerner enhedens token, så en udlogget enhed ikke får familiens notifikationer.
+export const unregisterPushTokenAsync = async (userId) => {
+  const token = registeredPushToken;
+  if (!userId || !token) {
+    return;
+  }
+
+  try {
+    await db
+      .collection('users')
+      .doc(userId)
+      .set(
+        {
+          expoPushTokens: firebase.firestore.FieldValue.arrayRemove(token),
+        },
+        { merge: true }
+      );
+    registeredPushToken = '';
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.warn('[pushNotifications] Kunne ikke fjerne push-token', error);
+  }
+};
+
+export const getRegisteredPushToken = () => registeredPushToken;
@@ -0,0 +1,525 @@
+/**
+ * Helpers til gentagne familiebegivenheder (RRULE-baseret).
+ * Bruges af kalenderskærmene til at udfolde serier til enkelte forekomster,
+ * beregne busy-tid og anvende godkendte ændringer på én forekomst.
+ *
+ * Format på `families/{id}/events/{eventId}.recurrence`:
+ * - rrule: RFC 5545-streng, fx "FREQ=WEEKLY;INTERVAL=1;BYDAY=SU;COUNT=10".
+ * - exdates: liste af forekomst-nøgler ("YYYY-MM-DD") der er aflyst.
+ * - overrides: { [nøgle]: { title, description, start, end } } for flyttede forekomster.
+ */
+import { availabilityUtils } from '../lib/availability';
+
+export const RECURRENCE_FREQUENCIES = {
+  NONE: 'none',
+  DAILY: 'daily',
+  WEEKLY: 'weekly',
+  MONTHLY: 'monthly',
+};
+
+export const RECURRENCE_FREQUENCY_OPTIONS = [
+  { key: RECURRENCE_FREQUENCIES.NONE, label: 'Ingen' },
+  { key: RECURRENCE_FREQUENCIES.DAILY, label: 'Dagligt' },
+  { key: RECURRENCE_FREQUENCIES.WEEKLY, label: 'Ugentligt' },
+  { key: RECURRENCE_FREQUENCIES.MONTHLY, label: 'Månedligt' },
+];
+
+export const RECURRENCE_SCOPES = {
+  OCCURRENCE: 'occurrence',
+  SERIES: 'series',
+};
+
+export const DEFAULT_RECURRENCE_EXPANSION_DAYS = 60;
+
+const MAX_OCCURRENCE_ITERATIONS = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const RRULE_FREQ_MAP = {
+  DAILY: RECURRENCE_FREQUENCIES.DAILY,
+  WEEKLY: RECURRENCE_FREQUENCIES.WEEKLY,
+  MONTHLY: RECURRENCE_FREQUENCIES.MONTHLY,
+};
+
+const RRULE_WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const WEEKDAY_KEYS = [
+  'sunday',
+  'monday',
+  'tuesday',
+  'wednesday',
+  'thursday',
+  'friday',
+  'saturday',
+];
+
+const WEEKDAY_LABELS = {
+  sunday: 'søndag',
+  monday: 'mandag',
+  tuesday: 'tirsdag',
+  wednesday: 'onsdag',
+  thursday: 'torsdag',
+  friday: 'fredag',
+  saturday: 'lørdag',
+};
+
+const padNumber = (value) => String(value).padStart(2, '0');
+
+/**
+ * FOREKOMST-NØGLE
+ * Lokal dato som "YYYY-MM-DD"; bruges som stabil nøgle for exdates/overrides.
+ */
+export const getOccurrenceKey = (value) => {
+  const date = availabilityUtils.toDate(value);
+  if (!date) {
+    return '';
+  }
+  return `${date.getFullYear()}-${padNumber(date.getMonth() + 1)}-${padNumber(
+    date.getDate()
+  )}`;
+};
+
+export const occurrenceKeyToDate = (occurrenceKey) => {
+  const match =
+    typeof occurrenceKey === 'string'
+      ? occurrenceKey.match(/^(\d{4})-(\d{2})-(\d{2})$/)
+      : null;
+  if (!match) {
+    return null;
+  }
+  return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+};
+
+const parseRRuleDate = (value) => {
+  const match =
+    typeof value === 'string'
+      ? value
+          .trim()
+          .match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/)
+      : null;
+  if (!match) {
+    return null;
+  }
+  const [
+    ,
+    year,
+    month,
+    day,
+    hours = '23',
+    minutes = '59',
+    seconds = '59',
+    utc,
+  ] = match;
+  const parts = [
+    Number(year),
+    Number(month) - 1,
+    Number(day),
+    Number(hours),
+    Number(minutes),
+    Number(seconds),
+  ];
+  const date = utc ? new Date(Date.UTC(...parts)) : new Date(...parts);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const formatRRuleDate = (date) =>
+  `${date.getUTCFullYear()}${padNumber(date.getUTCMonth() + 1)}${padNumber(
+    date.getUTCDate()
+  )}T${padNumber(date.getUTCHours())}${padNumber(
+    date.getUTCMinutes()
+  )}${padNumber(date.getUTCSeconds())}Z`;
+
+/**
+ * LÆS RRULE
+ * Oversætter en RRULE-streng til { freq, interval, count, until, byWeekday }.
+ * Understøtter DAILY/WEEKLY/MONTHLY; alt andet returnerer null.
+ */
+export const parseRRule = (rrule) => {
+  if (typeof rrule !== 'string' || !rrule.trim().length) {
+    return null;
+  }
+
+  const parts = {};
+  rrule
+    .trim()
+    .replace(/^RRULE:/i, '')
+    .split(';')
+    .forEach((segment) => {
+      const [rawKey, rawValue] = segment.split('=');
+      if (rawKey && rawValue !== undefined) {
+        parts[rawKey.trim().toUpperCase()] = rawValue.trim();
+      }
+    });
+
+  const freq = RRULE_FREQ_MAP[(parts.FREQ ?? '').toUpperCase()];
+  if (!freq) {
+    return null;
+  }
+
+  const interval = Number.parseInt(parts.INTERVAL ?? '1', 10);
+  const count = Number.parseInt(parts.COUNT ?? '', 10);
+  const byWeekday = (parts.BYDAY ?? '')
+    .split(',')
+    .map((code) => code.trim().toUpperCase().slice(-2))
+    .map((code) => RRULE_WEEKDAY_CODES.indexOf(code))
+    .filter((index) => index >= 0)
+    .map((index) => WEEKDAY_KEYS[index]);
+
+  return {
+    freq,
+    interval: Number.isFinite(interval) && interval > 0 ? interval : 1,
+    count: Number.isFinite(count) && count > 0 ? count : null,
+    until: parseRRuleDate(parts.UNTIL),
+    byWeekday: Array.from(new Set(byWeekday)),
+  };
+};
+
+/**
+ * BYG RRULE
+ * Modstykket til parseRRule; returnerer '' når der ikke skal gentages.
+ */
+export const buildRRule = ({
+  freq,
+  interval = 1,
+  count = null,
+  until = null,
+  byWeekday = [],
+} = {}) => {
+  const freqCode = Object.keys(RRULE_FREQ_MAP).find(
+    (code) => RRULE_FREQ_MAP[code] === freq
+  );
+  if (!freqCode) {
+    return '';
+  }
+
+  const segments = [`FREQ=${freqCode}`];
+  const safeInterval = Number.isFinite(interval) && interval > 1 ? interval : 1;
+  segments.push(`INTERVAL=${Math.floor(safeInterval)}`);
+
+  if (freq === RECURRENCE_FREQUENCIES.WEEKLY && Array.isArray(byWeekday)) {
+    const codes = byWeekday
+      .map((key) => WEEKDAY_KEYS.indexOf(key))
+      .filter((index) => index >= 0)
+      .map((index) => RRULE_WEEKDAY_CODES[index]);
+    if (codes.length) {
+      segments.push(`BYDAY=${codes.join(',')}`);
+    }
+  }
+
+  const untilDate = availabilityUtils.toDate(until);
+  if (Number.isFinite(count) && count > 0) {
+    segments.push(`COUNT=${Math.floor(count)}`);
+  } else if (untilDate) {
+    segments.push(`UNTIL=${formatRRuleDate(untilDate)}`);
+  }
+
+  return segments.join(';');
+};
+
+/**
+ * NORMALISER RECURRENCE-FELT
+ * Tager det rå Firestore-felt og returnerer { rule, exdates:Set, overrides }
+ * med Date-objekter, eller null hvis eventet ikke gentages.
+ */
+export const normalizeRecurrence = (recurrence) => {
+  if (!recurrence || typeof recurrence !== 'object') {
+    return null;
+  }
+
+  const rule = parseRRule(recurrence.rrule);
+  if (!rule) {
+    return null;
+  }
+
+  const exdates = new Set(
+    (Array.isArray(recurrence.exdates) ? recurrence.exdates : []).filter(
+      (key) => typeof key === 'string' && key.length
+    )
+  );
+
+  const overrides = {};
+  if (recurrence.overrides && typeof recurrence.overrides === 'object') {
+    Object.entries(recurrence.overrides).forEach(([key, override]) => {
+      if (!override || typeof override !== 'object') {
+        return;
+      }
+      const start = availabilityUtils.toDate(override.start);
+      const end = availabilityUtils.toDate(override.end);
+      overrides[key] = {
+        title: typeof override.title === 'string' ? override.title : null,
+        description:
+          typeof override.description === 'string'
+            ? override.description
+            : null,
+        start: start && end && end > start ? start : null,
+        end: start && end && end > start ? end : null,
+      };
+    });
+  }
+
+  return { rrule: recurrence.rrule, rule, exdates, overrides };
+};
+
+export const isRecurringEvent = (event) =>
+  Boolean(normalizeRecurrence(event?.recurrence));
+
+const addDays = (date, days) => {
+  const next = new Date(date.getTime());
+  next.setDate(next.getDate() + days);
+  return next;
+};
+
+const getMondayOffset = (dayIndex) => (dayIndex + 6) % 7;
+
+// Kandidat-starttider for ét RRULE-skridt (én dag, uge eller måned fra seriens start).
+const getStepCandidates = (seriesStart, rule, step) => {
+  if (rule.freq === RECURRENCE_FREQUENCIES.DAILY) {
+    return [addDays(seriesStart, step * rule.interval)];
+  }
+
+  if (rule.freq === RECURRENCE_FREQUENCIES.WEEKLY) {
+    const weekdays = rule.byWeekday.length
+      ? rule.byWeekday
+      : [WEEKDAY_KEYS[seriesStart.getDay()]];
+    // Uger regnes fra mandag (RRULE WKST=MO).
+    const weekStart = addDays(
+      seriesStart,
+      step * rule.interval * 7 - getMondayOffset(seriesStart.getDay())
+    );
+    return weekdays
+      .map((key) =>
+        addDays(weekStart, getMondayOffset(WEEKDAY_KEYS.indexOf(key)))
+      )
+      .filter((date) => date >= seriesStart)
+      .sort((a, b) => a.getTime() - b.getTime());
+  }
+
+  if (rule.freq === RECURRENCE_FREQUENCIES.MONTHLY) {
+    const candidate = new Date(seriesStart.getTime());
+    candidate.setDate(1);
+    candidate.setMonth(seriesStart.getMonth() + step * rule.interval);
+    const targetMonth = candidate.getMonth();
+    candidate.setDate(seriesStart.getDate());
+    // Måneder uden den pågældende dato springes over (som i RFC 5545).
+    return candidate.getMonth() === targetMonth ? [candidate] : [];
+  }
+
+  return [];
+};
+
+// Første skridt hvis forekomster kan ligge efter fromDate. Ét skridt ekstra tages med,
+// så sommertid og ugegrænser aldrig får os til at springe en forekomst over.
+const getFirstStepFrom = (seriesStart, rule, fromDate) => {
+  if (!fromDate || fromDate <= seriesStart) {
+    return 0;
+  }
+
+  let elapsedSteps = 0;
+  if (rule.freq === RECURRENCE_FREQUENCIES.MONTHLY) {
+    const elapsedMonths =
+      (fromDate.getFullYear() - seriesStart.getFullYear()) * 12 +
+      fromDate.getMonth() -
+      seriesStart.getMonth();
+    elapsedSteps = Math.floor(elapsedMonths / rule.interval);
+  } else {
+    const elapsedDays = Math.floor(
+      (fromDate.getTime() - seriesStart.getTime()) / DAY_MS
+    );
+    const stepDays =
+      rule.freq === RECURRENCE_FREQUENCIES.WEEKLY
+        ? rule.interval * 7
+        : rule.interval;
+    elapsedSteps = Math.floor(elapsedDays / stepDays);
+  }
+  return Math.max(0, elapsedSteps - 1);
+};
+
+// Antal forekomster i de skridt, der springes over (bruges til COUNT).
+const countStartsBeforeStep = (seriesStart, rule, firstStep) => {
+  if (firstStep <= 0) {
+    return 0;
+  }
+  if (rule.freq === RECURRENCE_FREQUENCIES.DAILY) {
+    return firstStep;
+  }
+  if (rule.freq === RECURRENCE_FREQUENCIES.WEEKLY) {
+    const perWeek = rule.byWeekday.length || 1;
+    return (
+      getStepCandidates(seriesStart, rule, 0).length + (firstStep - 1) * perWeek
+    );
+  }
+  let produced = 0;
+  for (let step = 0; step < firstStep; step += 1) {
+    produced += getStepCandidates(seriesStart, rule, step).length;
+  }
+  return produced;
+};
+
+/**
+ * Gennemløber kandidat-starttider i kronologisk rækkefølge indtil callback
+ * returnerer false. Skridt før fromDate springes direkte over (COUNT regnes
+ * stadig fra seriens start), så loftet over gennemløb kun gælder fra fromDate.
+ */
+const iterateRuleStarts = (seriesStart, rule, fromDate, visit) => {
+  const firstStep = getFirstStepFrom(seriesStart, rule, fromDate);
+  let produced = countStartsBeforeStep(seriesStart, rule, firstStep);
+
+  for (
+    let step = firstStep;
+    step < firstStep + MAX_OCCURRENCE_ITERATIONS;
+    step += 1
+  ) {
+    for (const candidate of getStepCandidates(seriesStart, rule, step)) {
+      if (rule.until && candidate > rule.until) {
+        return;
+      }
+      if (rule.count && produced >= rule.count) {
+        return;
+      }
+      produced += 1;
+      if (visit(candidate) === false) {
+        return;
+      }
+    }
+  }
+};
+
+/**
+ * UDFOLD FORSKOMSTER FOR ÉT EVENT
+ * Ikke-gentagne events returneres uændret. Gentagne events udfoldes til
+ * forekomster der overlapper [rangeStart, rangeEnd], med exdates fjernet og
+ * overrides anvendt. Hver forekomst får `seriesId` og `occurrenceKey`.
+ */
+export const expandEventOccurrences = (event, options = {}) => {
+  const recurrence = normalizeRecurrence(event?.recurrence);
+  const seriesStart = availabilityUtils.toDate(event?.start);
+  const seriesEnd = availabilityUtils.toDate(event?.end);
+  if (!recurrence || !seriesStart || !seriesEnd || seriesEnd <= seriesStart) {
+    return event ? [event] : [];
+  }
+
+  const now = new Date();
+  const rangeStart =
+    availabilityUtils.toDate(options.rangeStart) ?? addDays(now, -1);
+  const rangeEnd =
+    availabilityUtils.toDate(options.rangeEnd) ??
+    new Date(now.getTime() + DEFAULT_RECURRENCE_EXPANSION_DAYS * DAY_MS);
+  const durationMs = seriesEnd.getTime() - seriesStart.getTime();
+  const pendingChange = event.pendingChange ?? null;
+  const occurrences = [];
+
+  // Forekomster der starter før rangeStart, kan stadig overlappe perioden.
+  const fromDate = new Date(rangeStart.getTime() - durationMs);
+  const { rule } = recurrence;
+
+  iterateRuleStarts(seriesStart, rule, fromDate, (candidateStart) => {
+    if (candidateStart >= rangeEnd) {
+      return false;
+    }
+
+    const occurrenceKey = getOccurrenceKey(candidateStart);
+    if (recurrence.exdates.has(occurrenceKey)) {
+      return true;
+    }
+
+    const override = recurrence.overrides[occurrenceKey] ?? null;
+    const start = override?.start ?? candidateStart;
+    const end =
+      override?.end ?? new Date(candidateStart.getTime() + durationMs);
+    if (end <= rangeStart || start >= rangeEnd) {
+      return true;
+    }
+
+    occurrences.push({
+      ...event,
+      id: `${event.id}::${occurrenceKey}`,
+      seriesId: event.id,
+      occurrenceKey,
+      title: override?.title ?? event.title,
+      description: override?.description ?? event.description,
+      start,
+      end,
+      pendingChange:
+        pendingChange?.scope === RECURRENCE_SCOPES.OCCURRENCE &&
+        pendingChange.occurrenceKey === occurrenceKey
+          ? pendingChange
+          : null,
+    });
+    return true;
+  });
+
+  return occurrences;
+};
+
+export const expandEventsInRange = (events = [], options = {}) =>
+  (Array.isArray(events) ? events : []).flatMap((event) =>
+    expandEventOccurrences(event, options)
+  );
+
+/**
+ * BESKRIV GENTAGELSE
+ * Kort dansk tekst til kort/badges, fx "Hver uge (søndag), 10 gange".
+ */
+export const describeRecurrence = (recurrence) => {
+  const normalized = normalizeRecurrence(recurrence);
+  if (!normalized) {
+    return '';
+  }
+
+  const { freq, interval, count, until, byWeekday } = normalized.rule;
+  const unit =
+    freq === RECURRENCE_FREQUENCIES.DAILY
+      ? 'dag'
+      : freq === RECURRENCE_FREQUENCIES.WEEKLY
+        ? 'uge'
+        : 'måned';
+  let label = interval > 1 ? `Hver ${interval}. ${unit}` : `Hver ${unit}`;
+
+  if (byWeekday.length) {
+    label += ` (${byWeekday.map((key) => WEEKDAY_LABELS[key]).join(', ')})`;
+  }
+  if (count) {
+    label += `, ${count} gange`;
+  } else if (until) {
+    label += ` til ${until.toLocaleDateString('da-DK')}`;
+  }
+  return label;
+};
+
+/**
+ * LØS ÆNDRING PÅ ÉN FOREKOMST
+ * Hvis en godkendt pendingChange kun gælder én forekomst, returneres
+ * { occurrenceKey, cancel, override } som kalderen skriver ind i
+ * `recurrence.exdates`/`recurrence.overrides`. Ellers null (hele serien).
+ */
+export const resolveOccurrenceChange = (pendingChange) => {
+  if (
+    !pendingChange ||
+    pendingChange.scope !== RECURRENCE_SCOPES.OCCURRENCE ||
+    typeof pendingChange.occurrenceKey !== 'string' ||
+    !pendingChange.occurrenceKey.length
+  ) {
+    return null;
+  }
+
+  if (pendingChange.cancel) {
+    return {
+      occurrenceKey: pendingChange.occurrenceKey,
+      cancel: true,
+      override: null,
+    };
+  }
+
+  return {
+    occurrenceKey: pendingChange.occurrenceKey,
+    cancel: false,
+    override: {
+      title:
+        typeof pendingChange.title === 'string' ? pendingChange.title : null,
+      description:
+        typeof pendingChange.description === 'string'
+          ? pendingChange.description
+          : null,
+      start: pendingChange.start ?? null,
+      end: pendingChange.end ?? null,
+    },
+  };
+};
@@ -0,0 +1,58 @@
+/**
+ * Login-session: "Husk mig" og log ud.
+ *
+ * Laeseguide:
+ * - Valget af "Husk mig" gemmes på enheden (REMEMBER_ME_STORAGE_KEY), så LoginScreen
+ *   kan vise det igen, og SignupScreen bruger samme valg.
+ * - applyRememberMeAsync kaldes før login og vælger auth-lagring via firebase.js.
+ * - signOutAndClearAsync er den fælles log ud-sti: fjerner push-token, påmindelser og
+ *   outbox for brugeren, før Firebase-sessionen (og en evt. gemt session) slettes.
+ */
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+import { auth, setSessionPersistenceAsync } from '../lib/firebase';
+import { unregisterPushTokenAsync } from './pushNotifications';
+import { cancelEventRemindersAsync } from './eventReminders';
+import { clearOutboxAsync } from './writeOutbox';
+
+const REMEMBER_ME_STORAGE_KEY = 'famtime.rememberMe';
+
+export const loadRememberMeAsync = async () => {
+  try {
+    return (await AsyncStorage.getItem(REMEMBER_ME_STORAGE_KEY)) === 'true';
+  } catch (_error) {
+    return false;
+  }
+};
+
+export const applyRememberMeAsync = async (remember) => {
+  try {
+    await AsyncStorage.setItem(
+      REMEMBER_ME_STORAGE_KEY,
+      remember ? 'true' : 'false'
+    );
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.warn('[session] Kunne ikke gemme "Husk mig"', error);
+  }
+  await setSessionPersistenceAsync(remember);
+};
+
+/**
+ * LOG UD
+ *
+ * Oprydningen må ikke forhindre log ud: hvert trin fanger selv sine fejl, og kun
+ * auth.signOut() kan kaste. Er profilen slettet, røres brugerdokumentet ikke, så
+ * push-token-oprydningen ikke genopretter det.
+ */
+export const signOutAndClearAsync = async (
+  userId,
+  { profileDeleted = false } = {}
+) => {
+  if (!profileDeleted) {
+    await unregisterPushTokenAsync(userId);
+  }
+  await cancelEventRemindersAsync();
+  await clearOutboxAsync(userId);
+  await auth.signOut();
+};
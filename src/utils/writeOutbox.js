@@ -0,0 +1,443 @@
+/**
+ * Outbox for skrivninger der skal overleve manglende forbindelse.
+ *
+ * Laeseguide:
+ * - Firestore kører uden offline-persistence, så en skrivning uden net ligger kun i
+ *   hukommelsen. Outboxen gemmer den først i AsyncStorage, udfører den og fjerner den
+ *   igen, når serveren har bekræftet.
+ * - Svarer serveren ikke inden OUTBOX_WRITE_TIMEOUT_MS, returneres { queued: true }, og
+ *   kortet viser "venter på forbindelse". Firestore leverer selv skrivningen, når nettet
+ *   er tilbage; lukkes appen inden, afspilles den fra AsyncStorage (startOutboxReplay).
+ * - Oprettelser afspilles kun, hvis dokumentet ikke findes (createOnly), så en allerede
+ *   leveret oprettelse ikke nulstiller godkendelser.
+ * - Forslag skrives i en transaktion og kun, hvis begivenheden stadig har den updatedAt,
+ *   forslaget blev lavet ud fra (baseUpdatedAt). Er den ændret i mellemtiden, opgives
+ *   forslaget i stedet for at overskrive et nyere forslag eller en godkendelse.
+ * - Godkend/afvis går gennem pendingApprovalActions; en gentaget godkendelse er NOOP.
+ * - Outboxen ligger pr. bruger, så køen aldrig afspilles som en anden bruger.
+ */
+import { AppState } from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+import { db, firebase } from '../lib/firebase';
+import { EVENT_APPROVAL_ACTIONS } from './eventApproval';
+import {
+  approvePendingEvent,
+  rejectPendingChange,
+} from './pendingApprovalActions';
+
+export const OUTBOX_KINDS = {
+  EVENT_CREATE: 'eventCreate',
+  EVENT_PROPOSAL: 'eventProposal',
+  EVENT_APPROVAL: 'eventApproval',
+  PROFILE_SAVE: 'profileSave',
+};
+
+const OUTBOX_STORAGE_PREFIX = 'famtime.outbox.';
+const OUTBOX_WRITE_TIMEOUT_MS = 8000;
+const OUTBOX_REPLAY_INTERVAL_MS = 30 * 1000;
+
+let outboxUserId = null;
+let outboxEntries = [];
+let flushing = false;
+const inFlightIds = new Set();
+const listeners = new Set();
+
+const storageKey = (userId) => `${OUTBOX_STORAGE_PREFIX}${userId}`;
+
+const notifyListeners = () => {
+  listeners.forEach((listener) => listener(outboxEntries));
+};
+
+const persistEntriesAsync = async () => {
+  if (!outboxUserId) {
+    return;
+  }
+  try {
+    await AsyncStorage.setItem(
+      storageKey(outboxUserId),
+      JSON.stringify(outboxEntries)
+    );
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.warn('[writeOutbox] Kunne ikke gemme outbox', error);
+  }
+};
+
+const setEntries = async (nextEntries) => {
+  outboxEntries = nextEntries;
+  notifyListeners();
+  await persistEntriesAsync();
+};
+
+const createEntryId = () =>
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * SERIALISERING
+ *
+ * Firestore-værdier gemmes som JSON: datoer/Timestamps som ISO-tekst og
+ * serverTimestamp()/delete() som markører, der genskabes ved afspilning.
+ */
+const encodeValue = (value) => {
+  if (value instanceof Date) {
+    return { __outbox: 'date', value: value.toISOString() };
+  }
+  if (value instanceof firebase.firestore.Timestamp) {
+    return { __outbox: 'date', value: value.toDate().toISOString() };
+  }
+  if (value instanceof firebase.firestore.FieldValue) {
+    if (value.isEqual(firebase.firestore.FieldValue.serverTimestamp())) {
+      return { __outbox: 'serverTimestamp' };
+    }
+    if (value.isEqual(firebase.firestore.FieldValue.delete())) {
+      return { __outbox: 'delete' };
+    }
+    throw new Error('Feltværdien kan ikke lægges i outboxen.');
+  }
+  if (Array.isArray(value)) {
+    return value.map(encodeValue);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, encodeValue(item)])
+    );
+  }
+  return value;
+};
+
+const decodeValue = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(decodeValue);
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  if (value.__outbox === 'date') {
+    return firebase.firestore.Timestamp.fromDate(new Date(value.value));
+  }
+  if (value.__outbox === 'serverTimestamp') {
+    return firebase.firestore.FieldValue.serverTimestamp();
+  }
+  if (value.__outbox === 'delete') {
+    return firebase.firestore.FieldValue.delete();
+  }
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [key, decodeValue(item)])
+  );
+};
+
+// fetch mod Cloud Functions kaster TypeError med en af disse beskeder uden net. Andre
+// TypeErrors er fejl i koden og skal ikke blive liggende i køen.
+const NETWORK_ERROR_MESSAGE =
+  /offline|network request failed|network error|failed to fetch|load failed|timed out/i;
+
+const OUTBOX_CONFLICT_CODE = 'outbox/conflict';
+
+// Firestore melder "unavailable" uden net.
+export const isOfflineError = (error) =>
+  error?.code === 'unavailable' ||
+  error?.code === 'deadline-exceeded' ||
+  NETWORK_ERROR_MESSAGE.test(
+    typeof error?.message === 'string' ? error.message : ''
+  );
+
+// Dokumentet er ændret, siden skrivningen blev lavet (se baseUpdatedAt).
+export const isOutboxConflictError = (error) =>
+  error?.code === OUTBOX_CONFLICT_CODE;
+
+const toMillis = (value) =>
+  typeof value?.toMillis === 'function' ? value.toMillis() : null;
+
+/**
+ * SKRIV HVIS UÆNDRET
+ *
+ * Skriver kun, hvis dokumentet findes og har samme updatedAt som baseUpdatedAt.
+ * Sammenligner millisekunder, fordi outboxen gemmer tidspunkter som ISO-tekst.
+ */
+const setIfUnchangedAsync = (docRef, data, { merge, baseUpdatedAt }) =>
+  db.runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(docRef);
+    if (
+      !snapshot.exists ||
+      toMillis(snapshot.get('updatedAt')) !== toMillis(baseUpdatedAt)
+    ) {
+      const error = new Error('Dokumentet er ændret i mellemtiden.');
+      error.code = OUTBOX_CONFLICT_CODE;
+      throw error;
+    }
+    transaction.set(docRef, data, { merge });
+  });
+
+const performEntryAsync = async (entry, { liveData = null } = {}) => {
+  if (entry.kind === OUTBOX_KINDS.EVENT_APPROVAL) {
+    const runAction =
+      entry.approval.action === EVENT_APPROVAL_ACTIONS.REJECT
+        ? rejectPendingChange
+        : approvePendingEvent;
+    return runAction({
+      familyId: entry.approval.familyId,
+      eventId: entry.approval.eventId,
+      userId: entry.userId,
+    });
+  }
+
+  const docRef = db.doc(entry.path);
+  const data = liveData ?? decodeValue(entry.data);
+  if ('baseUpdatedAt' in entry) {
+    await setIfUnchangedAsync(docRef, data, {
+      merge: entry.merge,
+      baseUpdatedAt: decodeValue(entry.baseUpdatedAt),
+    });
+    return null;
+  }
+
+  if (!liveData) {
+    // Afspilning: en læsning fejler hurtigt uden net og afslører leverede oprettelser.
+    const snapshot = await docRef.get();
+    if (entry.createOnly && snapshot.exists) {
+      return null;
+    }
+  }
+  await docRef.set(data, { merge: entry.merge });
+  return null;
+};
+
+const removeEntryAsync = (entryId) =>
+  setEntries(outboxEntries.filter((entry) => entry.id !== entryId));
+
+const waitForWrite = (promise) =>
+  new Promise((resolve, reject) => {
+    const timer = setTimeout(
+      () => resolve({ completed: false }),
+      OUTBOX_WRITE_TIMEOUT_MS
+    );
+    promise.then(
+      (value) => {
+        clearTimeout(timer);
+        resolve({ completed: true, value });
+      },
+      (error) => {
+        clearTimeout(timer);
+        reject(error);
+      }
+    );
+  });
+
+const runWithOutboxAsync = async (fields, liveData = null) => {
+  const entry = {
+    id: createEntryId(),
+    userId: outboxUserId,
+    createdAt: new Date().toISOString(),
+    ...fields,
+  };
+  inFlightIds.add(entry.id);
+  await setEntries([...outboxEntries, entry]);
+
+  const run = performEntryAsync(entry, { liveData })
+    .then(async (result) => {
+      await removeEntryAsync(entry.id);
+      return result;
+    })
+    .catch(async (error) => {
+      if (!isOfflineError(error)) {
+        await removeEntryAsync(entry.id);
+      }
+      throw error;
+    })
+    .finally(() => {
+      inFlightIds.delete(entry.id);
+    });
+
+  try {
+    const { completed, value } = await waitForWrite(run);
+    return completed ? { queued: false, result: value } : { queued: true };
+  } catch (error) {
+    if (isOfflineError(error)) {
+      return { queued: true };
+    }
+    throw error;
+  }
+};
+
+/**
+ * SKRIV DOKUMENT
+ *
+ * Returnerer { queued, result } og afviser kun ved fejl der ikke skyldes manglende net
+ * (fx manglende rettigheder). targetId er det id kortene markerer som "venter".
+ * Med baseUpdatedAt (dokumentets updatedAt, da brugeren startede ændringen) skrives
+ * kun, hvis dokumentet er uændret; ellers afvises med en fejl, som
+ * isOutboxConflictError genkender.
+ */
+export const setDocumentWithOutboxAsync = async ({
+  kind,
+  docRef,
+  data,
+  merge = true,
+  createOnly = false,
+  targetId,
+  baseUpdatedAt,
+}) => {
+  const isConditional = baseUpdatedAt !== undefined;
+  if (!outboxUserId) {
+    if (isConditional) {
+      await setIfUnchangedAsync(docRef, data, { merge, baseUpdatedAt });
+    } else {
+      await docRef.set(data, { merge });
+    }
+    return { queued: false };
+  }
+  return runWithOutboxAsync(
+    {
+      kind,
+      path: docRef.path,
+      data: encodeValue(data),
+      merge,
+      createOnly,
+      targetId: targetId ?? docRef.id,
+      ...(isConditional
+        ? { baseUpdatedAt: encodeValue(baseUpdatedAt ?? null) }
+        : {}),
+    },
+    data
+  );
+};
+
+export const runApprovalWithOutboxAsync = ({
+  familyId,
+  eventId,
+  userId,
+  action,
+}) => {
+  const runAction =
+    action === EVENT_APPROVAL_ACTIONS.REJECT
+      ? rejectPendingChange
+      : approvePendingEvent;
+  if (!outboxUserId || outboxUserId !== userId) {
+    return runAction({ familyId, eventId, userId }).then((result) => ({
+      queued: false,
+      result,
+    }));
+  }
+  return runWithOutboxAsync({
+    kind: OUTBOX_KINDS.EVENT_APPROVAL,
+    approval: { familyId, eventId, action },
+    targetId: eventId,
+  });
+};
+
+/**
+ * AFSPIL OUTBOX
+ *
+ * Kører ventende skrivninger i rækkefølge og stopper ved første netværksfejl.
+ * Andre fejl (fx slettet familie) fjerner skrivningen, så køen ikke sidder fast.
+ */
+export const flushOutboxAsync = async () => {
+  if (flushing || !outboxUserId) {
+    return;
+  }
+  flushing = true;
+
+  try {
+    for (const entry of outboxEntries) {
+      if (inFlightIds.has(entry.id)) {
+        continue;
+      }
+      inFlightIds.add(entry.id);
+      try {
+        await performEntryAsync(entry);
+        await removeEntryAsync(entry.id);
+      } catch (error) {
+        if (isOfflineError(error)) {
+          break;
+        }
+        // eslint-disable-next-line no-console
+        console.warn('[writeOutbox] Skrivning opgivet', entry.kind, error);
+        await removeEntryAsync(entry.id);
+      } finally {
+        inFlightIds.delete(entry.id);
+      }
+    }
+  } finally {
+    flushing = false;
+  }
+};
+
+/**
+ * START AFSPILNING
+ *
+ * Kaldes ved login: indlæser brugerens outbox og afspiller den ved start, når
+ * appen kommer i forgrunden og med jævne mellemrum, mens der ligger noget i køen.
+ * Returnerer en stop-funktion.
+ */
+export const startOutboxReplay = (userId) => {
+  outboxUserId = userId;
+  outboxEntries = [];
+  notifyListeners();
+
+  AsyncStorage.getItem(storageKey(userId))
+    .then((raw) => {
+      if (outboxUserId !== userId) {
+        return;
+      }
+      const stored = raw ? JSON.parse(raw) : [];
+      outboxEntries = [
+        ...(Array.isArray(stored) ? stored : []),
+        ...outboxEntries,
+      ];
+      notifyListeners();
+      flushOutboxAsync();
+    })
+    .catch((error) => {
+      // eslint-disable-next-line no-console
+      console.warn('[writeOutbox] Kunne ikke læse outbox', error);
+    });
+
+  const appStateSubscription = AppState.addEventListener('change', (state) => {
+    if (state === 'active') {
+      flushOutboxAsync();
+    }
+  });
+  const interval = setInterval(() => {
+    if (outboxEntries.length) {
+      flushOutboxAsync();
+    }
+  }, OUTBOX_REPLAY_INTERVAL_MS);
+
+  return () => {
+    appStateSubscription.remove();
+    clearInterval(interval);
+    if (outboxUserId === userId) {
+      outboxUserId = null;
+      outboxEntries = [];
+      notifyListeners();
+    }
+  };
+};
+
+// Ved log ud: fjerner brugerens kø, så den ikke afspilles ved næste login.
+export const clearOutboxAsync = async (userId) => {
+  if (!userId) {
+    return;
+  }
+  if (outboxUserId === userId) {
+    outboxEntries = [];
+    notifyListeners();
+  }
+  try {
+    await AsyncStorage.removeItem(storageKey(userId));
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.warn('[writeOutbox] Kunne ikke rydde outbox', error);
+  }
+};
+
+export const getOutboxEntries = () => outboxEntries;
+
+export const subscribeToOutbox = (listener) => {
+  listeners.add(listener);
+  listener(outboxEntries);
+  return () => {
+    listeners.delete(listener);
+  };
+};